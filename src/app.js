@@ -23,6 +23,7 @@ const contentItemRoutes = require('./routes/contentItems');
 const cmsAdminRoutes = require('./routes/cmsAdmin');
 const deliveryRoutes = require('./routes/deliveries');
 const contentLibraryRoutes = require('./routes/contentLibrary');
+const scanReviewRoutes = require('./routes/scanReviews');
 
 const app = express();
 
@@ -40,8 +41,13 @@ const corsOptions = {
     }
   },
   credentials: process.env.CORS_CREDENTIALS === 'true',
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
+  allowedHeaders: [
+    'Content-Type', 'Authorization', 'X-Requested-With',
+    // Resumable ultrasound uploads (tus)
+    'Tus-Resumable', 'Upload-Length', 'Upload-Offset', 'Upload-Metadata'
+  ],
+  exposedHeaders: ['Location', 'Tus-Resumable', 'Tus-Version', 'Upload-Offset', 'Upload-Length', 'Upload-Expires', 'Scan-Id']
 };
 
 // Security middleware
@@ -68,6 +74,9 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // A resumable upload on a poor connection is many small chunks; each is
+  // authenticated and bounded by the upload's declared length.
+  skip: (req) => req.method === 'PATCH' && /^\/[^/]+\/ultrasounds\/uploads\//.test(req.path),
 });
 
 app.use('/api/', limiter);
@@ -166,6 +175,7 @@ app.use(`/api/${API_VERSION}/content-items`, contentItemRoutes);
 app.use(`/api/${API_VERSION}/cms-admin`, cmsAdminRoutes);
 app.use(`/api/${API_VERSION}/deliveries`, deliveryRoutes);
 app.use(`/api/${API_VERSION}/content-library`, contentLibraryRoutes);
+app.use(`/api/${API_VERSION}/scan-reviews`, scanReviewRoutes);
 
 // API base route
 app.get(`/api/${API_VERSION}`, (req, res) => {
@@ -1,36 +1,118 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const appointmentService = require('../services/appointmentService');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+function assertValid(req) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array().map(e => e.msg).join(', '));
+  }
+}
+
+async function loadUser(req) {
+  const user = await User.findByPk(req.user.id);
+  if (!user) throw new NotFoundError('User not found');
+  return user;
+}
+
 const appointmentController = {
+  // POST /api/v1/appointments
   async scheduleAppointment(req, res) {
+    assertValid(req);
+    const user = await loadUser(req);
+    const appointment = await appointmentService.createAppointment(user, req.body);
+
     res.status(201).json({
       status: 'success',
-      message: 'Schedule appointment endpoint ready - awaiting implementation',
-      data: {
-        userId: req.user.id,
-        userType: req.user.userType
-      }
+      message: 'Appointment scheduled successfully',
+      data: { appointment: appointment.getSafeAppointmentInfo() }
     });
   },
 
+  // GET /api/v1/appointments
   async getAppointments(req, res) {
+    assertValid(req);
+    const { status, type, from, to, upcoming } = req.query;
+    const appointments = await appointmentService.listAppointments(req.user.id, {
+      status,
+      type,
+      from,
+      to,
+      upcoming: upcoming === 'true'
+    });
+
     res.status(200).json({
       status: 'success',
-      message: 'Get appointments endpoint ready - awaiting implementation',
       data: {
-        userId: req.user.id,
-        appointments: []
+        appointments: appointments.map(a => a.getSafeAppointmentInfo()),
+        total: appointments.length
       }
     });
   },
 
+  // GET /api/v1/appointments/:id
+  async getAppointment(req, res) {
+    assertValid(req);
+    const appointment = await appointmentService.getAppointment(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: { appointment: appointment.getSafeAppointmentInfo() }
+    });
+  },
+
+  // PUT /api/v1/appointments/:id
   async updateAppointment(req, res) {
+    assertValid(req);
+    const user = await loadUser(req);
+    const appointment = await appointmentService.updateAppointment(user, req.params.id, req.body);
+
     res.status(200).json({
       status: 'success',
-      message: 'Update appointment endpoint ready - awaiting implementation',
-      data: {
-        userId: req.user.id,
-        appointmentId: req.params.id
-      }
+      message: 'Appointment updated successfully',
+      data: { appointment: appointment.getSafeAppointmentInfo() }
+    });
+  },
+
+  // POST /api/v1/appointments/:id/accept  (suggested ANC contact -> scheduled)
+  async acceptSuggestion(req, res) {
+    assertValid(req);
+    const user = await loadUser(req);
+    const appointment = await appointmentService.acceptSuggestion(user, req.params.id, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Visit added to your appointments',
+      data: { appointment: appointment.getSafeAppointmentInfo() }
+    });
+  },
+
+  // POST /api/v1/appointments/:id/dismiss
+  async dismissSuggestion(req, res) {
+    assertValid(req);
+    const appointment = await appointmentService.dismissSuggestion(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Suggested visit dismissed',
+      data: { appointment: appointment.getSafeAppointmentInfo() }
+    });
+  },
+
+  // POST /api/v1/appointments/:id/cancel
+  async cancelAppointment(req, res) {
+    assertValid(req);
+    const appointment = await appointmentService.cancelAppointment(req.user.id, req.params.id, {
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Appointment cancelled',
+      data: { appointment: appointment.getSafeAppointmentInfo() }
     });
   }
 };
 
-module.exports = appointmentController; 
\ No newline at end of file
+module.exports = appointmentController;
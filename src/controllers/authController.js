@@ -1,66 +1,44 @@
 const { validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { Op } = require('sequelize');
-const { ValidationError, ConflictError, AuthenticationError, NotFoundError } = require('../middleware/errorHandler');
+const { ValidationError, ConflictError, AuthenticationError, NotFoundError, RateLimitError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 const User = require('../models/User');
 const emailService = require('../services/emailService');
+const tokenService = require('../services/tokenService');
+const otpDeliveryService = require('../services/otpDeliveryService');
+const otpService = require('../services/otpService');
+const oidcService = require('../services/oidcService');
+const socialAuthService = require('../services/socialAuthService');
 const { normalizeEmail, hasEmailAlias, getEmailAlias } = require('../utils/emailUtils');
 
-// Generate 6-digit OTP
-const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
-};
-
-// Generate JWT tokens
-const generateTokens = (userId, email) => {
-  const accessToken = jwt.sign(
-    { id: userId, email },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-  );
-
-  const refreshToken = jwt.sign(
-    { id: userId, email },
-    process.env.REFRESH_TOKEN_SECRET,
-    { expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '7d' }
-  );
-
-  return { accessToken, refreshToken };
-};
-
-// Send OTP via email and SMS
-const sendOTP = async (email, phoneNumber, otp, userName = 'User') => {
+// Device/session details recorded against each sign-in (per-device sessions).
+const sessionContext = (req) => ({
+  deviceId: req.get('X-Device-Id') || req.body.deviceId || null,
+  deviceName: req.get('X-Device-Name') || req.body.deviceName || null,
+  userAgent: req.get('User-Agent') || null,
+  ipAddress: req.ip
+});
+
+// Send a verification OTP on the given channels (email / sms / whatsapp).
+// Delivery failures are reported per channel, never thrown.
+const sendOTP = async (user, otp, channels) => {
   try {
-    // Send email OTP
-    const emailResult = await emailService.sendOTP(email, otp, userName);
-    
-    // Log the attempt (without exposing the actual OTP in logs)
-    logger.info('OTP sent', { 
-      email, 
-      phoneNumber, 
-      emailSent: emailResult.success,
-      mock: emailResult.mock || false
-    });
-    
-    // TODO: Add SMS sending here when needed
-    // For now, also log to console for development
-    if (process.env.NODE_ENV === 'development') {
-      console.log(`📧 EMAIL OTP to ${email}: ${otp}`);
-      console.log(`📱 SMS OTP to ${phoneNumber}: ${otp}`);
-    }
-    
-    return emailResult.success;
+    return await otpDeliveryService.deliverOtp({ user, code: otp, purpose: 'signup_verification', channels });
   } catch (error) {
     logger.error('Failed to send OTP:', error);
-    // Fallback: log to console
-    console.log(`🔐 [FALLBACK] OTP for ${email}: ${otp}`);
-    return false;
+    return [];
   }
 };
 
+// Human-readable "your email and phone" from the channels a code reached.
+const describeDelivery = (results) => {
+  const labels = { email: 'email', sms: 'phone (SMS)', whatsapp: 'WhatsApp' };
+  const sent = results.filter(r => r.sent).map(r => labels[r.channel]);
+  return sent.length ? sent.join(' and ') : null;
+};
+
 const authController = {
   async signup(req, res) {
     // Validate request
@@ -104,9 +82,8 @@ const authController = {
       const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
       const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-      // Generate OTP and expiry
-      const otp = generateOTP();
-      const otpExpiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes from now
+      // Generate OTP (stored hashed) and expiry
+      const { code: otp, expiresAt: otpExpiresAt, fields: otpFields } = otpService.issueOtp('signup_verification');
 
       // Create user in database - each email (including aliases) creates a separate account
       const newUser = await User.create({
@@ -114,8 +91,7 @@ const authController = {
         email,
         phoneNumber,
         password: hashedPassword,
-        otp,
-        otpExpiresAt,
+        ...otpFields,
         isVerified: false,
         isActive: false
       });
@@ -130,7 +106,7 @@ const authController = {
       }
 
       // Send OTP
-      await sendOTP(email, phoneNumber, otp, fullName);
+      const delivery = await sendOTP(newUser, otp);
 
       // Log signup event
       logger.logSystemEvent('USER_SIGNUP_INITIATED', {
@@ -140,14 +116,18 @@ const authController = {
         fullName
       });
 
+      const sentTo = describeDelivery(delivery);
       res.status(201).json({
         status: 'success',
-        message: 'Signup successful. OTP sent to your email and phone.',
+        message: sentTo
+          ? `Signup successful. OTP sent to your ${sentTo}.`
+          : 'Signup successful, but the OTP could not be delivered. Please request a new code.',
         data: {
           userId: newUser.id,
           email,
           phoneNumber,
-          otpSent: true,
+          otpSent: Boolean(sentTo),
+          otpChannels: delivery.filter(r => r.sent).map(r => r.channel),
           otpExpiresAt: otpExpiresAt.toISOString()
         }
       });
@@ -178,20 +158,8 @@ const authController = {
         throw new ValidationError('Account is already verified');
       }
 
-      // Check OTP validity
-      if (user.otp !== otp) {
-        logger.logSecurityEvent('INVALID_OTP_ATTEMPT', {
-          email,
-          providedOTP: otp,
-          ip: req.ip
-        });
-        throw new AuthenticationError('Invalid OTP');
-      }
-
-      // Check OTP expiry
-      if (new Date() > user.otpExpiresAt) {
-        throw new AuthenticationError('OTP has expired');
-      }
+      // Check the code (hashed, attempt-limited, locks out per user and IP)
+      await otpService.verifyOtp({ user, purpose: 'signup_verification', code: otp, ipAddress: req.ip });
 
       // Activate user account
       await user.update({
@@ -201,8 +169,8 @@ const authController = {
         otpExpiresAt: null
       });
 
-      // Generate JWT tokens
-      const tokens = generateTokens(user.id, user.email);
+      // Start a session for this device
+      const tokens = await tokenService.issueSession(user, sessionContext(req));
 
       // Send welcome email
       try {
@@ -236,8 +204,9 @@ const authController = {
           tokens: {
             accessToken: tokens.accessToken,
             refreshToken: tokens.refreshToken,
-            expiresIn: process.env.JWT_EXPIRES_IN || '24h'
-          }
+            expiresIn: tokens.expiresIn
+          },
+          sessionId: tokens.sessionId
         }
       });
 
@@ -250,10 +219,10 @@ const authController = {
   async resendOTP(req, res) {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      throw new ValidationError('Invalid email address');
+      throw new ValidationError(errors.array().map(error => error.msg).join(', '));
     }
 
-    const { email } = req.body;
+    const { email, channel } = req.body;
 
     try {
       // Find user by email
@@ -267,31 +236,42 @@ const authController = {
         throw new ValidationError('Account is already verified');
       }
 
-      // Generate new OTP
-      const newOtp = generateOTP();
-      const newOtpExpiresAt = new Date(Date.now() + 10 * 60 * 1000);
+      // An explicitly chosen phone channel must be able to deliver, so check
+      // the per-number throttle before replacing the current code.
+      if (otpDeliveryService.PHONE_CHANNELS.includes(channel)) {
+        if (!user.phoneNumber) {
+          throw new ValidationError('No phone number on this account');
+        }
+        const throttle = await otpDeliveryService.checkPhoneThrottle(user.phoneNumber);
+        if (!throttle.allowed) {
+          throw new RateLimitError(`Too many codes sent to this number. Try again in ${throttle.retryAfterSeconds} seconds.`, throttle.retryAfterSeconds);
+        }
+      }
+
+      // Generate new OTP (stored hashed)
+      const { code: newOtp, expiresAt: newOtpExpiresAt, fields: otpFields } = otpService.issueOtp('signup_verification');
 
       // Update user with new OTP
-      await user.update({
-        otp: newOtp,
-        otpExpiresAt: newOtpExpiresAt
-      });
+      await user.update(otpFields);
 
-      // Send new OTP
-      await sendOTP(user.email, user.phoneNumber, newOtp, user.fullName);
+      // Send new OTP on the chosen channel, or the defaults (email + SMS)
+      const delivery = await sendOTP(user, newOtp, channel ? [channel] : undefined);
+      const sentTo = describeDelivery(delivery);
 
       // Log resend event
       logger.logSystemEvent('OTP_RESEND', {
         userId: user.id,
-        email: user.email
+        email: user.email,
+        channel: channel || 'default'
       });
 
       res.status(200).json({
         status: 'success',
-        message: 'New OTP sent to your email and phone',
+        message: sentTo ? `New OTP sent to your ${sentTo}` : 'New OTP generated, but it could not be delivered. Please try again shortly.',
         data: {
           email: user.email,
           phoneNumber: user.phoneNumber,
+          otpChannels: delivery.filter(r => r.sent).map(r => r.channel),
           otpExpiresAt: newOtpExpiresAt.toISOString()
         }
       });
@@ -318,8 +298,9 @@ const authController = {
         throw new AuthenticationError('Invalid email or password');
       }
 
-      // Verify password FIRST before checking account status
-      const isPasswordValid = await bcrypt.compare(password, user.password);
+      // Verify password FIRST before checking account status (social-login
+      // accounts have no password until they set one via forgot-password)
+      const isPasswordValid = Boolean(user.password) && await bcrypt.compare(password, user.password);
       if (!isPasswordValid) {
         logger.logSecurityEvent('INVALID_LOGIN_ATTEMPT', {
           email,
@@ -343,8 +324,8 @@ const authController = {
         lastLoginAt: new Date()
       });
 
-      // Generate tokens
-      const tokens = generateTokens(user.id, user.email);
+      // Start a session for this device
+      const tokens = await tokenService.issueSession(user, sessionContext(req));
 
       // Log successful login
       logger.logSystemEvent('USER_LOGIN_SUCCESS', {
@@ -372,8 +353,9 @@ const authController = {
           tokens: {
             accessToken: tokens.accessToken,
             refreshToken: tokens.refreshToken,
-            expiresIn: process.env.JWT_EXPIRES_IN || '24h'
-          }
+            expiresIn: tokens.expiresIn
+          },
+          sessionId: tokens.sessionId
         }
       });
 
@@ -383,15 +365,112 @@ const authController = {
     }
   },
 
+  async socialLogin(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError(errors.array().map(error => error.msg).join(', '));
+    }
+
+    const { provider } = req.params;
+    const { idToken, nonce, fullName } = req.body;
+
+    try {
+      const identity = await oidcService.verifyIdToken(provider, idToken, { nonce });
+      const { user, isNewUser, linked } = await socialAuthService.signInWithIdentity(identity, { fullName });
+
+      await user.update({
+        lastLoginAt: new Date()
+      });
+
+      // Start a session for this device
+      const tokens = await tokenService.issueSession(user, sessionContext(req));
+
+      const event = isNewUser ? 'USER_SOCIAL_SIGNUP' : (linked ? 'USER_SOCIAL_ACCOUNT_LINKED' : 'USER_SOCIAL_LOGIN');
+      logger.logSystemEvent(event, {
+        userId: user.id,
+        email: user.email,
+        provider,
+        ip: req.ip
+      });
+
+      res.status(isNewUser ? 201 : 200).json({
+        status: 'success',
+        message: isNewUser ? 'Account created' : 'Login successful',
+        data: {
+          isNewUser,
+          user: {
+            id: user.id,
+            fullName: user.fullName,
+            email: user.email,
+            phoneNumber: user.phoneNumber,
+            isVerified: user.isVerified,
+            onboarding: {
+              isCompleted: user.onboardingCompleted,
+              currentStep: user.onboardingStep
+            },
+            pregnancyInfo: user.getSafeUserInfo().pregnancyInfo
+          },
+          tokens: {
+            accessToken: tokens.accessToken,
+            refreshToken: tokens.refreshToken,
+            expiresIn: tokens.expiresIn
+          },
+          sessionId: tokens.sessionId
+        }
+      });
+
+    } catch (error) {
+      logger.error('Social login error:', error);
+      throw error;
+    }
+  },
+
   async refreshToken(req, res) {
-    // TODO: Implement refresh token logic
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Refresh token is required');
+    }
+
+    const { user, tokens } = await tokenService.rotateRefreshToken(req.body.refreshToken, {
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip
+    });
+
+    logger.logSystemEvent('TOKEN_REFRESHED', {
+      userId: user.id,
+      sessionId: tokens.sessionId,
+      ip: req.ip
+    });
+
     res.status(200).json({
       status: 'success',
-      message: 'Refresh token endpoint ready - awaiting implementation'
+      message: 'Token refreshed successfully',
+      data: {
+        tokens: {
+          accessToken: tokens.accessToken,
+          refreshToken: tokens.refreshToken,
+          expiresIn: tokens.expiresIn
+        },
+        sessionId: tokens.sessionId
+      }
     });
   },
 
   async logout(req, res) {
+    // Revoke this device's session (and its refresh-token family). Access
+    // tokens minted before sessions existed have no sid; fall back to the
+    // refresh token the client holds, if it sent one and it is the caller's
+    // own (another user's token is ignored). Unlike the logging
+    // below, a failure here must surface: the client would otherwise believe
+    // the device is signed out.
+    let sessionId = req.user?.sessionId;
+    if (!sessionId && req.body?.refreshToken) {
+      sessionId = await tokenService.findSessionIdForRefreshToken(req.body.refreshToken, req.user?.id);
+    }
+    if (sessionId) {
+      await tokenService.revokeSession(sessionId, 'logout');
+    }
+
     try {
       const userId = req.user?.id;
       const userEmail = req.user?.email;
@@ -400,14 +479,11 @@ const authController = {
       logger.logSystemEvent('USER_LOGOUT', {
         userId: userId || 'unknown',
         email: userEmail || 'unknown',
+        sessionId: sessionId || null,
         ip: req.ip,
         userAgent: req.get('User-Agent')
       });
 
-      // Note: In a production environment with Redis or database-based token blacklisting,
-      // you would add the current token to a blacklist here.
-      // For now, we rely on client-side token removal.
-
       res.status(200).json({
         status: 'success',
         message: 'Logout successful'
@@ -450,15 +526,11 @@ const authController = {
         return res.status(200).json(genericResponse);
       }
 
-      // Generate reset OTP and expiry (stored in the dedicated reset fields so
-      // it never collides with the signup verification OTP).
-      const otp = generateOTP();
-      const resetExpiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+      // Generate reset OTP and expiry (stored hashed in the dedicated reset
+      // fields so it never collides with the signup verification OTP).
+      const { code: otp, fields: resetFields } = otpService.issueOtp('password_reset');
 
-      await user.update({
-        passwordResetToken: otp,
-        passwordResetExpiresAt: resetExpiresAt
-      });
+      await user.update(resetFields);
 
       // Send the reset code (never fail the request if email delivery fails).
       try {
@@ -501,23 +573,9 @@ const authController = {
       const user = await User.findOne({ where: { email } });
 
       // Validate the reset code. Same generic error for missing user / wrong /
-      // expired code so we don't leak account existence or code state.
-      const codeInvalid =
-        !user ||
-        !user.passwordResetToken ||
-        user.passwordResetToken !== otp;
-
-      if (codeInvalid) {
-        logger.logSecurityEvent('INVALID_PASSWORD_RESET_ATTEMPT', {
-          email,
-          ip: req.ip
-        });
-        throw new AuthenticationError('Invalid or expired reset code');
-      }
-
-      if (!user.passwordResetExpiresAt || new Date() > user.passwordResetExpiresAt) {
-        throw new AuthenticationError('Invalid or expired reset code');
-      }
+      // expired code so we don't leak account existence or code state; failed
+      // guesses count towards lockout per account and per IP.
+      await otpService.verifyOtp({ user, purpose: 'password_reset', code: otp, ipAddress: req.ip, email });
 
       // Hash and persist the new password; clear the reset fields so the code
       // can't be reused.
@@ -530,6 +588,9 @@ const authController = {
         passwordResetExpiresAt: null
       });
 
+      // A reset means the old password may be compromised: sign out every device.
+      await tokenService.revokeAllSessions(user.id, 'password_reset');
+
       logger.logSystemEvent('PASSWORD_RESET_COMPLETED', {
         userId: user.id,
         email: user.email,
@@ -2,6 +2,10 @@ const ChatConversation = require('../models/ChatConversation');
 const ChatMessage = require('../models/ChatMessage');
 const { sequelize } = require('../config/database');
 const aiChatService = require('../services/aiChatService');
+const groundedChatService = require('../services/groundedChatService');
+const chatSafetyService = require('../services/chatSafetyService');
+const translationService = require('../services/translationService');
+const chatSearchService = require('../services/chatSearchService');
 const azureStorageService = require('../services/azureStorageService');
 const { ValidationError, NotFoundError, AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
@@ -46,6 +50,22 @@ const upload = multer({
   }
 });
 
+// How sendMessage answers when the client doesn't say: 'external' (the chat
+// service) or 'grounded' (the local knowledge base, see groundedChatService)
+const DEFAULT_CHAT_MODE = process.env.CHAT_ANSWER_MODE === 'grounded' ? 'grounded' : 'external';
+
+// Danger signs are matched in English, so a translated message is checked in
+// both its original words and the translation
+function triageText(incoming) {
+  return incoming.translated ? `${incoming.original}\n${incoming.english}` : incoming.original;
+}
+
+// An assistant message's metadata with the reply's translation added
+function withTranslation(metadata, outgoing) {
+  const translation = translationService.replyTranslationMetadata(outgoing);
+  return translation ? { ...(metadata || {}), translation } : metadata;
+}
+
 class ChatController {
   /**
    * Get user's chat threads (grouped conversations) - ChatGPT style
@@ -172,6 +192,45 @@ class ChatController {
     });
   }
 
+  /**
+   * Search the user's chat history
+   */
+  async searchMessages(req, res) {
+    const userId = req.user.id;
+    const { q, from, to, conversationId, messageType, sort = 'relevance', page = 1, limit = 20 } = req.query;
+
+    const { results, total } = await chatSearchService.searchMessages(userId, {
+      q,
+      from,
+      to,
+      conversationId,
+      messageType,
+      sort,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    logger.info('Chat history searched', {
+      userId,
+      count: total,
+      page: parseInt(page)
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        results,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / limit),
+          hasNext: (page - 1) * limit + results.length < total
+        }
+      }
+    });
+  }
+
   /**
    * Get all messages for a specific thread
    */
@@ -275,7 +334,7 @@ class ChatController {
    */
   async sendMessage(req, res) {
     const userId = req.user.id;
-    const { threadId, message, imagePath } = req.body;
+    const { threadId, message, imagePath, mode = DEFAULT_CHAT_MODE } = req.body;
 
     try {
       let finalThreadId = threadId;
@@ -308,6 +367,9 @@ class ChatController {
         });
       }
 
+      // The AI is asked in English; the reply comes back in her language
+      const incoming = await translationService.toEnglish(message, { userId });
+
       // Save user message
       const userMessage = await ChatMessage.create({
         conversationId: conversation.id,
@@ -316,21 +378,57 @@ class ChatController {
         messageType: 'user',
         contentType: imagePath ? 'image' : 'text',
         content: message,
-        attachmentUrl: imagePath || null
+        attachmentUrl: imagePath || null,
+        metadata: translationService.userMessageMetadata(incoming)
       });
 
+      // Danger signs get the fixed urgent-care reply instead of any AI answer.
+      // Otherwise grounded mode answers from the knowledge base; images, and
+      // questions it can't answer with citations, go to the AI service
+      let aiResponse = null;
+      let metadata = null;
+      const triage = await chatSafetyService.triageMessage({ userId, conversation, text: triageText(incoming), channel: 'chat' });
+      if (triage) {
+        aiResponse = {
+          success: true,
+          data: { response: triage.response, urgent: true, dangerSigns: triage.dangerSigns },
+          processingTime: 0
+        };
+        metadata = triage.metadata;
+      } else if (mode === 'grounded' && !imagePath) {
+        const startTime = Date.now();
+        const grounded = await groundedChatService.answerQuestion(incoming.english, { userId });
+        if (grounded.grounded) {
+          aiResponse = {
+            success: true,
+            data: { response: grounded.answer, citations: grounded.citations },
+            processingTime: Date.now() - startTime
+          };
+          metadata = { mode: 'grounded', citations: grounded.citations, groundednessScore: grounded.groundednessScore };
+        } else {
+          metadata = { mode: 'external', groundedFallback: grounded.reason };
+        }
+      }
+
       // Send to AI service
-      const aiResponse = await aiChatService.sendChatMessage(
-        userId,
-        finalThreadId,
-        message,
-        imagePath
-      );
+      if (!aiResponse) {
+        aiResponse = await aiChatService.sendChatMessage(
+          userId,
+          finalThreadId,
+          incoming.english,
+          imagePath
+        );
+      }
 
       console.log('🤖 AI Response:', JSON.stringify(aiResponse, null, 2));
 
       // Extract response data
-      const responseText = aiResponse?.data?.response || aiResponse?.response || 'No response from AI service';
+      const outgoing = await translationService.fromEnglish(
+        aiResponse?.data?.response || aiResponse?.response || 'No response from AI service',
+        incoming.replyLanguage,
+        { appendEnglish: !!triage }
+      );
+      const responseText = outgoing.text;
       const processingTime = aiResponse?.processingTime || 0;
 
       // Save AI response
@@ -341,7 +439,8 @@ class ChatController {
         messageType: 'assistant',
         contentType: 'text',
         content: responseText,
-        aiResponseTime: processingTime
+        aiResponseTime: processingTime,
+        metadata: withTranslation(metadata || { mode: 'external' }, outgoing)
       });
 
       // Update conversation
@@ -357,7 +456,10 @@ class ChatController {
         userId,
         threadId: finalThreadId,
         messageLength: message.length,
-        hasImage: !!imagePath
+        hasImage: !!imagePath,
+        mode: (metadata && metadata.mode) || 'external',
+        language: incoming.language,
+        replyLanguage: incoming.replyLanguage
       });
 
       res.json({
@@ -446,6 +548,8 @@ class ChatController {
         }
       }
 
+      const incoming = await translationService.toEnglish(message, { userId });
+
       // Save user message
       const userMessage = await ChatMessage.create({
         conversationId: conversation.id,
@@ -455,7 +559,8 @@ class ChatController {
         contentType: imagePath ? 'image' : 'text',
         content: message,
         attachmentPath: imagePath,
-        attachmentUrl: imagePath
+        attachmentUrl: imagePath,
+        metadata: translationService.userMessageMetadata(incoming)
       });
 
       // Send initial response with conversation info
@@ -465,24 +570,48 @@ class ChatController {
         userMessage: userMessage.getSafeMessageInfo()
       })}\n\n`);
 
-      let fullAiResponse = '';
+      let englishResponse = '';
+      let streamResult;
 
-      // Send streaming request to AI service
-      const streamResult = await aiChatService.sendStreamingChatMessage(
-        userId,
-        finalThreadId,
-        message,
-        imagePath,
-        (chunkData) => {
-          // Forward each chunk to client
-          res.write(`data: ${JSON.stringify(chunkData)}\n\n`);
-          if (chunkData.delta) {
-            fullAiResponse += chunkData.delta;
+      // A reply in another language can only be translated once it is
+      // complete, so it arrives as a single chunk
+      const forwardChunks = incoming.replyLanguage === 'en';
+
+      // Danger signs: the fixed urgent-care reply, sent as a single chunk
+      const triage = await chatSafetyService.triageMessage({ userId, conversation, text: triageText(incoming), channel: 'stream' });
+      if (triage) {
+        englishResponse = triage.response;
+        streamResult = { success: true, chunkCount: 1, processingTime: 0, timestamp: new Date().toISOString() };
+      } else {
+        // Send streaming request to AI service
+        streamResult = await aiChatService.sendStreamingChatMessage(
+          userId,
+          finalThreadId,
+          incoming.english,
+          imagePath,
+          (chunkData) => {
+            // Forward each chunk to client
+            if (forwardChunks) {
+              res.write(`data: ${JSON.stringify(chunkData)}\n\n`);
+            }
+            if (chunkData.delta) {
+              englishResponse += chunkData.delta;
+            }
           }
-        }
-      );
+        );
+      }
 
       if (streamResult.success) {
+        const outgoing = await translationService.fromEnglish(englishResponse, incoming.replyLanguage, { appendEnglish: !!triage });
+        const fullAiResponse = outgoing.text;
+        if (triage || !forwardChunks) {
+          res.write(`data: ${JSON.stringify({
+            type: 'chunk',
+            delta: fullAiResponse,
+            ...(triage && { urgent: true, dangerSigns: triage.dangerSigns })
+          })}\n\n`);
+        }
+
         // Save complete AI response
         const aiMessage = await ChatMessage.create({
           conversationId: conversation.id,
@@ -493,7 +622,8 @@ class ChatController {
           content: fullAiResponse,
           isStreaming: true,
           streamingComplete: true,
-          aiResponseTime: streamResult.processingTime
+          aiResponseTime: streamResult.processingTime,
+          metadata: withTranslation(triage ? triage.metadata : null, outgoing)
         });
 
         // Update conversation with AI response preview
@@ -508,7 +638,8 @@ class ChatController {
           type: 'complete',
           aiMessage: aiMessage.getSafeMessageInfo(),
           conversation: conversation.getSafeConversationInfo(),
-          timestamp: streamResult.timestamp
+          timestamp: streamResult.timestamp,
+          urgent: !!triage
         })}\n\n`);
 
         logger.info('Streaming chat message completed', {
@@ -640,6 +771,7 @@ module.exports = {
   getThreadMessages: chatController.getThreadMessages.bind(chatController),
   getConversations: chatController.getConversations.bind(chatController),
   getConversationMessages: chatController.getConversationMessages.bind(chatController),
+  searchMessages: chatController.searchMessages.bind(chatController),
   sendMessage: chatController.sendMessage.bind(chatController),
   sendStreamingMessage: chatController.sendStreamingMessage.bind(chatController),
   uploadChatFile: [upload.single('file'), chatController.uploadChatFile.bind(chatController)],
@@ -1,8 +1,22 @@
 const { validationResult } = require('express-validator');
-const { fn, col } = require('sequelize');
+const { fn, col, Op } = require('sequelize');
 const User = require('../models/User');
 const WeeklyDelivery = require('../models/WeeklyDelivery');
+const Appointment = require('../models/Appointment');
+const AppointmentReminder = require('../models/AppointmentReminder');
 const { getSchedulerStatus, triggerNow } = require('../services/deliveryScheduler');
+const { getReminderSchedulerStatus, triggerReminderRun } = require('../services/appointmentReminderScheduler');
+const { getPurgeSchedulerStatus, triggerPurgeRun } = require('../services/accountPurgeScheduler');
+const { getRetentionSchedulerStatus, triggerRetentionRun } = require('../services/scanRetentionScheduler');
+const { getUploadPurgeSchedulerStatus } = require('../services/scanUploadPurgeScheduler');
+const { buildRetentionReport } = require('../services/scanRetentionService');
+const { getEscalationSchedulerStatus, triggerRealertRun } = require('../services/scanEscalationScheduler');
+const ScanEscalation = require('../models/ScanEscalation');
+const { getAnalysisWorkerStatus, triggerAnalysisRun, wakeAnalysisWorker } = require('../services/analysisWorker');
+const analysisJobService = require('../services/analysisJobService');
+const { collectDiagnostics } = require('../services/diagnosticsService');
+const { recordAdminAction, listAdminActions } = require('../services/auditService');
+const emailService = require('../services/emailService');
 const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
 
 const cmsAdminController = {
@@ -57,6 +71,207 @@ const cmsAdminController = {
   async runDelivery(req, res) {
     const result = await triggerNow();
     res.status(200).json({ status: 'success', data: { result } });
+  },
+
+  // GET /api/v1/cms-admin/reminders/status  (admin) - monitor the appointment reminder scheduler
+  async reminderStatus(req, res) {
+    const scheduler = getReminderSchedulerStatus();
+    const [reminderRows, appointmentRows] = await Promise.all([
+      AppointmentReminder.findAll({
+        attributes: ['kind', 'sent', [fn('COUNT', col('id')), 'count']],
+        group: ['kind', 'sent'],
+        raw: true
+      }),
+      Appointment.findAll({
+        attributes: ['status', [fn('COUNT', col('id')), 'count']],
+        group: ['status'],
+        raw: true
+      })
+    ]);
+    const reminders = {};
+    for (const r of reminderRows) {
+      reminders[r.kind] = reminders[r.kind] || { sent: 0, failed: 0 };
+      reminders[r.kind][r.sent ? 'sent' : 'failed'] += Number(r.count);
+    }
+    const appointments = Object.fromEntries(appointmentRows.map((r) => [r.status, Number(r.count)]));
+    res.status(200).json({ status: 'success', data: { scheduler, reminders, appointments } });
+  },
+
+  // POST /api/v1/cms-admin/reminders/run  (admin) - manually trigger a reminder run
+  async runReminders(req, res) {
+    const result = await triggerReminderRun();
+    res.status(200).json({ status: 'success', data: { result } });
+  },
+
+  // GET /api/v1/cms-admin/account-purge/status  (admin) - monitor the account purge scheduler
+  async accountPurgeStatus(req, res) {
+    const scheduler = getPurgeSchedulerStatus();
+    const [pending, due] = await Promise.all([
+      User.count({ where: { deletionScheduledFor: { [Op.ne]: null } } }),
+      User.count({ where: { deletionScheduledFor: { [Op.lte]: new Date() } } })
+    ]);
+    res.status(200).json({ status: 'success', data: { scheduler, accounts: { pendingDeletion: pending, due } } });
+  },
+
+  // POST /api/v1/cms-admin/account-purge/run  (admin) - manually trigger a purge run
+  async runAccountPurge(req, res) {
+    const result = await triggerPurgeRun();
+    await recordAdminAction({ req, action: 'account.purge_run', metadata: result });
+    res.status(200).json({ status: 'success', data: { result } });
+  },
+
+  // GET /api/v1/cms-admin/scan-retention/report  (admin) - dry run: what the next retention run would archive / purge
+  async scanRetentionReport(req, res) {
+    const report = await buildRetentionReport();
+    await recordAdminAction({
+      req,
+      action: 'scan.retention_report',
+      metadata: { archive: report.archive.count, purge: report.purge.count }
+    });
+    res.status(200).json({
+      status: 'success',
+      data: { scheduler: getRetentionSchedulerStatus(), uploadPurge: getUploadPurgeSchedulerStatus(), report }
+    });
+  },
+
+  // POST /api/v1/cms-admin/scan-retention/run  (admin) - manually trigger a retention run
+  async runScanRetention(req, res) {
+    const result = await triggerRetentionRun();
+    await recordAdminAction({ req, action: 'scan.retention_manual_run', metadata: result });
+    res.status(200).json({ status: 'success', data: { result } });
+  },
+
+  // GET /api/v1/cms-admin/scan-escalations/status  (admin) - monitor the escalation re-alert scheduler
+  async scanEscalationStatus(req, res) {
+    const scheduler = getEscalationSchedulerStatus();
+    const [open, acknowledged] = await Promise.all([
+      ScanEscalation.count({ where: { status: 'open' } }),
+      ScanEscalation.count({ where: { status: 'acknowledged' } })
+    ]);
+    res.status(200).json({ status: 'success', data: { scheduler, escalations: { open, acknowledged } } });
+  },
+
+  // POST /api/v1/cms-admin/scan-escalations/run  (admin) - manually trigger a re-alert run
+  async runScanEscalations(req, res) {
+    const result = await triggerRealertRun();
+    res.status(200).json({ status: 'success', data: { result } });
+  },
+
+  // GET /api/v1/cms-admin/analysis-jobs/status  (admin) - monitor the AI analysis queue
+  async analysisQueueStatus(req, res) {
+    const queue = await analysisJobService.getQueueStats();
+    res.status(200).json({ status: 'success', data: { worker: getAnalysisWorkerStatus(), queue } });
+  },
+
+  // POST /api/v1/cms-admin/analysis-jobs/run  (admin) - manually trigger a worker run
+  async runAnalysisJobs(req, res) {
+    const result = await triggerAnalysisRun();
+    res.status(200).json({ status: 'success', data: { result } });
+  },
+
+  // POST /api/v1/cms-admin/scans/:scanId/reanalyze  (admin) - queue a fresh AI analysis
+  async reanalyzeScan(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError(errors.array().map(e => e.msg).join(', '));
+    }
+
+    const job = await analysisJobService.requeueAnalysis(req.cmsUser, req.params.scanId, { req });
+    wakeAnalysisWorker();
+    res.status(202).json({ status: 'success', message: 'Analysis queued', data: { job: job.getSafeJobInfo() } });
+  },
+
+  // GET /api/v1/cms-admin/diagnostics  (admin) - email / storage / AI / DB status
+  async diagnostics(req, res) {
+    const diagnostics = await collectDiagnostics();
+    await recordAdminAction({
+      req,
+      action: 'diagnostics.view',
+      metadata: {
+        database: diagnostics.database.status,
+        emailConfigured: diagnostics.email.configured,
+        storageEnabled: diagnostics.storage.enabled,
+        aiAnalysis: diagnostics.ai.analysis.status,
+        aiChat: diagnostics.ai.chat.status
+      }
+    });
+    res.status(200).json({ status: 'success', data: { diagnostics } });
+  },
+
+  // POST /api/v1/cms-admin/diagnostics/email  (admin) - send a test email (replaces /auth/test-email, /test/email)
+  async diagnosticsEmail(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError(errors.array().map(e => e.msg).join(', '));
+    }
+
+    const { email, testType = 'otp' } = req.body;
+    const result = testType === 'welcome'
+      ? await emailService.sendWelcomeEmail(email, 'Test User')
+      : await emailService.sendOTP(email, '123456', 'Test User');
+
+    await recordAdminAction({
+      req,
+      action: 'diagnostics.email_test',
+      targetType: 'email',
+      targetId: email,
+      metadata: { testType, sent: Boolean(result.success), mock: Boolean(result.mock), error: result.error || null }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        email,
+        testType,
+        emailServiceConfigured: emailService.isConfigured(),
+        emailSent: Boolean(result.success),
+        messageId: result.messageId || null,
+        mock: result.mock || false,
+        error: result.error || null
+      }
+    });
+  },
+
+  // POST /api/v1/cms-admin/diagnostics/user-lookup  (admin) - exact-email account check (replaces /auth/debug-user)
+  async diagnosticsUserLookup(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError(errors.array().map(e => e.msg).join(', '));
+    }
+
+    const { email } = req.body;
+    const user = await User.findOne({
+      where: { email },
+      attributes: ['id', 'email', 'fullName', 'isVerified', 'isActive', 'onboardingCompleted', 'createdAt', 'lastLoginAt']
+    });
+
+    await recordAdminAction({
+      req,
+      action: 'diagnostics.user_lookup',
+      targetType: 'user',
+      targetId: user ? user.id : null,
+      metadata: { email, found: Boolean(user) }
+    });
+
+    res.status(200).json({ status: 'success', data: { email, exists: Boolean(user), user } });
+  },
+
+  // GET /api/v1/cms-admin/audit-log  (admin) - recent admin actions
+  async auditLog(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError(errors.array().map(e => e.msg).join(', '));
+    }
+
+    const entries = await listAdminActions({
+      action: req.query.action,
+      actorId: req.query.actorId,
+      targetType: req.query.targetType,
+      targetId: req.query.targetId,
+      before: req.query.before,
+      limit: req.query.limit
+    });
+    res.status(200).json({ status: 'success', results: entries.length, data: { entries } });
   }
 };
 
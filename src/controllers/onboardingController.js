@@ -5,6 +5,7 @@ const logger = require('../utils/logger');
 const { calculatePregnancyInfo, calculatePregnancyFromMonth, validatePregnancyInfo } = require('../utils/pregnancyCalculations');
 const User = require('../models/User');
 const aiContextService = require('../services/aiContextService');
+const appointmentService = require('../services/appointmentService');
 
 // Onboarding configuration - easily scalable for future questions
 const ONBOARDING_QUESTIONS = {
@@ -168,6 +169,7 @@ const onboardingController = {
              lmpApproximate: false,
              lmpApproximateData: null,
              edd: pregnancyInfo.edd,
+             eddBasis: 'lmp',
              gestationalWeeks: pregnancyInfo.gestationalWeeks,
              gestationalDays: pregnancyInfo.gestationalDays,
              trimester: pregnancyInfo.trimester,
@@ -199,6 +201,7 @@ const onboardingController = {
                originalInput: `${monthValue}/${yearValue}`
              },
              edd: pregnancyInfo.edd,
+             eddBasis: 'lmp',
              gestationalWeeks: pregnancyInfo.gestationalWeeks,
              gestationalDays: pregnancyInfo.gestationalDays,
              trimester: pregnancyInfo.trimester,
@@ -214,6 +217,14 @@ const onboardingController = {
         if (!validationResult.isValid) {
           throw new ValidationError(`Pregnancy calculation error: ${validationResult.errors.join(', ')}`);
         }
+
+        // Suggested ANC contacts follow the EDD. Idempotent, so answering this
+        // again after restartOnboarding moves any visits not yet acted on.
+        try {
+          await appointmentService.syncAncSchedule(user);
+        } catch (error) {
+          logger.error('Failed to generate ANC schedule', { userId, error: error.message });
+        }
       }
 
       // Update answers
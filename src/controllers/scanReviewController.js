@@ -0,0 +1,150 @@
+const { validationResult } = require('express-validator');
+const fs = require('fs');
+const UltrasoundScan = require('../models/UltrasoundScan');
+const scanReviewService = require('../services/scanReviewService');
+const scanEscalationService = require('../services/scanEscalationService');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+function assertValid(req) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(errors.array().map(e => e.msg).join(', '));
+  }
+}
+
+const scanReviewController = {
+  // GET /api/v1/scan-reviews  (clinician, admin) - review queue, highest AI risk first
+  async getQueue(req, res) {
+    assertValid(req);
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const { scans, total } = await scanReviewService.listQueue(req.cmsUser, {
+      riskLevel: req.query.riskLevel,
+      mine: req.query.mine === 'true',
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        scans,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalCount: total
+        }
+      }
+    });
+  },
+
+  // GET /api/v1/scan-reviews/escalations  (clinician, admin) - high-risk scans awaiting acknowledgement / review
+  async getEscalations(req, res) {
+    assertValid(req);
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const { escalations, total } = await scanEscalationService.listEscalations({
+      statuses: req.query.status ? [req.query.status] : undefined,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        escalations,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalCount: total
+        }
+      }
+    });
+  },
+
+  // POST /api/v1/scan-reviews/escalations/:escalationId/acknowledge
+  async acknowledgeEscalation(req, res) {
+    assertValid(req);
+    const escalation = await scanEscalationService.acknowledgeEscalation(req.cmsUser, req.params.escalationId, { req });
+    res.status(200).json({
+      status: 'success',
+      message: 'Escalation acknowledged',
+      data: { escalation: escalation.getSafeEscalationInfo() }
+    });
+  },
+
+  // PUT /api/v1/scan-reviews/on-call - whether I receive escalation alerts
+  async setOnCall(req, res) {
+    assertValid(req);
+    await req.cmsUser.update({ onCall: req.body.onCall });
+    res.status(200).json({ status: 'success', data: { onCall: req.cmsUser.onCall } });
+  },
+
+  // GET /api/v1/scan-reviews/:scanId
+  async getScan(req, res) {
+    assertValid(req);
+    const scan = await scanReviewService.getScanForReview(req.cmsUser, req.params.scanId);
+    res.status(200).json({ status: 'success', data: { scan } });
+  },
+
+  // GET /api/v1/scan-reviews/:scanId/file - the image, from local disk or Azure
+  async getScanFile(req, res) {
+    assertValid(req);
+    const scan = await UltrasoundScan.findByPk(req.params.scanId);
+    if (!scan) {
+      throw new NotFoundError('Ultrasound scan not found');
+    }
+
+    if (scan.filePath && fs.existsSync(scan.filePath)) {
+      res.setHeader('Content-Type', scan.mimeType);
+      res.setHeader('Cache-Control', 'private, no-store');
+      fs.createReadStream(scan.filePath).pipe(res);
+      return;
+    }
+    if (scan.cloudUrl) {
+      res.redirect(302, scan.cloudUrl);
+      return;
+    }
+    throw new NotFoundError('Scan file not found on server');
+  },
+
+  // POST /api/v1/scan-reviews/:scanId/claim
+  async claim(req, res) {
+    assertValid(req);
+    const claim = await scanReviewService.claimScan(req.cmsUser, req.params.scanId);
+    res.status(200).json({ status: 'success', message: 'Scan claimed for review', data: { claim } });
+  },
+
+  // POST /api/v1/scan-reviews/:scanId/release
+  async release(req, res) {
+    assertValid(req);
+    await scanReviewService.releaseScan(req.cmsUser, req.params.scanId);
+    res.status(200).json({ status: 'success', message: 'Scan returned to the review queue' });
+  },
+
+  // POST /api/v1/scan-reviews/:scanId/review
+  async submit(req, res) {
+    assertValid(req);
+    const { scan, notified } = await scanReviewService.submitReview(req.cmsUser, req.params.scanId, {
+      outcome: req.body.outcome,
+      notes: req.body.notes
+    }, { req });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Review submitted',
+      data: {
+        scan: scan.getScanSummary(),
+        medicalReview: {
+          status: scan.medicalReviewStatus,
+          reviewedBy: scan.reviewedBy,
+          reviewedAt: scan.reviewedAt,
+          notes: scan.reviewNotes
+        },
+        motherNotified: notified
+      }
+    });
+  }
+};
+
+module.exports = scanReviewController;
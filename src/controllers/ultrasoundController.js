@@ -3,12 +3,19 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const crypto = require('crypto');
-const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { Op } = require('sequelize');
+const { ValidationError, NotFoundError, ConflictError, UnsupportedMediaTypeError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 const UltrasoundScan = require('../models/UltrasoundScan');
 const User = require('../models/User');
+const scanStatusEvents = require('../services/scanStatusEvents');
+const fetalGrowthService = require('../services/fetalGrowthService');
+const analysisJobService = require('../services/analysisJobService');
+const { wakeAnalysisWorker } = require('../services/analysisWorker');
+const scanIntakeService = require('../services/scanIntakeService');
+const scanUploadService = require('../services/scanUploadService');
+const scanEscalationService = require('../services/scanEscalationService');
 const aiService = require('../services/aiService');
-const azureStorageService = require('../services/azureStorageService');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -39,7 +46,9 @@ const fileFilter = (req, file, cb) => {
     'image/bmp',
     'image/tiff',
     'image/dicom',
-    'application/dicom'
+    'application/dicom',
+    // DICOM files usually arrive untyped; the content is sniffed either way
+    'application/octet-stream'
   ];
   
   if (allowedMimeTypes.includes(file.mimetype)) {
@@ -59,6 +68,42 @@ const upload = multer({
   }
 });
 
+// Queue AI analysis; the analysis worker picks it up (see analysisJobService)
+async function queueAnalysis(scan) {
+  try {
+    await analysisJobService.enqueueAnalysis(scan.id);
+    wakeAnalysisWorker();
+  } catch (queueError) {
+    // The scan stays 'pending' and is requeued by the startup sweep.
+    logger.error('Failed to queue AI analysis', { scanId: scan.id, error: queueError.message });
+  }
+}
+
+// The mother's existing scan of an image she uploaded again, with its
+// analysis, in place of a new scan (see scanDuplicateService)
+async function sendDuplicate(res, scan, duplicate) {
+  const escalation = await scanEscalationService.findForScan(scan.id);
+  res.set('Scan-Id', scan.id);
+  res.status(200).json({
+    status: 'success',
+    message: duplicate.match === 'exact'
+      ? 'You have already uploaded this scan. Here is its existing analysis.'
+      : 'This looks like a scan you have already uploaded. Here is its existing analysis. Send force=true to upload it anyway.',
+    data: {
+      duplicate: {
+        match: duplicate.match,
+        distance: duplicate.distance
+      },
+      scan: {
+        ...scan.getScanSummary(),
+        notes: scan.notes,
+        dicom: scan.dicomMetadata,
+        aiAnalysis: scanEscalationService.mothersAIAnalysis(scan.getAIAnalysis(), escalation)
+      }
+    }
+  });
+}
+
 const ultrasoundController = {
   // Multer middleware for single file upload
   uploadMiddleware: upload.single('ultrasoundImage'),
@@ -98,7 +143,8 @@ const ultrasoundController = {
         scanType,
         gestationalAge,
         scanDate,
-        notes
+        notes,
+        force
       } = req.body;
 
       // Verify user exists
@@ -107,86 +153,16 @@ const ultrasoundController = {
         throw new NotFoundError('User not found');
       }
 
-      // Calculate file hash for record keeping (but don't restrict duplicates)
-      const fileBuffer = await fs.readFile(req.file.path);
-      const fileHash = crypto.createHash('md5').update(fileBuffer).digest('hex');
-
-      // Create scan record in database
-      const scanData = {
-        userId,
-        originalFileName: req.file.originalname,
-        fileName: req.file.filename,
-        filePath: req.file.path,
-        fileSize: req.file.size,
-        mimeType: req.file.mimetype,
-        fileHash,
-        scanType: scanType || null,
-        gestationalAge: gestationalAge || null,
-        scanDate: scanDate || null,
-        notes: notes || null,
-        aiAnalysisStatus: 'pending'
-      };
-
-      const ultrasoundScan = await UltrasoundScan.create(scanData);
-
-      // Upload to Azure Storage if configured
-      let cloudUrl = null;
-      let blobName = null;
-      
-      if (azureStorageService.isConfigured()) {
-        console.log('☁️ Uploading to Azure Storage...');
-        const uploadResult = await azureStorageService.uploadFile(
-          req.file.path,
-          req.file.originalname,
-          userId
-        );
-        
-        if (uploadResult.success) {
-          cloudUrl = uploadResult.url;
-          blobName = uploadResult.blobName;
-          console.log('☁️ Azure upload successful!');
-          console.log('🔗 PUBLIC URL:', cloudUrl);
-          console.log('📁 Blob Name:', blobName);
-          
-          // Update scan record with cloud URL
-          await ultrasoundScan.update({
-            cloudUrl: cloudUrl,
-            cloudBlobName: blobName
-          });
-        } else {
-          console.log('❌ Azure upload failed:', uploadResult.error);
-          logger.warn('Azure Storage upload failed, using local file', {
-            error: uploadResult.error,
-            scanId: ultrasoundScan.id
-          });
-        }
+      // Sniffs the content, strips identifying metadata and stores the scan,
+      // unless the mother has uploaded it before
+      const { scan: ultrasoundScan, duplicate } = await scanIntakeService.createScanFromFile(userId, {
+        path: req.file.path,
+        originalName: req.file.originalname
+      }, { scanType, gestationalAge, scanDate, notes }, { force: force === true || force === 'true' });
+      if (duplicate) {
+        return sendDuplicate(res, ultrasoundScan, duplicate);
       }
-
-      // Log successful upload
-      logger.logSystemEvent('ULTRASOUND_SCAN_UPLOADED', {
-        userId,
-        scanId: ultrasoundScan.id,
-        fileName: req.file.originalname,
-        fileSize: req.file.size,
-        scanType,
-        cloudUrl: cloudUrl
-      });
-
-      // Start AI analysis asynchronously
-      setImmediate(() => {
-        const imageUrl = cloudUrl || req.file.path; // Use cloud URL if available
-        console.log('🚀 SENDING TO AI SERVICE:');
-        console.log('📤 Image URL:', imageUrl);
-        console.log('👤 User ID:', userId);
-        console.log('🔄 Is Cloud URL?', !!cloudUrl);
-        
-        ultrasoundController.processAIAnalysis(ultrasoundScan.id, imageUrl, {
-          userId,
-          gestationalAge,
-          scanType,
-          scanDate
-        });
-      });
+      await queueAnalysis(ultrasoundScan);
 
       res.status(201).json({
         status: 'success',
@@ -199,6 +175,7 @@ const ultrasoundController = {
             gestationalAge: ultrasoundScan.gestationalAge,
             scanDate: ultrasoundScan.scanDate,
             notes: ultrasoundScan.notes,
+            dicom: ultrasoundScan.dicomMetadata,
             aiAnalysisStatus: ultrasoundScan.aiAnalysisStatus,
             createdAt: ultrasoundScan.createdAt
           }
@@ -220,73 +197,148 @@ const ultrasoundController = {
     }
   },
 
-  async processAIAnalysis(scanId, filePath, metadata) {
+  // Resumable uploads (tus 1.0 core, see scanUploadService)
+  async createUpload(req, res) {
     try {
-      logger.info('Starting AI analysis for scan', { scanId });
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
 
-      // Update scan status to processing
-      await UltrasoundScan.update(
-        {
-          aiAnalysisStatus: 'processing',
-          aiProcessingStartedAt: new Date()
-        },
-        { where: { id: scanId } }
-      );
-
-      // Call AI service
-      const aiResult = await aiService.analyzeUltrasound(filePath, metadata);
-
-      // Update scan with AI results
-      const updateData = {
-        aiAnalysisStatus: 'completed',
-        aiAnalysisResult: aiResult.rawResponse,
-        aiConfidenceScore: aiResult.confidenceScore,
-        aiFindings: aiResult.findings,
-        aiRecommendations: aiResult.recommendations,
-        aiProcessingTime: aiResult.processingTime,
-        aiModelVersion: aiResult.analysisId || 'unknown', // Use analysis_id as model version
-        aiProcessingCompletedAt: new Date()
-      };
+      const upload = await scanUploadService.createUpload(req.user.id, {
+        uploadLength: parseInt(req.get('Upload-Length'), 10),
+        metadata: req.get('Upload-Metadata')
+      });
 
-      await UltrasoundScan.update(updateData, { where: { id: scanId } });
+      res.set({
+        'Tus-Resumable': scanUploadService.TUS_VERSION,
+        'Location': `${req.baseUrl}/uploads/${upload.id}`,
+        'Upload-Offset': '0',
+        'Upload-Expires': upload.expiresAt.toUTCString()
+      });
+      res.status(201).json({
+        status: 'success',
+        data: { upload: upload.getSafeUploadInfo() }
+      });
 
-      logger.logSystemEvent('AI_ANALYSIS_COMPLETED', {
-        scanId,
-        processingTime: aiResult.processingTime,
-        confidenceScore: aiResult.confidenceScore,
-        riskLevel: aiResult.riskLevel
+    } catch (error) {
+      logger.error('Create upload error:', error);
+      throw error;
+    }
+  },
+
+  async getUploadOffset(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const upload = await scanUploadService.getUpload(req.user.id, req.params.uploadId);
+
+      res.set({
+        'Tus-Resumable': scanUploadService.TUS_VERSION,
+        'Cache-Control': 'no-store',
+        'Upload-Offset': String(upload.uploadOffset),
+        'Upload-Length': String(upload.uploadLength),
+        'Upload-Expires': upload.expiresAt.toUTCString()
       });
+      if (upload.scanId) res.set('Scan-Id', upload.scanId);
+      res.status(200).end();
 
     } catch (error) {
-      logger.error('AI analysis failed for scan', { scanId, error: error.message });
-
-      // Update scan with error status
-      await UltrasoundScan.update(
-        {
-          aiAnalysisStatus: 'failed',
-          aiErrorMessage: error.message,
-          aiProcessingCompletedAt: new Date()
-        },
-        { where: { id: scanId } }
-      );
+      logger.error('Get upload offset error:', error);
+      throw error;
+    }
+  },
+
+  async uploadChunk(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+      if (!req.is('application/offset+octet-stream')) {
+        throw new UnsupportedMediaTypeError('Content-Type must be application/offset+octet-stream');
+      }
+
+      const { upload, scan, duplicate } = await scanUploadService.appendChunk(req.user.id, req.params.uploadId, {
+        offset: parseInt(req.get('Upload-Offset'), 10),
+        chunk: req.body
+      });
 
-      logger.logSystemEvent('AI_ANALYSIS_FAILED', {
-        scanId,
-        error: error.message,
-        isRetryable: error.isRetryable || false
+      res.set({
+        'Tus-Resumable': scanUploadService.TUS_VERSION,
+        'Upload-Offset': String(upload.uploadOffset),
+        'Upload-Expires': upload.expiresAt.toUTCString()
+      });
+
+      if (!scan) {
+        return res.status(204).end();
+      }
+      if (duplicate) {
+        return sendDuplicate(res, scan, duplicate);
+      }
+
+      await queueAnalysis(scan);
+
+      res.set('Scan-Id', scan.id);
+      res.status(201).json({
+        status: 'success',
+        message: 'Ultrasound scan uploaded successfully. AI analysis is processing.',
+        data: {
+          scan: {
+            id: scan.id,
+            originalFileName: scan.originalFileName,
+            scanType: scan.scanType,
+            gestationalAge: scan.gestationalAge,
+            scanDate: scan.scanDate,
+            notes: scan.notes,
+            dicom: scan.dicomMetadata,
+            aiAnalysisStatus: scan.aiAnalysisStatus,
+            createdAt: scan.createdAt
+          }
+        }
       });
+
+    } catch (error) {
+      logger.error('Upload chunk error:', error);
+      throw error;
+    }
+  },
+
+  async cancelUpload(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      await scanUploadService.cancelUpload(req.user.id, req.params.uploadId);
+
+      res.set('Tus-Resumable', scanUploadService.TUS_VERSION);
+      res.status(204).end();
+
+    } catch (error) {
+      logger.error('Cancel upload error:', error);
+      throw error;
     }
   },
 
   async getUserScans(req, res) {
     try {
       const userId = req.user.id;
-      const { page = 1, limit = 10, status, scanType } = req.query;
+      const { page = 1, limit = 10, status, scanType, includeArchived } = req.query;
 
       const offset = (page - 1) * limit;
       
-      // Build query conditions
+      // Build query conditions (archived scans are listed, as they always
+      // have been, unless the client opts out)
       const whereConditions = { userId };
+
+      if (includeArchived === 'false') {
+        whereConditions.isArchived = false;
+      }
       
       if (status) {
         whereConditions.aiAnalysisStatus = status;
@@ -326,6 +378,104 @@ const ultrasoundController = {
     }
   },
 
+  /**
+   * Stream analysis status events (Server-Sent Events) for the user's
+   * unfinished scans, or for one scan with ?scanId=
+   */
+  async streamScanStatus(req, res) {
+    const userId = req.user.id;
+    const { scanId } = req.query;
+    let scans;
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      scans = await UltrasoundScan.findAll({
+        where: scanId
+          ? { id: scanId, userId }
+          : { userId, aiAnalysisStatus: { [Op.notIn]: scanStatusEvents.FINISHED_STATUSES } }
+      });
+
+      if (scanId && scans.length === 0) {
+        throw new NotFoundError('Ultrasound scan not found');
+      }
+    } catch (error) {
+      logger.error('Scan status stream error:', error);
+      throw error;
+    }
+
+    // Set up SSE headers (no-transform keeps compression from buffering events)
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const openedAt = new Date();
+    const known = new Map(scans.map(scan => [scan.id, scan.aiAnalysisStatus]));
+    const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+
+    send({ type: 'snapshot', scans: scans.map(scan => scan.getScanSummary()) });
+
+    const unsubscribe = scanStatusEvents.subscribeToUserScans(userId, (event) => {
+      if (scanId && event.scanId !== scanId) return;
+      known.set(event.scanId, event.scan.aiAnalysisStatus);
+      send(event);
+    });
+
+    // Pick up changes published by a worker in another instance, and (for the
+    // all-scans stream) scans uploaded since the stream opened.
+    const reconcile = setInterval(async () => {
+      const unfinished = [...known]
+        .filter(([, status]) => !scanStatusEvents.FINISHED_STATUSES.includes(status))
+        .map(([id]) => id);
+      if (scanId && unfinished.length === 0) return;
+      const where = scanId
+        ? { id: unfinished, userId }
+        : { userId, [Op.or]: [{ id: unfinished }, { createdAt: { [Op.gte]: openedAt } }] };
+
+      try {
+        const current = await UltrasoundScan.findAll({ where });
+        scanStatusEvents.statusChanges(known, current).forEach(send);
+      } catch (error) {
+        logger.warn('Scan status stream: refresh failed', { userId, error: error.message });
+      }
+    }, scanStatusEvents.RECONCILE_INTERVAL_MS);
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), scanStatusEvents.HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+      clearInterval(reconcile);
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  },
+
+  async getGrowthChart(req, res) {
+    try {
+      // Check validation results
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const chart = await fetalGrowthService.buildGrowthChart(req.user, { measure: req.query.measure });
+
+      res.status(200).json({
+        status: 'success',
+        data: chart
+      });
+
+    } catch (error) {
+      logger.error('Get growth chart error:', error);
+      throw error;
+    }
+  },
+
   async getScanDetails(req, res) {
     try {
       // Check validation results
@@ -351,6 +501,9 @@ const ultrasoundController = {
       // Increment view count
       await scan.incrementViewCount();
 
+      // An escalated scan shows safety guidance instead of the raw AI text
+      const escalation = await scanEscalationService.findForScan(scan.id);
+
       // Get detailed scan information
       const scanDetails = {
         id: scan.id,
@@ -361,6 +514,8 @@ const ultrasoundController = {
         notes: scan.notes,
         fileSize: scan.fileSize,
         mimeType: scan.mimeType,
+        originalMimeType: scan.originalMimeType,
+        dicom: scan.dicomMetadata,
         createdAt: scan.createdAt,
         updatedAt: scan.updatedAt,
         viewCount: scan.viewCount,
@@ -373,7 +528,7 @@ const ultrasoundController = {
         },
         
         // AI Analysis results
-        aiAnalysis: scan.getAIAnalysis(),
+        aiAnalysis: scanEscalationService.mothersAIAnalysis(scan.getAIAnalysis(), escalation),
         
         // Medical review status
         medicalReview: {
@@ -471,7 +626,7 @@ const ultrasoundController = {
       }
 
       // Archive the scan (soft delete)
-      await scan.update({ isArchived: true });
+      await scan.update({ isArchived: true, archivedAt: new Date() });
 
       // Optional: Delete physical file after archiving
       // Uncomment if you want to immediately delete files
@@ -1,8 +1,13 @@
 const { validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
-const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { ValidationError, NotFoundError, AuthorizationError, ConflictError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const tokenService = require('../services/tokenService');
+const dataExportService = require('../services/dataExportService');
+const accountDeletionService = require('../services/accountDeletionService');
+const pregnancyDatingService = require('../services/pregnancyDatingService');
 
 const userController = {
   async getProfile(req, res) {
@@ -129,6 +134,11 @@ const userController = {
         throw new NotFoundError('User not found');
       }
 
+      // Social-login accounts have no password to check against
+      if (!user.password) {
+        throw new ValidationError('This account signs in with Google or Apple. Use "Forgot password" to set a password.');
+      }
+
       // Verify current password
       const isCurrentPasswordValid = await bcrypt.compare(currentPassword, user.password);
       if (!isCurrentPasswordValid) {
@@ -167,6 +177,356 @@ const userController = {
       logger.error('Change password error:', error);
       throw error;
     }
+  },
+
+  async listSessions(req, res) {
+    try {
+      const user = await User.findByPk(req.user.id, { attributes: ['id', 'lastLoginAt'] });
+
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      const sessions = await tokenService.listActiveSessions(user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          lastLoginAt: user.lastLoginAt,
+          sessions: sessions.map(session => ({
+            ...session.getSafeSessionInfo(),
+            current: session.id === req.user.sessionId
+          }))
+        }
+      });
+
+    } catch (error) {
+      logger.error('List sessions error:', error);
+      throw error;
+    }
+  },
+
+  async revokeSession(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessages = errors.array().map(error => ({
+        field: error.path,
+        message: error.msg
+      }));
+
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Validation failed',
+        errors: errorMessages
+      });
+    }
+
+    try {
+      const { id } = req.params;
+
+      // Only the owner can see or revoke a session; anyone else gets a 404.
+      const session = await UserSession.findOne({ where: { id, userId: req.user.id, revokedAt: null } });
+
+      if (!session) {
+        throw new NotFoundError('Session not found');
+      }
+
+      await tokenService.revokeSession(session.id, 'user_revoked');
+
+      logger.logSecurityEvent('USER_SESSION_REVOKED', {
+        userId: req.user.id,
+        sessionId: session.id,
+        fromSessionId: req.user.sessionId,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: session.id === req.user.sessionId
+          ? 'Session revoked. You have been signed out on this device.'
+          : 'Session revoked'
+      });
+
+    } catch (error) {
+      logger.error('Revoke session error:', error);
+      throw error;
+    }
+  },
+
+  async signOutEverywhere(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessages = errors.array().map(error => ({
+        field: error.path,
+        message: error.msg
+      }));
+
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Validation failed',
+        errors: errorMessages
+      });
+    }
+
+    try {
+      // By default the current device is signed out too; keepCurrent lets the
+      // app offer "sign out all other devices" instead.
+      const keepCurrent = req.body.keepCurrent === true && Boolean(req.user.sessionId);
+
+      const revoked = await tokenService.revokeAllSessions(req.user.id, 'sign_out_everywhere', {
+        exceptSessionId: keepCurrent ? req.user.sessionId : null
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: keepCurrent ? 'Signed out of all other devices' : 'Signed out of all devices',
+        data: {
+          revokedSessions: revoked
+        }
+      });
+
+    } catch (error) {
+      logger.error('Sign out everywhere error:', error);
+      throw error;
+    }
+  },
+
+  async exportData(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessages = errors.array().map(error => ({
+        field: error.path,
+        message: error.msg
+      }));
+
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Validation failed',
+        errors: errorMessages
+      });
+    }
+
+    try {
+      const userId = req.user.id;
+      const includeFiles = req.query.includeFiles !== false;
+
+      const data = await dataExportService.collectUserData(userId);
+
+      if (!data) {
+        throw new NotFoundError('User not found');
+      }
+
+      res.status(200);
+      res.set({
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${dataExportService.exportFileName(userId)}"`,
+        'Cache-Control': 'no-store'
+      });
+      await dataExportService.writeExport(data, res, { includeFiles });
+      res.end();
+
+      logger.logSecurityEvent('PERSONAL_DATA_EXPORTED', {
+        userId,
+        includeFiles,
+        scans: data.scans.length,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+    } catch (error) {
+      logger.error('Export data error:', error);
+      // Part of the document is already on the wire; cut the download short
+      // rather than append an error envelope to it.
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      throw error;
+    }
+  },
+
+  async deleteAccount(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessages = errors.array().map(error => ({
+        field: error.path,
+        message: error.msg
+      }));
+
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Validation failed',
+        errors: errorMessages
+      });
+    }
+
+    try {
+      const { password, confirm } = req.body;
+
+      const user = await User.findByPk(req.user.id);
+
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      // Deleting a staff account would cascade into the reviews they signed
+      if (user.cmsRole) {
+        throw new AuthorizationError('CMS staff accounts can only be removed by an administrator');
+      }
+
+      if (user.deletionScheduledFor) {
+        throw new ConflictError('Account deletion is already scheduled');
+      }
+
+      if (user.password) {
+        const isPasswordValid = password ? await bcrypt.compare(password, user.password) : false;
+        if (!isPasswordValid) {
+          throw new ValidationError('Password is incorrect');
+        }
+      } else if (confirm !== 'DELETE') {
+        // Social-login accounts have no password; ask for an explicit confirmation instead
+        throw new ValidationError('Type DELETE to confirm account deletion');
+      }
+
+      const deletionScheduledFor = await accountDeletionService.requestDeletion(user);
+
+      res.status(200).json({
+        status: 'success',
+        message: `Your account will be permanently deleted on ${deletionScheduledFor.toISOString().slice(0, 10)}. Sign in before then to cancel.`,
+        data: {
+          deletionScheduledFor,
+          graceDays: accountDeletionService.GRACE_DAYS
+        }
+      });
+
+    } catch (error) {
+      logger.error('Delete account error:', error);
+      throw error;
+    }
+  },
+
+  async cancelAccountDeletion(req, res) {
+    try {
+      const user = await User.findByPk(req.user.id);
+
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      if (!user.deletionScheduledFor) {
+        throw new ValidationError('Account deletion is not scheduled');
+      }
+
+      await accountDeletionService.cancelDeletion(user);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Account deletion cancelled'
+      });
+
+    } catch (error) {
+      logger.error('Cancel account deletion error:', error);
+      throw error;
+    }
+  },
+
+  async getPregnancyDating(req, res) {
+    try {
+      const user = await User.findByPk(req.user.id);
+
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      const summary = await pregnancyDatingService.getDatingSummary(user);
+
+      res.status(200).json({
+        status: 'success',
+        data: summary
+      });
+
+    } catch (error) {
+      logger.error('Get pregnancy dating error:', error);
+      throw error;
+    }
+  },
+
+  async confirmRedating(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessages = errors.array().map(error => ({
+        field: error.path,
+        message: error.msg
+      }));
+
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Validation failed',
+        errors: errorMessages
+      });
+    }
+
+    try {
+      const user = await User.findByPk(req.user.id);
+
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      const dating = await pregnancyDatingService.confirmRedating(user, req.params.datingId);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Due date updated from your scan',
+        data: {
+          dating: dating.getSafeDatingInfo(),
+          pregnancyInfo: user.getPregnancyInfo()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Confirm redating error:', error);
+      throw error;
+    }
+  },
+
+  async declineRedating(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMessages = errors.array().map(error => ({
+        field: error.path,
+        message: error.msg
+      }));
+
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Validation failed',
+        errors: errorMessages
+      });
+    }
+
+    try {
+      const user = await User.findByPk(req.user.id);
+
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      const dating = await pregnancyDatingService.declineRedating(user, req.params.datingId);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Keeping the due date from your last period',
+        data: {
+          dating: dating.getSafeDatingInfo()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Decline redating error:', error);
+      throw error;
+    }
   }
 };
 
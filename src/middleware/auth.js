@@ -2,6 +2,8 @@ const jwt = require('jsonwebtoken');
 const { AuthenticationError, AuthorizationError } = require('./errorHandler');
 const logger = require('../utils/logger');
 const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const { touchSession } = require('../services/tokenService');
 
 const auth = async (req, res, next) => {
   try {
@@ -19,13 +21,28 @@ const auth = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens issued with a session id are only valid while that session is
+    // live, so logout / password reset / revocation take effect immediately.
+    // (Tokens minted before sessions existed carry no sid and simply expire.)
+    if (decoded.sid) {
+      const session = await UserSession.findByPk(decoded.sid, { attributes: ['id', 'userId', 'revokedAt', 'lastSeenAt'] });
+      if (!session || session.revokedAt || session.userId !== decoded.id) {
+        throw new AuthenticationError('Session has been revoked');
+      }
+      // Keep the device list's last-seen current (throttled; never blocks the request).
+      touchSession(session, { ipAddress: req.ip }).catch((err) => {
+        logger.warn('Failed to update session last-seen', { sessionId: session.id, error: err.message });
+      });
+    }
     
     // Add user to request object (will be expanded when User model is created)
     req.user = {
       id: decoded.id,
       email: decoded.email,
       userType: decoded.userType,
-      isEmailVerified: decoded.isEmailVerified
+      isEmailVerified: decoded.isEmailVerified,
+      sessionId: decoded.sid || null
     };
 
     // Log authentication event
@@ -42,6 +42,19 @@ class ConflictError extends AppError {
   }
 }
 
+class UnsupportedMediaTypeError extends AppError {
+  constructor(message = 'Unsupported media type') {
+    super(message, 415);
+  }
+}
+
+class RateLimitError extends AppError {
+  constructor(message = 'Too many requests', retryAfterSeconds = null) {
+    super(message, 429);
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
 class MedicalDataError extends AppError {
   constructor(message = 'Medical data processing error') {
     super(message, 422);
@@ -157,7 +170,8 @@ const errorHandler = (err, req, res, next) => {
     ip: req.ip,
     userAgent: req.get('User-Agent'),
     userId: req.user?.id || 'anonymous',
-    body: req.method !== 'GET' ? req.body : undefined,
+    // Upload chunks arrive as raw Buffers; don't log file contents.
+    body: req.method !== 'GET' && !Buffer.isBuffer(req.body) ? req.body : undefined,
     params: req.params,
     query: req.query,
     stack: error.stack
@@ -172,6 +186,11 @@ const errorHandler = (err, req, res, next) => {
     error = handleMulterError(error);
   }
 
+  // Rate-limited responses tell the client when to retry
+  if (error.statusCode === 429 && error.retryAfterSeconds) {
+    res.set('Retry-After', String(error.retryAfterSeconds));
+  }
+
   // Send error response
   if (process.env.NODE_ENV === 'development') {
     sendErrorDev(error, res);
@@ -196,5 +215,7 @@ module.exports = {
   AuthorizationError,
   NotFoundError,
   ConflictError,
+  UnsupportedMediaTypeError,
+  RateLimitError,
   MedicalDataError
 }; 
\ No newline at end of file
@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * Appointment - a mother's antenatal/postnatal visit (ANC contact, scan, lab
+ * test, postnatal check), with double-booking checks done in appointmentService.
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('appointments', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      type: {
+        type: Sequelize.ENUM('anc_visit', 'scan', 'lab_test', 'postnatal'),
+        allowNull: false,
+        comment: 'Kind of visit'
+      },
+      title: {
+        type: Sequelize.STRING(150),
+        allowNull: true
+      },
+      scheduled_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: 'Start time of the visit'
+      },
+      duration_minutes: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 30,
+        comment: 'Used for overlap (double-booking) detection'
+      },
+      location: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: 'Clinic / facility name or address'
+      },
+      provider_name: {
+        type: Sequelize.STRING(150),
+        allowNull: true
+      },
+      gestational_week: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Gestational week on the appointment date, derived from users.edd'
+      },
+      status: {
+        type: Sequelize.ENUM('scheduled', 'attended', 'missed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'scheduled'
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      cancelled_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      cancellation_reason: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      deleted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      }
+    });
+
+    await queryInterface.addIndex('appointments', ['user_id']);
+    await queryInterface.addIndex('appointments', ['user_id', 'scheduled_at']);
+    await queryInterface.addIndex('appointments', ['status']);
+    await queryInterface.addIndex('appointments', ['scheduled_at']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('appointments');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_appointments_type";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_appointments_status";');
+  }
+};
@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * Suggested ANC contacts: appointments generated from the mother's EDD (WHO
+ * eight-contact model) start as 'suggested' and become 'scheduled' when she
+ * accepts them or 'dismissed' when she declines. `source` separates them from
+ * appointments the mother booked herself. Idempotent.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_appointments_status" ADD VALUE IF NOT EXISTS 'suggested';`
+    );
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_appointments_status" ADD VALUE IF NOT EXISTS 'dismissed';`
+    );
+
+    const cols = await queryInterface.describeTable('appointments');
+
+    // NOTE: no `comment` on the ENUM column (Sequelize 6 addColumn bug).
+    if (!cols.source) {
+      await queryInterface.addColumn('appointments', 'source', {
+        type: Sequelize.ENUM('user', 'anc_schedule'),
+        allowNull: false,
+        defaultValue: 'user'
+      });
+    }
+    if (!cols.anc_contact_number) {
+      await queryInterface.addColumn('appointments', 'anc_contact_number', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'WHO ANC contact (1-8) this suggestion was generated for'
+      });
+    }
+
+    await queryInterface.addIndex('appointments', ['user_id', 'source', 'anc_contact_number']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('appointments', ['user_id', 'source', 'anc_contact_number']);
+    await queryInterface.removeColumn('appointments', 'anc_contact_number');
+    await queryInterface.removeColumn('appointments', 'source');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_appointments_source";');
+    // Postgres has no safe DROP VALUE for enums; the status values stay.
+  }
+};
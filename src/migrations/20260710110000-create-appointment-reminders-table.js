@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * AppointmentReminder - ledger of reminders (48h, 2h) and missed-visit
+ * follow-ups sent for each appointment. UNIQUE(appointment_id, kind) makes the
+ * reminder job idempotent.
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('appointment_reminders', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      appointment_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'appointments', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      kind: {
+        type: Sequelize.ENUM('48h', '2h', 'missed_followup'),
+        allowNull: false
+      },
+      channel: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: 'notificationPref channel used (push | sms | whatsapp)'
+      },
+      sent: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      sent_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Dispatch error when sent = false'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('appointment_reminders', ['appointment_id', 'kind'], { unique: true });
+    await queryInterface.addIndex('appointment_reminders', ['user_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('appointment_reminders');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_appointment_reminders_kind";');
+  }
+};
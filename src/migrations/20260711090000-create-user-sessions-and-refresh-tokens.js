@@ -0,0 +1,135 @@
+'use strict';
+
+/**
+ * Persisted auth sessions. user_sessions holds one row per signed-in device;
+ * refresh_tokens holds the rotating token family for each session (hashes
+ * only). Revoking a session (logout, password reset, reuse detection)
+ * invalidates its refresh tokens and the access JWTs that carry its id.
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('user_sessions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      device_id: {
+        type: Sequelize.STRING(128),
+        allowNull: true,
+        comment: 'Client-supplied stable device identifier (X-Device-Id)'
+      },
+      device_name: {
+        type: Sequelize.STRING(128),
+        allowNull: true
+      },
+      user_agent: {
+        type: Sequelize.STRING(512),
+        allowNull: true
+      },
+      ip_address: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      last_seen_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revoked_reason: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: 'logout | password_reset | reuse_detected | superseded | ...'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('user_sessions', ['user_id']);
+    await queryInterface.addIndex('user_sessions', ['user_id', 'device_id']);
+
+    await queryInterface.createTable('refresh_tokens', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      session_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'user_sessions', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        comment: 'SHA-256 hex of the opaque refresh token'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      used_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Set when rotated; a second use is treated as token theft'
+      },
+      replaced_by_id: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('refresh_tokens', ['token_hash'], { unique: true });
+    await queryInterface.addIndex('refresh_tokens', ['session_id']);
+    await queryInterface.addIndex('refresh_tokens', ['user_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('refresh_tokens');
+    await queryInterface.dropTable('user_sessions');
+  }
+};
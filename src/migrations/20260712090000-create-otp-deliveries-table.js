@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * otp_deliveries: one row per OTP sent to a phone number over SMS or
+ * WhatsApp. Used for per-number send throttling and delivery troubleshooting.
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('otp_deliveries', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      phone_number: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: 'E.164, as sent to the provider'
+      },
+      channel: {
+        type: Sequelize.ENUM('sms', 'whatsapp'),
+        allowNull: false
+      },
+      purpose: {
+        type: Sequelize.STRING(40),
+        allowNull: false,
+        comment: 'signup_verification | password_reset'
+      },
+      provider: {
+        type: Sequelize.STRING(40),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('sent', 'failed'),
+        allowNull: false
+      },
+      provider_message_id: {
+        type: Sequelize.STRING(128),
+        allowNull: true
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('otp_deliveries', ['phone_number', 'created_at']);
+    await queryInterface.addIndex('otp_deliveries', ['user_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('otp_deliveries');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_otp_deliveries_channel";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_otp_deliveries_status";');
+  }
+};
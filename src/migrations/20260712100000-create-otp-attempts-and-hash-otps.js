@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * OTP hardening: otp_attempts records every signup-verification and
+ * password-reset code check so failures can be limited per user and per IP.
+ *
+ * users.otp and users.password_reset_token now hold HMAC hashes rather than
+ * the codes themselves. Any plaintext code still outstanding can no longer be
+ * verified, so it is cleared here; those users simply request a new code.
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('otp_attempts', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      ip_address: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      purpose: {
+        type: Sequelize.STRING(40),
+        allowNull: false,
+        comment: 'signup_verification | password_reset'
+      },
+      succeeded: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('otp_attempts', ['user_id', 'purpose', 'created_at']);
+    await queryInterface.addIndex('otp_attempts', ['ip_address', 'created_at']);
+
+    await queryInterface.sequelize.query(
+      'UPDATE users SET otp = NULL, otp_expires_at = NULL WHERE otp IS NOT NULL AND length(otp) < 64;'
+    );
+    await queryInterface.sequelize.query(
+      'UPDATE users SET password_reset_token = NULL, password_reset_expires_at = NULL WHERE password_reset_token IS NOT NULL AND length(password_reset_token) < 64;'
+    );
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('otp_attempts');
+  }
+};
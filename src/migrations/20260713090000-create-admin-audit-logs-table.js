@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * admin_audit_logs: append-only trail of privileged CMS admin actions
+ * (diagnostics use first; later purges and manual re-runs).
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('admin_audit_logs', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      actor_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Staff user who acted; null for system jobs'
+      },
+      actor_role: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      action: {
+        type: Sequelize.STRING(80),
+        allowNull: false,
+        comment: 'Dotted action name, e.g. diagnostics.view'
+      },
+      target_type: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      target_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      ip_address: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      user_agent: {
+        type: Sequelize.STRING(512),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('admin_audit_logs', ['actor_id']);
+    await queryInterface.addIndex('admin_audit_logs', ['action', 'created_at']);
+    await queryInterface.addIndex('admin_audit_logs', ['target_type', 'target_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('admin_audit_logs');
+  }
+};
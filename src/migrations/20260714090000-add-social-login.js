@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * Social login (Google / Apple OIDC).
+ *
+ * user_identities links a provider account (provider + OIDC subject) to a
+ * user. Accounts created through social login have no password and may not
+ * have a phone number yet, so both users columns become nullable.
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('user_identities', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      provider: {
+        type: Sequelize.ENUM('google', 'apple'),
+        allowNull: false
+      },
+      subject: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        comment: 'OIDC `sub` claim'
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'Email asserted by the provider at last sign-in'
+      },
+      email_verified: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      last_login_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('user_identities', ['provider', 'subject'], { unique: true });
+    await queryInterface.addIndex('user_identities', ['user_id']);
+
+    await queryInterface.changeColumn('users', 'password', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+    await queryInterface.changeColumn('users', 'phone_number', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('user_identities');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_user_identities_provider";');
+    // Only reversible while every user still has a password and phone number.
+    await queryInterface.changeColumn('users', 'phone_number', {
+      type: Sequelize.STRING,
+      allowNull: false
+    });
+    await queryInterface.changeColumn('users', 'password', {
+      type: Sequelize.STRING,
+      allowNull: false
+    });
+  }
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * Self-service account deletion. A request stamps deletion_requested_at and
+ * schedules the hard purge for the end of the grace period; cancelling clears
+ * both. The purge job scans on deletion_scheduled_for.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'deletion_requested_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When the user asked for their account to be deleted'
+    });
+
+    await queryInterface.addColumn('users', 'deletion_scheduled_for', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'End of the grace period; the account is purged after this'
+    });
+
+    await queryInterface.addIndex('users', ['deletion_scheduled_for']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('users', ['deletion_scheduled_for']);
+    await queryInterface.removeColumn('users', 'deletion_scheduled_for');
+    await queryInterface.removeColumn('users', 'deletion_requested_at');
+  }
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * Scan retention: record when a scan was archived (by the owner or by the
+ * retention job) and index the columns the retention job filters on.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('ultrasound_scans', 'archived_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When is_archived was set'
+    });
+
+    await queryInterface.addIndex('ultrasound_scans', ['retention_policy', 'is_archived', 'created_at']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('ultrasound_scans', ['retention_policy', 'is_archived', 'created_at']);
+    await queryInterface.removeColumn('ultrasound_scans', 'archived_at');
+  }
+};
@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * Clinician review of ultrasound scans.
+ *
+ * - cms_role gains 'clinician': staff who review scans, separate from the
+ *   content reviewers.
+ * - ai_risk_level stores aiService.assessRiskLevelNew's verdict so the review
+ *   queue can sort on it.
+ * - review_claimed_by / review_claimed_at: the clinician currently working on
+ *   a scan. Claims expire, so an abandoned scan returns to the queue.
+ *
+ * Idempotent.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_users_cms_role" ADD VALUE IF NOT EXISTS 'clinician';`
+    );
+
+    const cols = await queryInterface.describeTable('ultrasound_scans');
+
+    if (!cols.ai_risk_level) {
+      await queryInterface.addColumn('ultrasound_scans', 'ai_risk_level', {
+        type: Sequelize.STRING(10),
+        allowNull: true,
+        comment: 'low | medium | high, from aiService.assessRiskLevelNew'
+      });
+    }
+    if (!cols.review_claimed_by) {
+      await queryInterface.addColumn('ultrasound_scans', 'review_claimed_by', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Clinician currently reviewing this scan'
+      });
+    }
+    if (!cols.review_claimed_at) {
+      await queryInterface.addColumn('ultrasound_scans', 'review_claimed_at', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+    }
+
+    await queryInterface.addIndex('ultrasound_scans', ['medical_review_status', 'ai_risk_level', 'created_at']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('ultrasound_scans', ['medical_review_status', 'ai_risk_level', 'created_at']);
+    await queryInterface.removeColumn('ultrasound_scans', 'review_claimed_at');
+    await queryInterface.removeColumn('ultrasound_scans', 'review_claimed_by');
+    await queryInterface.removeColumn('ultrasound_scans', 'ai_risk_level');
+    // Postgres has no safe DROP VALUE for enums; 'clinician' stays.
+  }
+};
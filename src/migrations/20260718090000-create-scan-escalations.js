@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * Escalation of high-risk AI scan findings.
+ *
+ * scan_escalations tracks one escalation per scan: who was alerted, how often,
+ * and who acknowledged it. users.on_call marks the clinicians who receive
+ * escalation alerts.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('scan_escalations', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      scan_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'ultrasound_scans', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'The mother whose scan this is'
+      },
+      risk_level: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      reason: {
+        type: Sequelize.STRING(60),
+        allowNull: false,
+        comment: 'What raised it, e.g. ai_high_risk'
+      },
+      status: {
+        type: Sequelize.ENUM('open', 'acknowledged', 'resolved'),
+        allowNull: false,
+        defaultValue: 'open'
+      },
+      alert_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      last_alerted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      acknowledged_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      acknowledged_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      resolved_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('scan_escalations', ['scan_id'], { unique: true });
+    await queryInterface.addIndex('scan_escalations', ['status', 'last_alerted_at']);
+
+    await queryInterface.addColumn('users', 'on_call', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Clinician receives escalation alerts'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('users', 'on_call');
+    await queryInterface.dropTable('scan_escalations');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_scan_escalations_status";');
+  }
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Durable queue for ultrasound AI analysis.
+ *
+ * One row per analysis attempt series for a scan. Workers claim queued jobs
+ * with FOR UPDATE SKIP LOCKED; a claimed job is hidden until locked_until
+ * (the visibility timeout), after which another worker may take it over.
+ * Jobs that run out of attempts are left in 'dead' for an admin to inspect
+ * and re-run.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('analysis_jobs', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      scan_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'ultrasound_scans', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: Sequelize.ENUM('queued', 'processing', 'completed', 'dead'),
+        allowNull: false,
+        defaultValue: 'queued'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      max_attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 5
+      },
+      run_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: 'Not picked up before this time (retry backoff)'
+      },
+      locked_until: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Visibility timeout of the current claim'
+      },
+      locked_by: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'host:pid of the worker holding the claim'
+      },
+      last_error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      requested_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Admin who queued a re-run; null for uploads and the sweeper'
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('analysis_jobs', ['status', 'run_at']);
+    await queryInterface.addIndex('analysis_jobs', ['scan_id']);
+    // At most one live job per scan.
+    await queryInterface.addIndex('analysis_jobs', ['scan_id'], {
+      unique: true,
+      name: 'analysis_jobs_scan_id_active',
+      where: { status: ['queued', 'processing'] }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('analysis_jobs');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_analysis_jobs_status";');
+  }
+};
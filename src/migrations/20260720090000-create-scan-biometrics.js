@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * Fetal biometry per ultrasound scan (BPD, HC, AC, FL, EFW, AFI), normalised
+ * to one unit per measure and tagged with the gestational age at the scan,
+ * for growth charting against reference centiles.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('scan_biometrics', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      scan_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'ultrasound_scans', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      measure: {
+        type: Sequelize.ENUM('bpd', 'hc', 'ac', 'fl', 'efw', 'afi'),
+        allowNull: false
+      },
+      value: {
+        type: Sequelize.FLOAT,
+        allowNull: false
+      },
+      unit: {
+        type: Sequelize.STRING(5),
+        allowNull: false,
+        comment: 'mm for BPD/HC/AC/FL, g for EFW, cm for AFI'
+      },
+      gestational_age_days: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Gestational age on the scan date; null if unknown'
+      },
+      gestational_age_source: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: 'edd, scan_input or ai_report'
+      },
+      source: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'ai_report',
+        comment: 'Where the measurement came from'
+      },
+      measured_on: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('scan_biometrics', ['scan_id', 'measure'], { unique: true });
+    await queryInterface.addIndex('scan_biometrics', ['user_id', 'measure']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('scan_biometrics');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_scan_biometrics_measure";');
+  }
+};
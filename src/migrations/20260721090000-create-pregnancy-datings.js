@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Ultrasound dating of a pregnancy against LMP dating: both estimates, how the
+ * ultrasound one was made, and whether the mother accepted the corrected EDD.
+ * users.edd_basis records which of the two the current EDD comes from.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('pregnancy_datings', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      scan_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'ultrasound_scans', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      scan_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      lmp_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      lmp_edd: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      lmp_gestational_days: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Gestational age by LMP on the scan date'
+      },
+      ultrasound_edd: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      ultrasound_gestational_days: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Gestational age by ultrasound on the scan date'
+      },
+      method: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: 'crl, hc or reported_ga'
+      },
+      measurement_mm: {
+        type: Sequelize.FLOAT,
+        allowNull: true,
+        comment: 'CRL or HC the ultrasound estimate was computed from'
+      },
+      difference_days: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Ultrasound minus LMP gestational age'
+      },
+      threshold_days: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('no_change', 'proposed', 'confirmed', 'declined', 'superseded'),
+        allowNull: false
+      },
+      decided_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('pregnancy_datings', ['user_id', 'status']);
+    await queryInterface.addIndex('pregnancy_datings', ['scan_id']);
+
+    await queryInterface.addColumn('users', 'edd_basis', {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+      comment: 'lmp or ultrasound'
+    });
+    await queryInterface.sequelize.query("UPDATE users SET edd_basis = 'lmp' WHERE edd IS NOT NULL;");
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('users', 'edd_basis');
+    await queryInterface.dropTable('pregnancy_datings');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_pregnancy_datings_status";');
+  }
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+/**
+ * Resumable ultrasound uploads (tus-style): how much of each file has
+ * arrived, so a client on a dropped connection can carry on where it stopped.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('scan_uploads', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      upload_length: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Total size in bytes, declared when the upload is created'
+      },
+      upload_offset: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Bytes received so far'
+      },
+      original_file_name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      details: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'scanType, gestationalAge, scanDate and notes for the scan'
+      },
+      status: {
+        type: Sequelize.ENUM('uploading', 'completed'),
+        allowNull: false,
+        defaultValue: 'uploading'
+      },
+      scan_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'ultrasound_scans', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('scan_uploads', ['user_id', 'status']);
+    await queryInterface.addIndex('scan_uploads', ['status', 'expires_at']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('scan_uploads');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_scan_uploads_status";');
+  }
+};
@@ -0,0 +1,39 @@
+'use strict';
+
+/**
+ * DICOM uploads: the scan's file becomes a JPEG preview, and the
+ * de-identified original is kept alongside it with what was read from its
+ * header.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('ultrasound_scans', 'original_file_path', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      comment: 'De-identified DICOM file the preview was rendered from'
+    });
+    await queryInterface.addColumn('ultrasound_scans', 'original_blob_name', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      comment: 'Blob name of the DICOM file in cloud storage'
+    });
+    await queryInterface.addColumn('ultrasound_scans', 'original_mime_type', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+    await queryInterface.addColumn('ultrasound_scans', 'dicom_metadata', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      comment: 'Study details and measurements read from the DICOM header'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('ultrasound_scans', 'dicom_metadata');
+    await queryInterface.removeColumn('ultrasound_scans', 'original_mime_type');
+    await queryInterface.removeColumn('ultrasound_scans', 'original_blob_name');
+    await queryInterface.removeColumn('ultrasound_scans', 'original_file_path');
+  }
+};
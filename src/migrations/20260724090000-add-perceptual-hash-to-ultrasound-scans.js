@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * Duplicate scan detection: a perceptual hash for near-identical images, and
+ * an index for looking up a user's scans by exact file hash.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('ultrasound_scans', 'perceptual_hash', {
+      type: Sequelize.STRING(16),
+      allowNull: true,
+      comment: 'dHash of the image (utils/perceptualHash), for near-duplicate detection'
+    });
+
+    await queryInterface.addIndex('ultrasound_scans', ['user_id', 'file_hash']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('ultrasound_scans', ['user_id', 'file_hash']);
+    await queryInterface.removeColumn('ultrasound_scans', 'perceptual_hash');
+  }
+};
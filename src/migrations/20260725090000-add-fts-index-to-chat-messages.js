@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * Full-text GIN index on chat_messages.content for chat history search
+ * (chatSearchService). Expression index, like document_chunks_content_fts, so
+ * it matches the to_tsvector('english', content) used at query time.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(
+      `CREATE INDEX IF NOT EXISTS "chat_messages_content_fts"
+       ON "chat_messages" USING gin (to_tsvector('english', "content"));`
+    );
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query('DROP INDEX IF EXISTS "chat_messages_content_fts";');
+  }
+};
@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Append-only record of privileged actions taken through the CMS admin API
+ * (diagnostics, data purges, manual re-runs, ...). Written via auditService.
+ * No updatedAt / deletedAt: entries are written once and never modified.
+ */
+const AdminAuditLog = sequelize.define('AdminAuditLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  actorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'actor_id',
+    comment: 'Staff user who acted; null for system jobs'
+  },
+  actorRole: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'actor_role'
+  },
+  action: {
+    type: DataTypes.STRING(80),
+    allowNull: false,
+    comment: 'Dotted action name, e.g. diagnostics.view'
+  },
+  targetType: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'target_type'
+  },
+  targetId: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'target_id'
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  ipAddress: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    field: 'ip_address'
+  },
+  userAgent: {
+    type: DataTypes.STRING(512),
+    allowNull: true,
+    field: 'user_agent'
+  }
+}, {
+  tableName: 'admin_audit_logs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  paranoid: false,
+  underscored: true,
+  indexes: [
+    { fields: ['actor_id'] },
+    { fields: ['action', 'created_at'] },
+    { fields: ['target_type', 'target_id'] }
+  ]
+});
+
+module.exports = AdminAuditLog;
@@ -0,0 +1,97 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A queued ultrasound AI analysis (see analysisJobService). 'queued' until a
+// worker claims it, 'processing' while claimed (until lockedUntil), then
+// 'completed', or 'dead' once it has run out of attempts.
+const AnalysisJob = sequelize.define('AnalysisJob', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  scanId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'scan_id'
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'processing', 'completed', 'dead'),
+    allowNull: false,
+    defaultValue: 'queued'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 5,
+    field: 'max_attempts'
+  },
+  runAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'run_at',
+    comment: 'Not picked up before this time (retry backoff)'
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'locked_until',
+    comment: 'Visibility timeout of the current claim'
+  },
+  lockedBy: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'locked_by'
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'last_error'
+  },
+  requestedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'requested_by',
+    comment: 'Admin who queued a re-run; null for uploads and the sweeper'
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'completed_at'
+  }
+}, {
+  tableName: 'analysis_jobs',
+  timestamps: true,
+  paranoid: false,
+  underscored: true,
+  indexes: [
+    { fields: ['status', 'run_at'] },
+    { fields: ['scan_id'] },
+    { unique: true, name: 'analysis_jobs_scan_id_active', fields: ['scan_id'], where: { status: ['queued', 'processing'] } }
+  ]
+});
+
+AnalysisJob.prototype.getSafeJobInfo = function() {
+  return {
+    id: this.id,
+    scanId: this.scanId,
+    status: this.status,
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    runAt: this.runAt,
+    lockedUntil: this.lockedUntil,
+    lastError: this.lastError,
+    requestedBy: this.requestedBy,
+    completedAt: this.completedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = AnalysisJob;
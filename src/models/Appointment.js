@@ -0,0 +1,117 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Appointment = sequelize.define('Appointment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id'
+  },
+  type: {
+    type: DataTypes.ENUM('anc_visit', 'scan', 'lab_test', 'postnatal'),
+    allowNull: false
+  },
+  title: {
+    type: DataTypes.STRING(150),
+    allowNull: true
+  },
+  scheduledAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'scheduled_at'
+  },
+  durationMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 30,
+    field: 'duration_minutes',
+    validate: { min: 5, max: 480 }
+  },
+  location: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  providerName: {
+    type: DataTypes.STRING(150),
+    allowNull: true,
+    field: 'provider_name'
+  },
+  gestationalWeek: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'gestational_week',
+    comment: 'Gestational week on the appointment date, derived from User.edd'
+  },
+  status: {
+    type: DataTypes.ENUM('suggested', 'scheduled', 'attended', 'missed', 'cancelled', 'dismissed'),
+    allowNull: false,
+    defaultValue: 'scheduled',
+    comment: 'suggested/dismissed only apply to generated ANC contacts'
+  },
+  source: {
+    type: DataTypes.ENUM('user', 'anc_schedule'),
+    allowNull: false,
+    defaultValue: 'user',
+    comment: 'user = booked by the mother; anc_schedule = generated from her EDD'
+  },
+  ancContactNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'anc_contact_number',
+    validate: { min: 1, max: 8 }
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  cancelledAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'cancelled_at'
+  },
+  cancellationReason: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'cancellation_reason'
+  }
+}, {
+  tableName: 'appointments',
+  timestamps: true,
+  paranoid: true,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id'] },
+    { fields: ['user_id', 'scheduled_at'] },
+    { fields: ['status'] },
+    { fields: ['scheduled_at'] },
+    { fields: ['user_id', 'source', 'anc_contact_number'] }
+  ]
+});
+
+Appointment.prototype.getSafeAppointmentInfo = function() {
+  return {
+    id: this.id,
+    type: this.type,
+    title: this.title,
+    scheduledAt: this.scheduledAt,
+    durationMinutes: this.durationMinutes,
+    location: this.location,
+    providerName: this.providerName,
+    gestationalWeek: this.gestationalWeek,
+    status: this.status,
+    source: this.source,
+    ancContactNumber: this.ancContactNumber,
+    notes: this.notes,
+    cancelledAt: this.cancelledAt,
+    cancellationReason: this.cancellationReason,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = Appointment;
@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One row per (appointment, kind): the unique index is what makes the reminder
+// run idempotent — a reminder is recorded before it is dispatched, so a
+// duplicate or overlapping run can never send it twice.
+const AppointmentReminder = sequelize.define('AppointmentReminder', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  appointmentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'appointment_id'
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id'
+  },
+  kind: {
+    type: DataTypes.ENUM('48h', '2h', 'missed_followup'),
+    allowNull: false
+  },
+  channel: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'notificationPref channel used (push | sms | whatsapp)'
+  },
+  sent: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'sent_at'
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'appointment_reminders',
+  timestamps: true,
+  paranoid: false,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['appointment_id', 'kind'] },
+    { fields: ['user_id'] }
+  ]
+});
+
+module.exports = AppointmentReminder;
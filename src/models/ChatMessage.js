@@ -122,6 +122,7 @@ ChatMessage.prototype.getSafeMessageInfo = function() {
     attachmentSize: this.attachmentSize,
     isStreaming: this.isStreaming,
     streamingComplete: this.streamingComplete,
+    metadata: this.metadata,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
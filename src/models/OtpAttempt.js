@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One row per OTP check (signup verification or password reset), pass or fail.
+// Lockout is computed from recent failures per user+purpose and per IP, so it
+// holds across instances; userId is null when the email matched no account.
+const OtpAttempt = sequelize.define('OtpAttempt', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'user_id'
+  },
+  ipAddress: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    field: 'ip_address'
+  },
+  purpose: {
+    type: DataTypes.STRING(40),
+    allowNull: false,
+    comment: 'signup_verification | password_reset'
+  },
+  succeeded: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false
+  }
+}, {
+  tableName: 'otp_attempts',
+  timestamps: true,
+  paranoid: false,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id', 'purpose', 'created_at'] },
+    { fields: ['ip_address', 'created_at'] }
+  ]
+});
+
+module.exports = OtpAttempt;
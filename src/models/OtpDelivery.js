@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Ledger of OTP messages sent to phone numbers (SMS / WhatsApp). Every attempt
+// is recorded, successful or not, and per-number send throttling counts these
+// rows — so the limit holds across server instances and restarts.
+const OtpDelivery = sequelize.define('OtpDelivery', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'user_id'
+  },
+  phoneNumber: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'phone_number',
+    comment: 'E.164, as sent to the provider'
+  },
+  channel: {
+    type: DataTypes.ENUM('sms', 'whatsapp'),
+    allowNull: false
+  },
+  purpose: {
+    type: DataTypes.STRING(40),
+    allowNull: false,
+    comment: 'signup_verification | password_reset'
+  },
+  provider: {
+    type: DataTypes.STRING(40),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('sent', 'failed'),
+    allowNull: false
+  },
+  providerMessageId: {
+    type: DataTypes.STRING(128),
+    allowNull: true,
+    field: 'provider_message_id'
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'otp_deliveries',
+  timestamps: true,
+  paranoid: false,
+  underscored: true,
+  indexes: [
+    { fields: ['phone_number', 'created_at'] },
+    { fields: ['user_id'] }
+  ]
+});
+
+module.exports = OtpDelivery;
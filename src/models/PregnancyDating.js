@@ -0,0 +1,120 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One comparison of ultrasound dating with LMP dating, made when a scan's
+// analysis gives a gestational age. 'proposed' rows wait for the mother to
+// accept or decline the ultrasound EDD (pregnancyDatingService).
+const PregnancyDating = sequelize.define('PregnancyDating', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id'
+  },
+  scanId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'scan_id'
+  },
+  scanDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'scan_date'
+  },
+  lmpDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'lmp_date'
+  },
+  lmpEdd: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'lmp_edd'
+  },
+  lmpGestationalDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'lmp_gestational_days'
+  },
+  ultrasoundEdd: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'ultrasound_edd'
+  },
+  ultrasoundGestationalDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'ultrasound_gestational_days'
+  },
+  method: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      isIn: [['crl', 'hc', 'reported_ga']]
+    }
+  },
+  measurementMm: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    field: 'measurement_mm'
+  },
+  differenceDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'difference_days',
+    comment: 'Ultrasound minus LMP gestational age'
+  },
+  thresholdDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'threshold_days'
+  },
+  status: {
+    type: DataTypes.ENUM('no_change', 'proposed', 'confirmed', 'declined', 'superseded'),
+    allowNull: false
+  },
+  decidedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'decided_at'
+  }
+}, {
+  tableName: 'pregnancy_datings',
+  timestamps: true,
+  paranoid: false,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id', 'status'] },
+    { fields: ['scan_id'] }
+  ]
+});
+
+PregnancyDating.prototype.getSafeDatingInfo = function() {
+  return {
+    id: this.id,
+    scanId: this.scanId,
+    scanDate: this.scanDate,
+    status: this.status,
+    lmp: {
+      lmpDate: this.lmpDate,
+      edd: this.lmpEdd,
+      gestationalDays: this.lmpGestationalDays
+    },
+    ultrasound: {
+      edd: this.ultrasoundEdd,
+      gestationalDays: this.ultrasoundGestationalDays,
+      method: this.method,
+      measurementMm: this.measurementMm
+    },
+    differenceDays: this.differenceDays,
+    thresholdDays: this.thresholdDays,
+    decidedAt: this.decidedAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = PregnancyDating;
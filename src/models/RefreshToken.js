@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Opaque refresh tokens, stored only as a SHA-256 hash. Every use rotates the
+// token (usedAt set, replacedById -> successor); presenting a used or revoked
+// token again is treated as theft and revokes the whole session (token family).
+const RefreshToken = sequelize.define('RefreshToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  sessionId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'session_id'
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id'
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    field: 'token_hash'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at'
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'used_at'
+  },
+  replacedById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'replaced_by_id'
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'revoked_at'
+  }
+}, {
+  tableName: 'refresh_tokens',
+  timestamps: true,
+  paranoid: false,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['token_hash'] },
+    { fields: ['session_id'] },
+    { fields: ['user_id'] }
+  ]
+});
+
+module.exports = RefreshToken;
@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One fetal biometric measurement from an ultrasound scan, normalised to the
+// unit the growth references use. At most one per measure per scan.
+const ScanBiometric = sequelize.define('ScanBiometric', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  scanId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'scan_id'
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id'
+  },
+  measure: {
+    type: DataTypes.ENUM('bpd', 'hc', 'ac', 'fl', 'efw', 'afi'),
+    allowNull: false
+  },
+  value: {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  },
+  unit: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    comment: 'mm for BPD/HC/AC/FL, g for EFW, cm for AFI'
+  },
+  gestationalAgeDays: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'gestational_age_days',
+    comment: 'Gestational age on the scan date; null if unknown'
+  },
+  gestationalAgeSource: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'gestational_age_source',
+    validate: {
+      isIn: [['edd', 'scan_input', 'ai_report']]
+    }
+  },
+  source: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'ai_report'
+  },
+  measuredOn: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'measured_on'
+  }
+}, {
+  tableName: 'scan_biometrics',
+  timestamps: true,
+  paranoid: false,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['scan_id', 'measure'] },
+    { fields: ['user_id', 'measure'] }
+  ]
+});
+
+ScanBiometric.prototype.getSafeBiometricInfo = function() {
+  return {
+    id: this.id,
+    scanId: this.scanId,
+    measure: this.measure,
+    value: this.value,
+    unit: this.unit,
+    gestationalAgeDays: this.gestationalAgeDays,
+    gestationalAgeSource: this.gestationalAgeSource,
+    source: this.source,
+    measuredOn: this.measuredOn
+  };
+};
+
+module.exports = ScanBiometric;
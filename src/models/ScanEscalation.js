@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A high-risk AI finding on an ultrasound scan that needs a clinician now.
+// One per scan. 'open' until a clinician acknowledges it; re-alerted while
+// unacknowledged; 'resolved' once the scan's review is submitted.
+const ScanEscalation = sequelize.define('ScanEscalation', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  scanId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'scan_id'
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id',
+    comment: 'The mother whose scan this is'
+  },
+  riskLevel: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    field: 'risk_level'
+  },
+  reason: {
+    type: DataTypes.STRING(60),
+    allowNull: false,
+    comment: 'What raised it, e.g. ai_high_risk'
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'acknowledged', 'resolved'),
+    allowNull: false,
+    defaultValue: 'open'
+  },
+  alertCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'alert_count'
+  },
+  lastAlertedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_alerted_at'
+  },
+  acknowledgedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'acknowledged_by'
+  },
+  acknowledgedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'acknowledged_at'
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'resolved_at'
+  }
+}, {
+  tableName: 'scan_escalations',
+  timestamps: true,
+  paranoid: false,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['scan_id'] },
+    { fields: ['status', 'last_alerted_at'] }
+  ]
+});
+
+ScanEscalation.prototype.getSafeEscalationInfo = function() {
+  return {
+    id: this.id,
+    scanId: this.scanId,
+    userId: this.userId,
+    riskLevel: this.riskLevel,
+    reason: this.reason,
+    status: this.status,
+    alertCount: this.alertCount,
+    lastAlertedAt: this.lastAlertedAt,
+    acknowledgedBy: this.acknowledgedBy,
+    acknowledgedAt: this.acknowledgedAt,
+    resolvedAt: this.resolvedAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = ScanEscalation;
@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A resumable ultrasound upload in progress (scanUploadService). The bytes
+// received so far live in uploads/ultrasounds/partial/<id>.part until the
+// last chunk arrives and the file becomes an UltrasoundScan.
+const ScanUpload = sequelize.define('ScanUpload', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id'
+  },
+  uploadLength: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'upload_length'
+  },
+  uploadOffset: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'upload_offset'
+  },
+  originalFileName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'original_file_name'
+  },
+  details: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'scanType, gestationalAge, scanDate and notes for the scan'
+  },
+  status: {
+    type: DataTypes.ENUM('uploading', 'completed'),
+    allowNull: false,
+    defaultValue: 'uploading'
+  },
+  scanId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'scan_id'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at'
+  }
+}, {
+  tableName: 'scan_uploads',
+  timestamps: true,
+  paranoid: false,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id', 'status'] },
+    { fields: ['status', 'expires_at'] }
+  ]
+});
+
+ScanUpload.prototype.getSafeUploadInfo = function() {
+  return {
+    id: this.id,
+    uploadLength: this.uploadLength,
+    uploadOffset: this.uploadOffset,
+    originalFileName: this.originalFileName,
+    status: this.status,
+    scanId: this.scanId,
+    expiresAt: this.expiresAt
+  };
+};
+
+module.exports = ScanUpload;
@@ -56,6 +56,13 @@ const UltrasoundScan = sequelize.define('UltrasoundScan', {
     allowNull: true,
     comment: 'Hash of file content for duplicate detection'
   },
+
+  perceptualHash: {
+    type: DataTypes.STRING(16),
+    allowNull: true,
+    field: 'perceptual_hash',
+    comment: 'dHash of the image (utils/perceptualHash), for near-duplicate detection'
+  },
   
   // Cloud storage information
   cloudUrl: {
@@ -69,7 +76,35 @@ const UltrasoundScan = sequelize.define('UltrasoundScan', {
     allowNull: true,
     comment: 'Blob name/path in cloud storage for management operations'
   },
-  
+
+  // DICOM uploads: the file above is a JPEG preview of this original
+  originalFilePath: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'original_file_path',
+    comment: 'De-identified DICOM file the preview was rendered from'
+  },
+
+  originalBlobName: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'original_blob_name',
+    comment: 'Blob name of the DICOM file in cloud storage'
+  },
+
+  originalMimeType: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'original_mime_type'
+  },
+
+  dicomMetadata: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    field: 'dicom_metadata',
+    comment: 'Study details and measurements read from the DICOM header'
+  },
+
   // Scan metadata
   scanType: {
     type: DataTypes.STRING,
@@ -161,8 +196,18 @@ const UltrasoundScan = sequelize.define('UltrasoundScan', {
     type: DataTypes.DATE,
     allowNull: true
   },
+
+  aiRiskLevel: {
+    type: DataTypes.STRING(10),
+    allowNull: true,
+    field: 'ai_risk_level',
+    validate: {
+      isIn: [['low', 'medium', 'high']]
+    },
+    comment: 'From aiService.assessRiskLevelNew; orders the clinician review queue'
+  },
   
-  // Medical review (for future doctor review feature)
+  // Medical review by a clinician (see scanReviewService)
   medicalReviewStatus: {
     type: DataTypes.STRING,
     allowNull: false,
@@ -188,12 +233,31 @@ const UltrasoundScan = sequelize.define('UltrasoundScan', {
     allowNull: true,
     comment: 'Medical professional review notes'
   },
+
+  reviewClaimedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'review_claimed_by',
+    comment: 'Clinician currently reviewing this scan'
+  },
+
+  reviewClaimedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'review_claimed_at'
+  },
   
   // Privacy and compliance
   isArchived: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
   },
+
+  archivedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'archived_at'
+  },
   
   retentionPolicy: {
     type: DataTypes.STRING,
@@ -241,6 +305,15 @@ const UltrasoundScan = sequelize.define('UltrasoundScan', {
     {
       fields: ['file_hash'],
       name: 'ultrasound_scans_file_hash_index'
+    },
+    {
+      fields: ['user_id', 'file_hash']
+    },
+    {
+      fields: ['retention_policy', 'is_archived', 'created_at']
+    },
+    {
+      fields: ['medical_review_status', 'ai_risk_level', 'created_at']
     }
   ]
 });
@@ -255,6 +328,7 @@ UltrasoundScan.prototype.getScanSummary = function() {
     gestationalAge: this.gestationalAge,
     aiAnalysisStatus: this.aiAnalysisStatus,
     aiConfidenceScore: this.aiConfidenceScore,
+    aiRiskLevel: this.aiRiskLevel,
     medicalReviewStatus: this.medicalReviewStatus,
     createdAt: this.createdAt,
     viewCount: this.viewCount
@@ -286,7 +360,8 @@ UltrasoundScan.prototype.getFileInfo = function() {
     fileName: this.fileName,
     filePath: this.filePath,
     fileSize: this.fileSize,
-    mimeType: this.mimeType
+    mimeType: this.mimeType,
+    originalMimeType: this.originalMimeType || null
   };
 };
 
@@ -28,9 +28,10 @@ const User = sequelize.define('User', {
     }
   },
   
+  // Nullable for social-login accounts until the user adds a number
   phoneNumber: {
     type: DataTypes.STRING,
-    allowNull: false,
+    allowNull: true,
     unique: true,
     validate: {
       len: [10, 15],
@@ -38,9 +39,10 @@ const User = sequelize.define('User', {
     }
   },
   
+  // bcrypt hash; null for accounts that only sign in with Google / Apple
   password: {
     type: DataTypes.STRING,
-    allowNull: false,
+    allowNull: true,
     validate: {
       len: [8, 255],
       notEmpty: true
@@ -119,6 +121,16 @@ const User = sequelize.define('User', {
     allowNull: true,
     comment: 'Estimated Due Date'
   },
+
+  eddBasis: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'edd_basis',
+    validate: {
+      isIn: [['lmp', 'ultrasound']]
+    },
+    comment: 'Whether edd comes from the LMP or a confirmed ultrasound redating'
+  },
   
   gestationalWeeks: {
     type: DataTypes.INTEGER,
@@ -200,12 +212,21 @@ const User = sequelize.define('User', {
   },
 
   // CMS staff RBAC (see CMS spec §10). NULL cms_role = regular app user (mother).
+  // 'clinician' reviews ultrasound scans (scanReviewService), not content.
   cmsRole: {
-    type: DataTypes.ENUM('editor', 'reviewer', 'publisher', 'admin'),
+    type: DataTypes.ENUM('editor', 'reviewer', 'publisher', 'admin', 'clinician'),
     allowNull: true,
     field: 'cms_role'
   },
 
+  onCall: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'on_call',
+    comment: 'Clinician receives escalation alerts for high-risk scans'
+  },
+
   cmsCredentials: {
     type: DataTypes.STRING(200),
     allowNull: true,
@@ -224,6 +245,19 @@ const User = sequelize.define('User', {
     allowNull: true
   },
   
+  // Self-service deletion: purged after deletionScheduledFor unless cancelled
+  deletionRequestedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'deletion_requested_at'
+  },
+
+  deletionScheduledFor: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'deletion_scheduled_for'
+  },
+
   // Timestamps
   lastLoginAt: {
     type: DataTypes.DATE,
@@ -250,6 +284,9 @@ const User = sequelize.define('User', {
     },
     {
       fields: ['onboarding_completed']
+    },
+    {
+      fields: ['deletion_scheduled_for']
     }
   ],
   
@@ -262,6 +299,7 @@ User.prototype.getPregnancyInfo = function() {
   
   return {
     edd: this.edd,
+    eddBasis: this.eddBasis || 'lmp',
     eddFormatted: this.edd ? new Date(this.edd).toLocaleDateString('en-US', { 
       year: 'numeric', 
       month: 'long', 
@@ -322,6 +360,7 @@ User.prototype.getSafeUserInfo = function() {
     createdAt: this.createdAt,
     updatedAt: this.updatedAt,
     lastLoginAt: this.lastLoginAt,
+    deletionScheduledFor: this.deletionScheduledFor || null,
     onboarding: this.getOnboardingInfo(),
     pregnancyInfo: this.getPregnancyInfo()
   };
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// An external sign-in (Google / Apple) linked to a User. (provider, subject)
+// is the provider's stable account id — the email on the provider side can
+// change, so later sign-ins are matched on subject, never on email.
+const UserIdentity = sequelize.define('UserIdentity', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id'
+  },
+  provider: {
+    type: DataTypes.ENUM('google', 'apple'),
+    allowNull: false
+  },
+  subject: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'OIDC `sub` claim'
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Email asserted by the provider at last sign-in'
+  },
+  emailVerified: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'email_verified'
+  },
+  lastLoginAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_login_at'
+  }
+}, {
+  tableName: 'user_identities',
+  timestamps: true,
+  paranoid: false,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['provider', 'subject'] },
+    { fields: ['user_id'] }
+  ]
+});
+
+UserIdentity.prototype.getSafeIdentityInfo = function() {
+  return {
+    id: this.id,
+    provider: this.provider,
+    email: this.email,
+    lastLoginAt: this.lastLoginAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = UserIdentity;
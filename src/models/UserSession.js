@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One row per signed-in device. The session id is carried in the access JWT
+// (`sid`) and owns a family of rotating RefreshTokens; revoking the session
+// invalidates both.
+const UserSession = sequelize.define('UserSession', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id'
+  },
+  deviceId: {
+    type: DataTypes.STRING(128),
+    allowNull: true,
+    field: 'device_id',
+    comment: 'Client-supplied stable device identifier (X-Device-Id)'
+  },
+  deviceName: {
+    type: DataTypes.STRING(128),
+    allowNull: true,
+    field: 'device_name'
+  },
+  userAgent: {
+    type: DataTypes.STRING(512),
+    allowNull: true,
+    field: 'user_agent'
+  },
+  ipAddress: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    field: 'ip_address'
+  },
+  lastSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_seen_at'
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'revoked_at'
+  },
+  revokedReason: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'revoked_reason',
+    comment: 'logout | password_reset | reuse_detected | superseded | ...'
+  }
+}, {
+  tableName: 'user_sessions',
+  timestamps: true,
+  paranoid: false,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id'] },
+    { fields: ['user_id', 'device_id'] }
+  ]
+});
+
+// Device-list view of a session; never exposes token material.
+UserSession.prototype.getSafeSessionInfo = function() {
+  return {
+    id: this.id,
+    deviceId: this.deviceId,
+    deviceName: this.deviceName,
+    userAgent: this.userAgent,
+    ipAddress: this.ipAddress,
+    lastSeenAt: this.lastSeenAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = UserSession;
@@ -21,6 +21,20 @@ const DeliveryTopic = require('./DeliveryTopic');
 const ContentItemVersion = require('./ContentItemVersion');
 const SourceDocument = require('./SourceDocument');
 const DocumentChunk = require('./DocumentChunk');
+const Appointment = require('./Appointment');
+const AppointmentReminder = require('./AppointmentReminder');
+const UserSession = require('./UserSession');
+const RefreshToken = require('./RefreshToken');
+const OtpDelivery = require('./OtpDelivery');
+const OtpAttempt = require('./OtpAttempt');
+const AdminAuditLog = require('./AdminAuditLog');
+const UserIdentity = require('./UserIdentity');
+const UltrasoundScan = require('./UltrasoundScan');
+const ScanEscalation = require('./ScanEscalation');
+const AnalysisJob = require('./AnalysisJob');
+const ScanBiometric = require('./ScanBiometric');
+const PregnancyDating = require('./PregnancyDating');
+const ScanUpload = require('./ScanUpload');
 
 let initialised = false;
 
@@ -70,6 +84,67 @@ function initAssociations() {
   User.hasMany(WeeklyDelivery, { foreignKey: 'userId', as: 'deliveries' });
   WeeklyDelivery.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 
+  // User 1---* Appointment
+  User.hasMany(Appointment, { foreignKey: 'userId', as: 'appointments' });
+  Appointment.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+  // Appointment 1---* AppointmentReminder (sent-reminder ledger)
+  Appointment.hasMany(AppointmentReminder, { foreignKey: 'appointmentId', as: 'reminders' });
+  AppointmentReminder.belongsTo(Appointment, { foreignKey: 'appointmentId', as: 'appointment' });
+
+  // User 1---* UserSession 1---* RefreshToken (per-device auth sessions)
+  User.hasMany(UserSession, { foreignKey: 'userId', as: 'sessions' });
+  UserSession.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+  UserSession.hasMany(RefreshToken, { foreignKey: 'sessionId', as: 'refreshTokens' });
+  RefreshToken.belongsTo(UserSession, { foreignKey: 'sessionId', as: 'session' });
+
+  // User 1---* UserIdentity (linked Google / Apple sign-ins)
+  User.hasMany(UserIdentity, { foreignKey: 'userId', as: 'identities' });
+  UserIdentity.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+  // User 1---* OtpDelivery (phone OTP send ledger; userId nulled if the user is removed)
+  User.hasMany(OtpDelivery, { foreignKey: 'userId', as: 'otpDeliveries' });
+  OtpDelivery.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+  // User 1---* OtpAttempt (code-check ledger for lockout)
+  User.hasMany(OtpAttempt, { foreignKey: 'userId', as: 'otpAttempts' });
+  OtpAttempt.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+  // User (staff) 1---* AdminAuditLog
+  User.hasMany(AdminAuditLog, { foreignKey: 'actorId', as: 'adminAuditLogs' });
+  AdminAuditLog.belongsTo(User, { foreignKey: 'actorId', as: 'actor' });
+
+  // User 1---* UltrasoundScan; clinicians claim and review scans.
+  // reviewed_by predates this and has no DB-level FK.
+  User.hasMany(UltrasoundScan, { foreignKey: 'userId', as: 'ultrasoundScans' });
+  UltrasoundScan.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+  UltrasoundScan.belongsTo(User, { foreignKey: 'reviewClaimedBy', as: 'claimedBy' });
+  UltrasoundScan.belongsTo(User, { foreignKey: 'reviewedBy', as: 'reviewer', constraints: false });
+
+  // UltrasoundScan 1---0..1 ScanEscalation (high-risk finding awaiting a clinician)
+  UltrasoundScan.hasOne(ScanEscalation, { foreignKey: 'scanId', as: 'escalation' });
+  ScanEscalation.belongsTo(UltrasoundScan, { foreignKey: 'scanId', as: 'scan' });
+  ScanEscalation.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+  ScanEscalation.belongsTo(User, { foreignKey: 'acknowledgedBy', as: 'acknowledger' });
+
+  // UltrasoundScan 1---* AnalysisJob (AI analysis queue; one live job at a time)
+  UltrasoundScan.hasMany(AnalysisJob, { foreignKey: 'scanId', as: 'analysisJobs' });
+  AnalysisJob.belongsTo(UltrasoundScan, { foreignKey: 'scanId', as: 'scan' });
+
+  // UltrasoundScan 1---* ScanBiometric (one per measure); denormalised userId for growth charts
+  UltrasoundScan.hasMany(ScanBiometric, { foreignKey: 'scanId', as: 'biometrics' });
+  ScanBiometric.belongsTo(UltrasoundScan, { foreignKey: 'scanId', as: 'scan' });
+  User.hasMany(ScanBiometric, { foreignKey: 'userId', as: 'scanBiometrics' });
+
+  // User 1---* PregnancyDating (LMP vs ultrasound dating); the scan may since have been deleted
+  User.hasMany(PregnancyDating, { foreignKey: 'userId', as: 'pregnancyDatings' });
+  PregnancyDating.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+  PregnancyDating.belongsTo(UltrasoundScan, { foreignKey: 'scanId', as: 'scan' });
+
+  // User 1---* ScanUpload (resumable uploads); the scan it became, once complete
+  User.hasMany(ScanUpload, { foreignKey: 'userId', as: 'scanUploads' });
+  ScanUpload.belongsTo(UltrasoundScan, { foreignKey: 'scanId', as: 'scan' });
+
   // RAG knowledge base: ContentSource 1---* SourceDocument 1---* DocumentChunk
   ContentSource.hasMany(SourceDocument, { foreignKey: 'sourceId', as: 'documents' });
   SourceDocument.belongsTo(ContentSource, { foreignKey: 'sourceId', as: 'source' });
@@ -108,7 +183,21 @@ function getModels() {
     DeliveryTopic,
     ContentItemVersion,
     SourceDocument,
-    DocumentChunk
+    DocumentChunk,
+    Appointment,
+    AppointmentReminder,
+    UserSession,
+    RefreshToken,
+    OtpDelivery,
+    OtpAttempt,
+    AdminAuditLog,
+    UserIdentity,
+    UltrasoundScan,
+    ScanEscalation,
+    AnalysisJob,
+    ScanBiometric,
+    PregnancyDating,
+    ScanUpload
   };
 }
 
@@ -1,5 +1,7 @@
 const express = require('express');
+const { body, param, query } = require('express-validator');
 const appointmentController = require('../controllers/appointmentController');
+const { APPOINTMENT_TYPES, APPOINTMENT_STATUSES } = require('../services/appointmentService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const auth = require('../middleware/auth');
 
@@ -8,19 +10,69 @@ const router = express.Router();
 // All routes require authentication
 router.use(auth);
 
+const idParam = param('id').isUUID().withMessage('Invalid appointment ID');
+
+const detailValidators = [
+  body('title').optional({ nullable: true }).isLength({ max: 150 }).withMessage('Title must be at most 150 characters'),
+  body('durationMinutes').optional().isInt({ min: 5, max: 480 }).withMessage('durationMinutes must be between 5 and 480').toInt(),
+  body('location').optional({ nullable: true }).isLength({ max: 255 }).withMessage('Location must be at most 255 characters'),
+  body('providerName').optional({ nullable: true }).isLength({ max: 150 }).withMessage('Provider name must be at most 150 characters'),
+  body('notes').optional({ nullable: true }).isLength({ max: 2000 }).withMessage('Notes must be at most 2000 characters')
+];
+
 /**
  * @swagger
  * /api/v1/appointments:
  *   post:
  *     summary: Schedule new appointment
+ *     description: >
+ *       Books an ANC visit, scan, lab test or postnatal check. The date is
+ *       validated against the mother's gestational week (from her EDD) and
+ *       rejected with 409 if it overlaps another scheduled appointment.
  *     tags: [Appointments]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, scheduledAt]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [anc_visit, scan, lab_test, postnatal]
+ *               scheduledAt:
+ *                 type: string
+ *                 format: date-time
+ *               durationMinutes:
+ *                 type: integer
+ *                 default: 30
+ *               title:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               providerName:
+ *                 type: string
+ *               notes:
+ *                 type: string
  *     responses:
  *       201:
  *         description: Appointment scheduled successfully
+ *       400:
+ *         description: Invalid data or date outside the allowed pregnancy window
+ *       409:
+ *         description: Overlaps another scheduled appointment
  */
-router.post('/', asyncHandler(appointmentController.scheduleAppointment));
+router.post('/',
+  [
+    body('type').isIn(APPOINTMENT_TYPES).withMessage(`type must be one of: ${APPOINTMENT_TYPES.join(', ')}`),
+    body('scheduledAt').isISO8601().withMessage('scheduledAt must be an ISO 8601 date-time'),
+    ...detailValidators
+  ],
+  asyncHandler(appointmentController.scheduleAppointment)
+);
 
 /**
  * @swagger
@@ -30,17 +82,80 @@ router.post('/', asyncHandler(appointmentController.scheduleAppointment));
  *     tags: [Appointments]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [suggested, scheduled, attended, missed, cancelled, dismissed]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [anc_visit, scan, lab_test, postnatal]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: upcoming
+ *         schema:
+ *           type: boolean
+ *         description: Only appointments from now onwards
  *     responses:
  *       200:
  *         description: Appointments retrieved successfully
  */
-router.get('/', asyncHandler(appointmentController.getAppointments));
+router.get('/',
+  [
+    query('status').optional().isIn(APPOINTMENT_STATUSES).withMessage('Invalid status filter'),
+    query('type').optional().isIn(APPOINTMENT_TYPES).withMessage('Invalid type filter'),
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('upcoming').optional().isBoolean().withMessage('upcoming must be true or false')
+  ],
+  asyncHandler(appointmentController.getAppointments)
+);
+
+/**
+ * @swagger
+ * /api/v1/appointments/{id}:
+ *   get:
+ *     summary: Get a single appointment
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Appointment retrieved successfully
+ *       404:
+ *         description: Appointment not found
+ */
+router.get('/:id', [idParam], asyncHandler(appointmentController.getAppointment));
 
 /**
  * @swagger
  * /api/v1/appointments/{id}:
  *   put:
  *     summary: Update appointment status
+ *     description: >
+ *       Reschedule (scheduledAt/durationMinutes/type, re-validated for overlap
+ *       and gestational week), edit details, or record the outcome as
+ *       attended/missed once the visit time has passed. Setting status back to
+ *       scheduled re-runs the same checks, so only a future, free slot can be
+ *       reopened.
  *     tags: [Appointments]
  *     security:
  *       - bearerAuth: []
@@ -53,7 +168,128 @@ router.get('/', asyncHandler(appointmentController.getAppointments));
  *     responses:
  *       200:
  *         description: Appointment updated successfully
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Overlaps another appointment, or the appointment is cancelled
+ */
+router.put('/:id',
+  [
+    idParam,
+    body('type').optional().isIn(APPOINTMENT_TYPES).withMessage(`type must be one of: ${APPOINTMENT_TYPES.join(', ')}`),
+    body('scheduledAt').optional().isISO8601().withMessage('scheduledAt must be an ISO 8601 date-time'),
+    body('status').optional().isIn(['scheduled', 'attended', 'missed']).withMessage('status must be scheduled, attended or missed'),
+    ...detailValidators
+  ],
+  asyncHandler(appointmentController.updateAppointment)
+);
+
+/**
+ * @swagger
+ * /api/v1/appointments/{id}/cancel:
+ *   post:
+ *     summary: Cancel an appointment
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Appointment cancelled
+ *       409:
+ *         description: Appointment is not in a cancellable state
+ */
+router.post('/:id/cancel',
+  [
+    idParam,
+    body('reason').optional().isLength({ max: 255 }).withMessage('Reason must be at most 255 characters')
+  ],
+  asyncHandler(appointmentController.cancelAppointment)
+);
+
+/**
+ * @swagger
+ * /api/v1/appointments/{id}/accept:
+ *   post:
+ *     summary: Accept a suggested ANC visit
+ *     description: >
+ *       Turns a suggested antenatal contact (generated from the EDD using the
+ *       WHO eight-contact model) into a scheduled appointment. The time and
+ *       place can be adjusted; the usual overlap checks apply.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               scheduledAt:
+ *                 type: string
+ *                 format: date-time
+ *               durationMinutes:
+ *                 type: integer
+ *               location:
+ *                 type: string
+ *               providerName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Visit scheduled
+ *       409:
+ *         description: Not a suggested visit, or overlaps another appointment
+ */
+router.post('/:id/accept',
+  [
+    idParam,
+    body('scheduledAt').optional().isISO8601().withMessage('scheduledAt must be an ISO 8601 date-time'),
+    body('durationMinutes').optional().isInt({ min: 5, max: 480 }).withMessage('durationMinutes must be between 5 and 480').toInt(),
+    body('location').optional({ nullable: true }).isLength({ max: 255 }).withMessage('Location must be at most 255 characters'),
+    body('providerName').optional({ nullable: true }).isLength({ max: 150 }).withMessage('Provider name must be at most 150 characters')
+  ],
+  asyncHandler(appointmentController.acceptSuggestion)
+);
+
+/**
+ * @swagger
+ * /api/v1/appointments/{id}/dismiss:
+ *   post:
+ *     summary: Dismiss a suggested ANC visit
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Suggestion dismissed; it will not be generated again
+ *       409:
+ *         description: Not a suggested visit
  */
-router.put('/:id', asyncHandler(appointmentController.updateAppointment));
+router.post('/:id/dismiss', [idParam], asyncHandler(appointmentController.dismissSuggestion));
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -1,10 +1,10 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const authController = require('../controllers/authController');
 const { asyncHandler } = require('../middleware/errorHandler');
 const auth = require('../middleware/auth');
-const emailService = require('../services/emailService');
-const logger = require('../utils/logger');
+const { OTP_CHANNELS } = require('../services/otpDeliveryService');
+const { SUPPORTED_PROVIDERS } = require('../services/oidcService');
 
 const router = express.Router();
 
@@ -264,6 +264,8 @@ router.post('/signup', [
  *         description: Invalid or expired OTP
  *       404:
  *         description: User not found
+ *       429:
+ *         description: Too many incorrect codes for this account or IP; locked out temporarily (see Retry-After)
  */
 router.post('/verify-otp', [
   body('email').isEmail().normalizeEmail(),
@@ -275,7 +277,10 @@ router.post('/verify-otp', [
  * /api/v1/auth/resend-otp:
  *   post:
  *     summary: Resend OTP
- *     description: Resends a new 6-digit OTP to user's email and phone number
+ *     description: |
+ *       Resends a new 6-digit OTP. By default it goes to the user's email and, by SMS, to their phone number.
+ *       Pass `channel` to use a single channel instead. Codes sent to a phone number are throttled per number
+ *       (a short cooldown between codes and a cap per hour).
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -290,6 +295,11 @@ router.post('/verify-otp', [
  *                 type: string
  *                 format: email
  *                 example: "yellow@gmail.com"
+ *               channel:
+ *                 type: string
+ *                 enum: [email, sms, whatsapp]
+ *                 description: Deliver the code only on this channel
+ *                 example: "whatsapp"
  *     responses:
  *       200:
  *         description: OTP resent successfully
@@ -297,9 +307,12 @@ router.post('/verify-otp', [
  *         description: Invalid email or user already verified
  *       404:
  *         description: User not found
+ *       429:
+ *         description: Too many codes sent to this phone number (see Retry-After)
  */
 router.post('/resend-otp', [
-  body('email').isEmail().normalizeEmail()
+  body('email').isEmail().normalizeEmail().withMessage('Invalid email address'),
+  body('channel').optional().isIn(OTP_CHANNELS).withMessage(`channel must be one of: ${OTP_CHANNELS.join(', ')}`)
 ], asyncHandler(authController.resendOTP));
 
 /**
@@ -323,6 +336,12 @@ router.post('/resend-otp', [
  *                 format: email
  *               password:
  *                 type: string
+ *               deviceId:
+ *                 type: string
+ *                 description: Stable device identifier (or X-Device-Id header); signing in again from the same device replaces its previous session
+ *               deviceName:
+ *                 type: string
+ *                 description: Human-readable device name (or X-Device-Name header)
  *     responses:
  *       200:
  *         description: Login successful
@@ -336,6 +355,59 @@ router.post('/login', [
   body('password').notEmpty()
 ], asyncHandler(authController.login));
 
+/**
+ * @swagger
+ * /api/v1/auth/oauth/{provider}:
+ *   post:
+ *     summary: Sign in with Google or Apple
+ *     description: |
+ *       Exchange an OpenID Connect ID token from the provider's native sign-in for an Imagomum session.
+ *       A known provider account signs in as its linked user; otherwise the account with the same
+ *       provider-verified email is linked, or a new account is created. No OTP step is needed, and new
+ *       users start onboarding as usual. Send `X-Device-Id` / `X-Device-Name` as for login.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, apple]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - idToken
+ *             properties:
+ *               idToken:
+ *                 type: string
+ *                 description: ID token (JWT) returned by the provider's SDK
+ *               nonce:
+ *                 type: string
+ *                 description: Raw nonce used for the sign-in request, if any
+ *               fullName:
+ *                 type: string
+ *                 description: Name from the provider SDK (Apple only shares it on first sign-in)
+ *     responses:
+ *       200:
+ *         description: Signed in to an existing (possibly newly linked) account
+ *       201:
+ *         description: New account created; onboarding not started
+ *       401:
+ *         description: Invalid ID token, or the provider did not verify the email
+ *       503:
+ *         description: Provider not configured or temporarily unreachable
+ */
+router.post('/oauth/:provider', [
+  param('provider').isIn(SUPPORTED_PROVIDERS).withMessage(`provider must be one of: ${SUPPORTED_PROVIDERS.join(', ')}`),
+  body('idToken').isString().notEmpty().withMessage('idToken is required'),
+  body('nonce').optional().isString().withMessage('nonce must be a string'),
+  body('fullName').optional().isString().isLength({ max: 100 }).withMessage('fullName must be at most 100 characters')
+], asyncHandler(authController.socialLogin));
+
 /**
  * @swagger
  * /api/v1/auth/refresh:
@@ -355,9 +427,13 @@ router.post('/login', [
  *                 type: string
  *     responses:
  *       200:
- *         description: Token refreshed successfully
+ *         description: >
+ *           New access token and a NEW refresh token. Refresh tokens rotate on
+ *           every use; the old one stops working.
  *       401:
- *         description: Invalid refresh token
+ *         description: >
+ *           Invalid, expired or revoked refresh token. Re-using an already
+ *           rotated token revokes the whole session.
  */
 router.post('/refresh', [
   body('refreshToken').notEmpty()
@@ -368,9 +444,19 @@ router.post('/refresh', [
  * /api/v1/auth/logout:
  *   post:
  *     summary: Logout user
+ *     description: Revokes the current device's session and its refresh tokens.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Only needed for access tokens issued before sessions existed
  *     responses:
  *       200:
  *         description: Logout successful
@@ -447,6 +533,8 @@ router.post('/forgot-password', [
  *         description: Validation error
  *       401:
  *         description: Invalid or expired reset code
+ *       429:
+ *         description: Too many incorrect codes for this account or IP; locked out temporarily (see Retry-After)
  */
 router.post('/reset-password', [
   body('email').isEmail().normalizeEmail(),
@@ -458,153 +546,4 @@ router.post('/reset-password', [
     .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character')
 ], asyncHandler(authController.resetPassword));
 
-/**
- * @swagger
- * /api/v1/auth/test-email:
- *   post:
- *     summary: Test email service
- *     description: Send a test email to verify email service configuration
- *     tags: [Authentication]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *                 example: test@example.com
- *     responses:
- *       200:
- *         description: Email test completed
- *       400:
- *         description: Invalid request
- *       500:
- *         description: Server error
- */
-router.post('/test-email', [
-  body('email').isEmail().withMessage('Valid email is required')
-], asyncHandler(async (req, res) => {
-  try {
-    const { email } = req.body;
-    
-    logger.info('Testing email service via auth route', { email });
-
-    // Send test OTP
-    const testOTP = '123456';
-    const result = await emailService.sendOTP(email, testOTP, 'Test User');
-    
-    // Check email service configuration
-    const isConfigured = emailService.isConfigured();
-    
-    res.status(200).json({
-      status: 'success',
-      message: 'Email test completed',
-      data: {
-        email,
-        emailServiceConfigured: isConfigured,
-        emailSent: result.success,
-        messageId: result.messageId || null,
-        error: result.error || null,
-        mock: result.mock || false,
-        fallback: result.fallback || false,
-        accepted: result.accepted || null,
-        environment: {
-          NODE_ENV: process.env.NODE_ENV,
-          hasEmailUser: !!process.env.EMAIL_USER,
-          hasEmailPassword: !!process.env.EMAIL_PASSWORD,
-          emailUser: process.env.EMAIL_USER ? process.env.EMAIL_USER.substring(0, 5) + '***' : 'undefined'
-        }
-      }
-    });
-
-  } catch (error) {
-    logger.error('Email test error:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Email test failed',
-      error: error.message
-    });
-  }
-}));
-
-/**
- * @swagger
- * /api/v1/auth/debug-user:
- *   post:
- *     summary: Debug user existence
- *     description: Check if user exists with given email (for debugging)
- *     tags: [Authentication]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *     responses:
- *       200:
- *         description: Debug info returned
- */
-router.post('/debug-user', [
-  body('email').isEmail().withMessage('Valid email is required')
-], asyncHandler(async (req, res) => {
-  try {
-    const { email } = req.body;
-    const User = require('../models/User');
-    
-    // Check if user exists with exact email
-    const exactUser = await User.findOne({ where: { email } });
-    
-    // Check all users with similar emails (for debugging)
-    const similarUsers = await User.findAll({
-      where: {
-        email: {
-          [require('sequelize').Op.like]: `%${email.split('@')[0]}%`
-        }
-      },
-      attributes: ['id', 'email', 'fullName', 'createdAt']
-    });
-    
-    res.status(200).json({
-      status: 'success',
-      message: 'Debug info retrieved',
-      data: {
-        searchEmail: email,
-        exactUserExists: !!exactUser,
-        exactUser: exactUser ? {
-          id: exactUser.id,
-          email: exactUser.email,
-          fullName: exactUser.fullName,
-          createdAt: exactUser.createdAt
-        } : null,
-        similarUsers: similarUsers.map(user => ({
-          id: user.id,
-          email: user.email,
-          fullName: user.fullName,
-          createdAt: user.createdAt
-        })),
-        totalSimilarUsers: similarUsers.length
-      }
-    });
-
-  } catch (error) {
-    logger.error('Debug user error:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Debug failed',
-      error: error.message
-    });
-  }
-}));
-
 module.exports = router; 
\ No newline at end of file
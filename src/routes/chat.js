@@ -15,6 +15,7 @@ const validate = (req, res, next) => {
 };
 
 const chatController = require('../controllers/chatController');
+const { SEARCH_SORTS, MESSAGE_TYPES } = require('../services/chatSearchService');
 
 const router = express.Router();
 
@@ -70,6 +71,12 @@ const router = express.Router();
  *           type: boolean
  *         streamingComplete:
  *           type: boolean
+ *         metadata:
+ *           type: object
+ *           description: |
+ *             For assistant messages: mode ('grounded' or 'external'); for grounded answers,
+ *             citations [{n, documentTitle, pageFrom, pageTo, section, docUrl}] matching the
+ *             [n] markers in content; groundedFallback when grounding was tried and failed
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -105,6 +112,12 @@ const router = express.Router();
  * /api/v1/chat/audio/connect:
  *   get:
  *     summary: Upgrade to WebSocket for audio chat
+ *     description: |
+ *       The socket itself is served at /api/v1/chat/audio. Send `{ "action": "start", "language": "yo" }`
+ *       (en, yo, ha or ig; defaults to the user's languagePreference), then 16 kHz 16-bit mono PCM.
+ *       The server replies with interim_transcript / final_transcript messages and speaks the answer
+ *       as 24 kHz PCM between tts_start and tts_end. Talking over the reply, or `{ "action": "barge_in" }`,
+ *       stops it with tts_cancelled.
  *     tags: [Chat]
  *     security:
  *       - bearerAuth: []
@@ -294,6 +307,122 @@ router.get('/conversations',
   chatController.getConversations
 );
 
+/**
+ * @swagger
+ * /api/v1/chat/search:
+ *   get:
+ *     summary: Search the user's chat history
+ *     description: |
+ *       Full-text search over the user's own chat messages. Each result carries its
+ *       conversation's title and an HTML-escaped snippet with the matching words in <mark> tags.
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *         description: Words to search for
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only messages sent at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only messages sent at or before this time
+ *       - in: query
+ *         name: conversationId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only search one conversation
+ *       - in: query
+ *         name: messageType
+ *         schema:
+ *           type: string
+ *           enum: [user, assistant]
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, recent]
+ *           default: relevance
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Search results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           conversationId:
+ *                             type: string
+ *                           threadId:
+ *                             type: string
+ *                           conversationTitle:
+ *                             type: string
+ *                           messageType:
+ *                             type: string
+ *                           contentType:
+ *                             type: string
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                           snippet:
+ *                             type: string
+ *                             example: "Is <mark>paracetamol</mark> safe for a headache in pregnancy?"
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Missing query or invalid filters
+ */
+router.get('/search',
+  authenticate,
+  [
+    query('q').trim().isLength({ min: 1, max: 200 }).withMessage('q must be between 1 and 200 characters'),
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('conversationId').optional().isUUID().withMessage('Invalid conversation ID'),
+    query('messageType').optional().isIn(MESSAGE_TYPES).withMessage('messageType must be user or assistant'),
+    query('sort').optional().isIn(SEARCH_SORTS).withMessage('sort must be relevance or recent'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  validate,
+  chatController.searchMessages
+);
+
 /**
  * @swagger
  * /api/v1/chat/conversations/{conversationId}/messages:
@@ -388,6 +517,18 @@ router.get('/conversations/:conversationId/messages',
  *               imagePath:
  *                 type: string
  *                 description: Path to uploaded image (optional)
+ *               mode:
+ *                 type: string
+ *                 enum: [grounded, external]
+ *                 description: |
+ *                   grounded answers from the reviewed knowledge base with citations, falling back to
+ *                   the external chat service when it can't; defaults to CHAT_ANSWER_MODE (external).
+ *                   Messages with an image always go to the external service.
+ *                   Messages reporting a pregnancy danger sign skip both and get a fixed urgent-care
+ *                   reply (aiResponse.data.urgent, aiMessage.metadata.mode = triage).
+ *                   Messages in Yoruba, Hausa or Igbo are translated to English for the AI, and the
+ *                   reply comes back in the user's languagePreference (both versions are kept in
+ *                   metadata.translation).
  *     responses:
  *       200:
  *         description: Message sent successfully
@@ -417,7 +558,8 @@ router.post('/message',
     body('threadId').optional().isString().withMessage('Thread ID must be a string'),
     body('conversationId').optional().isUUID().withMessage('Invalid conversation ID'),
     body('message').notEmpty().withMessage('Message is required'),
-    body('imagePath').optional().isString().withMessage('Image path must be a string')
+    body('imagePath').optional().isString().withMessage('Image path must be a string'),
+    body('mode').optional().isIn(['grounded', 'external']).withMessage('Mode must be grounded or external')
   ],
   validate,
   chatController.sendMessage
@@ -462,7 +604,10 @@ router.post('/message',
  *           text/event-stream:
  *             schema:
  *               type: string
- *               description: SSE stream with JSON chunks
+ *               description: |
+ *                 SSE stream with JSON chunks. A message reporting a pregnancy danger sign gets the
+ *                 fixed urgent-care reply as a single chunk with urgent: true, and complete carries urgent: true.
+ *                 A reply in Yoruba, Hausa or Igbo is translated whole and also sent as a single chunk.
  */
 router.post('/stream',
   authenticate,
@@ -1,5 +1,5 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const controller = require('../controllers/cmsAdminController');
 const { asyncHandler } = require('../middleware/errorHandler');
 const auth = require('../middleware/auth');
@@ -34,14 +34,14 @@ router.use(auth);
  *           schema:
  *             type: object
  *             properties:
- *               cmsRole: { type: string, enum: [editor, reviewer, publisher, admin], nullable: true }
+ *               cmsRole: { type: string, enum: [editor, reviewer, publisher, admin, clinician], nullable: true }
  *               cmsCredentials: { type: string }
  *     responses: { 200: { description: Role updated } }
  */
 router.get('/staff', requireCmsRole('admin'), asyncHandler(controller.listStaff));
 router.patch('/users/:id/role',
   requireCmsRole('admin'),
-  [body('cmsRole').optional({ nullable: true }).isIn(['editor', 'reviewer', 'publisher', 'admin']).withMessage('invalid cmsRole')],
+  [body('cmsRole').optional({ nullable: true }).isIn(['editor', 'reviewer', 'publisher', 'admin', 'clinician']).withMessage('invalid cmsRole')],
   asyncHandler(controller.setRole));
 
 /**
@@ -64,4 +64,190 @@ router.patch('/users/:id/role',
 router.get('/delivery/status', requireCmsRole('admin', 'publisher'), asyncHandler(controller.deliveryStatus));
 router.post('/delivery/run', requireCmsRole('admin'), asyncHandler(controller.runDelivery));
 
+/**
+ * @swagger
+ * /api/v1/cms-admin/reminders/status:
+ *   get:
+ *     tags: [CMS - Admin]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: Monitor the appointment reminder scheduler (admin)
+ *     description: Scheduler state + reminder counts by kind (sent/failed) + appointment counts by status.
+ *     responses: { 200: { description: Scheduler status } }
+ * /api/v1/cms-admin/reminders/run:
+ *   post:
+ *     tags: [CMS - Admin]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: Manually trigger an appointment reminder run (admin)
+ *     description: Runs the (idempotent) 48h/2h/missed-visit reminder batch now. Returns the run result.
+ *     responses: { 200: { description: Run result } }
+ */
+router.get('/reminders/status', requireCmsRole('admin'), asyncHandler(controller.reminderStatus));
+router.post('/reminders/run', requireCmsRole('admin'), asyncHandler(controller.runReminders));
+
+/**
+ * @swagger
+ * /api/v1/cms-admin/account-purge/status:
+ *   get:
+ *     tags: [CMS - Admin]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: Monitor the account purge scheduler (admin)
+ *     description: Scheduler state + how many accounts are pending deletion and how many are past their grace period.
+ *     responses: { 200: { description: Scheduler status } }
+ * /api/v1/cms-admin/account-purge/run:
+ *   post:
+ *     tags: [CMS - Admin]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: Manually trigger an account purge run (admin)
+ *     description: Purges accounts whose deletion grace period has ended, now. Audit-logged.
+ *     responses: { 200: { description: Run result } }
+ */
+router.get('/account-purge/status', requireCmsRole('admin'), asyncHandler(controller.accountPurgeStatus));
+router.post('/account-purge/run', requireCmsRole('admin'), asyncHandler(controller.runAccountPurge));
+
+/**
+ * @swagger
+ * /api/v1/cms-admin/scan-retention/report:
+ *   get:
+ *     tags: [CMS - Admin]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: Scan retention dry run (admin)
+ *     description: Retention windows per policy, scheduler state (and the expired-upload purge scheduler's), and how many scans (with a sample) the next run would archive and purge. Changes nothing.
+ *     responses: { 200: { description: Retention report } }
+ * /api/v1/cms-admin/scan-retention/run:
+ *   post:
+ *     tags: [CMS - Admin]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: Manually trigger a scan retention run (admin)
+ *     description: Purges (local file + Azure blob + row) and archives scans past their retention window now. Each purge is audit-logged.
+ *     responses: { 200: { description: Run result } }
+ */
+router.get('/scan-retention/report', requireCmsRole('admin'), asyncHandler(controller.scanRetentionReport));
+router.post('/scan-retention/run', requireCmsRole('admin'), asyncHandler(controller.runScanRetention));
+
+/**
+ * @swagger
+ * /api/v1/cms-admin/scan-escalations/status:
+ *   get:
+ *     tags: [CMS - Admin]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: Scan escalation re-alert scheduler status (admin)
+ *     description: Scheduler state plus counts of open and acknowledged escalations.
+ *     responses: { 200: { description: Scheduler status } }
+ * /api/v1/cms-admin/scan-escalations/run:
+ *   post:
+ *     tags: [CMS - Admin]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: Manually trigger a scan escalation re-alert run (admin)
+ *     description: Re-alerts clinicians about every open escalation not acknowledged within the timeout, now.
+ *     responses: { 200: { description: Run result } }
+ */
+router.get('/scan-escalations/status', requireCmsRole('admin'), asyncHandler(controller.scanEscalationStatus));
+router.post('/scan-escalations/run', requireCmsRole('admin'), asyncHandler(controller.runScanEscalations));
+
+/**
+ * @swagger
+ * /api/v1/cms-admin/analysis-jobs/status:
+ *   get:
+ *     tags: [CMS - Admin]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: Ultrasound AI analysis queue status (admin)
+ *     description: Worker state, job counts per status (queued, processing, completed, dead) and the most recent dead-lettered jobs.
+ *     responses: { 200: { description: Queue status } }
+ * /api/v1/cms-admin/analysis-jobs/run:
+ *   post:
+ *     tags: [CMS - Admin]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: Manually trigger an analysis worker run (admin)
+ *     responses: { 200: { description: Run result } }
+ * /api/v1/cms-admin/scans/{scanId}/reanalyze:
+ *   post:
+ *     tags: [CMS - Admin]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: Re-run AI analysis on a scan (admin)
+ *     description: Queues a fresh analysis job, e.g. for a scan whose job was dead-lettered. Audit-logged.
+ *     parameters: [{ in: path, name: scanId, required: true, schema: { type: string, format: uuid } }]
+ *     responses: { 202: { description: Queued }, 404: { description: Scan not found }, 409: { description: Analysis already queued or running } }
+ */
+router.get('/analysis-jobs/status', requireCmsRole('admin'), asyncHandler(controller.analysisQueueStatus));
+router.post('/analysis-jobs/run', requireCmsRole('admin'), asyncHandler(controller.runAnalysisJobs));
+router.post('/scans/:scanId/reanalyze', requireCmsRole('admin'),
+  [param('scanId').isUUID().withMessage('Invalid scan ID')],
+  asyncHandler(controller.reanalyzeScan));
+
+/**
+ * @swagger
+ * /api/v1/cms-admin/diagnostics:
+ *   get:
+ *     tags: [CMS - Admin]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: Platform diagnostics (admin)
+ *     description: Database, email transport, storage, SMS provider and AI service status. Each use is audit-logged.
+ *     responses: { 200: { description: Diagnostics snapshot } }
+ * /api/v1/cms-admin/diagnostics/email:
+ *   post:
+ *     tags: [CMS - Admin]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: Send a test email (admin)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email: { type: string, format: email }
+ *               testType: { type: string, enum: [otp, welcome], default: otp }
+ *     responses: { 200: { description: Test result } }
+ * /api/v1/cms-admin/diagnostics/user-lookup:
+ *   post:
+ *     tags: [CMS - Admin]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: Check whether an account exists for an exact email (admin)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email: { type: string, format: email }
+ *     responses: { 200: { description: Lookup result } }
+ * /api/v1/cms-admin/audit-log:
+ *   get:
+ *     tags: [CMS - Admin]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: Recent admin actions (admin)
+ *     parameters:
+ *       - { in: query, name: action, schema: { type: string }, description: Action name or prefix, e.g. diagnostics }
+ *       - { in: query, name: actorId, schema: { type: string, format: uuid } }
+ *       - { in: query, name: targetType, schema: { type: string } }
+ *       - { in: query, name: targetId, schema: { type: string } }
+ *       - { in: query, name: before, schema: { type: string, format: date-time } }
+ *       - { in: query, name: limit, schema: { type: integer, default: 50, maximum: 200 } }
+ *     responses:
+ *       200: { description: Audit entries, newest first }
+ *       400: { description: Invalid actorId or before }
+ */
+router.get('/diagnostics', requireCmsRole('admin'), asyncHandler(controller.diagnostics));
+router.post('/diagnostics/email',
+  requireCmsRole('admin'),
+  [
+    body('email').isEmail().withMessage('Valid email is required').normalizeEmail(),
+    body('testType').optional().isIn(['otp', 'welcome']).withMessage('testType must be "otp" or "welcome"')
+  ],
+  asyncHandler(controller.diagnosticsEmail));
+router.post('/diagnostics/user-lookup',
+  requireCmsRole('admin'),
+  [body('email').isEmail().withMessage('Valid email is required')],
+  asyncHandler(controller.diagnosticsUserLookup));
+router.get('/audit-log',
+  requireCmsRole('admin'),
+  [
+    query('actorId').optional().isUUID().withMessage('actorId must be a UUID'),
+    query('before').optional().isISO8601().withMessage('before must be an ISO 8601 date-time')
+  ],
+  asyncHandler(controller.auditLog));
+
 module.exports = router;
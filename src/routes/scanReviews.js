@@ -0,0 +1,162 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const controller = require('../controllers/scanReviewController');
+const { REVIEW_OUTCOMES, RISK_LEVELS } = require('../services/scanReviewService');
+const { ESCALATION_STATUSES } = require('../services/scanEscalationService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const auth = require('../middleware/auth');
+const { requireCmsRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Clinicians review scans; admins can see the queue and release stuck claims.
+router.use(auth, requireCmsRole('clinician', 'admin'));
+
+const scanIdParam = param('scanId').isUUID().withMessage('Invalid scan ID');
+
+/**
+ * @swagger
+ * /api/v1/scan-reviews:
+ *   get:
+ *     tags: [Scan Reviews]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: Clinician review queue (clinician, admin)
+ *     description: Scans with a finished or failed AI analysis awaiting review, highest AI risk level first, then oldest first. Each entry shows who (if anyone) currently holds the claim.
+ *     parameters:
+ *       - { in: query, name: riskLevel, schema: { type: string, enum: [high, medium, low] } }
+ *       - { in: query, name: mine, schema: { type: boolean }, description: Only scans I have claimed }
+ *       - { in: query, name: page, schema: { type: integer, default: 1 } }
+ *       - { in: query, name: limit, schema: { type: integer, default: 20, maximum: 100 } }
+ *     responses: { 200: { description: Review queue } }
+ */
+router.get('/',
+  [
+    query('riskLevel').optional().isIn(RISK_LEVELS).withMessage(`riskLevel must be one of: ${RISK_LEVELS.join(', ')}`),
+    query('mine').optional().isIn(['true', 'false']).withMessage('mine must be true or false'),
+    query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+  ],
+  asyncHandler(controller.getQueue));
+
+// Escalations and on-call come before /:scanId so they aren't read as scan IDs.
+
+/**
+ * @swagger
+ * /api/v1/scan-reviews/escalations:
+ *   get:
+ *     tags: [Scan Reviews]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: High-risk scan escalations (clinician, admin)
+ *     description: Scans escalated because their AI analysis came back high risk, oldest first. Open and acknowledged by default; `overdue` marks open ones past the acknowledgement timeout.
+ *     parameters:
+ *       - { in: query, name: status, schema: { type: string, enum: [open, acknowledged, resolved] } }
+ *       - { in: query, name: page, schema: { type: integer, default: 1 } }
+ *       - { in: query, name: limit, schema: { type: integer, default: 20, maximum: 100 } }
+ *     responses: { 200: { description: Escalations } }
+ * /api/v1/scan-reviews/escalations/{escalationId}/acknowledge:
+ *   post:
+ *     tags: [Scan Reviews]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: Acknowledge an escalation (clinician, admin)
+ *     description: Stops the re-alerts. The escalation is resolved when the scan's review is submitted.
+ *     parameters: [{ in: path, name: escalationId, required: true, schema: { type: string, format: uuid } }]
+ *     responses: { 200: { description: Acknowledged }, 404: { description: Not found }, 409: { description: Already acknowledged } }
+ * /api/v1/scan-reviews/on-call:
+ *   put:
+ *     tags: [Scan Reviews]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: Go on or off call for escalation alerts (clinician, admin)
+ *     description: If no clinician is on call, alerts go to every clinician.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [onCall]
+ *             properties:
+ *               onCall: { type: boolean }
+ *     responses: { 200: { description: Updated } }
+ */
+router.get('/escalations',
+  [
+    query('status').optional().isIn(ESCALATION_STATUSES).withMessage(`status must be one of: ${ESCALATION_STATUSES.join(', ')}`),
+    query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+  ],
+  asyncHandler(controller.getEscalations));
+router.post('/escalations/:escalationId/acknowledge',
+  [param('escalationId').isUUID().withMessage('Invalid escalation ID')],
+  asyncHandler(controller.acknowledgeEscalation));
+router.put('/on-call',
+  [body('onCall').isBoolean().withMessage('onCall must be true or false').toBoolean()],
+  asyncHandler(controller.setOnCall));
+
+/**
+ * @swagger
+ * /api/v1/scan-reviews/{scanId}:
+ *   get:
+ *     tags: [Scan Reviews]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: Scan detail for review, with the full AI analysis (clinician, admin)
+ *     parameters: [{ in: path, name: scanId, required: true, schema: { type: string, format: uuid } }]
+ *     responses: { 200: { description: Scan detail }, 404: { description: Not found } }
+ * /api/v1/scan-reviews/{scanId}/file:
+ *   get:
+ *     tags: [Scan Reviews]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: The scan image (clinician, admin)
+ *     description: Streams the stored file, or redirects to its cloud URL.
+ *     parameters: [{ in: path, name: scanId, required: true, schema: { type: string, format: uuid } }]
+ *     responses: { 200: { description: Image }, 302: { description: Redirect to cloud storage }, 404: { description: Not found } }
+ */
+router.get('/:scanId', [scanIdParam], asyncHandler(controller.getScan));
+router.get('/:scanId/file', [scanIdParam], asyncHandler(controller.getScanFile));
+
+/**
+ * @swagger
+ * /api/v1/scan-reviews/{scanId}/claim:
+ *   post:
+ *     tags: [Scan Reviews]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: Claim a scan for review (clinician, admin)
+ *     description: Reserves the scan for REVIEW_CLAIM_MINUTES (default 30). Claiming again renews it.
+ *     parameters: [{ in: path, name: scanId, required: true, schema: { type: string, format: uuid } }]
+ *     responses: { 200: { description: Claimed }, 409: { description: Claimed by another clinician, or already reviewed } }
+ * /api/v1/scan-reviews/{scanId}/release:
+ *   post:
+ *     tags: [Scan Reviews]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: Return a claimed scan to the queue (claimant, or admin)
+ *     parameters: [{ in: path, name: scanId, required: true, schema: { type: string, format: uuid } }]
+ *     responses: { 200: { description: Released }, 403: { description: Claimed by someone else } }
+ * /api/v1/scan-reviews/{scanId}/review:
+ *   post:
+ *     tags: [Scan Reviews]
+ *     security: [{ bearerAuth: [] }]
+ *     summary: Submit a review (claimant)
+ *     description: Records the outcome and notes on the scan and notifies the mother. The notes are shown to her.
+ *     parameters: [{ in: path, name: scanId, required: true, schema: { type: string, format: uuid } }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [outcome, notes]
+ *             properties:
+ *               outcome: { type: string, enum: [normal, reviewed, requires_attention] }
+ *               notes: { type: string, maxLength: 5000 }
+ *     responses: { 200: { description: Review recorded }, 409: { description: No live claim, or already reviewed } }
+ */
+router.post('/:scanId/claim', [scanIdParam], asyncHandler(controller.claim));
+router.post('/:scanId/release', [scanIdParam], asyncHandler(controller.release));
+router.post('/:scanId/review',
+  [
+    scanIdParam,
+    body('outcome').isIn(REVIEW_OUTCOMES).withMessage(`outcome must be one of: ${REVIEW_OUTCOMES.join(', ')}`),
+    body('notes').isString().trim().isLength({ min: 1, max: 5000 }).withMessage('notes are required (max 5000 characters)')
+  ],
+  asyncHandler(controller.submit));
+
+module.exports = router;
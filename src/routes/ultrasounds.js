@@ -3,9 +3,24 @@ const { body, param, query } = require('express-validator');
 const auth = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const ultrasoundController = require('../controllers/ultrasoundController');
+const { MEASURES } = require('../utils/fetalGrowthReference');
+const { TUS_VERSION, MAX_CHUNK_BYTES } = require('../services/scanUploadService');
 
 const router = express.Router();
 
+// tus clients name the protocol version they speak; we only speak 1.0.0.
+const tusVersion = (req, res, next) => {
+  const requested = req.get('Tus-Resumable');
+  if (requested && requested !== TUS_VERSION) {
+    res.set('Tus-Version', TUS_VERSION);
+    return res.status(412).json({
+      status: 'fail',
+      message: `Unsupported Tus-Resumable version. Supported: ${TUS_VERSION}`
+    });
+  }
+  next();
+};
+
 /**
  * @swagger
  * components:
@@ -87,7 +102,14 @@ const router = express.Router();
  *               notes:
  *                 type: string
  *                 description: Optional notes about the scan
+ *               force:
+ *                 type: boolean
+ *                 description: Upload even if this scan was uploaded before
  *     responses:
+ *       200:
+ *         description: |
+ *           The same or a near-identical scan was already uploaded. Returns that scan and its
+ *           AI analysis, with data.duplicate.match 'exact' or 'near'; nothing new is stored.
  *       201:
  *         description: Scan uploaded successfully
  *         content:
@@ -107,8 +129,6 @@ const router = express.Router();
  *                       $ref: '#/components/schemas/UltrasoundScan'
  *       400:
  *         description: Invalid file or missing required fields
- *       409:
- *         description: Duplicate scan (same file already uploaded)
  *       413:
  *         description: File too large (max 50MB)
  *       415:
@@ -158,11 +178,184 @@ router.post('/upload',
       .withMessage('Invalid scan type. Use: 2D, 3D, 4D, Doppler, or Other'),
     body('gestationalAge').optional().isLength({ min: 1, max: 50 }).withMessage('Gestational age must be 1-50 characters'),
     body('scanDate').optional().isISO8601().withMessage('Invalid scan date format'),
-    body('notes').optional().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters')
+    body('notes').optional().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters'),
+    body('force').optional().isBoolean().withMessage('force must be true or false')
   ],
   asyncHandler(ultrasoundController.uploadScan)
 );
 
+/**
+ * @swagger
+ * /api/v1/ultrasounds/uploads:
+ *   post:
+ *     summary: Start a resumable ultrasound upload
+ *     description: |
+ *       tus 1.0 core protocol (https://tus.io). Declare the file size, then send the file in
+ *       chunks with PATCH to the returned Location. After a dropped connection, HEAD the
+ *       upload to find out how much arrived and carry on from there. Unfinished uploads
+ *       expire after 24 hours. The file is checked and stripped of identifying metadata
+ *       exactly as with /ultrasounds/upload.
+ *     tags: [Ultrasounds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Upload-Length
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           maximum: 52428800
+ *         description: Total file size in bytes (max 50MB)
+ *       - in: header
+ *         name: Upload-Metadata
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Comma-separated "key base64(value)" pairs. Keys: filename, scanType, gestationalAge,
+ *           scanDate, notes, force (same rules as /ultrasounds/upload)
+ *       - in: header
+ *         name: Tus-Resumable
+ *         schema:
+ *           type: string
+ *           example: 1.0.0
+ *     responses:
+ *       201:
+ *         description: Upload created; its URL is in the Location header
+ *       400:
+ *         description: Missing or invalid Upload-Length or metadata
+ *       412:
+ *         description: Unsupported Tus-Resumable version
+ *       429:
+ *         description: Too many uploads in progress
+ */
+router.post('/uploads',
+  auth,
+  tusVersion,
+  asyncHandler(ultrasoundController.createUpload)
+);
+
+/**
+ * @swagger
+ * /api/v1/ultrasounds/uploads/{uploadId}:
+ *   head:
+ *     summary: How much of a resumable upload has arrived
+ *     tags: [Ultrasounds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: |
+ *           Upload-Offset and Upload-Length headers; Scan-Id once the upload has become a scan
+ *       404:
+ *         description: Upload not found or expired
+ *   patch:
+ *     summary: Send the next chunk of a resumable upload
+ *     description: |
+ *       Upload-Offset must equal the current offset (from HEAD). Chunks are at most 8MB.
+ *       Non-image content is rejected as soon as the first bytes arrive.
+ *     tags: [Ultrasounds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: header
+ *         name: Upload-Offset
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/offset+octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Last chunk received, but the scan was already uploaded; as for /ultrasounds/upload
+ *       201:
+ *         description: Last chunk received; the scan is created and queued for AI analysis
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     scan:
+ *                       $ref: '#/components/schemas/UltrasoundScan'
+ *       204:
+ *         description: Chunk stored; the new offset is in Upload-Offset
+ *       404:
+ *         description: Upload not found or expired
+ *       409:
+ *         description: Upload-Offset does not match the upload
+ *       413:
+ *         description: Chunk larger than 8MB
+ *       415:
+ *         description: Wrong Content-Type, or the file is not a supported image
+ *   delete:
+ *     summary: Cancel a resumable upload
+ *     tags: [Ultrasounds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Upload cancelled and its data deleted
+ *       404:
+ *         description: Upload not found or expired
+ */
+router.head('/uploads/:uploadId',
+  auth,
+  tusVersion,
+  [
+    param('uploadId').isUUID().withMessage('Invalid upload ID format')
+  ],
+  asyncHandler(ultrasoundController.getUploadOffset)
+);
+
+router.patch('/uploads/:uploadId',
+  auth,
+  tusVersion,
+  express.raw({ type: 'application/offset+octet-stream', limit: MAX_CHUNK_BYTES }),
+  [
+    param('uploadId').isUUID().withMessage('Invalid upload ID format')
+  ],
+  asyncHandler(ultrasoundController.uploadChunk)
+);
+
+router.delete('/uploads/:uploadId',
+  auth,
+  tusVersion,
+  [
+    param('uploadId').isUUID().withMessage('Invalid upload ID format')
+  ],
+  asyncHandler(ultrasoundController.cancelUpload)
+);
+
 /**
  * @swagger
  * /api/v1/ultrasounds:
@@ -199,6 +392,12 @@ router.post('/upload',
  *           type: string
  *           enum: ['2D', '3D', '4D', 'Doppler', 'Other']
  *         description: Filter by scan type
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Set to false to leave out scans the user deleted or that retention archived
  *     responses:
  *       200:
  *         description: List of user's ultrasound scans
@@ -237,11 +436,103 @@ router.get('/',
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
     query('status').optional().isIn(['pending', 'processing', 'completed', 'failed', 'error']).withMessage('Invalid status'),
-    query('scanType').optional().isIn(['2D', '3D', '4D', 'Doppler', 'Other']).withMessage('Invalid scan type')
+    query('scanType').optional().isIn(['2D', '3D', '4D', 'Doppler', 'Other']).withMessage('Invalid scan type'),
+    query('includeArchived').optional().isIn(['true', 'false']).withMessage('includeArchived must be true or false')
   ],
   asyncHandler(ultrasoundController.getUserScans)
 );
 
+/**
+ * @swagger
+ * /api/v1/ultrasounds/events:
+ *   get:
+ *     summary: Stream AI analysis status for the user's scans (Server-Sent Events)
+ *     description: |
+ *       Opens with a `snapshot` event listing the scans still being analysed (or the one
+ *       scan asked for), then sends `queued`, `processing`, `completed` and `failed` events
+ *       as analysis progresses. Each event is a `data:` line of JSON with `type`, `scanId`
+ *       and the scan summary. Fetch `GET /ultrasounds/{scanId}` for the result after
+ *       `completed`. Comment lines are sent periodically to keep the connection open.
+ *     tags: [Ultrasounds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: scanId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only stream events for this scan
+ *     responses:
+ *       200:
+ *         description: Streaming response (Server-Sent Events)
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               description: SSE stream with JSON events
+ *       404:
+ *         description: Scan not found
+ */
+router.get('/events',
+  auth,
+  [
+    query('scanId').optional().isUUID().withMessage('Invalid scan ID format')
+  ],
+  asyncHandler(ultrasoundController.streamScanStatus)
+);
+
+/**
+ * @swagger
+ * /api/v1/ultrasounds/growth:
+ *   get:
+ *     summary: Fetal growth chart from the user's scans
+ *     description: |
+ *       Biometric measurements (BPD, HC, AC, FL in mm; EFW in g; AFI in cm) parsed from each
+ *       scan's AI report, with the gestational age on the scan date, plotted against reference
+ *       centiles bundled with the app: INTERGROWTH-21st for BPD, HC, AC and FL, Hadlock for
+ *       EFW, and the fixed 5-24 cm range for AFI. `flags` lists every measurement below the
+ *       10th or above the 90th centile. Measurements without a known gestational age have no band.
+ *     tags: [Ultrasounds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: measure
+ *         schema:
+ *           type: string
+ *           enum: [bpd, hc, ac, fl, efw, afi]
+ *         description: Only this measure
+ *     responses:
+ *       200:
+ *         description: Growth chart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     measures:
+ *                       type: object
+ *                       description: Per measure - unit, referenceSource, points (value, gestationalAge, band, percentile) and the reference curve (week, p10, p50, p90)
+ *                     flags:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ */
+router.get('/growth',
+  auth,
+  [
+    query('measure').optional().isIn(MEASURES).withMessage(`measure must be one of: ${MEASURES.join(', ')}`)
+  ],
+  asyncHandler(ultrasoundController.getGrowthChart)
+);
+
 /**
  * @swagger
  * /api/v1/ultrasounds/{scanId}:
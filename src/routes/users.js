@@ -1,5 +1,5 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const userController = require('../controllers/userController');
 const { asyncHandler } = require('../middleware/errorHandler');
 const auth = require('../middleware/auth');
@@ -100,4 +100,323 @@ router.put('/change-password',
   asyncHandler(userController.changePassword)
 );
 
+/**
+ * @swagger
+ * /api/v1/users/sessions:
+ *   get:
+ *     summary: List the devices currently signed in to this account
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently seen first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     lastLoginAt:
+ *                       type: string
+ *                       format: date-time
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                             format: uuid
+ *                           deviceId:
+ *                             type: string
+ *                           deviceName:
+ *                             type: string
+ *                           userAgent:
+ *                             type: string
+ *                           ipAddress:
+ *                             type: string
+ *                           lastSeenAt:
+ *                             type: string
+ *                             format: date-time
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                           current:
+ *                             type: boolean
+ *                             description: True for the session making this request
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', asyncHandler(userController.listSessions));
+
+/**
+ * @swagger
+ * /api/v1/users/sessions/sign-out-all:
+ *   post:
+ *     summary: Sign out everywhere
+ *     description: Revokes every active session for this account. Pass keepCurrent to stay signed in on this device.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               keepCurrent:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/sessions/sign-out-all',
+  [
+    body('keepCurrent')
+      .optional()
+      .isBoolean()
+      .withMessage('keepCurrent must be a boolean')
+      .toBoolean()
+  ],
+  asyncHandler(userController.signOutEverywhere)
+);
+
+/**
+ * @swagger
+ * /api/v1/users/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one session (sign a device out)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id',
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Invalid session ID')
+  ],
+  asyncHandler(userController.revokeSession)
+);
+
+/**
+ * @swagger
+ * /api/v1/users/me/export:
+ *   get:
+ *     summary: Download all personal data
+ *     description: |
+ *       Returns a JSON document with the profile, onboarding answers, chat
+ *       conversations and messages, ultrasound scans (images embedded as
+ *       base64), weekly deliveries, appointments, active sessions and linked
+ *       sign-in providers. Sent as a file download.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeFiles
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Set to false to list scans without their image data
+ *     responses:
+ *       200:
+ *         description: Export document
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me/export',
+  [
+    query('includeFiles')
+      .optional()
+      .isBoolean()
+      .withMessage('includeFiles must be a boolean')
+      .toBoolean()
+  ],
+  asyncHandler(userController.exportData)
+);
+
+/**
+ * @swagger
+ * /api/v1/users/me:
+ *   delete:
+ *     summary: Delete account
+ *     description: |
+ *       Schedules the account for permanent deletion after a grace period
+ *       (30 days by default) and signs out every device. Signing in and calling
+ *       /users/me/deletion/cancel before then keeps the account. Afterwards the
+ *       account, its scans, chat history and uploaded files are erased.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Current password (accounts with a password)
+ *               confirm:
+ *                 type: string
+ *                 enum: [DELETE]
+ *                 description: Required instead of a password for Google / Apple accounts
+ *     responses:
+ *       200:
+ *         description: Deletion scheduled
+ *       400:
+ *         description: Wrong password or missing confirmation
+ *       403:
+ *         description: CMS staff accounts cannot delete themselves
+ *       409:
+ *         description: Deletion already scheduled
+ */
+router.delete('/me',
+  [
+    body('password')
+      .optional()
+      .isString()
+      .withMessage('Password must be a string'),
+    body('confirm')
+      .optional()
+      .isString()
+      .withMessage('confirm must be a string')
+  ],
+  asyncHandler(userController.deleteAccount)
+);
+
+/**
+ * @swagger
+ * /api/v1/users/me/deletion/cancel:
+ *   post:
+ *     summary: Cancel a scheduled account deletion
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deletion cancelled
+ *       400:
+ *         description: No deletion is scheduled
+ */
+router.post('/me/deletion/cancel', asyncHandler(userController.cancelAccountDeletion));
+
+/**
+ * @swagger
+ * /api/v1/users/me/dating:
+ *   get:
+ *     summary: Pregnancy dating
+ *     description: |
+ *       The current due date and whether it comes from the last menstrual
+ *       period (LMP) or a confirmed ultrasound, any redating proposal waiting
+ *       for the mother's decision, and every comparison of a scan's
+ *       gestational age with the LMP estimate.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Dating summary
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me/dating', asyncHandler(userController.getPregnancyDating));
+
+/**
+ * @swagger
+ * /api/v1/users/me/dating/{datingId}/confirm:
+ *   post:
+ *     summary: Accept an ultrasound due date
+ *     description: |
+ *       Replaces the due date with the one proposed from an ultrasound scan.
+ *       Gestational age, the ANC schedule, weekly content and chat context
+ *       follow the new date.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: datingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Due date updated
+ *       404:
+ *         description: Proposal not found
+ *       409:
+ *         description: Proposal already decided or replaced by a newer one
+ */
+router.post('/me/dating/:datingId/confirm',
+  [
+    param('datingId')
+      .isUUID()
+      .withMessage('Invalid dating ID')
+  ],
+  asyncHandler(userController.confirmRedating)
+);
+
+/**
+ * @swagger
+ * /api/v1/users/me/dating/{datingId}/decline:
+ *   post:
+ *     summary: Keep the LMP due date
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: datingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Proposal declined
+ *       404:
+ *         description: Proposal not found
+ *       409:
+ *         description: Proposal already decided or replaced by a newer one
+ */
+router.post('/me/dating/:datingId/decline',
+  [
+    param('datingId')
+      .isUUID()
+      .withMessage('Invalid dating ID')
+  ],
+  asyncHandler(userController.declineRedating)
+);
+
 module.exports = router; 
\ No newline at end of file
@@ -7,6 +7,12 @@ const { initAssociations } = require('./models/associations');
 const azureStorageService = require('./services/azureStorageService');
 const audioWebSocketService = require('./services/audioWebSocketService');
 const { initDeliveryScheduler, closeDeliveryScheduler } = require('./services/deliveryScheduler');
+const { initAppointmentReminderScheduler, closeAppointmentReminderScheduler } = require('./services/appointmentReminderScheduler');
+const { initAccountPurgeScheduler, closeAccountPurgeScheduler } = require('./services/accountPurgeScheduler');
+const { initScanRetentionScheduler, closeScanRetentionScheduler } = require('./services/scanRetentionScheduler');
+const { initScanEscalationScheduler, closeScanEscalationScheduler } = require('./services/scanEscalationScheduler');
+const { initAnalysisWorker, closeAnalysisWorker } = require('./services/analysisWorker');
+const { initScanUploadPurgeScheduler, closeScanUploadPurgeScheduler } = require('./services/scanUploadPurgeScheduler');
 const logger = require('./utils/logger');
 
 const PORT = process.env.PORT || 8080;
@@ -48,6 +54,48 @@ async function startServer() {
       logger.error('⚠️ Delivery scheduler init failed (continuing):', schedErr.message);
     }
 
+    // Appointment reminders (48h / 2h / missed follow-up). No-op unless enabled.
+    try {
+      initAppointmentReminderScheduler();
+    } catch (schedErr) {
+      logger.error('⚠️ Appointment reminder scheduler init failed (continuing):', schedErr.message);
+    }
+
+    // Nightly purge of accounts past their deletion grace period. No-op unless enabled.
+    try {
+      initAccountPurgeScheduler();
+    } catch (schedErr) {
+      logger.error('⚠️ Account purge scheduler init failed (continuing):', schedErr.message);
+    }
+
+    // Nightly scan retention (archive / purge by retentionPolicy). No-op unless enabled.
+    try {
+      initScanRetentionScheduler();
+    } catch (schedErr) {
+      logger.error('⚠️ Scan retention scheduler init failed (continuing):', schedErr.message);
+    }
+
+    // Re-alerts for unacknowledged high-risk scan escalations. No-op unless enabled.
+    try {
+      initScanEscalationScheduler();
+    } catch (schedErr) {
+      logger.error('⚠️ Scan escalation scheduler init failed (continuing):', schedErr.message);
+    }
+
+    // Ultrasound AI analysis queue worker; requeues orphaned scans first. On unless ANALYSIS_WORKER=disabled.
+    try {
+      initAnalysisWorker();
+    } catch (schedErr) {
+      logger.error('⚠️ Analysis worker init failed (continuing):', schedErr.message);
+    }
+
+    // Removes expired unfinished scan uploads. On unless SCAN_UPLOAD_PURGE_SCHEDULER=disabled.
+    try {
+      initScanUploadPurgeScheduler();
+    } catch (schedErr) {
+      logger.error('⚠️ Scan upload purge scheduler init failed (continuing):', schedErr.message);
+    }
+
     // Initialize Azure Storage
     logger.info('☁️ Initializing Azure Storage...');
     if (azureStorageService.isConfigured()) {
@@ -93,6 +141,12 @@ async function gracefulShutdown(signal) {
       
       try {
         await closeDeliveryScheduler();
+        closeAppointmentReminderScheduler();
+        closeAccountPurgeScheduler();
+        closeScanRetentionScheduler();
+        closeScanEscalationScheduler();
+        closeAnalysisWorker();
+        closeScanUploadPurgeScheduler();
         if (sequelize) {
           await sequelize.close();
           logger.info('Database connections closed');
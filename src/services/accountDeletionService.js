@@ -0,0 +1,250 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { getModels } = require('../models/associations');
+const ChatMessage = require('../models/ChatMessage');
+const UltrasoundScan = require('../models/UltrasoundScan');
+const azureStorageService = require('./azureStorageService');
+const tokenService = require('./tokenService');
+const { recordAdminAction } = require('./auditService');
+const { partialPath } = require('./scanUploadService');
+const logger = require('../utils/logger');
+
+/**
+ * Self-service account deletion (NDPA / GDPR right to erasure).
+ *
+ * A request schedules the purge for the end of a grace period
+ * (ACCOUNT_DELETION_GRACE_DAYS, default 30) and signs the user out
+ * everywhere. Signing back in and cancelling keeps the account.
+ *
+ * Once due, the purge job deletes the user's files first (ultrasound scan
+ * blobs and local copies, chat attachments) and then hard-deletes the user;
+ * every per-user table cascades from users. If any file cannot be deleted the
+ * user is left in place and retried on the next run, so no file outlives the
+ * row that lets us find it.
+ */
+
+const { User, OtpDelivery, OtpAttempt, ScanUpload } = getModels();
+
+const GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+const PURGE_BATCH_SIZE = 50;
+
+const CHAT_UPLOAD_DIR = path.join(__dirname, '../../uploads/chat');
+
+/** When an account deleted at `requestedAt` is purged. Pure. */
+function computeDeletionDate(requestedAt, graceDays = GRACE_DAYS) {
+  return new Date(requestedAt.getTime() + graceDays * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Where a chat attachment reference points: a blob in our container, a file
+ * in the chat upload directory, or null for anything else (other hosts or
+ * containers, paths elsewhere on disk), which is never deleted. Pure.
+ *
+ * @param {string} ref - ChatMessage.attachmentUrl / attachmentPath
+ * @param {object} options
+ * @param {string|null} options.containerUrl - e.g. https://<account>.blob.core.windows.net/<container>
+ * @returns {{ type: 'blob', blobName: string }|{ type: 'local', path: string }|null}
+ */
+function resolveAttachmentTarget(ref, { containerUrl, uploadDir = CHAT_UPLOAD_DIR } = {}) {
+  if (!ref || typeof ref !== 'string') return null;
+
+  if (/^https?:\/\//i.test(ref)) {
+    if (!containerUrl) return null;
+    let url;
+    let container;
+    try {
+      url = new URL(ref);
+      container = new URL(containerUrl);
+    } catch (error) {
+      return null;
+    }
+    const prefix = `${container.pathname.replace(/\/$/, '')}/`;
+    if (url.origin !== container.origin || !url.pathname.startsWith(prefix) || url.pathname.length === prefix.length) {
+      return null;
+    }
+    return { type: 'blob', blobName: decodeURIComponent(url.pathname.slice(prefix.length)) };
+  }
+
+  const resolved = path.resolve(uploadDir, ref);
+  if (!resolved.startsWith(path.resolve(uploadDir) + path.sep)) return null;
+  return { type: 'local', path: resolved };
+}
+
+/**
+ * Schedule `user` for deletion and sign them out everywhere.
+ * @returns {Promise<Date>} when the account will be purged
+ */
+async function requestDeletion(user, { now = new Date() } = {}) {
+  const scheduledFor = computeDeletionDate(now);
+  await user.update({ deletionRequestedAt: now, deletionScheduledFor: scheduledFor });
+  await tokenService.revokeAllSessions(user.id, 'account_deletion');
+  logger.logSecurityEvent('ACCOUNT_DELETION_REQUESTED', { userId: user.id, scheduledFor: scheduledFor.toISOString() });
+  return scheduledFor;
+}
+
+async function cancelDeletion(user) {
+  await user.update({ deletionRequestedAt: null, deletionScheduledFor: null });
+  logger.logSecurityEvent('ACCOUNT_DELETION_CANCELLED', { userId: user.id });
+}
+
+async function unlinkIfPresent(filePath) {
+  try {
+    await fs.unlink(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+/**
+ * Every file belonging to the user, as deletion targets. Chat attachment
+ * references come from the client, so one that another user's message also
+ * points at is left alone rather than deleted on their behalf.
+ */
+async function collectFileTargets(userId) {
+  const targets = [];
+
+  const scans = await UltrasoundScan.findAll({
+    where: { userId },
+    paranoid: false,
+    attributes: ['id', 'filePath', 'cloudBlobName', 'originalFilePath', 'originalBlobName']
+  });
+  for (const scan of scans) {
+    // DICOM uploads also keep the de-identified original
+    for (const blobName of [scan.cloudBlobName, scan.originalBlobName]) {
+      if (blobName) targets.push({ kind: 'scan', id: scan.id, type: 'blob', blobName });
+    }
+    for (const filePath of [scan.filePath, scan.originalFilePath]) {
+      if (filePath) targets.push({ kind: 'scan', id: scan.id, type: 'local', path: filePath });
+    }
+  }
+
+  // Unfinished resumable uploads still hold the file as sent, metadata and
+  // all; their rows go with the user, so the files must be deleted here.
+  const uploads = await ScanUpload.findAll({ where: { userId, status: 'uploading' }, attributes: ['id'] });
+  for (const upload of uploads) {
+    targets.push({ kind: 'scan_upload', id: upload.id, type: 'local', path: partialPath(upload.id) });
+  }
+
+  const messages = await ChatMessage.findAll({
+    where: {
+      userId,
+      [Op.or]: [{ attachmentUrl: { [Op.ne]: null } }, { attachmentPath: { [Op.ne]: null } }]
+    },
+    paranoid: false,
+    attributes: ['id', 'attachmentUrl', 'attachmentPath']
+  });
+  const containerUrl = azureStorageService.isConfigured() ? azureStorageService.containerClient.url : null;
+  const seen = new Set();
+  for (const message of messages) {
+    for (const ref of new Set([message.attachmentUrl, message.attachmentPath])) {
+      const target = resolveAttachmentTarget(ref, { containerUrl });
+      if (!target || seen.has(ref)) continue;
+      seen.add(ref);
+
+      const sharedWithOthers = await ChatMessage.count({
+        where: {
+          userId: { [Op.ne]: userId },
+          [Op.or]: [{ attachmentUrl: ref }, { attachmentPath: ref }]
+        },
+        paranoid: false
+      });
+      if (sharedWithOthers === 0) targets.push({ kind: 'chat_attachment', id: message.id, ...target });
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Delete the user's files and, if all of them are gone, the user.
+ * @returns {Promise<{ purged: boolean, blobsDeleted: number, localFilesDeleted: number, failures: Array }>}
+ */
+async function purgeUser(user) {
+  const targets = await collectFileTargets(user.id);
+  const outcome = { purged: false, blobsDeleted: 0, localFilesDeleted: 0, failures: [] };
+
+  for (const target of targets) {
+    try {
+      if (target.type === 'blob') {
+        const result = await azureStorageService.deleteFile(target.blobName);
+        if (!result.success) throw new Error(result.error);
+        outcome.blobsDeleted += 1;
+      } else if (await unlinkIfPresent(target.path)) {
+        outcome.localFilesDeleted += 1;
+      }
+    } catch (error) {
+      outcome.failures.push({ kind: target.kind, id: target.id, type: target.type, error: error.message });
+    }
+  }
+
+  if (outcome.failures.length > 0) {
+    logger.error('Account purge deferred: files could not be deleted', { userId: user.id, failures: outcome.failures });
+    return outcome;
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    // These keep the phone number / IP after the user is gone (SET NULL), so
+    // remove them explicitly.
+    await OtpDelivery.destroy({ where: { userId: user.id }, transaction });
+    await OtpAttempt.destroy({ where: { userId: user.id }, transaction });
+    await user.destroy({ force: true, transaction });
+  });
+  outcome.purged = true;
+
+  logger.logSecurityEvent('ACCOUNT_PURGED', { userId: user.id, blobsDeleted: outcome.blobsDeleted, localFilesDeleted: outcome.localFilesDeleted });
+  return outcome;
+}
+
+/**
+ * Purge every account whose grace period has ended. Each purge is audited
+ * (without personal data: the user id and file counts only).
+ *
+ * @returns {Promise<{ due: number, purged: number, deferred: number, errors: number }>}
+ */
+async function purgeDueAccounts({ now = new Date(), limit = PURGE_BATCH_SIZE } = {}) {
+  const due = await User.findAll({
+    where: { deletionScheduledFor: { [Op.lte]: now } },
+    paranoid: false,
+    order: [['deletionScheduledFor', 'ASC']],
+    limit
+  });
+
+  const summary = { due: due.length, purged: 0, deferred: 0, errors: 0 };
+  for (const user of due) {
+    try {
+      const outcome = await purgeUser(user);
+      summary[outcome.purged ? 'purged' : 'deferred'] += 1;
+      await recordAdminAction({
+        action: outcome.purged ? 'account.purge' : 'account.purge_deferred',
+        targetType: 'user',
+        targetId: user.id,
+        metadata: {
+          requestedAt: user.deletionRequestedAt,
+          blobsDeleted: outcome.blobsDeleted,
+          localFilesDeleted: outcome.localFilesDeleted,
+          failures: outcome.failures.length
+        }
+      });
+    } catch (error) {
+      summary.errors += 1;
+      logger.error('Account purge failed', { userId: user.id, error: error.message });
+    }
+  }
+
+  logger.logSystemEvent('ACCOUNT_PURGE_RUN', summary);
+  return summary;
+}
+
+module.exports = {
+  GRACE_DAYS,
+  computeDeletionDate,
+  resolveAttachmentTarget,
+  requestDeletion,
+  cancelDeletion,
+  purgeUser,
+  purgeDueAccounts
+};
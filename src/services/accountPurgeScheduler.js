@@ -0,0 +1,26 @@
+const { purgeDueAccounts } = require('./accountDeletionService');
+const { createCronJob } = require('./cronJob');
+
+/**
+ * Account purge scheduler — in-process node-cron (see cronJob).
+ *
+ * Once a night, hard-deletes accounts whose deletion grace period has ended
+ * (see accountDeletionService). A purge that cannot delete every file is
+ * deferred, so the next run simply picks it up again.
+ *
+ * Gated behind ACCOUNT_PURGE_SCHEDULER=enabled.
+ */
+
+const job = createCronJob({
+  name: 'account purge scheduler',
+  envFlag: 'ACCOUNT_PURGE_SCHEDULER',
+  schedule: process.env.ACCOUNT_PURGE_CRON || '30 2 * * *',
+  run: () => purgeDueAccounts({ now: new Date() })
+});
+
+module.exports = {
+  initAccountPurgeScheduler: job.init,
+  triggerPurgeRun: job.trigger,
+  getPurgeSchedulerStatus: job.status,
+  closeAccountPurgeScheduler: job.close
+};
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { computeGestationalWeek } = require('./personalizationService');
 const logger = require('../utils/logger');
 
 class AIContextService {
@@ -126,7 +127,9 @@ class AIContextService {
    */
   buildContextFromUser(user, additionalData = {}) {
     const contextData = {
-      current_week: user.gestationalWeeks || 0,
+      // From the EDD (which may be ultrasound-confirmed) rather than the week
+      // stored at onboarding, which goes stale.
+      current_week: user.edd ? computeGestationalWeek(user.edd) : (user.gestationalWeeks || 0),
       age: additionalData.age || 0,
       first_pregnancy: additionalData.first_pregnancy !== false,
       high_risk_conditions: additionalData.high_risk_conditions || [],
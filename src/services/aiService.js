@@ -1,6 +1,7 @@
 const axios = require('axios');
 const fs = require('fs');
 const logger = require('../utils/logger');
+const { parseBiometrics, parseGestationalAge, formatGestationalAge } = require('../utils/fetalBiometry');
 
 class AIService {
   constructor() {
@@ -350,34 +351,18 @@ class AIService {
    */
   extractMeasurementsFromText(analysisText) {
     if (!analysisText) return null;
-    
+
+    // Normalised units (mm, g, AFI in cm); see utils/fetalBiometry
     const measurements = {};
-    const text = analysisText.toLowerCase();
-    
-    // Common ultrasound measurements with regex patterns
-    const measurementPatterns = {
-      'bpd': /bpd[:\s]*(\d+\.?\d*)\s*(mm|cm)/i,
-      'hc': /hc[:\s]*(\d+\.?\d*)\s*(mm|cm)/i,
-      'ac': /ac[:\s]*(\d+\.?\d*)\s*(mm|cm)/i,
-      'fl': /fl[:\s]*(\d+\.?\d*)\s*(mm|cm)/i,
-      'efw': /efw[:\s]*(\d+\.?\d*)\s*(g|grams)/i,
-      'afi': /afi[:\s]*(\d+\.?\d*)\s*(cm)/i,
-      'gestational_age': /(\d+)\s*weeks?\s*(\d+)?\s*days?/i
-    };
-    
-    Object.entries(measurementPatterns).forEach(([key, pattern]) => {
-      const match = text.match(pattern);
-      if (match) {
-        if (key === 'gestational_age') {
-          const weeks = match[1];
-          const days = match[2] || 0;
-          measurements[key] = `${weeks}w ${days}d`;
-        } else {
-          measurements[key] = `${match[1]} ${match[2]}`;
-        }
-      }
-    });
-    
+    for (const { measure, value, unit } of parseBiometrics(analysisText)) {
+      measurements[measure] = `${value} ${unit}`;
+    }
+
+    const gestationalDays = parseGestationalAge(analysisText);
+    if (gestationalDays !== null) {
+      measurements.gestational_age = formatGestationalAge(gestationalDays);
+    }
+
     return Object.keys(measurements).length > 0 ? measurements : null;
   }
 
@@ -0,0 +1,322 @@
+const os = require('os');
+const { Op, literal, UniqueConstraintError } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { getModels } = require('../models/associations');
+const aiService = require('./aiService');
+const { escalateIfHighRisk } = require('./scanEscalationService');
+const { publishScanStatus } = require('./scanStatusEvents');
+const { recordScanBiometrics } = require('./fetalGrowthService');
+const { evaluateScanDating } = require('./pregnancyDatingService');
+const { recordAdminAction } = require('./auditService');
+const { NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Ultrasound AI analysis queue, backed by the analysis_jobs table so a
+ * restart mid-analysis loses nothing.
+ *
+ * Uploading a scan queues a job; the analysis worker claims jobs with
+ * FOR UPDATE SKIP LOCKED, so several app instances can share the queue. A
+ * claim hides the job for ANALYSIS_JOB_VISIBILITY_SECONDS (default 600);
+ * if the worker dies, the job becomes claimable again once that passes.
+ *
+ * A failed attempt is retried with exponential backoff (ANALYSIS_JOB_BACKOFF_SECONDS,
+ * default 30, doubling, capped at an hour) up to ANALYSIS_JOB_MAX_ATTEMPTS
+ * (default 5). Errors the AI service marks non-retryable, and jobs out of
+ * attempts, go to 'dead' and the scan is marked failed; an admin can re-run it.
+ */
+
+const { UltrasoundScan, AnalysisJob } = getModels();
+
+const MAX_ATTEMPTS = parseInt(process.env.ANALYSIS_JOB_MAX_ATTEMPTS, 10) || 5;
+const VISIBILITY_TIMEOUT_MS = (parseInt(process.env.ANALYSIS_JOB_VISIBILITY_SECONDS, 10) || 600) * 1000;
+const BACKOFF_BASE_MS = (parseInt(process.env.ANALYSIS_JOB_BACKOFF_SECONDS, 10) || 30) * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const ACTIVE_STATUSES = ['queued', 'processing'];
+const DEAD_SAMPLE_SIZE = 20;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`.slice(0, 100);
+
+/** Delay before the retry that follows attempt number `attempts` (1-based). Pure. */
+function retryDelayMs(attempts, { base = BACKOFF_BASE_MS, max = BACKOFF_MAX_MS } = {}) {
+  return Math.min(base * 2 ** Math.max(attempts - 1, 0), max);
+}
+
+/** Whether a job that just failed with `error` gets another attempt. Pure. */
+function shouldRetry(job, error) {
+  return error.isRetryable !== false && job.attempts < job.maxAttempts;
+}
+
+/** The scan's live (queued or processing) job, if any. */
+async function findActiveJob(scanId, options = {}) {
+  return AnalysisJob.findOne({ where: { scanId, status: { [Op.in]: ACTIVE_STATUSES } }, ...options });
+}
+
+/**
+ * Queue analysis of a scan. A scan with a live job keeps it rather than
+ * getting a second one.
+ *
+ * @param {string} scanId
+ * @param {object} [options]
+ * @param {string} [options.requestedBy] - admin re-running the analysis
+ * @returns {Promise<{ job: object, created: boolean }>}
+ */
+async function enqueueAnalysis(scanId, { requestedBy = null, now = new Date(), transaction } = {}) {
+  const existing = await findActiveJob(scanId, { transaction });
+  if (existing) return { job: existing, created: false };
+
+  try {
+    const job = await AnalysisJob.create(
+      { scanId, requestedBy, maxAttempts: MAX_ATTEMPTS, runAt: now },
+      { transaction }
+    );
+    return { job, created: true };
+  } catch (error) {
+    // Lost a race with another enqueue for the same scan.
+    if (error instanceof UniqueConstraintError) {
+      return { job: await findActiveJob(scanId, { transaction }), created: false };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Claim the next runnable job: a queued job that is due, or a processing job
+ * whose claim has expired. Returns null when there is nothing to do.
+ */
+async function claimNextJob({ now = new Date() } = {}) {
+  const [rows] = await sequelize.query(
+    `UPDATE analysis_jobs
+        SET status = 'processing', attempts = attempts + 1,
+            locked_until = :lockedUntil, locked_by = :worker, updated_at = :now
+      WHERE id = (
+        SELECT id FROM analysis_jobs
+         WHERE (status = 'queued' AND run_at <= :now)
+            OR (status = 'processing' AND locked_until <= :now AND attempts < max_attempts)
+         ORDER BY run_at ASC
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED)
+      RETURNING id`,
+    {
+      replacements: { now, lockedUntil: new Date(now.getTime() + VISIBILITY_TIMEOUT_MS), worker: WORKER_ID },
+      logging: false
+    }
+  );
+  return rows.length > 0 ? AnalysisJob.findByPk(rows[0].id) : null;
+}
+
+/**
+ * Update a job we hold the claim on. False if the claim was lost (it expired
+ * and another worker took the job), in which case nothing is written.
+ */
+async function settleJob(job, values) {
+  const [updated] = await AnalysisJob.update(values, {
+    where: { id: job.id, status: 'processing', attempts: job.attempts }
+  });
+  if (updated === 0) {
+    logger.warn('Analysis job: claim lost before the result was recorded', { jobId: job.id, scanId: job.scanId });
+  }
+  return updated > 0;
+}
+
+async function markScanFailed(scanId, error) {
+  await UltrasoundScan.update(
+    {
+      aiAnalysisStatus: 'failed',
+      aiErrorMessage: error.message,
+      aiRiskLevel: aiService.assessRiskLevelNew({ success: false }), // no AI read: a clinician should look
+      aiProcessingCompletedAt: new Date()
+    },
+    { where: { id: scanId } }
+  );
+  const scan = await UltrasoundScan.findByPk(scanId);
+  if (scan) publishScanStatus(scan);
+
+  logger.logSystemEvent('AI_ANALYSIS_FAILED', {
+    scanId,
+    error: error.message,
+    isRetryable: error.isRetryable || false
+  });
+}
+
+/** Run the AI analysis for a scan and store the result. Throws if the AI call fails. */
+async function analyzeScan(scan) {
+  logger.info('Starting AI analysis for scan', { scanId: scan.id });
+
+  await scan.update({ aiAnalysisStatus: 'processing', aiProcessingStartedAt: new Date() });
+  publishScanStatus(scan);
+
+  // Send the cloud URL if the upload reached Azure, else the local path
+  const aiResult = await aiService.analyzeUltrasound(scan.cloudUrl || scan.filePath, {
+    userId: scan.userId,
+    gestationalAge: scan.gestationalAge,
+    scanType: scan.scanType,
+    scanDate: scan.scanDate
+  });
+
+  await scan.update({
+    aiAnalysisStatus: 'completed',
+    aiAnalysisResult: aiResult.rawResponse,
+    aiConfidenceScore: aiResult.confidenceScore,
+    aiFindings: aiResult.findings,
+    aiRecommendations: aiResult.recommendations,
+    aiProcessingTime: aiResult.processingTime,
+    aiModelVersion: aiResult.analysisId || 'unknown', // Use analysis_id as model version
+    aiRiskLevel: aiResult.riskLevel, // orders the clinician review queue
+    aiErrorMessage: null,
+    aiProcessingCompletedAt: new Date()
+  });
+  await recordScanBiometrics(scan); // growth chart points (see fetalGrowthService)
+  await evaluateScanDating(scan); // LMP vs ultrasound EDD (see pregnancyDatingService)
+  publishScanStatus(scan);
+
+  logger.logSystemEvent('AI_ANALYSIS_COMPLETED', {
+    scanId: scan.id,
+    processingTime: aiResult.processingTime,
+    confidenceScore: aiResult.confidenceScore,
+    riskLevel: aiResult.riskLevel
+  });
+
+  // High risk: flag for review, alert on-call clinicians, guide the mother.
+  await escalateIfHighRisk(scan.id, aiResult);
+}
+
+/**
+ * Process a claimed job: analyse, then complete, schedule a retry, or
+ * dead-letter it.
+ *
+ * @returns {Promise<'completed'|'retry'|'dead'|'lost'>}
+ */
+async function processJob(job, { now = new Date() } = {}) {
+  const scan = await UltrasoundScan.findByPk(job.scanId);
+  if (!scan) {
+    await settleJob(job, { status: 'dead', lastError: 'Scan no longer exists', lockedUntil: null });
+    return 'dead';
+  }
+
+  try {
+    await analyzeScan(scan);
+  } catch (error) {
+    logger.error('AI analysis failed for scan', { scanId: scan.id, jobId: job.id, attempt: job.attempts, error: error.message });
+
+    if (shouldRetry(job, error)) {
+      const runAt = new Date(now.getTime() + retryDelayMs(job.attempts));
+      if (!await settleJob(job, { status: 'queued', runAt, lockedUntil: null, lockedBy: null, lastError: error.message })) return 'lost';
+      await scan.update({ aiAnalysisStatus: 'pending', aiErrorMessage: error.message });
+      publishScanStatus(scan);
+      logger.logSystemEvent('AI_ANALYSIS_RETRY_SCHEDULED', { scanId: scan.id, jobId: job.id, attempt: job.attempts, runAt: runAt.toISOString() });
+      return 'retry';
+    }
+
+    if (!await settleJob(job, { status: 'dead', lockedUntil: null, lastError: error.message })) return 'lost';
+    await markScanFailed(scan.id, error);
+    return 'dead';
+  }
+
+  if (!await settleJob(job, { status: 'completed', completedAt: new Date(), lockedUntil: null, lastError: null })) return 'lost';
+  return 'completed';
+}
+
+/**
+ * Dead-letter jobs whose final attempt's claim expired (the worker died or
+ * hung), since they will not be claimed again.
+ */
+async function reapExpiredJobs({ now = new Date() } = {}) {
+  const expired = await AnalysisJob.findAll({
+    where: {
+      status: 'processing',
+      lockedUntil: { [Op.lte]: now },
+      attempts: { [Op.gte]: literal('max_attempts') }
+    }
+  });
+
+  for (const job of expired) {
+    const error = new Error('Analysis timed out on its final attempt');
+    if (await settleJob(job, { status: 'dead', lockedUntil: null, lastError: error.message })) {
+      await markScanFailed(job.scanId, error);
+    }
+  }
+  return expired.length;
+}
+
+/**
+ * Requeue scans left 'pending' or 'processing' with no live job: those whose
+ * analysis was cut off by a restart before this queue existed, or whose job
+ * was lost. Run at startup.
+ *
+ * @returns {Promise<number>} scans requeued
+ */
+async function sweepOrphanedScans({ now = new Date() } = {}) {
+  const orphans = await UltrasoundScan.findAll({
+    where: {
+      aiAnalysisStatus: { [Op.in]: ['pending', 'processing'] },
+      [Op.and]: literal(`NOT EXISTS (
+        SELECT 1 FROM analysis_jobs j
+         WHERE j.scan_id = "UltrasoundScan"."id" AND j.status IN ('queued', 'processing'))`)
+    },
+    attributes: ['id', 'aiAnalysisStatus']
+  });
+
+  let requeued = 0;
+  for (const scan of orphans) {
+    const { created } = await enqueueAnalysis(scan.id, { now });
+    if (scan.aiAnalysisStatus === 'processing') await scan.update({ aiAnalysisStatus: 'pending' });
+    if (created) requeued += 1;
+  }
+
+  if (orphans.length > 0) {
+    logger.logSystemEvent('AI_ANALYSIS_ORPHANS_REQUEUED', { found: orphans.length, requeued });
+  }
+  return requeued;
+}
+
+/**
+ * Re-run analysis on a scan (admin).
+ *
+ * @throws {NotFoundError|ConflictError}
+ */
+async function requeueAnalysis(admin, scanId, { req = null, now = new Date() } = {}) {
+  const scan = await UltrasoundScan.findByPk(scanId);
+  if (!scan) throw new NotFoundError('Ultrasound scan not found');
+
+  const { job, created } = await enqueueAnalysis(scan.id, { requestedBy: admin.id, now });
+  if (!created) {
+    throw new ConflictError('Analysis is already queued or running for this scan');
+  }
+
+  await recordAdminAction({
+    req,
+    actor: admin,
+    action: 'scan.reanalyze',
+    targetType: 'ultrasound_scan',
+    targetId: scan.id,
+    metadata: { jobId: job.id, previousStatus: scan.aiAnalysisStatus }
+  });
+  return job;
+}
+
+/** Job counts per status, plus the most recent dead jobs. */
+async function getQueueStats() {
+  const [counts, dead] = await Promise.all([
+    AnalysisJob.count({ group: ['status'] }),
+    AnalysisJob.findAll({ where: { status: 'dead' }, order: [['updatedAt', 'DESC']], limit: DEAD_SAMPLE_SIZE })
+  ]);
+
+  const byStatus = { queued: 0, processing: 0, completed: 0, dead: 0 };
+  for (const row of counts) byStatus[row.status] = Number(row.count);
+  return { counts: byStatus, recentDead: dead.map((job) => job.getSafeJobInfo()) };
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  VISIBILITY_TIMEOUT_MS,
+  retryDelayMs,
+  shouldRetry,
+  enqueueAnalysis,
+  claimNextJob,
+  processJob,
+  reapExpiredJobs,
+  sweepOrphanedScans,
+  requeueAnalysis,
+  getQueueStats
+};
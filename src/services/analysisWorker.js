@@ -0,0 +1,66 @@
+const { claimNextJob, processJob, reapExpiredJobs, sweepOrphanedScans } = require('./analysisJobService');
+const { createCronJob } = require('./cronJob');
+const logger = require('../utils/logger');
+
+/**
+ * Ultrasound AI analysis worker — in-process node-cron (see cronJob), polling
+ * the analysis_jobs queue (see analysisJobService).
+ *
+ * Every 15 seconds (ANALYSIS_WORKER_CRON), works through due jobs one at a
+ * time, up to ANALYSIS_WORKER_BATCH (default 10) per run. Uploads wake it
+ * straight away so a new scan doesn't wait for the next tick. On startup it
+ * first requeues scans orphaned by a restart.
+ *
+ * Unlike the other schedulers this one is on by default, since uploads rely
+ * on it; set ANALYSIS_WORKER=disabled to keep an instance from taking jobs
+ * (uploaded scans then queue until a worker runs).
+ */
+
+const BATCH = parseInt(process.env.ANALYSIS_WORKER_BATCH, 10) || 10;
+
+/** Drain up to BATCH jobs. */
+async function drainQueue() {
+  const result = { reaped: await reapExpiredJobs(), completed: 0, retry: 0, dead: 0, lost: 0 };
+  for (let i = 0; i < BATCH; i += 1) {
+    const job = await claimNextJob();
+    if (!job) break;
+    result[await processJob(job)] += 1;
+  }
+  return result;
+}
+
+async function sweepThenRun() {
+  try {
+    const requeued = await sweepOrphanedScans();
+    worker.state.lastSweep = { at: new Date().toISOString(), requeued };
+  } catch (err) {
+    logger.error('analysis worker: orphan sweep failed', { error: err.message });
+  }
+  await worker.runOnce('startup');
+}
+
+const worker = createCronJob({
+  name: 'analysis worker',
+  envFlag: 'ANALYSIS_WORKER',
+  enabledByDefault: true,
+  schedule: process.env.ANALYSIS_WORKER_CRON || '*/15 * * * * *',
+  run: drainQueue,
+  onStart: () => { sweepThenRun().catch(() => {}); },
+  extraState: { lastSweep: null },
+  quietOverlap: true,
+  logContext: { batch: BATCH }
+});
+
+/** Start a run now if this instance is working the queue (new upload). Never throws. */
+function wakeAnalysisWorker() {
+  if (!worker.state.enabled) return;
+  worker.runOnce('wake').catch(() => {});
+}
+
+module.exports = {
+  initAnalysisWorker: worker.init,
+  wakeAnalysisWorker,
+  triggerAnalysisRun: worker.trigger,
+  getAnalysisWorkerStatus: worker.status,
+  closeAnalysisWorker: worker.close
+};
@@ -0,0 +1,26 @@
+const { runAppointmentReminders } = require('./appointmentReminderService');
+const { createCronJob } = require('./cronJob');
+
+/**
+ * Appointment reminder scheduler — in-process node-cron (see cronJob).
+ *
+ * Runs the reminder batch every 15 minutes. The batch is idempotent (each
+ * reminder is recorded in AppointmentReminder under a unique index before it
+ * is sent), so overlapping or duplicate runs never double-notify.
+ *
+ * Gated behind APPOINTMENT_REMINDER_SCHEDULER=enabled.
+ */
+
+const job = createCronJob({
+  name: 'appointment reminder scheduler',
+  envFlag: 'APPOINTMENT_REMINDER_SCHEDULER',
+  schedule: process.env.APPOINTMENT_REMINDER_CRON || '*/15 * * * *',
+  run: () => runAppointmentReminders({ now: new Date() })
+});
+
+module.exports = {
+  initAppointmentReminderScheduler: job.init,
+  triggerReminderRun: job.trigger,
+  getReminderSchedulerStatus: job.status,
+  closeAppointmentReminderScheduler: job.close
+};
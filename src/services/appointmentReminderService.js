@@ -0,0 +1,166 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const moment = require('moment');
+const { getModels } = require('../models/associations');
+const { dispatchNotification } = require('./notificationService');
+const logger = require('../utils/logger');
+
+/**
+ * Appointment reminder pipeline.
+ *
+ * For every `scheduled` appointment: a reminder 48h before, another 2h before,
+ * and — if the visit passes without being marked attended — a missed-visit
+ * follow-up (the appointment is marked `missed`; the mother can still correct
+ * it to attended). Sends go through notificationService on the mother's
+ * notificationPref.
+ *
+ * Each reminder is written to the AppointmentReminder ledger BEFORE it is
+ * dispatched; UNIQUE(appointment_id, kind) means a duplicate or overlapping run
+ * loses the insert race and skips, so nothing is ever sent twice.
+ */
+
+const { User, Appointment, AppointmentReminder } = getModels();
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const REMINDER_OFFSETS_MS = {
+  '48h': 48 * HOUR_MS,
+  '2h': 2 * HOUR_MS
+};
+// How long after a visit ends before it counts as missed.
+const MISSED_GRACE_MS = (parseInt(process.env.APPOINTMENT_MISSED_GRACE_HOURS, 10) || 4) * HOUR_MS;
+// Don't chase visits older than this (e.g. when the job is first switched on).
+const MISSED_LOOKBACK_MS = 7 * 24 * HOUR_MS;
+const MISSED_WINDOW_END_MS = MISSED_GRACE_MS + MISSED_LOOKBACK_MS;
+
+// Times in messages are shown in WAT (UTC+1, no DST), like the schedulers.
+const WAT_OFFSET_MINUTES = 60;
+
+const TYPE_LABELS = {
+  anc_visit: 'antenatal visit',
+  scan: 'scan',
+  lab_test: 'lab test',
+  postnatal: 'postnatal check'
+};
+
+/**
+ * Which reminder kinds are due for an appointment at `now`, excluding those
+ * already recorded. A 48h reminder is only sent while the 2h one is not yet
+ * due, so a visit booked at short notice gets a single, accurate reminder.
+ *
+ * @param {object} appointment - { status, scheduledAt, durationMinutes }
+ * @param {Date} now
+ * @param {Set<string>} [alreadySent] - kinds already in the ledger
+ * @returns {string[]}
+ */
+function dueReminderKinds(appointment, now, alreadySent = new Set()) {
+  if (appointment.status !== 'scheduled') return [];
+
+  const start = new Date(appointment.scheduledAt).getTime();
+  const end = start + (appointment.durationMinutes || 30) * MINUTE_MS;
+  const t = new Date(now).getTime();
+  const due = [];
+
+  if (t < start) {
+    if (t >= start - REMINDER_OFFSETS_MS['2h']) {
+      due.push('2h');
+    } else if (t >= start - REMINDER_OFFSETS_MS['48h']) {
+      due.push('48h');
+    }
+  } else if (t >= end + MISSED_GRACE_MS && t < end + MISSED_WINDOW_END_MS) {
+    due.push('missed_followup');
+  }
+
+  return due.filter((kind) => !alreadySent.has(kind));
+}
+
+/** Build the notification message for a reminder kind. */
+function buildReminderMessage(appointment, kind) {
+  const label = appointment.title || TYPE_LABELS[appointment.type] || 'appointment';
+  const when = moment.utc(appointment.scheduledAt).utcOffset(WAT_OFFSET_MINUTES).format('ddd D MMM, h:mm A');
+  const where = appointment.location ? ` at ${appointment.location}` : '';
+
+  const copy = {
+    '48h': { title: 'Appointment in 2 days', body: `Reminder: your ${label} is on ${when}${where}.` },
+    '2h': { title: 'Appointment soon', body: `Your ${label} starts at ${when}${where}. Remember to bring your antenatal card.` },
+    missed_followup: {
+      title: 'Did you make your appointment?',
+      body: `We didn't see your ${label} on ${when} marked as attended. If you missed it, please rebook as soon as you can — regular check-ups keep you and your baby safe.`
+    }
+  }[kind];
+
+  return { kind: `appointment_${kind}`, refId: appointment.id, ...copy };
+}
+
+/**
+ * Record then dispatch one reminder. Returns false when another run already
+ * recorded it (the unique index rejected our insert).
+ */
+async function sendReminder(appointment, user, kind) {
+  let reminder;
+  try {
+    reminder = await AppointmentReminder.create({ appointmentId: appointment.id, userId: user.id, kind });
+  } catch (err) {
+    if (err instanceof UniqueConstraintError) return false;
+    throw err;
+  }
+
+  if (kind === 'missed_followup') {
+    await appointment.update({ status: 'missed' });
+  }
+
+  const res = await dispatchNotification(user, buildReminderMessage(appointment, kind));
+  await reminder.update({
+    channel: res.channel,
+    sent: !!res.sent,
+    sentAt: res.sent ? new Date() : null,
+    error: res.sent ? null : (res.error || 'not sent')
+  });
+  return true;
+}
+
+/**
+ * Run the reminder batch once.
+ * @param {object} [opts]
+ * @param {Date} [opts.now]
+ * @returns {Promise<{appointments:number, sent:Object<string,number>, skipped:number}>}
+ */
+async function runAppointmentReminders({ now = new Date() } = {}) {
+  const t = now.getTime();
+  const appointments = await Appointment.findAll({
+    where: {
+      status: 'scheduled',
+      scheduledAt: {
+        [Op.gte]: new Date(t - MISSED_WINDOW_END_MS - 480 * MINUTE_MS),
+        [Op.lte]: new Date(t + REMINDER_OFFSETS_MS['48h'])
+      }
+    },
+    include: [
+      { model: User, as: 'user', required: true, where: { isActive: true } },
+      { model: AppointmentReminder, as: 'reminders', required: false, attributes: ['kind'] }
+    ]
+  });
+
+  const sent = { '48h': 0, '2h': 0, missed_followup: 0 };
+  let skipped = 0;
+
+  for (const appointment of appointments) {
+    const alreadySent = new Set((appointment.reminders || []).map((r) => r.kind));
+    for (const kind of dueReminderKinds(appointment, now, alreadySent)) {
+      if (await sendReminder(appointment, appointment.user, kind)) {
+        sent[kind] += 1;
+      } else {
+        skipped += 1;
+      }
+    }
+  }
+
+  logger.info('appointment reminders: run complete', { appointments: appointments.length, sent, skipped });
+  return { appointments: appointments.length, sent, skipped };
+}
+
+module.exports = {
+  dueReminderKinds,
+  buildReminderMessage,
+  runAppointmentReminders
+};
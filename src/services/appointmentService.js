@@ -0,0 +1,414 @@
+const { Op } = require('sequelize');
+const moment = require('moment');
+const { sequelize } = require('../config/database');
+const { getModels } = require('../models/associations');
+const { getAncContactSchedule } = require('../utils/pregnancyCalculations');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Appointment scheduling for mothers (ANC visits, scans, lab tests, postnatal).
+ *
+ * The timing and overlap rules are pure functions so they can be unit-tested
+ * without a database; the exported CRUD helpers load the user's existing
+ * appointments and apply them before writing. Bookings run under a lock on
+ * the mother's user row, so two at once can't both pass the overlap check.
+ *
+ * Recommended ANC contacts are generated from the EDD as `suggested`
+ * appointments (source = anc_schedule). They never block a slot until the
+ * mother accepts one, which turns it into a normal `scheduled` appointment.
+ */
+
+const { Appointment, AppointmentReminder, User } = getModels();
+
+const APPOINTMENT_TYPES = ['anc_visit', 'scan', 'lab_test', 'postnatal'];
+const APPOINTMENT_STATUSES = ['suggested', 'scheduled', 'attended', 'missed', 'cancelled', 'dismissed'];
+
+// Types that only make sense while the mother is still pregnant.
+const ANTENATAL_TYPES = ['anc_visit', 'scan', 'lab_test'];
+
+// Antenatal visits are accepted up to 42+0 weeks (post-term induction limit).
+const MAX_ANTENATAL_WEEK = 42;
+// Postnatal visits open at 37 weeks (earliest term birth) and close 12 weeks
+// after the EDD, which covers the 6-week check even for a late delivery.
+const MIN_POSTNATAL_WEEK = 37;
+const MAX_POSTNATAL_WEEKS_AFTER_EDD = 12;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_MINUTE = 60 * 1000;
+
+const ANC_SCHEDULE_PROFILE = process.env.ANC_SCHEDULE_PROFILE || 'fmoh';
+// Suggested contacts default to 09:00 Lagos time (UTC+1) on the contact date.
+const ANC_SUGGESTION_HOUR_UTC = 8;
+
+/**
+ * Unclamped gestational week on `date` for a pregnancy due on `edd`.
+ * Same arithmetic as personalizationService.computeGestationalWeek, but without
+ * the 1..42 clamp so postnatal dates (week > 40) can be validated.
+ */
+function gestationalWeekAt(edd, date) {
+  const days = Math.round((new Date(edd).getTime() - new Date(date).getTime()) / MS_PER_DAY);
+  return 40 - Math.ceil(days / 7);
+}
+
+/**
+ * Validate an appointment's date against "now" and the mother's EDD.
+ * Returns a list of human-readable problems (empty when valid). Without an EDD
+ * only the "in the future" rule can be applied.
+ *
+ * @param {object} args
+ * @param {string} args.type
+ * @param {Date|string} args.scheduledAt
+ * @param {Date|string|null} [args.edd]
+ * @param {Date} [args.now]
+ * @returns {string[]}
+ */
+function validateAppointmentTiming({ type, scheduledAt, edd, now = new Date() }) {
+  const errors = [];
+  const when = new Date(scheduledAt);
+
+  if (Number.isNaN(when.getTime())) {
+    return ['scheduledAt must be a valid date'];
+  }
+  if (when.getTime() <= new Date(now).getTime()) {
+    errors.push('Appointments must be scheduled in the future');
+  }
+  if (!edd) return errors;
+
+  const week = gestationalWeekAt(edd, when);
+  if (ANTENATAL_TYPES.includes(type)) {
+    if (week < 1) {
+      errors.push('Appointment date is before the start of this pregnancy');
+    } else if (week > MAX_ANTENATAL_WEEK) {
+      errors.push(`Antenatal appointments cannot be booked after ${MAX_ANTENATAL_WEEK} weeks of pregnancy`);
+    }
+  } else if (type === 'postnatal') {
+    if (week < MIN_POSTNATAL_WEEK) {
+      errors.push(`Postnatal appointments can only be booked from ${MIN_POSTNATAL_WEEK} weeks of pregnancy`);
+    } else if (week > 40 + MAX_POSTNATAL_WEEKS_AFTER_EDD) {
+      errors.push(`Postnatal appointments must be within ${MAX_POSTNATAL_WEEKS_AFTER_EDD} weeks of the due date`);
+    }
+  }
+  return errors;
+}
+
+/** [start, end) of an appointment in epoch ms. */
+function appointmentWindow({ scheduledAt, durationMinutes = 30 }) {
+  const start = new Date(scheduledAt).getTime();
+  return { start, end: start + durationMinutes * MS_PER_MINUTE };
+}
+
+/**
+ * First existing appointment that overlaps `candidate`, or null. Only
+ * `scheduled` appointments block a slot; the candidate itself (same id) is
+ * ignored so a reschedule doesn't conflict with its own previous time.
+ */
+function findConflict(candidate, existing) {
+  const slot = appointmentWindow(candidate);
+  return existing.find((appt) => {
+    if (candidate.id && appt.id === candidate.id) return false;
+    if (appt.status !== 'scheduled') return false;
+    const other = appointmentWindow(appt);
+    return slot.start < other.end && other.start < slot.end;
+  }) || null;
+}
+
+/** Load the user's scheduled appointments that could overlap the candidate. */
+async function loadNeighbours(userId, candidate, transaction) {
+  const { start, end } = appointmentWindow(candidate);
+  // Longest allowed visit is 8h, so anything starting earlier than that can't overlap.
+  return Appointment.findAll({
+    where: {
+      userId,
+      status: 'scheduled',
+      scheduledAt: { [Op.gt]: new Date(start - 480 * MS_PER_MINUTE), [Op.lt]: new Date(end) }
+    },
+    transaction
+  });
+}
+
+async function assertSchedulable(user, candidate, now, transaction) {
+  const errors = validateAppointmentTiming({ type: candidate.type, scheduledAt: candidate.scheduledAt, edd: user.edd, now });
+  if (errors.length) {
+    throw new ValidationError(errors.join(', '));
+  }
+  const conflict = findConflict(candidate, await loadNeighbours(user.id, candidate, transaction));
+  if (conflict) {
+    throw new ConflictError(`This time overlaps another appointment at ${new Date(conflict.scheduledAt).toISOString()}`);
+  }
+}
+
+async function findOwnedOr404(userId, id, transaction = null) {
+  const appointment = await Appointment.findOne({ where: { id, userId }, transaction });
+  if (!appointment) throw new NotFoundError('Appointment not found');
+  return appointment;
+}
+
+/**
+ * Run `work` in a transaction holding a lock on the user's row, around the
+ * overlap check and the write that depends on it.
+ */
+async function withUserLock(userId, work) {
+  return sequelize.transaction(async (transaction) => {
+    await User.findByPk(userId, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+    return work(transaction);
+  });
+}
+
+/**
+ * Book a new appointment for `user` (a User instance; edd is read from it).
+ * @throws {ValidationError} bad timing for the pregnancy
+ * @throws {ConflictError}   overlaps another scheduled appointment
+ */
+async function createAppointment(user, attrs, { now = new Date() } = {}) {
+  const candidate = {
+    type: attrs.type,
+    scheduledAt: new Date(attrs.scheduledAt),
+    durationMinutes: attrs.durationMinutes || 30
+  };
+  const appointment = await withUserLock(user.id, async (transaction) => {
+    await assertSchedulable(user, candidate, now, transaction);
+    return Appointment.create({
+      userId: user.id,
+      ...candidate,
+      title: attrs.title,
+      location: attrs.location,
+      providerName: attrs.providerName,
+      notes: attrs.notes,
+      gestationalWeek: user.edd ? gestationalWeekAt(user.edd, candidate.scheduledAt) : null,
+      status: 'scheduled'
+    }, { transaction });
+  });
+
+  logger.info('appointment: scheduled', { userId: user.id, appointmentId: appointment.id, type: appointment.type });
+  return appointment;
+}
+
+/**
+ * List a user's appointments, soonest first.
+ * @param {object} [filters] - { status, type, from, to, upcoming }
+ */
+async function listAppointments(userId, { status, type, from, to, upcoming = false, now = new Date() } = {}) {
+  const where = { userId };
+  if (status) where.status = status;
+  if (type) where.type = type;
+
+  const range = {};
+  if (from) range[Op.gte] = new Date(from);
+  if (to) range[Op.lte] = new Date(to);
+  if (upcoming) range[Op.gte] = now;
+  if (Object.getOwnPropertySymbols(range).length) where.scheduledAt = range;
+
+  return Appointment.findAll({ where, order: [['scheduledAt', 'ASC']] });
+}
+
+async function getAppointment(userId, id) {
+  return findOwnedOr404(userId, id);
+}
+
+/**
+ * Update details, reschedule, or record the outcome (attended/missed).
+ * Rescheduling, or moving an attended/missed visit back to scheduled, re-runs
+ * the timing and overlap checks.
+ */
+async function updateAppointment(user, id, changes, { now = new Date() } = {}) {
+  const rescheduled = changes.scheduledAt !== undefined || changes.durationMinutes !== undefined || changes.type !== undefined;
+
+  const appointment = await withUserLock(user.id, async (transaction) => {
+    const current = await findOwnedOr404(user.id, id, transaction);
+    if (current.status === 'cancelled') {
+      throw new ConflictError('Cancelled appointments cannot be changed');
+    }
+    if (['suggested', 'dismissed'].includes(current.status)) {
+      throw new ConflictError('Accept this suggested visit before changing it');
+    }
+
+    // An outcome set by mistake can be undone, but only for a slot that is still bookable.
+    const reopened = changes.status === 'scheduled' && current.status !== 'scheduled';
+    if (rescheduled || reopened) {
+      const candidate = {
+        id: current.id,
+        type: changes.type || current.type,
+        scheduledAt: new Date(changes.scheduledAt || current.scheduledAt),
+        durationMinutes: changes.durationMinutes || current.durationMinutes
+      };
+      await assertSchedulable(user, candidate, now, transaction);
+      Object.assign(current, candidate, {
+        gestationalWeek: user.edd ? gestationalWeekAt(user.edd, candidate.scheduledAt) : null
+      });
+      // A new time needs fresh 48h/2h reminders.
+      if (rescheduled) {
+        await AppointmentReminder.destroy({ where: { appointmentId: current.id, kind: ['48h', '2h'] }, transaction });
+      }
+    }
+
+    for (const field of ['title', 'location', 'providerName', 'notes']) {
+      if (changes[field] !== undefined) current[field] = changes[field];
+    }
+    if (changes.status) {
+      if (changes.status === 'cancelled') {
+        throw new ValidationError('Use the cancel endpoint to cancel an appointment');
+      }
+      if (['attended', 'missed'].includes(changes.status) && new Date(current.scheduledAt) > now) {
+        throw new ValidationError(`An appointment cannot be marked ${changes.status} before it takes place`);
+      }
+      current.status = changes.status;
+    }
+
+    await current.save({ transaction });
+    return current;
+  });
+
+  logger.info('appointment: updated', { userId: user.id, appointmentId: appointment.id, rescheduled, status: appointment.status });
+  return appointment;
+}
+
+async function cancelAppointment(userId, id, { reason } = {}) {
+  const appointment = await findOwnedOr404(userId, id);
+  if (appointment.status !== 'scheduled') {
+    throw new ConflictError(`Only scheduled appointments can be cancelled (current status: ${appointment.status})`);
+  }
+  appointment.status = 'cancelled';
+  appointment.cancelledAt = new Date();
+  appointment.cancellationReason = reason || null;
+  await appointment.save();
+
+  logger.info('appointment: cancelled', { userId, appointmentId: appointment.id });
+  return appointment;
+}
+
+/**
+ * Upcoming ANC contacts for a pregnancy due on `edd`, as appointment attributes.
+ * The LMP is back-calculated (EDD - 280 days) so ultrasound-corrected EDDs
+ * drive the schedule too.
+ */
+function buildAncSuggestions(edd, { now = new Date(), profile = ANC_SCHEDULE_PROFILE } = {}) {
+  const lmp = moment.utc(edd).subtract(280, 'days');
+  return getAncContactSchedule(lmp.toDate(), { profile })
+    .map((entry) => ({
+      type: 'anc_visit',
+      source: 'anc_schedule',
+      ancContactNumber: entry.contact,
+      title: entry.title,
+      notes: `Focus: ${entry.focus.join('; ')}`,
+      gestationalWeek: entry.gestationalWeek,
+      scheduledAt: moment.utc(entry.date).hour(ANC_SUGGESTION_HOUR_UTC).toDate(),
+      durationMinutes: 60
+    }))
+    .filter((s) => s.scheduledAt > now);
+}
+
+/**
+ * Diff the desired suggestions against the mother's existing ANC-schedule
+ * appointments. Contacts she has already acted on (accepted, dismissed,
+ * attended...) are left alone; only still-`suggested` rows are moved, created
+ * or removed, so re-running after an LMP change is idempotent.
+ *
+ * @returns {{ create: object[], update: {appointment, changes}[], remove: object[] }}
+ */
+function planAncSync(suggestions, existing) {
+  const handled = new Set(existing.filter((a) => a.status !== 'suggested').map((a) => a.ancContactNumber));
+  const pending = new Map(existing.filter((a) => a.status === 'suggested').map((a) => [a.ancContactNumber, a]));
+  const plan = { create: [], update: [], remove: [] };
+
+  for (const suggestion of suggestions) {
+    if (handled.has(suggestion.ancContactNumber)) continue;
+    const current = pending.get(suggestion.ancContactNumber);
+    pending.delete(suggestion.ancContactNumber);
+    if (!current) {
+      plan.create.push(suggestion);
+    } else if (new Date(current.scheduledAt).getTime() !== suggestion.scheduledAt.getTime()) {
+      plan.update.push({
+        appointment: current,
+        changes: { scheduledAt: suggestion.scheduledAt, gestationalWeek: suggestion.gestationalWeek, title: suggestion.title, notes: suggestion.notes }
+      });
+    }
+  }
+  plan.remove.push(...pending.values()); // contacts now in the past (or no EDD)
+  return plan;
+}
+
+/**
+ * (Re)generate the mother's suggested ANC contacts from her current EDD.
+ * Called when onboarding sets or changes the LMP, and when the mother accepts
+ * an ultrasound redating (pregnancyDatingService).
+ */
+async function syncAncSchedule(user, { now = new Date() } = {}) {
+  const existing = await Appointment.findAll({ where: { userId: user.id, source: 'anc_schedule' } });
+  const suggestions = user.edd ? buildAncSuggestions(user.edd, { now }) : [];
+  const plan = planAncSync(suggestions, existing);
+
+  await Promise.all(plan.remove.map((a) => a.destroy()));
+  await Promise.all(plan.update.map(({ appointment, changes }) => appointment.update(changes)));
+  if (plan.create.length) {
+    await Appointment.bulkCreate(plan.create.map((s) => ({ ...s, userId: user.id, status: 'suggested' })));
+  }
+
+  const summary = { created: plan.create.length, updated: plan.update.length, removed: plan.remove.length };
+  logger.info('appointment: ANC schedule synced', { userId: user.id, ...summary });
+  return summary;
+}
+
+/**
+ * Accept a suggested ANC contact, optionally moving it to a time that suits
+ * the mother. Goes through the normal timing and double-booking checks.
+ */
+async function acceptSuggestion(user, id, changes = {}, { now = new Date() } = {}) {
+  const appointment = await withUserLock(user.id, async (transaction) => {
+    const current = await findOwnedOr404(user.id, id, transaction);
+    if (current.status !== 'suggested') {
+      throw new ConflictError(`Only suggested visits can be accepted (current status: ${current.status})`);
+    }
+
+    const candidate = {
+      id: current.id,
+      type: current.type,
+      scheduledAt: new Date(changes.scheduledAt || current.scheduledAt),
+      durationMinutes: changes.durationMinutes || current.durationMinutes
+    };
+    await assertSchedulable(user, candidate, now, transaction);
+
+    Object.assign(current, candidate, {
+      gestationalWeek: user.edd ? gestationalWeekAt(user.edd, candidate.scheduledAt) : current.gestationalWeek,
+      status: 'scheduled'
+    });
+    for (const field of ['location', 'providerName']) {
+      if (changes[field] !== undefined) current[field] = changes[field];
+    }
+    await current.save({ transaction });
+    return current;
+  });
+
+  logger.info('appointment: suggestion accepted', { userId: user.id, appointmentId: appointment.id, contact: appointment.ancContactNumber });
+  return appointment;
+}
+
+async function dismissSuggestion(userId, id) {
+  const appointment = await findOwnedOr404(userId, id);
+  if (appointment.status !== 'suggested') {
+    throw new ConflictError(`Only suggested visits can be dismissed (current status: ${appointment.status})`);
+  }
+  appointment.status = 'dismissed';
+  await appointment.save();
+
+  logger.info('appointment: suggestion dismissed', { userId, appointmentId: appointment.id, contact: appointment.ancContactNumber });
+  return appointment;
+}
+
+module.exports = {
+  APPOINTMENT_TYPES,
+  APPOINTMENT_STATUSES,
+  gestationalWeekAt,
+  validateAppointmentTiming,
+  findConflict,
+  buildAncSuggestions,
+  planAncSync,
+  createAppointment,
+  listAppointments,
+  getAppointment,
+  updateAppointment,
+  cancelAppointment,
+  syncAncSchedule,
+  acceptSuggestion,
+  dismissSuggestion
+};
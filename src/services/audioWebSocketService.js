@@ -2,8 +2,24 @@ const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 const aiChatService = require('./aiChatService');
+const chatSafetyService = require('./chatSafetyService');
+const speechService = require('./speechService');
+const translationService = require('./translationService');
+const { bytesForMs } = require('../utils/pcmAudio');
 const ChatConversation = require('../models/ChatConversation');
 const ChatMessage = require('../models/ChatMessage');
+const User = require('../models/User');
+
+// Microphone audio in, speech out: 16-bit mono PCM at these rates
+const INPUT_SAMPLE_RATE = 16000;
+const OUTPUT_SAMPLE_RATE = 24000;
+
+// Speech is sent in 100 ms frames at playback speed, this far ahead of the
+// speaker, so a barge-in can stop the rest of the reply
+const PLAYBACK_FRAME_MS = 100;
+const PLAYBACK_LEAD_MS = 500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 class AudioWebSocketService {
   constructor() {
@@ -57,8 +73,10 @@ class AudioWebSocketService {
         userId: user.id,
         threadId: null,
         isTranscribing: false,
-        audioBuffer: Buffer.alloc(0),
-        transcriptionService: null,
+        recognizer: null,
+        language: null,
+        bargeIn: true,
+        playback: null,
         conversationId: null
       };
 
@@ -133,7 +151,9 @@ class AudioWebSocketService {
         await this.stopTranscription(sessionId);
         break;
 
-
+      case 'barge_in':
+        this.cancelPlayback(sessionId, 'barge_in');
+        break;
 
       case 'set_thread':
         session.threadId = message.threadId;
@@ -152,7 +172,9 @@ class AudioWebSocketService {
   }
 
   /**
-   * Start transcription session
+   * Start transcription session. `config.language` (en, yo, ha, ig or a tag
+   * like yo-NG) defaults to the user's languagePreference; `config.bargeIn`
+   * (default true) stops the reply being spoken when she starts talking.
    */
   async startTranscription(sessionId, config) {
     const session = this.sessions.get(sessionId);
@@ -161,19 +183,54 @@ class AudioWebSocketService {
     const { ws } = session;
 
     try {
+      let language = speechService.normaliseLanguage(config.language);
+      if (config.language && !language) {
+        this.sendMessage(ws, { type: 'error', message: `Unsupported language: ${config.language}` });
+        return;
+      }
+      if (!language) {
+        const user = await User.findByPk(session.userId, { attributes: ['id', 'languagePreference'] });
+        language = (user && user.languagePreference) || 'en';
+      }
+      if (!speechService.supportsLanguage(language)) {
+        this.sendMessage(ws, { type: 'error', message: `Speech is not available in language: ${language}` });
+        return;
+      }
+
       session.isTranscribing = true;
-      session.model = config.model || 'nova-3';
-      session.language = config.language || 'en-US';
+      session.model = config.model || null;
+      session.language = language;
+      session.bargeIn = config.bargeIn !== false;
+      session.recognizer = speechService.createRecognizer({
+        language,
+        sampleRate: INPUT_SAMPLE_RATE,
+        model: session.model,
+        onSpeechStart: () => {
+          if (session.bargeIn) this.cancelPlayback(sessionId, 'barge_in');
+        },
+        onPartial: (text) => {
+          this.sendMessage(ws, { type: 'interim_transcript', transcript: text, language });
+        },
+        onFinal: (text) => {
+          this.sendMessage(ws, { type: 'final_transcript', transcript: text, language });
+          // Not awaited: she can keep talking while the reply is prepared
+          this.processTranscriptWithAI(sessionId, text);
+        },
+        onError: () => {
+          this.sendMessage(ws, { type: 'error', message: 'Speech recognition failed' });
+        }
+      });
 
       this.sendMessage(ws, {
         type: 'status',
-        message: `Transcription started with model: ${session.model}, language: ${session.language}`
+        message: `Transcription started with provider: ${speechService.getProvider().name}, language: ${language}`,
+        language
       });
 
       logger.info('Audio transcription started', {
         sessionId,
-        model: session.model,
-        language: session.language
+        provider: speechService.getProvider().name,
+        language
       });
 
     } catch (error) {
@@ -198,8 +255,11 @@ class AudioWebSocketService {
     const { ws } = session;
 
     try {
+      // Whatever she said before stopping still gets an answer
+      const recognizer = session.recognizer;
       session.isTranscribing = false;
-      session.audioBuffer = Buffer.alloc(0);
+      session.recognizer = null;
+      if (recognizer) await recognizer.flush();
 
       this.sendMessage(ws, {
         type: 'status',
@@ -221,18 +281,10 @@ class AudioWebSocketService {
    */
   async handleAudioData(sessionId, audioData) {
     const session = this.sessions.get(sessionId);
-    if (!session || !session.isTranscribing) return;
+    if (!session || !session.isTranscribing || !session.recognizer) return;
 
     try {
-      // Accumulate audio data
-      session.audioBuffer = Buffer.concat([session.audioBuffer, audioData]);
-
-      // Process audio in chunks (simulate Deepgram processing)
-      if (session.audioBuffer.length >= 3200) { // ~200ms at 16kHz
-        await this.processAudioChunk(sessionId, session.audioBuffer);
-        session.audioBuffer = Buffer.alloc(0);
-      }
-
+      session.recognizer.write(audioData);
     } catch (error) {
       logger.error('Audio data processing error', {
         sessionId,
@@ -241,45 +293,6 @@ class AudioWebSocketService {
     }
   }
 
-  /**
-   * Process audio chunk (simulate STT)
-   */
-  async processAudioChunk(sessionId, audioBuffer) {
-    const session = this.sessions.get(sessionId);
-    if (!session) return;
-
-    const { ws } = session;
-
-    try {
-      // Simulate speech-to-text processing
-      // In real implementation, this would call Deepgram API
-      const mockTranscript = await this.simulateSTT(audioBuffer);
-
-      if (mockTranscript.interim) {
-        this.sendMessage(ws, {
-          type: 'interim_transcript',
-          transcript: mockTranscript.text
-        });
-      }
-
-      if (mockTranscript.final) {
-        this.sendMessage(ws, {
-          type: 'final_transcript',
-          transcript: mockTranscript.text
-        });
-
-        // Process with AI and generate TTS response
-        await this.processTranscriptWithAI(sessionId, mockTranscript.text);
-      }
-
-    } catch (error) {
-      logger.error('Audio chunk processing error', {
-        sessionId,
-        error: error.message
-      });
-    }
-  }
-
   /**
    * Process transcript with AI and generate TTS
    */
@@ -321,6 +334,10 @@ class AudioWebSocketService {
         });
       }
 
+      // She is answered in the language she is speaking; the AI is asked in English
+      const language = session.language || 'en';
+      const incoming = await translationService.toEnglish(transcript, { userId, language, replyLanguage: language });
+
       // Save user message (audio)
       if (userId && conversation) {
         await ChatMessage.create({
@@ -330,16 +347,46 @@ class AudioWebSocketService {
           messageType: 'user',
           contentType: 'voice',
           content: transcript, // Transcribed text
-          attachmentType: 'audio/pcm'
+          attachmentType: 'audio/pcm',
+          metadata: translationService.userMessageMetadata(incoming)
         });
       }
 
-      // Send to AI service
-      const aiResponse = await aiChatService.sendChatMessage(
-        userId || 'anonymous',
-        finalThreadId,
-        transcript
+      // Danger signs get the fixed urgent-care reply instead of the AI's
+      const triage = await chatSafetyService.triageMessage({
+        userId: userId || null,
+        conversation: conversation || null,
+        text: incoming.translated ? `${transcript}\n${incoming.english}` : transcript,
+        channel: 'voice'
+      });
+
+      let aiResponse;
+      if (triage) {
+        aiResponse = { data: { response: triage.response }, processingTime: 0 };
+      } else {
+        // Send to AI service
+        aiResponse = await aiChatService.sendChatMessage(
+          userId || 'anonymous',
+          finalThreadId,
+          incoming.english
+        );
+      }
+
+      const outgoing = await translationService.fromEnglish(
+        aiResponse?.data?.response || aiResponse?.response || 'No response',
+        language,
+        { appendEnglish: !!triage }
       );
+      const replyText = outgoing.text;
+      const translation = translationService.replyTranslationMetadata(outgoing);
+
+      if (triage) {
+        this.sendMessage(ws, {
+          type: 'urgent_care',
+          text: replyText,
+          dangerSigns: triage.dangerSigns
+        });
+      }
 
       this.sendMessage(ws, {
         type: 'llm_complete',
@@ -354,20 +401,21 @@ class AudioWebSocketService {
           threadId: finalThreadId,
           messageType: 'assistant',
           contentType: 'text',
-          content: aiResponse?.data?.response || aiResponse?.response || 'No response',
-          aiResponseTime: aiResponse?.processingTime || 0
+          content: replyText,
+          aiResponseTime: aiResponse?.processingTime || 0,
+          metadata: translation ? { ...(triage ? triage.metadata : {}), translation } : (triage ? triage.metadata : null)
         });
 
         // Update conversation
         await conversation.update({
-          lastMessage: (aiResponse?.data?.response || aiResponse?.response || 'No response').substring(0, 100),
+          lastMessage: replyText.substring(0, 100),
           lastMessageAt: new Date(),
           messageCount: conversation.messageCount + 2
         });
       }
 
       // Generate TTS audio and send back
-      await this.generateAndSendTTS(sessionId, aiResponse?.data?.response || aiResponse?.response || 'No response');
+      await this.generateAndSendTTS(sessionId, replyText);
 
     } catch (error) {
       logger.error('AI processing error', {
@@ -384,33 +432,53 @@ class AudioWebSocketService {
   }
 
   /**
-   * Generate TTS and send audio back
+   * Speak `text` back to the client. Any reply still playing is cancelled.
+   * The client gets tts_start, the audio frames, then tts_end, or
+   * tts_cancelled if she barges in first.
    */
   async generateAndSendTTS(sessionId, text) {
     const session = this.sessions.get(sessionId);
     if (!session) return;
 
     const { ws } = session;
+    this.cancelPlayback(sessionId, 'replaced');
+    const playback = { id: uuidv4(), cancelled: false };
+    session.playback = playback;
 
     try {
-      // Simulate TTS generation (ElevenLabs)
-      // In real implementation, this would call ElevenLabs API
-      const audioChunks = await this.simulateTTS(text);
-
-      // Send audio chunks as binary data
-      for (const chunk of audioChunks) {
-        if (ws.readyState === WebSocket.OPEN) {
-          ws.send(chunk);
-        }
+      const { pcm } = await speechService.synthesize(text, {
+        language: session.language || 'en',
+        sampleRate: OUTPUT_SAMPLE_RATE
+      });
+      if (playback.cancelled) return;
+
+      this.sendMessage(ws, { type: 'tts_start', playbackId: playback.id, sampleRate: OUTPUT_SAMPLE_RATE });
+
+      const frameBytes = bytesForMs(PLAYBACK_FRAME_MS, OUTPUT_SAMPLE_RATE);
+      const startedAt = Date.now();
+      let frames = 0;
+      for (let offset = 0; offset < pcm.length; offset += frameBytes) {
+        if (playback.cancelled || ws.readyState !== WebSocket.OPEN) break;
+        ws.send(pcm.subarray(offset, offset + frameBytes));
+        frames += 1;
+        const ahead = startedAt + frames * PLAYBACK_FRAME_MS - PLAYBACK_LEAD_MS - Date.now();
+        if (ahead > 0) await sleep(ahead);
+      }
+
+      if (!playback.cancelled) {
+        session.playback = null;
+        this.sendMessage(ws, { type: 'tts_end', playbackId: playback.id });
       }
 
       logger.info('TTS audio sent', {
         sessionId,
         textLength: text.length,
-        chunks: audioChunks.length
+        frames,
+        cancelled: playback.cancelled
       });
 
     } catch (error) {
+      if (session.playback === playback) session.playback = null;
       logger.error('TTS generation error', {
         sessionId,
         error: error.message
@@ -424,51 +492,20 @@ class AudioWebSocketService {
   }
 
   /**
-   * Simulate STT (replace with Deepgram API)
+   * Stop the reply being spoken (barge-in). The client should drop any
+   * audio it has queued for that playbackId.
    */
-  async simulateSTT(audioBuffer) {
-    // Mock transcription - replace with actual Deepgram integration
-    const mockPhrases = [
-      "I need nutrition tips for my pregnancy",
-      "What should I eat during second trimester",
-      "I have stomach constipation",
-      "Can you help me with meal planning",
-      "Is it safe to exercise during pregnancy"
-    ];
-
-    const randomPhrase = mockPhrases[Math.floor(Math.random() * mockPhrases.length)];
-    
-    return {
-      text: randomPhrase,
-      interim: Math.random() > 0.7, // 30% chance of interim
-      final: Math.random() > 0.3    // 70% chance of final
-    };
-  }
-
-  /**
-   * Simulate TTS (replace with ElevenLabs API)
-   */
-  async simulateTTS(text) {
-    // Mock TTS - replace with actual ElevenLabs integration
-    const chunks = [];
-    const chunkSize = 1024;
-    const totalChunks = Math.ceil(text.length / 10); // Simulate audio length
-
-    for (let i = 0; i < totalChunks; i++) {
-      // Generate mock PCM audio data
-      const mockAudio = Buffer.alloc(chunkSize);
-      for (let j = 0; j < chunkSize; j += 2) {
-        const sample = Math.sin(2 * Math.PI * 440 * j / 48000) * 0.1; // 440Hz tone
-        mockAudio.writeInt16LE(sample * 32767, j);
-      }
-      chunks.push(mockAudio);
-    }
+  cancelPlayback(sessionId, reason) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !session.playback) return;
 
-    return chunks;
+    const { playback } = session;
+    playback.cancelled = true;
+    session.playback = null;
+    this.sendMessage(session.ws, { type: 'tts_cancelled', playbackId: playback.id, reason });
+    logger.info('TTS playback cancelled', { sessionId, playbackId: playback.id, reason });
   }
 
-
-
   /**
    * Send JSON message to WebSocket client
    */
@@ -485,7 +522,8 @@ class AudioWebSocketService {
     const session = this.sessions.get(sessionId);
     if (session) {
       session.isTranscribing = false;
-      session.audioBuffer = null;
+      session.recognizer = null;
+      if (session.playback) session.playback.cancelled = true;
       this.sessions.delete(sessionId);
       logger.info('Audio session cleaned up', { sessionId });
     }
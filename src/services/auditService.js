@@ -0,0 +1,63 @@
+const { Op } = require('sequelize');
+const { getModels } = require('../models/associations');
+const logger = require('../utils/logger');
+
+/**
+ * Admin audit trail. Privileged CMS admin actions call recordAdminAction so
+ * there is a durable record of who did what, to which record, from where.
+ */
+
+const { AdminAuditLog, User } = getModels();
+
+/**
+ * Record one admin action. Never throws: a failed audit write is logged as a
+ * security event instead of failing the action it describes.
+ *
+ * @param {object} entry
+ * @param {object} [entry.req] - Express request; supplies actor (req.cmsUser / req.user), IP and user agent
+ * @param {object} [entry.actor] - explicit actor { id, cmsRole } (e.g. when there is no request)
+ * @param {string} entry.action - dotted action name, e.g. 'diagnostics.view'
+ * @param {string} [entry.targetType]
+ * @param {string} [entry.targetId]
+ * @param {object} [entry.metadata]
+ * @returns {Promise<object|null>} the AdminAuditLog row, or null if it could not be written
+ */
+async function recordAdminAction({ req = null, actor = null, action, targetType = null, targetId = null, metadata = {} }) {
+  const who = actor || (req && (req.cmsUser || req.user)) || null;
+  const entry = {
+    actorId: who ? who.id : null,
+    actorRole: who ? who.cmsRole || null : null,
+    action,
+    targetType,
+    targetId: targetId === null || targetId === undefined ? null : String(targetId),
+    metadata,
+    ipAddress: req ? req.ip : null,
+    userAgent: req && req.get('User-Agent') ? String(req.get('User-Agent')).slice(0, 512) : null
+  };
+
+  try {
+    return await AdminAuditLog.create(entry);
+  } catch (error) {
+    logger.logSecurityEvent('ADMIN_AUDIT_WRITE_FAILED', { ...entry, metadata: undefined, error: error.message });
+    return null;
+  }
+}
+
+/** Most recent audit entries, optionally filtered by action prefix, actor or target. */
+async function listAdminActions({ action, actorId, targetType, targetId, before, limit = 50 } = {}) {
+  const where = {};
+  if (action) where.action = { [Op.like]: `${action}%` };
+  if (actorId) where.actorId = actorId;
+  if (targetType) where.targetType = targetType;
+  if (targetId) where.targetId = String(targetId);
+  if (before) where.createdAt = { [Op.lt]: new Date(before) };
+
+  return AdminAuditLog.findAll({
+    where,
+    include: [{ model: User, as: 'actor', attributes: ['id', 'email', 'fullName'] }],
+    order: [['createdAt', 'DESC']],
+    limit: Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200)
+  });
+}
+
+module.exports = { recordAdminAction, listAdminActions };
@@ -199,6 +199,42 @@ class AzureStorageService {
     }
   }
 
+  /**
+   * Download a file from Azure Blob Storage into memory
+   * @param {string} blobName - Blob name to download
+   * @returns {Promise<{success: boolean, buffer?: Buffer, contentType?: string, error?: string}>}
+   */
+  async downloadFile(blobName) {
+    if (!this.isEnabled) {
+      return {
+        success: false,
+        error: 'Azure Storage is not configured'
+      };
+    }
+
+    try {
+      const blockBlobClient = this.containerClient.getBlockBlobClient(blobName);
+      const buffer = await blockBlobClient.downloadToBuffer();
+      const properties = await blockBlobClient.getProperties();
+
+      return {
+        success: true,
+        buffer,
+        contentType: properties.contentType
+      };
+    } catch (error) {
+      logger.error('Failed to download file from Azure Storage', {
+        error: error.message,
+        blobName
+      });
+
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Get content type based on file extension
    * @param {string} extension - File extension
@@ -0,0 +1,207 @@
+const { Op } = require('sequelize');
+const { getModels } = require('../models/associations');
+const { DANGER_SIGNS, classifyDangerSigns } = require('../utils/dangerSigns');
+const { dispatchNotification } = require('./notificationService');
+const { findRecipients } = require('./scanEscalationService');
+const logger = require('../utils/logger');
+
+/**
+ * Clinical safety triage in front of the chat.
+ *
+ * Every message a mother sends (typed, streamed or spoken) is checked for
+ * pregnancy danger signs (utils/dangerSigns) before it reaches the AI. When
+ * one is reported she gets a fixed, medically reviewed urgent-care reply
+ * telling her where to go, rather than whatever the model would say; the
+ * conversation is tagged (metadata.safety) and clinicians are alerted. The
+ * reply only says a clinician was alerted when one actually was.
+ *
+ * The reply texts below are the reviewed wording: change them only through
+ * clinical review, and bump RESPONSE_VERSION so stored messages record which
+ * wording a mother was shown.
+ */
+
+const { User, Appointment } = getModels();
+
+const RESPONSE_VERSION = '2026-10-2';
+const EMERGENCY_NUMBER = process.env.URGENT_CARE_PHONE || '112';
+
+// A conversation already flagged for the same signs is not re-alerted
+// within this window.
+const REALERT_AFTER_MS = (parseInt(process.env.CHAT_TRIAGE_REALERT_MINUTES, 10) || 60) * 60 * 1000;
+
+/** Where to tell her to go: her own clinic if we know it, else the nearest facility. Pure. */
+function facilityGuidance({ clinic, lga, state } = {}) {
+  const area = [lga, state].filter(Boolean).join(', ');
+  const nearest = `the nearest hospital or primary health centre${area ? ` in ${area}` : ''}`;
+  if (clinic) return `your clinic (${clinic}), or ${nearest} if that is quicker to reach`;
+  return nearest;
+}
+
+/**
+ * The urgent-care reply for the signs reported. Pure.
+ * @param {object} [options]
+ * @param {boolean} [options.clinicianAlerted=false] - whether a clinician has been alerted about this conversation
+ */
+function buildUrgentResponse(signIds, facility = {}, { clinicianAlerted = false } = {}) {
+  const where = facilityGuidance(facility);
+  const paragraphs = [];
+
+  if (signIds.some((id) => DANGER_SIGNS[id].category === 'mental_health')) {
+    paragraphs.push(
+      "I'm really sorry you are feeling this way. You do not have to carry this alone, and you deserve support right now.",
+      `If you feel you might act on these thoughts, please call ${EMERGENCY_NUMBER} or go to ${where} now. If you can, tell someone you trust, such as your partner, a family member or a friend, and ask them to stay with you.`,
+      'Feeling low or hopeless during or after pregnancy is common, and it can be treated. It does not make you a bad mother.'
+    );
+  }
+
+  if (signIds.some((id) => DANGER_SIGNS[id].category === 'obstetric')) {
+    paragraphs.push(
+      'What you are describing can be a danger sign in pregnancy. It needs to be checked by a health worker today, not later.',
+      `Please go now to ${where}. If you need an ambulance, call ${EMERGENCY_NUMBER}. Ask someone to go with you, and take your antenatal card.`,
+      'Do not wait to see if it gets better, and do not take any medicine unless a health worker tells you to.'
+    );
+  }
+
+  if (clinicianAlerted) paragraphs.push('A clinician on the Imago Mum team has been alerted.');
+  return paragraphs.join('\n\n');
+}
+
+/** Alert for a clinician. Pure. */
+function buildClinicianAlert(conversation, signIds) {
+  const selfHarm = signIds.includes('suicidal_ideation');
+  return {
+    kind: 'chat_danger_sign',
+    refId: conversation.id,
+    title: selfHarm ? 'Mother reported thoughts of self-harm in chat' : 'Mother reported pregnancy danger signs in chat',
+    body: `Reported: ${signIds.map((id) => DANGER_SIGNS[id].label).join('; ')}. She was told to seek urgent care. Please follow up on chat conversation ${conversation.id}.`
+  };
+}
+
+/**
+ * The conversation's safety tag after this triage, and whether clinicians
+ * should be alerted again. lastAlertedAt is carried over: the caller sets it
+ * once an alert has actually been delivered, so a failed alert is retried on
+ * the next message. Pure.
+ */
+function nextSafetyTag(previous, signIds, now = new Date()) {
+  const known = new Set(previous ? previous.dangerSigns : []);
+  const newSigns = signIds.filter((id) => !known.has(id));
+  const lastAlertedAt = previous && previous.lastAlertedAt ? new Date(previous.lastAlertedAt) : null;
+  const alert = newSigns.length > 0 || !lastAlertedAt || now.getTime() - lastAlertedAt.getTime() >= REALERT_AFTER_MS;
+
+  return {
+    alert,
+    tag: {
+      flagged: true,
+      dangerSigns: [...known, ...newSigns],
+      firstFlaggedAt: previous ? previous.firstFlaggedAt : now.toISOString(),
+      lastFlaggedAt: now.toISOString(),
+      lastAlertedAt: previous ? previous.lastAlertedAt || null : null,
+      flagCount: (previous ? previous.flagCount : 0) + 1
+    }
+  };
+}
+
+async function findFacility(userId) {
+  const [user, appointment] = await Promise.all([
+    User.findByPk(userId, { attributes: ['id', 'locationState', 'locationLga'] }),
+    Appointment.findOne({
+      where: { userId, status: { [Op.in]: ['scheduled', 'attended'] }, location: { [Op.ne]: null } },
+      order: [['scheduledAt', 'DESC']]
+    })
+  ]);
+  return {
+    clinic: appointment ? appointment.location : null,
+    lga: user ? user.locationLga : null,
+    state: user ? user.locationState : null
+  };
+}
+
+/** Alert the on-call clinicians; resolves to how many alerts were delivered. */
+async function alertClinicians(conversation, signIds) {
+  const recipients = await findRecipients('on_call');
+  const alert = buildClinicianAlert(conversation, signIds);
+  let sent = 0;
+  for (const clinician of recipients) {
+    const result = await dispatchNotification(clinician, alert);
+    if (result && result.sent) sent += 1;
+  }
+  if (sent === 0) {
+    logger.error('Chat triage: no clinician could be alerted', { conversationId: conversation.id, recipients: recipients.length });
+  }
+  return sent;
+}
+
+/**
+ * Check a mother's message for danger signs before it goes to the AI.
+ *
+ * Returns null when there are none. Otherwise tags the conversation, alerts
+ * clinicians and returns the reply to send instead of the AI's. Tagging and
+ * alerting failures are logged, never thrown: the mother must still get the
+ * urgent-care reply.
+ *
+ * @param {object} params
+ * @param {string|null} params.userId - null for an anonymous voice session
+ * @param {object|null} params.conversation - ChatConversation, if any
+ * @param {string} params.text
+ * @param {'chat'|'stream'|'voice'} params.channel
+ * @returns {Promise<{ dangerSigns: string[], response: string, metadata: object }|null>}
+ */
+async function triageMessage({ userId, conversation, text, channel }) {
+  const dangerSigns = classifyDangerSigns(text);
+  if (dangerSigns.length === 0) return null;
+
+  let facility = {};
+  if (userId) {
+    try {
+      facility = await findFacility(userId);
+    } catch (error) {
+      logger.error('Chat triage: facility lookup failed', { userId, error: error.message });
+    }
+  }
+
+  logger.logMedicalEvent('CHAT_DANGER_SIGNS', userId, {
+    conversationId: conversation ? conversation.id : null,
+    dangerSigns,
+    channel
+  });
+
+  let clinicianAlerted = false;
+  if (conversation) {
+    const metadata = conversation.metadata || {};
+    const now = new Date();
+    const { alert, tag } = nextSafetyTag(metadata.safety, dangerSigns, now);
+    if (alert) {
+      try {
+        if (await alertClinicians(conversation, tag.dangerSigns) > 0) tag.lastAlertedAt = now.toISOString();
+      } catch (error) {
+        logger.error('Chat triage: alerting failed', { conversationId: conversation.id, error: error.message });
+      }
+    }
+    // Not re-alerting within the window means an earlier alert went out
+    clinicianAlerted = Boolean(tag.lastAlertedAt);
+
+    try {
+      await conversation.update({ metadata: { ...metadata, safety: tag } });
+    } catch (error) {
+      logger.error('Chat triage: tagging failed', { conversationId: conversation.id, error: error.message });
+    }
+  } else {
+    logger.warn('Chat triage: danger signs outside a saved conversation; clinicians not alerted', { channel, dangerSigns });
+  }
+
+  return {
+    dangerSigns,
+    response: buildUrgentResponse(dangerSigns, facility, { clinicianAlerted }),
+    metadata: { mode: 'triage', dangerSigns, responseVersion: RESPONSE_VERSION, clinicianAlerted }
+  };
+}
+
+module.exports = {
+  RESPONSE_VERSION,
+  facilityGuidance,
+  buildUrgentResponse,
+  buildClinicianAlert,
+  nextSafetyTag,
+  triageMessage
+};
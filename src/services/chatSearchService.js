@@ -0,0 +1,141 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Full-text search over a mother's own chat history (GET /chat/search).
+ *
+ * Uses the same on-the-fly to_tsvector('english', content) as the knowledge
+ * base keyword search, backed by the chat_messages_content_fts expression
+ * index. Every query is scoped to the caller's user id, on both the message
+ * and its conversation; deleted messages and conversations are never returned.
+ *
+ * Snippets come from ts_headline with control-character markers, which are
+ * turned into <mark> tags only after the message text has been HTML-escaped,
+ * so a snippet is always safe to render.
+ */
+
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+const HEADLINE_OPTIONS = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_STOP}", `
+  + 'MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "';
+
+const SEARCH_SORTS = ['relevance', 'recent'];
+const MESSAGE_TYPES = ['user', 'assistant'];
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/** A ts_headline result as HTML-escaped text with <mark> around the matches. Pure. */
+function toHighlightedSnippet(headline) {
+  return String(headline || '')
+    .replace(/[&<>"']/g, (ch) => HTML_ESCAPES[ch])
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_STOP).join('</mark>');
+}
+
+/**
+ * The WHERE clause and replacements for a search. Pure.
+ *
+ * @param {string} userId
+ * @param {object} filters - { q, from, to, conversationId, messageType }
+ * @returns {{ where: string, replacements: object }}
+ */
+function buildSearchFilter(userId, { q, from, to, conversationId, messageType } = {}) {
+  const query = String(q || '').trim();
+  if (!query) throw new ValidationError('Search query is required');
+
+  const conditions = [
+    'm.user_id = :userId',
+    'c.user_id = :userId',
+    'm.deleted_at IS NULL',
+    'c.deleted_at IS NULL',
+    "to_tsvector('english', m.content) @@ plainto_tsquery('english', :q)"
+  ];
+  const replacements = { userId, q: query };
+
+  if (from) {
+    conditions.push('m.created_at >= :from');
+    replacements.from = new Date(from);
+  }
+  if (to) {
+    conditions.push('m.created_at <= :to');
+    replacements.to = new Date(to);
+  }
+  if (replacements.from && replacements.to && replacements.from > replacements.to) {
+    throw new ValidationError('from must be before to');
+  }
+  if (conversationId) {
+    conditions.push('m.conversation_id = :conversationId');
+    replacements.conversationId = conversationId;
+  }
+  if (messageType) {
+    conditions.push('m.message_type = :messageType');
+    replacements.messageType = messageType;
+  }
+
+  return { where: conditions.join('\n        AND '), replacements };
+}
+
+/**
+ * Search the user's chat messages.
+ *
+ * @param {string} userId
+ * @param {object} [params]
+ * @param {string} params.q
+ * @param {string} [params.from] - ISO 8601; messages sent at or after
+ * @param {string} [params.to] - ISO 8601; messages sent at or before
+ * @param {string} [params.conversationId]
+ * @param {'user'|'assistant'} [params.messageType]
+ * @param {'relevance'|'recent'} [params.sort='relevance']
+ * @param {number} [params.page=1]
+ * @param {number} [params.limit=20]
+ * @returns {Promise<{ results: object[], total: number }>}
+ */
+async function searchMessages(userId, { sort = 'relevance', page = 1, limit = 20, ...filters } = {}) {
+  const { where, replacements } = buildSearchFilter(userId, filters);
+  const order = sort === 'recent'
+    ? 'm.created_at DESC'
+    : "ts_rank(to_tsvector('english', m.content), plainto_tsquery('english', :q)) DESC, m.created_at DESC";
+
+  const fromClause = `FROM chat_messages m
+       JOIN chat_conversations c ON c.id = m.conversation_id
+      WHERE ${where}`;
+
+  const [{ total }] = await sequelize.query(
+    `SELECT COUNT(*) AS total ${fromClause}`,
+    { type: QueryTypes.SELECT, replacements, logging: false }
+  );
+
+  const rows = await sequelize.query(
+    `SELECT m.id, m.conversation_id AS "conversationId", m.thread_id AS "threadId",
+            m.message_type AS "messageType", m.content_type AS "contentType", m.created_at AS "createdAt",
+            c.title AS "conversationTitle",
+            ts_headline('english', m.content, plainto_tsquery('english', :q), :headlineOptions) AS headline
+       ${fromClause}
+      ORDER BY ${order}
+      LIMIT :limit OFFSET :offset`,
+    {
+      type: QueryTypes.SELECT,
+      replacements: {
+        ...replacements,
+        headlineOptions: HEADLINE_OPTIONS,
+        limit,
+        offset: (page - 1) * limit
+      },
+      logging: false
+    }
+  );
+
+  return {
+    total: Number(total),
+    results: rows.map(({ headline, ...row }) => ({ ...row, snippet: toHighlightedSnippet(headline) }))
+  };
+}
+
+module.exports = {
+  SEARCH_SORTS,
+  MESSAGE_TYPES,
+  toHighlightedSnippet,
+  buildSearchFilter,
+  searchMessages
+};
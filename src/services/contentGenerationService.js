@@ -136,6 +136,19 @@ async function assessGroundedness(body, contextBlock) {
   return chatJSON(messages, { temperature: 0 });
 }
 
+/** Whether a groundedness verdict clears RAG_GROUNDEDNESS_THRESHOLD. Pure. */
+function passesGroundedness(groundedness) {
+  return Boolean(groundedness) && groundedness.grounded === true
+    && (groundedness.groundedness_score ?? 0) >= GROUNDEDNESS_THRESHOLD;
+}
+
+/** Citable provenance for retrieved chunks, numbered as in buildContextBlock. Pure. */
+function toSources(chunks) {
+  return chunks.map((c, i) => ({
+    n: i + 1, documentTitle: c.documentTitle, pageFrom: c.pageFrom, pageTo: c.pageTo, section: c.section, docUrl: c.docUrl
+  }));
+}
+
 /**
  * Generate a grounded draft for a slot.
  * @param {object} slot { topic, contentType?, gestationalWeekMin?, gestationalWeekMax?, query?, localizeForNigeria? }
@@ -152,11 +165,8 @@ async function generateDraft(slot, opts = {}) {
   if (!ok) throw new Error(`Generation: draft failed validation: ${errors.join('; ')}`);
 
   const groundedness = await assessGroundedness(value.body, contextBlock);
-  const passed = groundedness.grounded === true && (groundedness.groundedness_score ?? 0) >= GROUNDEDNESS_THRESHOLD;
-
-  const sources = chunks.map((c, i) => ({
-    n: i + 1, documentTitle: c.documentTitle, pageFrom: c.pageFrom, pageTo: c.pageTo, section: c.section, docUrl: c.docUrl
-  }));
+  const passed = passesGroundedness(groundedness);
+  const sources = toSources(chunks);
 
   logger.info('Generation: draft produced', { topic: slot.topic, passed, score: groundedness.groundedness_score, chunks: chunks.length });
 
@@ -180,6 +190,6 @@ async function generateDraft(slot, opts = {}) {
 }
 
 module.exports = {
-  generateDraft, assessGroundedness, buildContextBlock, buildGenerationMessages, validateDraft,
-  CONTENT_TYPES, CULTURAL_CONTEXTS
+  generateDraft, assessGroundedness, passesGroundedness, buildContextBlock, buildGenerationMessages, validateDraft,
+  toSources, chatJSON, CONTENT_TYPES, CULTURAL_CONTEXTS
 };
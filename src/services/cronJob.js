@@ -0,0 +1,118 @@
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+
+/**
+ * In-process node-cron job with the plumbing every scheduler shares: an env
+ * flag to turn it on, an overlap guard, run-state tracking for the admin
+ * monitoring endpoint, and a manual trigger.
+ *
+ * No Redis/queue: the batches are idempotent and run on a single always-on
+ * replica, so an in-process cron is the cheapest correct option and a
+ * mistimed or duplicate run does no harm.
+ *
+ * @param {object} options
+ * @param {string} options.name - used in log lines ("delivery scheduler")
+ * @param {string} options.envFlag - `enabled` turns the job on (`disabled` turns it off when enabledByDefault)
+ * @param {boolean} [options.enabledByDefault=false]
+ * @param {string} options.schedule - cron expression
+ * @param {string} [options.timezone='Africa/Lagos']
+ * @param {(ctx: { trigger: string, state: object }) => Promise<object>} options.run - one batch
+ * @param {() => void} [options.onStart] - called once the job is scheduled
+ * @param {object} [options.extraState] - extra status fields the job maintains itself
+ * @param {boolean} [options.quietOverlap=false] - don't log skipped overlapping runs
+ * @param {object} [options.logContext] - extra fields for the "enabled" log line
+ */
+function createCronJob({
+  name,
+  envFlag,
+  enabledByDefault = false,
+  schedule,
+  timezone = 'Africa/Lagos', // WAT, UTC+1, no DST
+  run,
+  onStart,
+  extraState = {},
+  quietOverlap = false,
+  logContext = {}
+}) {
+  let task = null;
+
+  const state = {
+    enabled: false,
+    cron: schedule,
+    timezone,
+    isRunning: false,
+    lastRunAt: null,
+    lastTrigger: null,
+    lastResult: null,
+    lastError: null,
+    lastDurationMs: null,
+    ...extraState,
+    runCount: 0
+  };
+
+  /** Run the batch once, tracking state. Guards against overlapping runs. */
+  async function runOnce(trigger) {
+    if (state.isRunning) {
+      if (!quietOverlap) logger.warn(`${name}: run already in progress, skipping`, { trigger });
+      return { skipped: true, reason: 'already-running' };
+    }
+    state.isRunning = true;
+    const startedAt = Date.now();
+    try {
+      const result = await run({ trigger, state });
+      state.lastResult = result;
+      state.lastError = null;
+      return result;
+    } catch (err) {
+      state.lastError = err.message;
+      logger.error(`${name}: run failed`, { trigger, error: err.message });
+      throw err;
+    } finally {
+      state.isRunning = false;
+      state.lastRunAt = new Date().toISOString();
+      state.lastTrigger = trigger;
+      state.lastDurationMs = Date.now() - startedAt;
+      state.runCount += 1;
+    }
+  }
+
+  function isEnabled() {
+    const value = process.env[envFlag];
+    return enabledByDefault ? value !== 'disabled' : value === 'enabled';
+  }
+
+  function init() {
+    if (!isEnabled()) {
+      logger.info(enabledByDefault
+        ? `${name}: disabled (${envFlag}=disabled)`
+        : `${name}: disabled (set ${envFlag}=enabled to run)`);
+      return null;
+    }
+    if (!cron.validate(schedule)) {
+      logger.error(`${name}: invalid cron expression`, { cron: schedule });
+      return null;
+    }
+    task = cron.schedule(schedule, () => { runOnce('cron').catch(() => {}); }, { timezone });
+    state.enabled = true;
+    logger.info(`${name}: enabled`, { cron: schedule, tz: timezone, ...logContext });
+    if (onStart) onStart();
+    return { task };
+  }
+
+  function close() {
+    if (task) { task.stop(); task = null; }
+    state.enabled = false;
+  }
+
+  return {
+    state,
+    init,
+    runOnce,
+    /** Manually trigger a run now (admin monitoring endpoint). */
+    trigger: () => runOnce('manual'),
+    status: () => ({ ...state }),
+    close
+  };
+}
+
+module.exports = { createCronJob };
@@ -0,0 +1,185 @@
+const fs = require('fs').promises;
+const { getModels } = require('../models/associations');
+const ChatConversation = require('../models/ChatConversation');
+const ChatMessage = require('../models/ChatMessage');
+const UltrasoundScan = require('../models/UltrasoundScan');
+const azureStorageService = require('./azureStorageService');
+const tokenService = require('./tokenService');
+const logger = require('../utils/logger');
+
+/**
+ * Personal-data export (NDPA / GDPR right of access).
+ *
+ * Produces one JSON document with everything we hold about a user: profile,
+ * onboarding answers, chat conversations and messages, ultrasound scans (with
+ * the image itself, base64-encoded) and weekly deliveries, plus appointments,
+ * sessions and linked sign-in providers. Soft-deleted chats and scans are
+ * included because we still store them until the account is purged.
+ *
+ * Scan images can be large, so the document is written to the response scan
+ * by scan instead of being built in memory.
+ */
+
+const { User, WeeklyDelivery, ContentTopic, Appointment, UserIdentity, ScanBiometric, PregnancyDating } = getModels();
+
+const EXPORT_FORMAT_VERSION = 1;
+
+// Credentials and one-time codes are not personal data to hand back, and
+// must never leave the server.
+const SECRET_USER_FIELDS = ['password', 'otp', 'otpExpiresAt', 'passwordResetToken', 'passwordResetExpiresAt'];
+
+// Where the file lives on our side; meaningless to the user.
+const INTERNAL_SCAN_FIELDS = ['filePath', 'cloudBlobName', 'originalFilePath', 'originalBlobName'];
+
+/** A model instance (or plain object) as JSON, minus `fields`. Pure. */
+function omitFields(record, fields) {
+  const plain = record && typeof record.toJSON === 'function' ? record.toJSON() : { ...record };
+  for (const field of fields) delete plain[field];
+  return plain;
+}
+
+/** The user row as exported: every column except secrets. Pure. */
+function sanitizeProfile(user) {
+  return omitFields(user, SECRET_USER_FIELDS);
+}
+
+/** Download file name for an export, e.g. imagomum-export-<id>-2026-07-15.json. Pure. */
+function exportFileName(userId, now = new Date()) {
+  return `imagomum-export-${userId}-${now.toISOString().slice(0, 10)}.json`;
+}
+
+/**
+ * Everything except scan images, loaded up front so a database error fails the
+ * request before any of the response has been sent.
+ */
+async function collectUserData(userId) {
+  const user = await User.findByPk(userId);
+  if (!user) return null;
+
+  const [conversations, messages, scans, biometrics, datings, deliveries, appointments, sessions, identities] = await Promise.all([
+    ChatConversation.findAll({ where: { userId }, paranoid: false, order: [['createdAt', 'ASC']] }),
+    ChatMessage.findAll({ where: { userId }, paranoid: false, order: [['createdAt', 'ASC']] }),
+    UltrasoundScan.findAll({ where: { userId }, paranoid: false, order: [['createdAt', 'ASC']] }),
+    ScanBiometric.findAll({ where: { userId }, order: [['measuredOn', 'ASC']] }),
+    PregnancyDating.findAll({ where: { userId }, order: [['scanDate', 'ASC']] }),
+    WeeklyDelivery.findAll({
+      where: { userId },
+      include: [{ model: ContentTopic, as: 'topics', attributes: ['id', 'title', 'gestationalWeek', 'category'], through: { attributes: [] } }],
+      order: [['gestationalWeek', 'ASC']]
+    }),
+    Appointment.findAll({ where: { userId }, order: [['scheduledAt', 'ASC']] }),
+    tokenService.listActiveSessions(userId),
+    UserIdentity.findAll({ where: { userId } })
+  ]);
+
+  const messagesByConversation = new Map();
+  for (const message of messages) {
+    const list = messagesByConversation.get(message.conversationId) || [];
+    list.push({ ...message.getSafeMessageInfo(), metadata: message.metadata, deletedAt: message.deletedAt });
+    messagesByConversation.set(message.conversationId, list);
+  }
+
+  return {
+    profile: sanitizeProfile(user),
+    onboarding: user.getOnboardingInfo(),
+    pregnancy: user.getPregnancyInfo(),
+    chat: conversations.map((c) => ({
+      ...c.getSafeConversationInfo(),
+      deletedAt: c.deletedAt,
+      messages: messagesByConversation.get(c.id) || []
+    })),
+    scans,
+    scanBiometrics: biometrics.map((b) => b.getSafeBiometricInfo()),
+    pregnancyDatings: datings.map((d) => d.getSafeDatingInfo()),
+    deliveries: deliveries.map((d) => d.toJSON()),
+    appointments: appointments.map((a) => a.getSafeAppointmentInfo()),
+    sessions: sessions.map((s) => s.getSafeSessionInfo()),
+    identities: identities.map((i) => i.getSafeIdentityInfo())
+  };
+}
+
+/** A stored file as base64, from local disk or Azure. Never throws. */
+async function readStoredFile(scanId, { filePath, blobName, mimeType }) {
+  if (filePath) {
+    try {
+      const buffer = await fs.readFile(filePath);
+      return { encoding: 'base64', mimeType, size: buffer.length, data: buffer.toString('base64') };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Export: could not read local scan file', { scanId, error: error.message });
+      }
+    }
+  }
+
+  if (blobName) {
+    const result = await azureStorageService.downloadFile(blobName);
+    if (result.success) {
+      return { encoding: 'base64', mimeType, size: result.buffer.length, data: result.buffer.toString('base64') };
+    }
+    logger.warn('Export: could not download scan file', { scanId, error: result.error });
+  }
+
+  return { error: 'File is no longer available' };
+}
+
+/** The scan image as base64, from local disk or Azure. Never throws. */
+function readScanFile(scan) {
+  return readStoredFile(scan.id, { filePath: scan.filePath, blobName: scan.cloudBlobName, mimeType: scan.mimeType });
+}
+
+/** The DICOM file a scan's preview was rendered from. Never throws. */
+function readOriginalFile(scan) {
+  return readStoredFile(scan.id, {
+    filePath: scan.originalFilePath,
+    blobName: scan.originalBlobName,
+    mimeType: scan.originalMimeType
+  });
+}
+
+function writeChunk(out, chunk) {
+  return new Promise((resolve, reject) => {
+    out.write(chunk, (error) => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * Write the export for `data` (from collectUserData) to a writable stream.
+ *
+ * @param {object} data
+ * @param {import('stream').Writable} out
+ * @param {object} [options]
+ * @param {boolean} [options.includeFiles=true] - embed scan images (and DICOM originals); false lists scans without them
+ */
+async function writeExport(data, out, { includeFiles = true, now = new Date() } = {}) {
+  const { scans, ...sections } = data;
+  const header = {
+    format: 'imagomum-personal-data-export',
+    version: EXPORT_FORMAT_VERSION,
+    generatedAt: now.toISOString(),
+    ...sections
+  };
+
+  // Reopen the header object so scans can be appended one at a time.
+  await writeChunk(out, `${JSON.stringify(header, null, 2).replace(/\n}$/, '')},\n  "ultrasoundScans": [`);
+  for (let i = 0; i < scans.length; i += 1) {
+    const scan = scans[i];
+    const entry = {
+      ...omitFields(scan, INTERNAL_SCAN_FIELDS),
+      file: includeFiles ? await readScanFile(scan) : null
+    };
+    if (scan.originalFilePath || scan.originalBlobName) {
+      entry.originalFile = includeFiles ? await readOriginalFile(scan) : null;
+    }
+    await writeChunk(out, `${i === 0 ? '\n' : ',\n'}    ${JSON.stringify(entry)}`);
+  }
+  await writeChunk(out, `${scans.length ? '\n  ' : ''}]\n}\n`);
+}
+
+module.exports = {
+  EXPORT_FORMAT_VERSION,
+  sanitizeProfile,
+  exportFileName,
+  collectUserData,
+  readScanFile,
+  writeExport
+};
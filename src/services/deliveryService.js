@@ -16,6 +16,9 @@ const logger = require('../utils/logger');
  * selection, so we run the (heavy) rule evaluation once per distinct segmentKey
  * and fan out cheap WeeklyDelivery/DeliveryTopic rows per user. The immutable
  * personalizationSnapshot records the profile used, for audit.
+ *
+ * The gestational week comes from User.edd, so a confirmed ultrasound redating
+ * (pregnancyDatingService) moves a mother to the right week's content.
  */
 
 const { User, ContentTopic, ContentItem, MedicalReview, PersonalizationRule, WeeklyDelivery, DeliveryTopic } = getModels();
@@ -0,0 +1,86 @@
+const { sequelize } = require('../config/database');
+const emailService = require('./emailService');
+const azureStorageService = require('./azureStorageService');
+const smsService = require('./smsService');
+const aiService = require('./aiService');
+const aiChatService = require('./aiChatService');
+
+/**
+ * Runtime diagnostics for the CMS admin diagnostics endpoint: which external
+ * services are configured and reachable. Reports configuration state only —
+ * never credentials.
+ */
+
+const PROBE_TIMEOUT_MS = parseInt(process.env.DIAGNOSTICS_PROBE_TIMEOUT_MS, 10) || 5000;
+
+/** Resolve a probe within `ms`, else report it as timed out. */
+function withTimeout(promise, ms, onTimeout) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(onTimeout()), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function probeDatabase() {
+  const started = Date.now();
+  try {
+    await sequelize.authenticate();
+    return { status: 'connected', latencyMs: Date.now() - started };
+  } catch (error) {
+    return { status: 'unreachable', error: error.message };
+  }
+}
+
+async function probeAnalysisService() {
+  const started = Date.now();
+  const result = await aiService.healthCheck();
+  return {
+    status: result.status,
+    baseURL: aiService.baseURL,
+    latencyMs: Date.now() - started,
+    error: result.error || null
+  };
+}
+
+async function probeChatService() {
+  const started = Date.now();
+  const available = await aiChatService.isServiceAvailable();
+  return { status: available ? 'healthy' : 'unhealthy', latencyMs: Date.now() - started };
+}
+
+function smsStatus() {
+  try {
+    return { provider: smsService.getProvider().name };
+  } catch (error) {
+    return { provider: null, error: error.message };
+  }
+}
+
+/**
+ * Snapshot of the platform's dependencies. Each network probe is bounded so a
+ * hung dependency can't hang the admin request.
+ */
+async function collectDiagnostics() {
+  const timedOut = () => ({ status: 'timeout', timeoutMs: PROBE_TIMEOUT_MS });
+  const [database, analysis, chat] = await Promise.all([
+    withTimeout(probeDatabase(), PROBE_TIMEOUT_MS, timedOut),
+    withTimeout(probeAnalysisService(), PROBE_TIMEOUT_MS, timedOut),
+    withTimeout(probeChatService(), PROBE_TIMEOUT_MS, timedOut)
+  ]);
+
+  return {
+    environment: process.env.NODE_ENV,
+    database,
+    email: {
+      configured: emailService.isConfigured(),
+      hasCredentials: !!(process.env.EMAIL_USER && process.env.EMAIL_PASSWORD)
+    },
+    storage: azureStorageService.getStorageInfo(),
+    sms: smsStatus(),
+    ai: { analysis, chat },
+    checkedAt: new Date().toISOString()
+  };
+}
+
+module.exports = { withTimeout, collectDiagnostics };
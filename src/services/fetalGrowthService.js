@@ -0,0 +1,236 @@
+const { Op, literal } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { getModels } = require('../models/associations');
+const {
+  parseBiometrics,
+  parseGestationalAge,
+  gestationalDaysFromEdd,
+  formatGestationalAge
+} = require('../utils/fetalBiometry');
+const { MEASURES, UNITS, REFERENCE_SOURCES, assessMeasurement, referenceCurve } = require('../utils/fetalGrowthReference');
+const logger = require('../utils/logger');
+
+/**
+ * Fetal growth charting from ultrasound biometry.
+ *
+ * When a scan's AI analysis completes, the measurements in the report are
+ * parsed (utils/fetalBiometry) and stored as ScanBiometric rows with the
+ * gestational age on the scan date. DICOM uploads add the measurements the
+ * machine recorded, which take precedence over the report's. The growth chart plots them against the
+ * bundled reference centiles (utils/fetalGrowthReference) and flags values
+ * below the 10th or above the 90th centile.
+ *
+ * Gestational age comes from the mother's EDD if we have one, else what she
+ * entered with the scan, else the age stated in the report. The report's age
+ * is usually estimated from the same measurements, so it is the last resort:
+ * a measurement plotted against its own estimate always looks average.
+ */
+
+const { User, UltrasoundScan, ScanBiometric } = getModels();
+
+const BACKFILL_BATCH = 50;
+
+/** The scan's date as YYYY-MM-DD: when it was performed, else uploaded. Pure. */
+function scanDay(scan) {
+  return scan.scanDate || new Date(scan.createdAt).toISOString().slice(0, 10);
+}
+
+/**
+ * Gestational age on the scan date, and where it came from. Pure.
+ * @returns {{ days: number, source: 'edd'|'scan_input'|'ai_report' }|null}
+ */
+function gestationalAgeAtScan(scan, user, reportText) {
+  if (user && user.edd) {
+    const days = gestationalDaysFromEdd(user.edd, scanDay(scan));
+    if (days > 0 && days <= 44 * 7) return { days, source: 'edd' };
+  }
+
+  const entered = parseGestationalAge(scan.gestationalAge);
+  if (entered !== null) return { days: entered, source: 'scan_input' };
+
+  const reported = parseGestationalAge(reportText);
+  if (reported !== null) return { days: reported, source: 'ai_report' };
+
+  return null;
+}
+
+function reportTextFor(scan) {
+  return (scan.aiFindings && scan.aiFindings.analysis_text) || '';
+}
+
+/**
+ * Store `measurements` for a scan from `source`, replacing that source's
+ * earlier ones. A measure already stored from another source is kept: one
+ * value per measure per scan, and DICOM values (from the machine) are stored
+ * before the AI report is.
+ */
+async function storeMeasurements(scan, measurements, source, reportText) {
+  const user = await User.findByPk(scan.userId, { attributes: ['id', 'edd'] });
+  const ga = gestationalAgeAtScan(scan, user, reportText);
+
+  return sequelize.transaction(async (transaction) => {
+    await ScanBiometric.destroy({ where: { scanId: scan.id, source }, transaction });
+    const existing = await ScanBiometric.findAll({ where: { scanId: scan.id }, attributes: ['measure'], transaction });
+    const taken = new Set(existing.map((b) => b.measure));
+    const fresh = measurements.filter((m) => !taken.has(m.measure));
+
+    await ScanBiometric.bulkCreate(fresh.map((m) => ({
+      scanId: scan.id,
+      userId: scan.userId,
+      measure: m.measure,
+      value: m.value,
+      unit: m.unit,
+      gestationalAgeDays: ga ? ga.days : null,
+      gestationalAgeSource: ga ? ga.source : null,
+      source,
+      measuredOn: scanDay(scan)
+    })), { transaction });
+    return fresh.length;
+  });
+}
+
+/**
+ * Parse and store the biometry in a scan's AI report, replacing any earlier
+ * parse of the same scan. Never throws: growth charting must not fail the
+ * analysis it follows.
+ *
+ * @returns {Promise<number>} measurements stored
+ */
+async function recordScanBiometrics(scan) {
+  try {
+    const text = reportTextFor(scan);
+    return await storeMeasurements(scan, parseBiometrics(text), 'ai_report', text);
+  } catch (error) {
+    logger.error('Biometry extraction failed for scan', { scanId: scan.id, error: error.message });
+    return 0;
+  }
+}
+
+/**
+ * Store measurements read from a DICOM file's header when it is uploaded
+ * (scanIntakeService). Never throws.
+ *
+ * @param {object} scan
+ * @param {Array<{ measure: string, value: number, unit: string }>} measurements
+ * @returns {Promise<number>} measurements stored
+ */
+async function recordDicomBiometrics(scan, measurements) {
+  if (!measurements || measurements.length === 0) return 0;
+  try {
+    return await storeMeasurements(scan, measurements, 'dicom', '');
+  } catch (error) {
+    logger.error('Storing DICOM biometry failed for scan', { scanId: scan.id, error: error.message });
+    return 0;
+  }
+}
+
+/**
+ * Recompute the gestational age of stored measurements dated from the EDD,
+ * after the EDD has changed (pregnancyDatingService redating).
+ */
+async function refreshEddGestationalAges(user) {
+  if (!user.edd) return 0;
+  const [, affected] = await sequelize.query(
+    `UPDATE scan_biometrics
+        SET gestational_age_days = 280 - (CAST(:edd AS date) - measured_on), updated_at = NOW()
+      WHERE user_id = :userId AND gestational_age_source = 'edd'`,
+    { replacements: { edd: user.edd, userId: user.id } }
+  );
+  return affected && typeof affected.rowCount === 'number' ? affected.rowCount : 0;
+}
+
+/**
+ * Parse completed scans that have no stored biometry: those analysed before
+ * it was stored, and (cheaply re-parsed each time) reports with none in them.
+ */
+async function backfillUserBiometrics(userId) {
+  const scans = await UltrasoundScan.findAll({
+    where: {
+      userId,
+      aiAnalysisStatus: 'completed',
+      isArchived: false,
+      [Op.and]: literal('NOT EXISTS (SELECT 1 FROM scan_biometrics b WHERE b.scan_id = "UltrasoundScan"."id")')
+    },
+    limit: BACKFILL_BATCH
+  });
+  for (const scan of scans) {
+    await recordScanBiometrics(scan);
+  }
+}
+
+/**
+ * One point on the chart: the measurement, its gestational age and where it
+ * falls against the reference. Pure.
+ */
+function toChartPoint(biometric, scan) {
+  const days = biometric.gestationalAgeDays;
+  const gaWeeks = days === null || days === undefined ? null : days / 7;
+  const assessment = gaWeeks === null ? null : assessMeasurement(biometric.measure, biometric.value, gaWeeks);
+
+  return {
+    scanId: biometric.scanId,
+    scanDate: biometric.measuredOn,
+    scanType: scan ? scan.scanType : null,
+    value: biometric.value,
+    unit: biometric.unit,
+    gestationalAge: gaWeeks === null ? null : formatGestationalAge(days),
+    gestationalWeeks: gaWeeks === null ? null : Math.round(gaWeeks * 100) / 100,
+    gestationalAgeSource: biometric.gestationalAgeSource,
+    band: assessment ? assessment.band : null,
+    percentile: assessment ? assessment.percentile : null,
+    zScore: assessment ? assessment.zScore : null,
+    reference: assessment ? { p10: assessment.reference.p10, p50: assessment.reference.p50, p90: assessment.reference.p90 } : null
+  };
+}
+
+/**
+ * The user's growth chart: per measure, her measurements in scan order and
+ * the 10th/50th/90th reference curve, plus every value outside the band.
+ *
+ * @param {object} user - User
+ * @param {object} [options]
+ * @param {string} [options.measure] - one measure only
+ */
+async function buildGrowthChart(user, { measure } = {}) {
+  await backfillUserBiometrics(user.id);
+
+  const where = { userId: user.id };
+  if (measure) where.measure = measure;
+
+  const biometrics = await ScanBiometric.findAll({
+    where,
+    include: [{ model: UltrasoundScan, as: 'scan', attributes: ['id', 'scanType', 'isArchived'], where: { isArchived: false } }],
+    order: [['measuredOn', 'ASC'], ['createdAt', 'ASC']]
+  });
+
+  const measures = {};
+  for (const name of measure ? [measure] : MEASURES) {
+    measures[name] = {
+      unit: UNITS[name],
+      referenceSource: REFERENCE_SOURCES[name],
+      points: [],
+      reference: referenceCurve(name)
+    };
+  }
+
+  const flags = [];
+  for (const biometric of biometrics) {
+    const point = toChartPoint(biometric, biometric.scan);
+    measures[biometric.measure].points.push(point);
+    if (point.band && point.band !== 'normal') {
+      flags.push({ measure: biometric.measure, ...point });
+    }
+  }
+
+  return { measures, flags };
+}
+
+module.exports = {
+  scanDay,
+  gestationalAgeAtScan,
+  toChartPoint,
+  recordScanBiometrics,
+  recordDicomBiometrics,
+  refreshEddGestationalAges,
+  buildGrowthChart
+};
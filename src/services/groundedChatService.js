@@ -0,0 +1,102 @@
+const { retrieve } = require('./retrievalService');
+const {
+  assessGroundedness, passesGroundedness, buildContextBlock, toSources, chatJSON
+} = require('./contentGenerationService');
+const logger = require('../utils/logger');
+
+/**
+ * Grounded chat answers: a mother's question answered from the local reviewed
+ * knowledge base (document_chunks), with numbered citations back to the
+ * SourceDocument pages, instead of the external chat service's own knowledge.
+ *
+ * Pipeline: retrieve (hybrid) -> answer (GPT-4o, only from the excerpts, citing
+ * them as [n]) -> the same groundedness gate as content generation. When any
+ * step comes up empty the caller falls back to the external service, so
+ * answerQuestion never throws.
+ */
+
+const TOP_K = parseInt(process.env.CHAT_GROUNDED_TOP_K, 10) || 6;
+
+/** Build the chat messages for the answer call. Pure — no IO. */
+function buildAnswerMessages(question, contextBlock) {
+  const system = [
+    'You are Imago Mum, a friendly pregnancy companion for mothers (with a focus on Nigerian mothers).',
+    'You answer in warm, plain language at roughly a 6th–8th grade reading level, in a few short paragraphs.',
+    'STRICT GROUNDING RULE: answer ONLY from the provided SOURCE excerpts, and cite each claim with its source number in square brackets, e.g. [2].',
+    'Do NOT add facts, numbers, drug doses, or recommendations that are not in the sources.',
+    'Never diagnose. If the question is about symptoms, say when to see a health worker as the sources describe.',
+    'If the sources do not answer the question, set "answer" to null.',
+    'You reply ONLY with a single JSON object, no prose around it.'
+  ].join(' ');
+
+  const user = [
+    'QUESTION:',
+    question,
+    '',
+    'SOURCES:',
+    contextBlock,
+    '',
+    'Return JSON: {"answer": string or null, "citations": array of the source numbers (integers) you cited}.'
+  ].join('\n');
+
+  return [{ role: 'system', content: system }, { role: 'user', content: user }];
+}
+
+/**
+ * The source numbers an answer actually cites: its [n] markers, plus any
+ * listed in `listed`, limited to 1..sourceCount. Pure.
+ */
+function citedNumbers(answer, listed, sourceCount) {
+  const numbers = new Set();
+  for (const match of answer.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    for (const n of match[1].split(',')) numbers.add(parseInt(n, 10));
+  }
+  if (Array.isArray(listed)) {
+    for (const n of listed) if (Number.isInteger(n)) numbers.add(n);
+  }
+  return [...numbers].filter((n) => n >= 1 && n <= sourceCount).sort((a, b) => a - b);
+}
+
+/**
+ * Answer `question` from the knowledge base.
+ *
+ * @param {string} question
+ * @param {object} [opts] { topK?, userId? }
+ * @returns {Promise<{ grounded: true, answer: string, citations: object[], groundednessScore: number }
+ *                  |{ grounded: false, reason: 'no_sources'|'not_covered'|'no_citations'|'ungrounded'|'error' }>}
+ */
+async function answerQuestion(question, opts = {}) {
+  try {
+    const chunks = await retrieve(question, { topK: opts.topK || TOP_K });
+    if (chunks.length === 0) return { grounded: false, reason: 'no_sources' };
+
+    const contextBlock = buildContextBlock(chunks);
+    const raw = await chatJSON(buildAnswerMessages(question, contextBlock));
+    const answer = raw && typeof raw.answer === 'string' ? raw.answer.trim() : '';
+    if (!answer) return { grounded: false, reason: 'not_covered' };
+
+    const cited = citedNumbers(answer, raw.citations, chunks.length);
+    if (cited.length === 0) return { grounded: false, reason: 'no_citations' };
+
+    const groundedness = await assessGroundedness(answer, contextBlock);
+    const passed = passesGroundedness(groundedness);
+
+    logger.info('Grounded chat: answer produced', {
+      userId: opts.userId, passed, score: groundedness.groundedness_score, chunks: chunks.length
+    });
+    if (!passed) return { grounded: false, reason: 'ungrounded' };
+
+    const sources = toSources(chunks);
+    return {
+      grounded: true,
+      answer,
+      citations: cited.map((n) => sources[n - 1]),
+      groundednessScore: groundedness.groundedness_score
+    };
+  } catch (error) {
+    logger.warn('Grounded chat: falling back to the chat service', { userId: opts.userId, error: error.message });
+    return { grounded: false, reason: 'error' };
+  }
+}
+
+module.exports = { answerQuestion, buildAnswerMessages, citedNumbers };
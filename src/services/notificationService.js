@@ -1,42 +1,58 @@
 const logger = require('../utils/logger');
 
 /**
- * Weekly-delivery notification dispatch (CMS spec §7 step 7).
+ * Notification dispatch (CMS spec §7 step 7).
  *
  * Pluggable per-channel dispatcher keyed on UserProfile.notificationPref
  * (push | sms | whatsapp). Providers (FCM, an SMS gateway, WhatsApp Business
  * API) are NOT wired yet — each channel currently logs the send and reports
  * success so the delivery engine's status transitions can be exercised. Swap
  * the channel bodies for real provider calls when credentials are available.
+ *
+ * Callers pass either a WeeklyDelivery (the original "your weekly content is
+ * ready" notification) or an explicit message { kind, refId, title, body },
+ * e.g. appointment reminders.
  */
 
 const channels = {
-  push: async (user, delivery) => {
-    logger.info('notify[push]: STUB — would send push', { userId: user.id, deliveryId: delivery.id });
+  push: async (user, message) => {
+    logger.info('notify[push]: STUB — would send push', { userId: user.id, kind: message.kind, refId: message.refId });
     return { channel: 'push', sent: true, stub: true };
   },
-  sms: async (user, delivery) => {
-    logger.info('notify[sms]: STUB — would send SMS', { userId: user.id, deliveryId: delivery.id, phone: user.phone || null });
+  sms: async (user, message) => {
+    logger.info('notify[sms]: STUB — would send SMS', { userId: user.id, kind: message.kind, refId: message.refId, phone: user.phoneNumber || null });
     return { channel: 'sms', sent: true, stub: true };
   },
-  whatsapp: async (user, delivery) => {
-    logger.info('notify[whatsapp]: STUB — would send WhatsApp', { userId: user.id, deliveryId: delivery.id });
+  whatsapp: async (user, message) => {
+    logger.info('notify[whatsapp]: STUB — would send WhatsApp', { userId: user.id, kind: message.kind, refId: message.refId });
     return { channel: 'whatsapp', sent: true, stub: true };
   }
 };
 
+/** Normalise a WeeklyDelivery or an explicit message into { kind, refId, title, body }. */
+function toMessage(payload) {
+  if (payload.kind) return payload;
+  return {
+    kind: 'weekly_delivery',
+    refId: payload.id,
+    title: 'Your weekly content is ready',
+    body: `New content for week ${payload.gestationalWeek} is waiting for you.`
+  };
+}
+
 /**
- * Dispatch the "your weekly content is ready" notification on the user's
- * preferred channel. Defaults to push. Never throws — a failed notification
- * must not roll back a successfully created delivery.
+ * Dispatch a notification on the user's preferred channel. Defaults to push.
+ * Never throws — a failed notification must not roll back the caller's work
+ * (a created delivery, a recorded reminder).
  */
-async function dispatchNotification(user, delivery) {
+async function dispatchNotification(user, payload) {
   const pref = user.notificationPref || 'push';
   const send = channels[pref] || channels.push;
+  const message = toMessage(payload);
   try {
-    return await send(user, delivery);
+    return await send(user, message);
   } catch (err) {
-    logger.error('notify: dispatch failed', { userId: user.id, deliveryId: delivery.id, pref, error: err.message });
+    logger.error('notify: dispatch failed', { userId: user.id, kind: message.kind, refId: message.refId, pref, error: err.message });
     return { channel: pref, sent: false, error: err.message };
   }
 }
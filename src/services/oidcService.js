@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { AppError, AuthenticationError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * OpenID Connect ID-token verification for social login (Google / Apple).
+ *
+ * The mobile app runs the provider's native sign-in and posts the resulting
+ * ID token; we verify its signature against the issuer's published JWKS and
+ * check issuer, audience (our client ids), expiry and optional nonce.
+ *
+ * Configuration (read per call):
+ *   GOOGLE_CLIENT_IDS / APPLE_CLIENT_IDS   accepted audiences, comma-separated
+ *                                          (e.g. web + iOS + Android client ids)
+ *   OIDC_<PROVIDER>_ISSUER / _JWKS_URI     override the issuer, e.g. to point
+ *                                          tests at a local mock issuer
+ */
+
+const PROVIDER_DEFAULTS = {
+  google: {
+    label: 'Google',
+    issuers: ['https://accounts.google.com', 'accounts.google.com'],
+    jwksUri: 'https://www.googleapis.com/oauth2/v3/certs',
+    clientIdsEnv: 'GOOGLE_CLIENT_IDS'
+  },
+  apple: {
+    label: 'Apple',
+    issuers: ['https://appleid.apple.com'],
+    jwksUri: 'https://appleid.apple.com/auth/keys',
+    clientIdsEnv: 'APPLE_CLIENT_IDS'
+  }
+};
+
+const SUPPORTED_PROVIDERS = Object.keys(PROVIDER_DEFAULTS);
+
+const JWKS_CACHE_MS = (parseInt(process.env.OIDC_JWKS_CACHE_SECONDS, 10) || 3600) * 1000;
+// An unknown `kid` usually means the provider rotated keys; refetch, but not more often than this.
+const JWKS_MIN_REFRESH_MS = 60 * 1000;
+
+const jwksCache = new Map(); // jwksUri -> { keys, fetchedAt }
+
+function getProviderConfig(provider) {
+  const defaults = PROVIDER_DEFAULTS[provider];
+  if (!defaults) {
+    throw new AuthenticationError(`Unsupported sign-in provider: ${provider}`);
+  }
+  const prefix = `OIDC_${provider.toUpperCase()}`;
+  return {
+    label: defaults.label,
+    issuers: process.env[`${prefix}_ISSUER`] ? [process.env[`${prefix}_ISSUER`]] : defaults.issuers,
+    jwksUri: process.env[`${prefix}_JWKS_URI`] || defaults.jwksUri,
+    clientIds: (process.env[defaults.clientIdsEnv] || '').split(',').map((id) => id.trim()).filter(Boolean)
+  };
+}
+
+async function fetchJwks(jwksUri) {
+  const response = await axios.get(jwksUri, { timeout: 5000 });
+  const keys = Array.isArray(response.data?.keys) ? response.data.keys : [];
+  jwksCache.set(jwksUri, { keys, fetchedAt: Date.now() });
+  return keys;
+}
+
+/** The public key for `kid`, from cache when fresh; refetches once on a miss. */
+async function getSigningKey(jwksUri, kid) {
+  let entry = jwksCache.get(jwksUri);
+  if (!entry || Date.now() - entry.fetchedAt >= JWKS_CACHE_MS) {
+    await fetchJwks(jwksUri);
+    entry = jwksCache.get(jwksUri);
+  }
+
+  let jwk = entry.keys.find((k) => k.kid === kid);
+  if (!jwk && Date.now() - entry.fetchedAt >= JWKS_MIN_REFRESH_MS) {
+    const keys = await fetchJwks(jwksUri);
+    jwk = keys.find((k) => k.kid === kid);
+  }
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+}
+
+/** Apple sends booleans in ID tokens as strings ("true"). */
+function claimIsTrue(value) {
+  return value === true || value === 'true';
+}
+
+/**
+ * Verify an ID token from `provider` and return the identity it asserts.
+ *
+ * @param {'google'|'apple'} provider
+ * @param {string} idToken
+ * @param {object} [options]
+ * @param {string} [options.nonce] - raw nonce the client used; the token must carry it (or its SHA-256 hex, Apple's convention)
+ * @returns {Promise<{ provider, subject, email, emailVerified, name }>}
+ * @throws {AuthenticationError} when the token is not valid for us
+ */
+async function verifyIdToken(provider, idToken, { nonce } = {}) {
+  const config = getProviderConfig(provider);
+  if (config.clientIds.length === 0) {
+    throw new AppError(`${config.label} sign-in is not configured`, 503);
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header || decoded.header.alg !== 'RS256' || !decoded.header.kid) {
+    throw new AuthenticationError(`Invalid ${config.label} ID token`);
+  }
+
+  let key;
+  try {
+    key = await getSigningKey(config.jwksUri, decoded.header.kid);
+  } catch (error) {
+    logger.error('OIDC JWKS fetch failed', { provider, jwksUri: config.jwksUri, error: error.message });
+    throw new AppError(`${config.label} sign-in is temporarily unavailable`, 503);
+  }
+  if (!key) {
+    throw new AuthenticationError(`Invalid ${config.label} ID token`);
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256'],
+      issuer: config.issuers,
+      audience: config.clientIds,
+      clockTolerance: 30
+    });
+  } catch (error) {
+    logger.logSecurityEvent('OIDC_TOKEN_REJECTED', { provider, reason: error.message });
+    throw new AuthenticationError(error.name === 'TokenExpiredError'
+      ? `${config.label} sign-in has expired, please try again`
+      : `Invalid ${config.label} ID token`);
+  }
+
+  if (nonce) {
+    const hashed = crypto.createHash('sha256').update(String(nonce)).digest('hex');
+    if (claims.nonce !== nonce && claims.nonce !== hashed) {
+      logger.logSecurityEvent('OIDC_NONCE_MISMATCH', { provider, subject: claims.sub });
+      throw new AuthenticationError(`Invalid ${config.label} ID token`);
+    }
+  }
+
+  if (!claims.sub) {
+    throw new AuthenticationError(`Invalid ${config.label} ID token`);
+  }
+
+  return {
+    provider,
+    subject: String(claims.sub),
+    email: claims.email || null,
+    emailVerified: claimIsTrue(claims.email_verified),
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null
+  };
+}
+
+module.exports = {
+  SUPPORTED_PROVIDERS,
+  verifyIdToken,
+  clearJwksCache: () => jwksCache.clear()
+};
@@ -0,0 +1,157 @@
+const { Op } = require('sequelize');
+const { getModels } = require('../models/associations');
+const emailService = require('./emailService');
+const smsService = require('./smsService');
+const logger = require('../utils/logger');
+
+/**
+ * OTP delivery across channels: email (emailService) and phone (smsService,
+ * SMS or WhatsApp).
+ *
+ * Phone sends are throttled per number — a short cooldown between codes and a
+ * cap per rolling hour — counted from the otp_deliveries ledger so the limit
+ * holds across instances. Email is covered by the global API rate limiter.
+ */
+
+const { OtpDelivery } = getModels();
+
+const OTP_CHANNELS = ['email', 'sms', 'whatsapp'];
+const PHONE_CHANNELS = ['sms', 'whatsapp'];
+
+const DEFAULT_OTP_CHANNELS = (process.env.OTP_DEFAULT_CHANNELS || 'email,sms')
+  .split(',')
+  .map((c) => c.trim())
+  .filter((c) => OTP_CHANNELS.includes(c));
+
+const THROTTLE = {
+  cooldownMs: (parseInt(process.env.OTP_PHONE_COOLDOWN_SECONDS, 10) || 60) * 1000,
+  maxPerWindow: parseInt(process.env.OTP_PHONE_MAX_PER_HOUR, 10) || 5,
+  windowMs: 60 * 60 * 1000
+};
+
+/**
+ * Decide whether another code may go to a number, given when earlier codes
+ * were sent. Pure.
+ *
+ * @param {Date[]} sentAts - send times within (at least) the last window
+ * @returns {{ allowed: boolean, retryAfterSeconds: number }}
+ */
+function evaluateSendThrottle(sentAts, { now = new Date(), cooldownMs, maxPerWindow, windowMs } = THROTTLE) {
+  const nowMs = now.getTime();
+  const recent = sentAts
+    .map((d) => new Date(d).getTime())
+    .filter((t) => nowMs - t < windowMs)
+    .sort((a, b) => a - b);
+
+  let waitMs = 0;
+  if (recent.length > 0) {
+    waitMs = Math.max(waitMs, recent[recent.length - 1] + cooldownMs - nowMs);
+  }
+  if (recent.length >= maxPerWindow) {
+    // The window frees up when the oldest send that still counts ages out.
+    waitMs = Math.max(waitMs, recent[recent.length - maxPerWindow] + windowMs - nowMs);
+  }
+
+  return waitMs > 0
+    ? { allowed: false, retryAfterSeconds: Math.ceil(waitMs / 1000) }
+    : { allowed: true, retryAfterSeconds: 0 };
+}
+
+/** Whether a phone number may receive another OTP right now. */
+async function checkPhoneThrottle(phoneNumber, { now = new Date() } = {}) {
+  const to = smsService.normalizePhoneNumber(phoneNumber);
+  if (!to) return { allowed: true, retryAfterSeconds: 0 };
+
+  const rows = await OtpDelivery.findAll({
+    where: { phoneNumber: to, createdAt: { [Op.gt]: new Date(now.getTime() - THROTTLE.windowMs) } },
+    attributes: ['createdAt']
+  });
+  return evaluateSendThrottle(rows.map((r) => r.createdAt), { now, ...THROTTLE });
+}
+
+/** Text for an OTP sent by SMS / WhatsApp. */
+function buildOtpMessage(code, purpose) {
+  const what = purpose === 'password_reset' ? 'password reset code' : 'verification code';
+  return `Your Imagomum ${what} is ${code}. It expires in 10 minutes. Never share this code with anyone.`;
+}
+
+async function sendByEmail(user, code, purpose) {
+  const result = purpose === 'password_reset'
+    ? await emailService.sendPasswordResetOTP(user.email, code, user.fullName)
+    : await emailService.sendOTP(user.email, code, user.fullName);
+  return { channel: 'email', sent: Boolean(result && result.success), mock: Boolean(result && result.mock) };
+}
+
+async function sendByPhone(user, code, purpose, channel) {
+  const to = smsService.normalizePhoneNumber(user.phoneNumber);
+  if (!to) {
+    return { channel, sent: false, error: 'No valid phone number' };
+  }
+
+  const throttle = await checkPhoneThrottle(to);
+  if (!throttle.allowed) {
+    logger.logSecurityEvent('OTP_PHONE_SEND_THROTTLED', { userId: user.id, channel, retryAfterSeconds: throttle.retryAfterSeconds });
+    return { channel, sent: false, throttled: true, retryAfterSeconds: throttle.retryAfterSeconds };
+  }
+
+  let provider = process.env.SMS_PROVIDER || 'unconfigured';
+  try {
+    provider = smsService.getProvider().name;
+    const { messageId, mock } = await smsService.sendMessage({ to, body: buildOtpMessage(code, purpose), channel });
+    if (mock) {
+      // Only logged (local development): not delivered, so the caller can fall back to email
+      const error = `Not sent: the ${provider} SMS provider only logs messages`;
+      await OtpDelivery.create({ userId: user.id, phoneNumber: to, channel, purpose, provider, status: 'failed', error });
+      return { channel, sent: false, mock: true, error };
+    }
+    await OtpDelivery.create({ userId: user.id, phoneNumber: to, channel, purpose, provider, status: 'sent', providerMessageId: messageId });
+    return { channel, sent: true };
+  } catch (error) {
+    logger.error('OTP phone delivery failed', { userId: user.id, channel, provider, error: error.message });
+    await OtpDelivery.create({ userId: user.id, phoneNumber: to, channel, purpose, provider, status: 'failed', error: error.message });
+    return { channel, sent: false, error: error.message };
+  }
+}
+
+/**
+ * Send an OTP on each requested channel. Never throws for a delivery failure;
+ * each channel reports its own outcome so the caller can tell the user where
+ * the code went.
+ *
+ * @param {object} options
+ * @param {object} options.user - { id, email, phoneNumber, fullName }
+ * @param {string} options.code
+ * @param {'signup_verification'|'password_reset'} options.purpose
+ * @param {string[]} [options.channels]
+ * @returns {Promise<Array<{ channel, sent, mock?, throttled?, retryAfterSeconds?, error? }>>}
+ */
+async function deliverOtp({ user, code, purpose, channels = DEFAULT_OTP_CHANNELS }) {
+  const results = [];
+  for (const channel of channels) {
+    try {
+      results.push(PHONE_CHANNELS.includes(channel)
+        ? await sendByPhone(user, code, purpose, channel)
+        : await sendByEmail(user, code, purpose));
+    } catch (error) {
+      logger.error('OTP delivery failed', { userId: user.id, channel, error: error.message });
+      results.push({ channel, sent: false, error: error.message });
+    }
+  }
+
+  logger.info('OTP sent', {
+    userId: user.id,
+    purpose,
+    channels: results.map((r) => `${r.channel}:${r.sent ? 'sent' : (r.throttled ? 'throttled' : 'failed')}`)
+  });
+  return results;
+}
+
+module.exports = {
+  OTP_CHANNELS,
+  PHONE_CHANNELS,
+  DEFAULT_OTP_CHANNELS,
+  evaluateSendThrottle,
+  checkPhoneThrottle,
+  buildOtpMessage,
+  deliverOtp
+};
@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { getModels } = require('../models/associations');
+const { AuthenticationError, RateLimitError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * One-time codes for signup verification and password reset.
+ *
+ * Codes are stored as keyed HMACs (OTP_HASH_SECRET, falling back to
+ * JWT_SECRET): a six-digit code has only a million values, so a plain hash
+ * would be reversed instantly from a database dump.
+ *
+ * Every check is recorded in otp_attempts. Too many failures for one user and
+ * purpose, or from one IP across all accounts, locks further checks for a
+ * sliding window. The lock is time-based only: requesting a new code does not
+ * clear it.
+ *
+ * Checks for the same user (a lock on the user row) and the same IP (an
+ * advisory lock) run one at a time, and each attempt is recorded before the
+ * code is compared, so a burst of parallel requests can't all pass the
+ * lockout check and get more guesses than the limit allows.
+ */
+
+const { OtpAttempt, User } = getModels();
+
+const OTP_TTL_MS = 10 * 60 * 1000;
+
+const LOCKOUT = {
+  maxPerUser: parseInt(process.env.OTP_MAX_FAILED_ATTEMPTS, 10) || 5,
+  maxPerIp: parseInt(process.env.OTP_MAX_FAILED_ATTEMPTS_PER_IP, 10) || 20,
+  lockoutMs: (parseInt(process.env.OTP_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000
+};
+
+// Where each purpose keeps its code on the User, and what a failed check says.
+// Password reset uses one generic message so it can't be used to probe accounts.
+const PURPOSES = {
+  signup_verification: {
+    hashField: 'otp',
+    expiresField: 'otpExpiresAt',
+    messages: { expired: 'OTP has expired', invalid: 'Invalid OTP' }
+  },
+  password_reset: {
+    hashField: 'passwordResetToken',
+    expiresField: 'passwordResetExpiresAt',
+    messages: { expired: 'Invalid or expired reset code', invalid: 'Invalid or expired reset code' }
+  }
+};
+
+function hashSecret() {
+  const secret = process.env.OTP_HASH_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('OTP_HASH_SECRET (or JWT_SECRET) must be set to hash OTPs');
+  }
+  return secret;
+}
+
+/** Six-digit numeric code from a CSPRNG. */
+function generateOtp() {
+  return crypto.randomInt(100000, 1000000).toString();
+}
+
+function hashOtp(code, purpose) {
+  return crypto.createHmac('sha256', hashSecret()).update(`${purpose}:${code}`).digest('hex');
+}
+
+/** Constant-time comparison of a submitted code against a stored hash. */
+function otpMatches(code, purpose, storedHash) {
+  if (!storedHash || !code) return false;
+  const expected = Buffer.from(String(storedHash), 'hex');
+  const actual = Buffer.from(hashOtp(code, purpose), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * A fresh code and the User fields that store it.
+ * @returns {{ code: string, expiresAt: Date, fields: object }}
+ */
+function issueOtp(purpose, { now = new Date() } = {}) {
+  const { hashField, expiresField } = PURPOSES[purpose];
+  const code = generateOtp();
+  const expiresAt = new Date(now.getTime() + OTP_TTL_MS);
+  return { code, expiresAt, fields: { [hashField]: hashOtp(code, purpose), [expiresField]: expiresAt } };
+}
+
+/**
+ * Whether failures inside the sliding window have reached the limit. Pure.
+ *
+ * @param {Date[]} failureTimes
+ * @returns {{ locked: boolean, retryAfterSeconds: number, remaining: number }}
+ */
+function evaluateLockout(failureTimes, { now = new Date(), maxAttempts, lockoutMs }) {
+  const nowMs = now.getTime();
+  const recent = failureTimes
+    .map((d) => new Date(d).getTime())
+    .filter((t) => nowMs - t < lockoutMs)
+    .sort((a, b) => a - b);
+
+  if (recent.length < maxAttempts) {
+    return { locked: false, retryAfterSeconds: 0, remaining: maxAttempts - recent.length };
+  }
+  // Locked until enough of the counted failures have aged out of the window.
+  const unlockAt = recent[recent.length - maxAttempts] + lockoutMs;
+  return { locked: true, retryAfterSeconds: Math.max(1, Math.ceil((unlockAt - nowMs) / 1000)), remaining: 0 };
+}
+
+async function failureTimesForUser(userId, purpose, since, transaction) {
+  // A successful check resets the per-user count.
+  const lastSuccess = await OtpAttempt.max('createdAt', { where: { userId, purpose, succeeded: true }, transaction });
+  const from = lastSuccess && new Date(lastSuccess) > since ? new Date(lastSuccess) : since;
+  const rows = await OtpAttempt.findAll({
+    where: { userId, purpose, succeeded: false, createdAt: { [Op.gt]: from } },
+    attributes: ['createdAt'],
+    transaction
+  });
+  return rows.map((r) => r.createdAt);
+}
+
+async function failureTimesForIp(ipAddress, since, transaction) {
+  const rows = await OtpAttempt.findAll({
+    where: { ipAddress, succeeded: false, createdAt: { [Op.gt]: since } },
+    attributes: ['createdAt'],
+    transaction
+  });
+  return rows.map((r) => r.createdAt);
+}
+
+/** Current lock state for a user+purpose and for an IP; the longer lock wins. */
+async function getLockout({ userId, purpose, ipAddress, now = new Date(), transaction = null }) {
+  const since = new Date(now.getTime() - LOCKOUT.lockoutMs);
+  const options = { now, lockoutMs: LOCKOUT.lockoutMs };
+
+  const byUser = userId
+    ? evaluateLockout(await failureTimesForUser(userId, purpose, since, transaction), { ...options, maxAttempts: LOCKOUT.maxPerUser })
+    : { locked: false, retryAfterSeconds: 0 };
+  const byIp = ipAddress
+    ? evaluateLockout(await failureTimesForIp(ipAddress, since, transaction), { ...options, maxAttempts: LOCKOUT.maxPerIp })
+    : { locked: false, retryAfterSeconds: 0 };
+
+  return {
+    locked: byUser.locked || byIp.locked,
+    scope: byUser.locked ? 'user' : (byIp.locked ? 'ip' : null),
+    retryAfterSeconds: Math.max(byUser.retryAfterSeconds, byIp.retryAfterSeconds)
+  };
+}
+
+/**
+ * Hold the user's row and the IP's advisory lock until `transaction` ends.
+ * Always user first, then IP, so two checks can't deadlock.
+ *
+ * @returns {Promise<object|null>} the user's current code fields, read under the lock
+ */
+async function lockAttempts({ userId, ipAddress, purpose, transaction }) {
+  const { hashField, expiresField } = PURPOSES[purpose];
+  const locked = userId
+    ? await User.findByPk(userId, { attributes: ['id', hashField, expiresField], transaction, lock: transaction.LOCK.UPDATE })
+    : null;
+  if (ipAddress) {
+    await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:key))', {
+      replacements: { key: `otp_attempts:${ipAddress}` },
+      transaction,
+      logging: false
+    });
+  }
+  return locked;
+}
+
+/** Why a submitted code is not accepted, or null if it is. Pure. */
+function rejectionReason(current, purpose, code, now = new Date()) {
+  const { hashField, expiresField } = PURPOSES[purpose];
+  if (!current) return 'unknown_user';
+  if (!current[hashField]) return 'no_active_code';
+  if (!otpMatches(code, purpose, current[hashField])) return 'mismatch';
+  if (!current[expiresField] || now > new Date(current[expiresField])) return 'expired';
+  return null;
+}
+
+function lockoutError(retryAfterSeconds) {
+  const minutes = Math.ceil(retryAfterSeconds / 60);
+  return new RateLimitError(
+    `Too many incorrect codes. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    retryAfterSeconds
+  );
+}
+
+/**
+ * Check a submitted code for `purpose`. The same path serves signup
+ * verification and password reset.
+ *
+ * Resolves on success (the caller then clears the code as part of its own
+ * update). Otherwise records the failure and throws AuthenticationError, or
+ * RateLimitError once the user or IP is locked out. On the failure that
+ * triggers a lockout the outstanding code is cleared as well, so the user must
+ * request a new one afterwards.
+ *
+ * @param {object} options
+ * @param {object|null} options.user - User instance, or null if the email matched no account
+ * @param {'signup_verification'|'password_reset'} options.purpose
+ * @param {string} options.code
+ * @param {string} [options.ipAddress]
+ * @param {string} [options.email] - for security logs when there is no user
+ * @throws {AuthenticationError|RateLimitError}
+ */
+async function verifyOtp({ user, purpose, code, ipAddress = null, email = null }) {
+  const { hashField, expiresField, messages } = PURPOSES[purpose];
+  const userId = user ? user.id : null;
+  const logContext = { userId, email: user ? user.email : email, purpose, ip: ipAddress };
+
+  // Nothing is thrown inside the transaction: a rejected code must still
+  // commit its recorded attempt.
+  const { before, reason, after } = await sequelize.transaction(async (transaction) => {
+    const current = await lockAttempts({ userId, ipAddress, purpose, transaction });
+
+    const lockout = await getLockout({ userId, purpose, ipAddress, transaction });
+    if (lockout.locked) return { before: lockout };
+
+    // Counted as a failure before the code is compared; a match flips it.
+    const attempt = await OtpAttempt.create({ userId, ipAddress, purpose, succeeded: false }, { transaction });
+    const rejected = rejectionReason(current, purpose, code);
+    if (rejected === null) {
+      await attempt.update({ succeeded: true }, { transaction });
+      return { reason: null };
+    }
+
+    const lockedNow = await getLockout({ userId, purpose, ipAddress, transaction });
+    if (lockedNow.locked && current && current[hashField]) {
+      await user.update({ [hashField]: null, [expiresField]: null }, { transaction });
+    }
+    return { reason: rejected, after: lockedNow };
+  });
+
+  if (before) {
+    logger.logSecurityEvent('OTP_ATTEMPT_WHILE_LOCKED', { ...logContext, scope: before.scope, retryAfterSeconds: before.retryAfterSeconds });
+    throw lockoutError(before.retryAfterSeconds);
+  }
+
+  if (reason === null) {
+    return;
+  }
+
+  logger.logSecurityEvent('OTP_VERIFICATION_FAILED', { ...logContext, reason });
+
+  if (after.locked) {
+    logger.logSecurityEvent('OTP_LOCKOUT', { ...logContext, scope: after.scope, retryAfterSeconds: after.retryAfterSeconds });
+    throw lockoutError(after.retryAfterSeconds);
+  }
+
+  throw new AuthenticationError(reason === 'expired' ? messages.expired : messages.invalid);
+}
+
+module.exports = {
+  OTP_PURPOSES: Object.keys(PURPOSES),
+  generateOtp,
+  hashOtp,
+  otpMatches,
+  issueOtp,
+  evaluateLockout,
+  rejectionReason,
+  getLockout,
+  verifyOtp
+};
@@ -0,0 +1,236 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { getModels } = require('../models/associations');
+const { parseCrownRumpLength, parseGestationalAge, formatGestationalAge } = require('../utils/fetalBiometry');
+const { gestationalDaysFromCrl, gestationalDaysFromHc, compareDating, addDays } = require('../utils/pregnancyDating');
+const { calculatePregnancyInfo } = require('../utils/pregnancyCalculations');
+const { scanDay, refreshEddGestationalAges } = require('./fetalGrowthService');
+const appointmentService = require('./appointmentService');
+const aiContextService = require('./aiContextService');
+const { dispatchNotification } = require('./notificationService');
+const { NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Ultrasound redating of the EDD.
+ *
+ * The EDD starts out from the LMP (onboarding). When a scan's AI analysis
+ * gives a gestational age (from the CRL, else the HC, else the age stated in
+ * the report), it is compared with the LMP age on the scan date
+ * (utils/pregnancyDating). If they disagree by more than the ACOG threshold
+ * for that age, the ultrasound EDD is proposed to the mother; she confirms or
+ * declines it. Every comparison is kept as a PregnancyDating row, so both
+ * estimates and how each was made stay on record.
+ *
+ * Confirming replaces User.edd and sets eddBasis 'ultrasound'. Everything
+ * that reads the EDD (weekly deliveries, the ANC schedule, chat context,
+ * growth charts) then uses it. Once dated by ultrasound, later scans are not
+ * used to redate again: the earliest ultrasound is the most accurate.
+ */
+
+const { User, PregnancyDating } = getModels();
+
+/**
+ * The ultrasound gestational age a report supports, best method first. A CRL
+ * read from the DICOM header is preferred to one in the report. Pure.
+ * @returns {{ days: number, method: 'crl'|'hc'|'reported_ga', measurementMm: number|null }|null}
+ */
+function ultrasoundEstimate(reportText, biometrics = [], dicomCrlMm = null) {
+  const crl = dicomCrlMm !== null ? dicomCrlMm : parseCrownRumpLength(reportText);
+  const crlDays = crl !== null ? gestationalDaysFromCrl(crl) : null;
+  if (crlDays !== null) return { days: crlDays, method: 'crl', measurementMm: crl };
+
+  const hc = biometrics.find((b) => b.measure === 'hc');
+  const hcDays = hc ? gestationalDaysFromHc(hc.value) : null;
+  if (hcDays !== null) return { days: hcDays, method: 'hc', measurementMm: hc.value };
+
+  const reported = parseGestationalAge(reportText);
+  if (reported !== null) return { days: reported, method: 'reported_ga', measurementMm: null };
+
+  return null;
+}
+
+/** Notification asking the mother to review a proposed EDD. Pure. */
+function buildProposalNotification(dating) {
+  const direction = dating.differenceDays > 0 ? 'further along' : 'earlier';
+  return {
+    kind: 'edd_redating_proposed',
+    refId: dating.id,
+    title: 'Your due date may need updating',
+    body: `Your scan suggests your pregnancy is ${direction} than your last period indicates `
+      + `(${formatGestationalAge(dating.ultrasoundGestationalDays)} rather than ${formatGestationalAge(dating.lmpGestationalDays)}). `
+      + 'Open the app to review the suggested due date.'
+  };
+}
+
+/**
+ * Compare a freshly analysed scan with the mother's LMP dating and record the
+ * result, proposing a new EDD when the difference warrants one. Never throws:
+ * dating must not fail the analysis it follows.
+ *
+ * @returns {Promise<object|null>} the PregnancyDating, or null if the scan could not be used
+ */
+async function evaluateScanDating(scan) {
+  try {
+    const user = await User.findByPk(scan.userId);
+    if (!user || !user.lmpDate || user.eddBasis === 'ultrasound') return null;
+
+    const biometrics = await scan.getBiometrics({ attributes: ['measure', 'value'] });
+    const reportText = (scan.aiFindings && scan.aiFindings.analysis_text) || '';
+    const dicomCrl = (scan.dicomMetadata && scan.dicomMetadata.crownRumpLengthMm) || null;
+    const estimate = ultrasoundEstimate(reportText, biometrics, dicomCrl);
+    if (!estimate) return null;
+
+    const scanDate = scanDay(scan);
+    const comparison = compareDating({ lmpDate: user.lmpDate, scanDate, ultrasoundDays: estimate.days });
+    if (comparison.lmpDays <= 0) return null;
+
+    const dating = await sequelize.transaction(async (transaction) => {
+      // A scan analysed again replaces its own earlier comparison.
+      await PregnancyDating.destroy({
+        where: { scanId: scan.id, status: { [Op.in]: ['no_change', 'proposed'] } },
+        transaction
+      });
+      if (comparison.redate) {
+        await PregnancyDating.update(
+          { status: 'superseded', decidedAt: new Date() },
+          { where: { userId: user.id, status: 'proposed' }, transaction }
+        );
+      }
+      return PregnancyDating.create({
+        userId: user.id,
+        scanId: scan.id,
+        scanDate,
+        lmpDate: user.lmpDate,
+        lmpEdd: comparison.lmpEdd,
+        lmpGestationalDays: comparison.lmpDays,
+        ultrasoundEdd: comparison.ultrasoundEdd,
+        ultrasoundGestationalDays: comparison.ultrasoundDays,
+        method: estimate.method,
+        measurementMm: estimate.measurementMm,
+        differenceDays: comparison.differenceDays,
+        thresholdDays: comparison.thresholdDays,
+        status: comparison.redate ? 'proposed' : 'no_change'
+      }, { transaction });
+    });
+
+    logger.logMedicalEvent('PREGNANCY_DATING_EVALUATED', user.id, {
+      scanId: scan.id,
+      method: estimate.method,
+      differenceDays: comparison.differenceDays,
+      thresholdDays: comparison.thresholdDays,
+      status: dating.status
+    });
+
+    if (dating.status === 'proposed') {
+      await dispatchNotification(user, buildProposalNotification(dating));
+    }
+    return dating;
+  } catch (error) {
+    logger.error('Pregnancy dating failed for scan', { scanId: scan.id, error: error.message });
+    return null;
+  }
+}
+
+/** The mother's current EDD, its basis, and every dating comparison, newest first. */
+async function getDatingSummary(user) {
+  const datings = await PregnancyDating.findAll({
+    where: { userId: user.id },
+    order: [['scanDate', 'DESC'], ['createdAt', 'DESC']]
+  });
+  const pending = datings.find((d) => d.status === 'proposed');
+
+  return {
+    edd: user.edd,
+    eddBasis: user.eddBasis || 'lmp',
+    lmpDate: user.lmpDate,
+    pendingProposal: pending ? pending.getSafeDatingInfo() : null,
+    datings: datings.map((d) => d.getSafeDatingInfo())
+  };
+}
+
+async function loadProposal(user, datingId) {
+  const dating = await PregnancyDating.findOne({ where: { id: datingId, userId: user.id } });
+  if (!dating || dating.status === 'no_change') throw new NotFoundError('Dating proposal not found');
+  if (dating.status !== 'proposed') {
+    throw new ConflictError(`This proposal has already been ${dating.status === 'superseded' ? 'replaced by a newer one' : dating.status}`);
+  }
+  return dating;
+}
+
+/**
+ * Accept a proposed EDD: it becomes User.edd, and the gestational age,
+ * ANC schedule, chat context and growth chart ages follow it. The LMP the
+ * mother gave is kept.
+ *
+ * @throws {NotFoundError|ConflictError}
+ */
+async function confirmRedating(user, datingId, { now = new Date() } = {}) {
+  const dating = await loadProposal(user, datingId);
+  const pregnancyInfo = calculatePregnancyInfo(addDays(dating.ultrasoundEdd, -280), now);
+
+  await sequelize.transaction(async (transaction) => {
+    const [updated] = await PregnancyDating.update(
+      { status: 'confirmed', decidedAt: now },
+      { where: { id: dating.id, status: 'proposed' }, transaction }
+    );
+    if (updated === 0) throw new ConflictError('This proposal has already been decided');
+
+    await user.update({
+      edd: dating.ultrasoundEdd,
+      eddBasis: 'ultrasound',
+      gestationalWeeks: pregnancyInfo.gestationalWeeks,
+      gestationalDays: pregnancyInfo.gestationalDays,
+      trimester: pregnancyInfo.trimester,
+      pregnancyCalculatedAt: now
+    }, { transaction });
+  });
+
+  logger.logMedicalEvent('EDD_REDATED', user.id, {
+    datingId: dating.id,
+    previousEdd: dating.lmpEdd,
+    edd: dating.ultrasoundEdd,
+    method: dating.method
+  });
+
+  try {
+    await appointmentService.syncAncSchedule(user, { now });
+  } catch (error) {
+    logger.error('Failed to regenerate ANC schedule after redating', { userId: user.id, error: error.message });
+  }
+  try {
+    await refreshEddGestationalAges(user);
+  } catch (error) {
+    logger.error('Failed to refresh growth chart ages after redating', { userId: user.id, error: error.message });
+  }
+  await aiContextService.syncUserContext(user);
+
+  await dating.reload();
+  return dating;
+}
+
+/**
+ * Keep the LMP dating. Later scans may still propose a new EDD.
+ * @throws {NotFoundError|ConflictError}
+ */
+async function declineRedating(user, datingId, { now = new Date() } = {}) {
+  const dating = await loadProposal(user, datingId);
+  const [updated] = await PregnancyDating.update(
+    { status: 'declined', decidedAt: now },
+    { where: { id: dating.id, status: 'proposed' } }
+  );
+  if (updated === 0) throw new ConflictError('This proposal has already been decided');
+
+  logger.logMedicalEvent('EDD_REDATING_DECLINED', user.id, { datingId: dating.id, method: dating.method });
+  await dating.reload();
+  return dating;
+}
+
+module.exports = {
+  ultrasoundEstimate,
+  buildProposalNotification,
+  evaluateScanDating,
+  getDatingSummary,
+  confirmRedating,
+  declineRedating
+};
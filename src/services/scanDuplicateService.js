@@ -0,0 +1,91 @@
+const { Op } = require('sequelize');
+const { getModels } = require('../models/associations');
+const { hammingDistance } = require('../utils/perceptualHash');
+
+/**
+ * Finding a scan the mother has already uploaded, so the same image is not
+ * stored and analysed twice.
+ *
+ * An exact duplicate has the same fileHash: the same file once identifying
+ * metadata is stripped, so re-exporting from a phone that adds new EXIF
+ * still matches. A near duplicate has a perceptual hash within
+ * SCAN_NEAR_DUPLICATE_DISTANCE bits (default 4 of 64): the same image
+ * re-compressed, resized or screenshotted. Ultrasound images all look much
+ * alike at 9x8 pixels, so the default is strict; the client can always
+ * upload anyway with force=true.
+ *
+ * Only the mother's own scans are compared, and only those she still has
+ * and whose analysis has not failed: a scan she deleted (archived) or one
+ * the AI service never read is no use as "the existing analysis".
+ */
+
+const { UltrasoundScan } = getModels();
+
+const NEAR_DUPLICATE_DISTANCE = parseInt(process.env.SCAN_NEAR_DUPLICATE_DISTANCE, 10) || 4;
+
+// The analysis of a scan in these states can't be reused.
+const UNUSABLE_ANALYSIS_STATUSES = ['failed', 'error'];
+
+// Compared in memory; a mother has tens of scans, not thousands.
+const NEAR_DUPLICATE_CANDIDATES = 500;
+
+/**
+ * The candidate whose hash is nearest `hash`, if within `maxDistance`. Pure.
+ *
+ * @param {Array<{ id: string, perceptualHash: string }>} candidates
+ * @returns {{ id: string, distance: number }|null}
+ */
+function closestMatch(candidates, hash, maxDistance = NEAR_DUPLICATE_DISTANCE) {
+  let best = null;
+  for (const candidate of candidates) {
+    if (!candidate.perceptualHash || candidate.perceptualHash.length !== hash.length) continue;
+    const distance = hammingDistance(candidate.perceptualHash, hash);
+    if (distance <= maxDistance && (!best || distance < best.distance)) {
+      best = { id: candidate.id, distance };
+    }
+  }
+  return best;
+}
+
+/**
+ * The user's existing scan of the same image, if any.
+ *
+ * @param {string} userId
+ * @param {object} hashes
+ * @param {string} hashes.fileHash - md5 of the sanitised file
+ * @param {string|null} [hashes.perceptualHash]
+ * @returns {Promise<{ scan: object, match: 'exact'|'near', distance: number }|null>}
+ */
+async function findDuplicateScan(userId, { fileHash, perceptualHash }) {
+  const reusable = {
+    userId,
+    isArchived: false,
+    aiAnalysisStatus: { [Op.notIn]: UNUSABLE_ANALYSIS_STATUSES }
+  };
+
+  const exact = await UltrasoundScan.findOne({
+    where: { ...reusable, fileHash },
+    order: [['createdAt', 'ASC']]
+  });
+  if (exact) return { scan: exact, match: 'exact', distance: 0 };
+
+  if (!perceptualHash) return null;
+
+  const candidates = await UltrasoundScan.findAll({
+    where: { ...reusable, perceptualHash: { [Op.ne]: null } },
+    attributes: ['id', 'perceptualHash'],
+    order: [['createdAt', 'DESC']],
+    limit: NEAR_DUPLICATE_CANDIDATES
+  });
+  const nearest = closestMatch(candidates, perceptualHash);
+  if (!nearest) return null;
+
+  const scan = await UltrasoundScan.findByPk(nearest.id);
+  return scan ? { scan, match: 'near', distance: nearest.distance } : null;
+}
+
+module.exports = {
+  NEAR_DUPLICATE_DISTANCE,
+  closestMatch,
+  findDuplicateScan
+};
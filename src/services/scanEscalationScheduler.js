@@ -0,0 +1,26 @@
+const { realertOverdue } = require('./scanEscalationService');
+const { createCronJob } = require('./cronJob');
+
+/**
+ * Scan escalation scheduler — in-process node-cron (see cronJob).
+ *
+ * Every five minutes, re-alerts clinicians about high-risk scan escalations
+ * nobody has acknowledged within ESCALATION_ACK_TIMEOUT_MINUTES (see
+ * scanEscalationService).
+ *
+ * Gated behind ESCALATION_SCHEDULER=enabled.
+ */
+
+const job = createCronJob({
+  name: 'scan escalation scheduler',
+  envFlag: 'ESCALATION_SCHEDULER',
+  schedule: process.env.ESCALATION_REALERT_CRON || '*/5 * * * *',
+  run: () => realertOverdue({ now: new Date() })
+});
+
+module.exports = {
+  initScanEscalationScheduler: job.init,
+  triggerRealertRun: job.trigger,
+  getEscalationSchedulerStatus: job.status,
+  closeScanEscalationScheduler: job.close
+};
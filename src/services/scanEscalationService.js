@@ -0,0 +1,327 @@
+const { Op } = require('sequelize');
+const { getModels } = require('../models/associations');
+const { dispatchNotification } = require('./notificationService');
+const { recordAdminAction } = require('./auditService');
+const { NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Escalation of high-risk AI ultrasound findings.
+ *
+ * When a stored AI result comes back high risk (aiService.assessRiskLevelNew),
+ * the scan is flagged requires_attention, on-call clinicians are alerted, and
+ * the mother is shown safety guidance ("go to your clinic") instead of the raw
+ * AI text. One escalation per scan; re-analysing a scan does not alert again.
+ *
+ * An alert nobody acknowledges within ESCALATION_ACK_TIMEOUT_MINUTES (default
+ * 15) is re-sent by the escalation scheduler; from the third alert on it goes
+ * to every clinician and admin, not just those on call. Submitting the scan's
+ * review resolves the escalation.
+ */
+
+const { User, UltrasoundScan, ScanEscalation } = getModels();
+
+const ESCALATION_STATUSES = ['open', 'acknowledged', 'resolved'];
+const ACK_TIMEOUT_MS = (parseInt(process.env.ESCALATION_ACK_TIMEOUT_MINUTES, 10) || 15) * 60 * 1000;
+const WIDEN_AFTER_ALERTS = 2;
+const REALERT_BATCH_SIZE = 100;
+
+/**
+ * Shown to the mother in place of the AI findings while her scan is escalated.
+ * Only says a clinician was alerted once an alert has actually been delivered. Pure.
+ */
+function buildSafetyGuidance({ clinicianAlerted = false } = {}) {
+  const needsClinician = clinicianAlerted
+    ? 'Your scan needs to be looked at by a clinician, and one has been alerted.'
+    : 'Your scan needs to be looked at by a clinician.';
+  return {
+    title: 'Please visit your clinic',
+    message: `${needsClinician} Please go to your clinic or the nearest health facility as soon as you can and take this scan with you. If you have bleeding, severe pain, fewer baby movements or a bad headache, go now.`,
+    action: 'go_to_clinic'
+  };
+}
+
+/** Why a high-risk result was escalated. Pure. */
+function escalationReason(aiResult) {
+  return aiResult.success ? 'ai_high_risk' : 'ai_analysis_unsuccessful';
+}
+
+/** Who the next alert goes to, given how many have been sent already. Pure. */
+function alertAudience(alertCount) {
+  return alertCount < WIDEN_AFTER_ALERTS ? 'on_call' : 'all_staff';
+}
+
+/**
+ * Whether an escalation is still unacknowledged past the timeout. One that
+ * was never alerted (its first alert failed) is overdue straight away. Pure.
+ */
+function isAlertOverdue(escalation, now = new Date()) {
+  if (escalation.status !== 'open') return false;
+  if (!escalation.lastAlertedAt) return true;
+  return now.getTime() - new Date(escalation.lastAlertedAt).getTime() >= ACK_TIMEOUT_MS;
+}
+
+/** Alert for a clinician. Pure. */
+function buildClinicianAlert(escalation, scan) {
+  const repeat = escalation.alertCount > 0 ? ` (reminder ${escalation.alertCount})` : '';
+  return {
+    kind: 'scan_escalation',
+    refId: escalation.id,
+    title: `High-risk ultrasound needs review${repeat}`,
+    body: `A ${scan.scanType || 'routine'} scan was flagged high risk by the AI analysis. Please acknowledge and review it in the scan review queue.`
+  };
+}
+
+/**
+ * The AI analysis as the mother sees it: unchanged, or, if the scan has been
+ * escalated, safety guidance in place of the findings and recommendations. Pure.
+ */
+function mothersAIAnalysis(analysis, escalation) {
+  if (!escalation) return analysis;
+  return {
+    status: analysis.status,
+    completedAt: analysis.completedAt || null,
+    escalated: true,
+    safetyGuidance: buildSafetyGuidance({ clinicianAlerted: Boolean(escalation.lastAlertedAt) })
+  };
+}
+
+/**
+ * Clinicians to alert: 'on_call' (falling back to every clinician when nobody
+ * is on call) or 'all_staff' (every clinician and admin).
+ */
+async function findRecipients(audience) {
+  const active = { isActive: true };
+  if (audience === 'on_call') {
+    const onCall = await User.findAll({ where: { ...active, cmsRole: 'clinician', onCall: true } });
+    if (onCall.length > 0) return onCall;
+    // Nobody on call: better every clinician than nobody.
+    return User.findAll({ where: { ...active, cmsRole: 'clinician' } });
+  }
+  return User.findAll({ where: { ...active, cmsRole: { [Op.in]: ['clinician', 'admin'] } } });
+}
+
+/**
+ * Send one round of alerts for `escalation`. Only a round that reached at
+ * least one clinician is recorded; otherwise lastAlertedAt is left as it was,
+ * so realertOverdue retries on its next run rather than after a full timeout.
+ */
+async function alertClinicians(escalation, scan, now) {
+  const audience = alertAudience(escalation.alertCount);
+  const recipients = await findRecipients(audience);
+  const alert = buildClinicianAlert(escalation, scan);
+
+  let sent = 0;
+  for (const clinician of recipients) {
+    const result = await dispatchNotification(clinician, alert);
+    if (result.sent) sent += 1;
+  }
+  if (recipients.length === 0) {
+    logger.error('Scan escalation: no clinicians to alert', { escalationId: escalation.id, scanId: scan.id });
+  } else if (sent === 0) {
+    logger.error('Scan escalation: no alert was delivered', { escalationId: escalation.id, scanId: scan.id, recipients: recipients.length });
+  }
+
+  if (sent > 0) {
+    await escalation.update({ alertCount: escalation.alertCount + 1, lastAlertedAt: now });
+  }
+  return { audience, recipients: recipients.length, sent };
+}
+
+/**
+ * Escalate a scan whose stored AI result is high risk. Called after
+ * analysisJobService stores the result; never throws, so a failed alert can't
+ * mark the analysis itself as failed.
+ *
+ * @param {string} scanId
+ * @param {object} aiResult - aiService.analyzeUltrasound result
+ * @returns {Promise<object|null>} the escalation, or null if none was raised
+ */
+async function escalateIfHighRisk(scanId, aiResult, { now = new Date() } = {}) {
+  if (!aiResult || aiResult.riskLevel !== 'high') return null;
+
+  try {
+    const scan = await UltrasoundScan.findByPk(scanId, {
+      include: [{ model: User, as: 'user', attributes: ['id', 'notificationPref', 'phoneNumber'] }]
+    });
+    if (!scan) return null;
+
+    if (scan.medicalReviewStatus === 'pending') {
+      await scan.update({ medicalReviewStatus: 'requires_attention' });
+    }
+
+    const [escalation, created] = await ScanEscalation.findOrCreate({
+      where: { scanId: scan.id },
+      defaults: { userId: scan.userId, riskLevel: aiResult.riskLevel, reason: escalationReason(aiResult) }
+    });
+    if (!created) return escalation;
+
+    // A failed or undelivered first alert leaves lastAlertedAt null, which
+    // realertOverdue picks up on its next run; the mother still gets her
+    // guidance, without the claim that a clinician was alerted.
+    let alerts;
+    try {
+      alerts = await alertClinicians(escalation, scan, now);
+    } catch (error) {
+      logger.error('Scan escalation: first alert failed; the re-alert job will retry', { escalationId: escalation.id, error: error.message });
+      alerts = { sent: 0, alertError: error.message };
+    }
+    if (scan.user) {
+      const guidance = buildSafetyGuidance({ clinicianAlerted: alerts.sent > 0 });
+      await dispatchNotification(scan.user, {
+        kind: 'scan_safety_guidance',
+        refId: scan.id,
+        title: guidance.title,
+        body: guidance.message
+      });
+    }
+
+    logger.logMedicalEvent('SCAN_ESCALATED', scan.userId, {
+      scanId: scan.id,
+      escalationId: escalation.id,
+      reason: escalation.reason,
+      ...alerts
+    });
+    return escalation;
+  } catch (error) {
+    logger.error('Scan escalation failed', { scanId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Escalations for the clinician dashboard, oldest first.
+ * @param {object} [filters]
+ * @param {string[]} [filters.statuses] - default open and acknowledged
+ */
+async function listEscalations({ statuses = ['open', 'acknowledged'], page = 1, limit = 20, now = new Date() } = {}) {
+  const { rows, count } = await ScanEscalation.findAndCountAll({
+    where: { status: { [Op.in]: statuses } },
+    include: [
+      { model: UltrasoundScan, as: 'scan' },
+      { model: User, as: 'user', attributes: ['id', 'fullName', 'gestationalWeeks', 'riskFlags'] }
+    ],
+    order: [['createdAt', 'ASC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  return {
+    escalations: rows.map((escalation) => ({
+      ...escalation.getSafeEscalationInfo(),
+      overdue: isAlertOverdue(escalation, now),
+      scan: escalation.scan ? escalation.scan.getScanSummary() : null,
+      mother: escalation.user ? {
+        id: escalation.user.id,
+        fullName: escalation.user.fullName,
+        gestationalWeeks: escalation.user.gestationalWeeks,
+        riskFlags: escalation.user.riskFlags || []
+      } : null
+    })),
+    total: count
+  };
+}
+
+/**
+ * Acknowledge an open escalation, which stops the re-alerts.
+ * @throws {NotFoundError|ConflictError}
+ */
+async function acknowledgeEscalation(clinician, escalationId, { req = null, now = new Date() } = {}) {
+  const escalation = await ScanEscalation.findByPk(escalationId);
+  if (!escalation) throw new NotFoundError('Escalation not found');
+
+  // Conditional, so two clinicians acknowledging at once don't both succeed.
+  const [acknowledged] = await ScanEscalation.update(
+    { status: 'acknowledged', acknowledgedBy: clinician.id, acknowledgedAt: now },
+    { where: { id: escalation.id, status: 'open' } }
+  );
+  if (acknowledged === 0) {
+    throw new ConflictError('This escalation has already been acknowledged');
+  }
+  await escalation.reload();
+
+  logger.logMedicalEvent('SCAN_ESCALATION_ACKNOWLEDGED', clinician.id, { escalationId: escalation.id, scanId: escalation.scanId });
+  await recordAdminAction({
+    req,
+    actor: clinician,
+    action: 'scan.escalation_acknowledge',
+    targetType: 'ultrasound_scan',
+    targetId: escalation.scanId,
+    metadata: { escalationId: escalation.id, alertCount: escalation.alertCount }
+  });
+  return escalation;
+}
+
+/** Close a scan's escalation once its review is in. No-op if there is none. */
+async function resolveForScan(scanId, { now = new Date() } = {}) {
+  const [resolved] = await ScanEscalation.update(
+    { status: 'resolved', resolvedAt: now },
+    { where: { scanId, status: { [Op.ne]: 'resolved' } } }
+  );
+  return resolved > 0;
+}
+
+/** The scan's escalation, if it has one. */
+async function findForScan(scanId) {
+  return ScanEscalation.findOne({ where: { scanId } });
+}
+
+/**
+ * Re-alert every open escalation whose last alert went unacknowledged for
+ * longer than the timeout, or that was never alerted because the first alert
+ * failed. At most REALERT_BATCH_SIZE per run, never-alerted ones first.
+ *
+ * @returns {Promise<{ due: number, realerted: number, undelivered: number, errors: number }>}
+ */
+async function realertOverdue({ now = new Date() } = {}) {
+  const due = await ScanEscalation.findAll({
+    where: {
+      status: 'open',
+      [Op.or]: [
+        { lastAlertedAt: null },
+        { lastAlertedAt: { [Op.lte]: new Date(now.getTime() - ACK_TIMEOUT_MS) } }
+      ]
+    },
+    include: [{ model: UltrasoundScan, as: 'scan', attributes: ['id', 'scanType'] }],
+    order: [['lastAlertedAt', 'ASC NULLS FIRST']],
+    limit: REALERT_BATCH_SIZE
+  });
+
+  const summary = { due: due.length, realerted: 0, undelivered: 0, errors: 0 };
+  for (const escalation of due) {
+    try {
+      const alerts = await alertClinicians(escalation, escalation.scan || { id: escalation.scanId }, now);
+      if (alerts.sent > 0) summary.realerted += 1;
+      else summary.undelivered += 1;
+      logger.logMedicalEvent('SCAN_ESCALATION_REALERTED', escalation.userId, {
+        escalationId: escalation.id,
+        scanId: escalation.scanId,
+        alertCount: escalation.alertCount,
+        ...alerts
+      });
+    } catch (error) {
+      summary.errors += 1;
+      logger.error('Scan escalation re-alert failed', { escalationId: escalation.id, error: error.message });
+    }
+  }
+
+  logger.logSystemEvent('SCAN_ESCALATION_REALERT_RUN', summary);
+  return summary;
+}
+
+module.exports = {
+  ESCALATION_STATUSES,
+  buildSafetyGuidance,
+  escalationReason,
+  alertAudience,
+  isAlertOverdue,
+  buildClinicianAlert,
+  mothersAIAnalysis,
+  escalateIfHighRisk,
+  listEscalations,
+  acknowledgeEscalation,
+  resolveForScan,
+  findForScan,
+  realertOverdue,
+  findRecipients
+};
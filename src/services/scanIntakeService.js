@@ -0,0 +1,218 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const UltrasoundScan = require('../models/UltrasoundScan');
+const azureStorageService = require('./azureStorageService');
+const { sniffImageType, stripImageMetadata, MIME_TYPES } = require('../utils/imageSanitizer');
+const { parseDicom } = require('../utils/dicom');
+const { renderDicomPreview } = require('../utils/dicomPreview');
+const { parseBiometrics, parseCrownRumpLength, parseGestationalAge, formatGestationalAge } = require('../utils/fetalBiometry');
+const { perceptualHash } = require('../utils/perceptualHash');
+const { recordDicomBiometrics } = require('./fetalGrowthService');
+const { findDuplicateScan } = require('./scanDuplicateService');
+const { ValidationError, UnsupportedMediaTypeError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Turning an uploaded file into an UltrasoundScan, shared by the single-request
+ * upload and resumable uploads (scanUploadService).
+ *
+ * The file's type is sniffed from its content and anything that is not an
+ * image we accept is rejected. Identifying metadata is stripped
+ * (utils/imageSanitizer) and the file rewritten in place before it is hashed
+ * or copied to Azure, and so before the AI service can see it.
+ *
+ * A DICOM file is kept, de-identified, as the scan's original. The scan's own
+ * file is a JPEG preview of it, which the app shows and the AI service reads.
+ * The study date, modality and any measurements recorded in the header are
+ * stored with the scan.
+ *
+ * An upload the mother has already made (scanDuplicateService) is not stored
+ * again: the existing scan is returned so its analysis can be reused, unless
+ * the caller forces a new one.
+ */
+
+/**
+ * The preview and header details of a de-identified DICOM file.
+ * @throws {UnsupportedMediaTypeError|ValidationError}
+ */
+function readDicom(buffer, userId) {
+  let parsed;
+  try {
+    parsed = parseDicom(buffer);
+  } catch (error) {
+    logger.warn('Rejected unreadable DICOM upload', { userId, error: error.message });
+    throw new ValidationError('The file could not be read as a DICOM image');
+  }
+
+  let preview;
+  try {
+    preview = renderDicomPreview(buffer, parsed);
+  } catch (error) {
+    logger.warn('Could not render DICOM upload', { userId, transferSyntax: parsed.transferSyntax, error: error.message });
+    throw new UnsupportedMediaTypeError('This DICOM image could not be displayed. Export the scan as JPEG and upload that instead.');
+  }
+
+  const { header, texts, transferSyntax } = parsed;
+  const text = texts.join('\n');
+  const gestationalDays = parseGestationalAge(text);
+  const metadata = {
+    studyDate: header.studyDate || null,
+    modality: header.modality || null,
+    manufacturer: header.manufacturer || null,
+    model: header.manufacturerModelName || null,
+    transferSyntax,
+    rows: header.rows || null,
+    columns: header.columns || null,
+    frames: header.numberOfFrames || 1,
+    gestationalAge: gestationalDays !== null ? formatGestationalAge(gestationalDays) : null,
+    crownRumpLengthMm: parseCrownRumpLength(text),
+    measurements: parseBiometrics(text).map(({ measure, value, unit }) => ({ measure, value, unit }))
+  };
+  return { preview, metadata };
+}
+
+async function uploadToAzure(filePath, name, userId, scanId) {
+  const uploadResult = await azureStorageService.uploadFile(filePath, name, userId);
+  if (uploadResult.success) return uploadResult;
+  logger.warn('Azure Storage upload failed, using local file', { error: uploadResult.error, scanId });
+  return null;
+}
+
+async function removeFile(filePath) {
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') logger.error('Failed to remove duplicate scan upload', { error: error.message });
+  }
+}
+
+/**
+ * Validate and sanitise the file at `filePath`, then create its scan and copy
+ * it to Azure if configured. The caller queues the AI analysis, and removes
+ * the file if this throws.
+ *
+ * For DICOM, the scan's date and gestational age default to what the header
+ * says, and the measurements in it are stored for the growth chart.
+ *
+ * If the user already has this scan, the file is removed and that scan is
+ * returned with `duplicate` set, unless `options.force` is true.
+ *
+ * @param {string} userId
+ * @param {object} file
+ * @param {string} file.path - where the upload was written
+ * @param {string} file.originalName - the name the client gave
+ * @param {object} [details] - scanType, gestationalAge, scanDate, notes
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - store the scan even if it is a duplicate
+ * @returns {Promise<{ scan: object, duplicate: { match: 'exact'|'near', distance: number }|null }>}
+ * @throws {UnsupportedMediaTypeError|ValidationError}
+ */
+async function createScanFromFile(userId, file, details = {}, { force = false } = {}) {
+  const original = await fs.readFile(file.path);
+  const type = sniffImageType(original);
+  if (!type) {
+    throw new UnsupportedMediaTypeError('The file is not a supported image. Allowed types: JPEG, PNG, BMP, TIFF, DICOM');
+  }
+
+  let sanitised;
+  try {
+    sanitised = stripImageMetadata(original, type);
+  } catch (error) {
+    logger.warn('Rejected unreadable scan upload', { userId, type, error: error.message });
+    throw new ValidationError(`The file could not be read as a ${type.toUpperCase()} image`);
+  }
+
+  // Hash of the stored (sanitised) file, for duplicate detection
+  const fileHash = crypto.createHash('md5').update(sanitised.buffer).digest('hex');
+
+  // For DICOM the scan's file is the preview and the upload is the original.
+  const dicom = type === 'dicom' ? readDicom(sanitised.buffer, userId) : null;
+  const imageHash = dicom ? perceptualHash(dicom.preview, 'jpeg') : perceptualHash(sanitised.buffer, type);
+
+  if (!force) {
+    const duplicate = await findDuplicateScan(userId, { fileHash, perceptualHash: imageHash });
+    if (duplicate) {
+      await removeFile(file.path);
+      logger.logSystemEvent('ULTRASOUND_SCAN_DUPLICATE', {
+        userId,
+        scanId: duplicate.scan.id,
+        match: duplicate.match,
+        distance: duplicate.distance
+      });
+      return { scan: duplicate.scan, duplicate: { match: duplicate.match, distance: duplicate.distance } };
+    }
+  }
+
+  if (sanitised.removed > 0) {
+    await fs.writeFile(file.path, sanitised.buffer);
+  }
+
+  let stored = { path: file.path, size: sanitised.buffer.length, type };
+  if (dicom) {
+    const previewPath = path.join(path.dirname(file.path), `${crypto.randomUUID()}.jpg`);
+    await fs.writeFile(previewPath, dicom.preview);
+    stored = { path: previewPath, size: dicom.preview.length, type: 'jpeg' };
+  }
+  const baseName = path.parse(file.originalName).name || 'ultrasound';
+
+  let ultrasoundScan;
+  try {
+    ultrasoundScan = await UltrasoundScan.create({
+      userId,
+      originalFileName: file.originalName,
+      fileName: path.basename(stored.path),
+      filePath: stored.path,
+      fileSize: stored.size,
+      mimeType: MIME_TYPES[stored.type],
+      fileHash,
+      perceptualHash: imageHash,
+      originalFilePath: dicom ? file.path : null,
+      originalMimeType: dicom ? MIME_TYPES.dicom : null,
+      dicomMetadata: dicom ? dicom.metadata : null,
+      scanType: details.scanType || null,
+      gestationalAge: details.gestationalAge || (dicom && dicom.metadata.gestationalAge) || null,
+      scanDate: details.scanDate || (dicom && dicom.metadata.studyDate) || null,
+      notes: details.notes || null,
+      aiAnalysisStatus: 'pending'
+    });
+  } catch (error) {
+    if (dicom) await fs.unlink(stored.path).catch(() => {});
+    throw error;
+  }
+
+  // Upload to Azure Storage if configured
+  let cloudUrl = null;
+  if (azureStorageService.isConfigured()) {
+    const uploaded = await uploadToAzure(stored.path, dicom ? `${baseName}.jpg` : file.originalName, userId, ultrasoundScan.id);
+    if (uploaded) {
+      cloudUrl = uploaded.url;
+      await ultrasoundScan.update({ cloudUrl, cloudBlobName: uploaded.blobName });
+    }
+    if (dicom) {
+      const originalUpload = await uploadToAzure(file.path, `${baseName}.dcm`, userId, ultrasoundScan.id);
+      if (originalUpload) await ultrasoundScan.update({ originalBlobName: originalUpload.blobName });
+    }
+  }
+
+  if (dicom) await recordDicomBiometrics(ultrasoundScan, dicom.metadata.measurements);
+
+  logger.logSystemEvent('ULTRASOUND_SCAN_UPLOADED', {
+    userId,
+    scanId: ultrasoundScan.id,
+    fileName: file.originalName,
+    fileSize: ultrasoundScan.fileSize,
+    type,
+    metadataRemoved: sanitised.removed,
+    dicomModality: dicom ? dicom.metadata.modality : undefined,
+    scanType: details.scanType,
+    forced: force || undefined,
+    cloudUrl
+  });
+
+  return { scan: ultrasoundScan, duplicate: null };
+}
+
+module.exports = {
+  createScanFromFile
+};
@@ -0,0 +1,26 @@
+const { runScanRetention } = require('./scanRetentionService');
+const { createCronJob } = require('./cronJob');
+
+/**
+ * Scan retention scheduler — in-process node-cron (see cronJob).
+ *
+ * Once a night, archives and purges ultrasound scans past their retention
+ * window (see scanRetentionService). Each run handles a bounded batch, so a
+ * backlog drains over the following nights.
+ *
+ * Gated behind SCAN_RETENTION_SCHEDULER=enabled.
+ */
+
+const job = createCronJob({
+  name: 'scan retention scheduler',
+  envFlag: 'SCAN_RETENTION_SCHEDULER',
+  schedule: process.env.SCAN_RETENTION_CRON || '0 3 * * *',
+  run: () => runScanRetention({ now: new Date() })
+});
+
+module.exports = {
+  initScanRetentionScheduler: job.init,
+  triggerRetentionRun: job.trigger,
+  getRetentionSchedulerStatus: job.status,
+  closeScanRetentionScheduler: job.close
+};
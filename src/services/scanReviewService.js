@@ -0,0 +1,290 @@
+const { Op, literal } = require('sequelize');
+const { getModels } = require('../models/associations');
+const aiService = require('./aiService');
+const { dispatchNotification } = require('./notificationService');
+const { recordAdminAction } = require('./auditService');
+const { resolveForScan } = require('./scanEscalationService');
+const { NotFoundError, ConflictError, AuthorizationError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Clinician review of ultrasound scans: the human in the loop between the AI
+ * read and the mother.
+ *
+ * Scans whose AI analysis has finished (or failed) wait in a queue ordered by
+ * the AI risk level (aiService.assessRiskLevelNew), highest first, then
+ * oldest first. A clinician claims a scan, which hides it from colleagues for
+ * REVIEW_CLAIM_MINUTES (default 30) so two people don't review the same scan;
+ * an abandoned claim simply lapses. Submitting a review records the outcome
+ * and notes on the scan, resolves any escalation (scanEscalationService),
+ * notifies the mother and writes an audit entry.
+ */
+
+const { User, UltrasoundScan } = getModels();
+
+const REVIEW_OUTCOMES = ['normal', 'reviewed', 'requires_attention'];
+const RISK_LEVELS = ['high', 'medium', 'low'];
+// Statuses a scan can wait in. requires_attention is also a review outcome,
+// so the queue is those scans nobody has reviewed yet (AWAITING_REVIEW).
+const QUEUE_STATUSES = ['pending', 'requires_attention'];
+const AWAITING_REVIEW = {
+  medicalReviewStatus: { [Op.in]: QUEUE_STATUSES },
+  reviewedBy: null,
+  reviewedAt: null
+};
+const CLAIM_TTL_MS = (parseInt(process.env.REVIEW_CLAIM_MINUTES, 10) || 30) * 60 * 1000;
+
+// Scans without a stored risk level are filled in from their AI result on
+// the next queue read, this many at a time.
+const RISK_BACKFILL_BATCH = 200;
+
+const OUTCOME_MESSAGES = {
+  normal: 'A clinician has reviewed your ultrasound scan and found nothing of concern. Open the app to read their notes.',
+  reviewed: 'A clinician has reviewed your ultrasound scan. Open the app to read their notes.',
+  requires_attention: 'A clinician has reviewed your ultrasound scan and recommends a follow-up. Please open the app to read their notes and contact your clinic.'
+};
+
+/** Risk level for an AI result, as stored on the scan. Failed analyses count as high so a person looks at them. */
+function riskLevelFor(aiResponse) {
+  return aiService.assessRiskLevelNew(aiResponse || { success: false });
+}
+
+/** The clinician holding a live claim on `scan`, or null if unclaimed or lapsed. Pure. */
+function activeClaimant(scan, now = new Date()) {
+  if (!scan.reviewClaimedBy || !scan.reviewClaimedAt) return null;
+  return now.getTime() - new Date(scan.reviewClaimedAt).getTime() < CLAIM_TTL_MS ? scan.reviewClaimedBy : null;
+}
+
+/** Whether `scan` still needs a clinician's review. Pure. */
+function awaitingReview(scan) {
+  return QUEUE_STATUSES.includes(scan.medicalReviewStatus) && !scan.reviewedBy && !scan.reviewedAt;
+}
+
+/** Notification for the mother once her scan is reviewed. Pure. */
+function buildReviewNotification(scan, outcome) {
+  return {
+    kind: 'scan_review_completed',
+    refId: scan.id,
+    title: outcome === 'requires_attention' ? 'Your scan review: follow-up recommended' : 'Your scan has been reviewed',
+    body: OUTCOME_MESSAGES[outcome]
+  };
+}
+
+async function backfillRiskLevels() {
+  const scans = await UltrasoundScan.findAll({
+    where: {
+      aiRiskLevel: null,
+      aiAnalysisStatus: { [Op.in]: ['completed', 'failed'] },
+      ...AWAITING_REVIEW
+    },
+    attributes: ['id', 'aiAnalysisStatus', 'aiAnalysisResult'],
+    limit: RISK_BACKFILL_BATCH
+  });
+  for (const scan of scans) {
+    const aiResponse = scan.aiAnalysisStatus === 'completed' ? scan.aiAnalysisResult : null;
+    await scan.update({ aiRiskLevel: riskLevelFor(aiResponse) });
+  }
+}
+
+/** Queue entry as shown to clinicians. */
+function toQueueEntry(scan, clinicianId, now) {
+  const mother = scan.user;
+  const claimant = activeClaimant(scan, now);
+  return {
+    ...scan.getScanSummary(),
+    aiSummary: scan.aiFindings ? scan.aiFindings.analysis_text || null : null,
+    claim: claimant
+      ? { clinicianId: claimant, claimedAt: scan.reviewClaimedAt, mine: claimant === clinicianId }
+      : null,
+    mother: mother ? {
+      id: mother.id,
+      fullName: mother.fullName,
+      gestationalWeeks: mother.gestationalWeeks,
+      riskFlags: mother.riskFlags || []
+    } : null
+  };
+}
+
+/**
+ * Scans awaiting review, highest AI risk first.
+ *
+ * @param {object} clinician - User
+ * @param {object} [filters]
+ * @param {'high'|'medium'|'low'} [filters.riskLevel]
+ * @param {boolean} [filters.mine] - only scans this clinician has claimed
+ * @returns {Promise<{ scans: object[], total: number }>}
+ */
+async function listQueue(clinician, { riskLevel, mine = false, page = 1, limit = 20, now = new Date() } = {}) {
+  await backfillRiskLevels();
+
+  const where = {
+    ...AWAITING_REVIEW,
+    aiAnalysisStatus: { [Op.in]: ['completed', 'failed'] },
+    isArchived: false
+  };
+  if (riskLevel) where.aiRiskLevel = riskLevel;
+  if (mine) {
+    where.reviewClaimedBy = clinician.id;
+    where.reviewClaimedAt = { [Op.gt]: new Date(now.getTime() - CLAIM_TTL_MS) };
+  }
+
+  const { rows, count } = await UltrasoundScan.findAndCountAll({
+    where,
+    include: [{ model: User, as: 'user', attributes: ['id', 'fullName', 'gestationalWeeks', 'riskFlags'] }],
+    order: [
+      [literal(`CASE "UltrasoundScan"."ai_risk_level" WHEN 'high' THEN 0 WHEN 'medium' THEN 1 WHEN 'low' THEN 2 ELSE 3 END`), 'ASC'],
+      ['createdAt', 'ASC']
+    ],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  return { scans: rows.map((scan) => toQueueEntry(scan, clinician.id, now)), total: count };
+}
+
+async function loadQueuedScan(scanId) {
+  const scan = await UltrasoundScan.findOne({
+    where: { id: scanId, isArchived: false },
+    include: [{ model: User, as: 'user', attributes: ['id', 'fullName', 'gestationalWeeks', 'riskFlags', 'notificationPref', 'phoneNumber'] }]
+  });
+  if (!scan) throw new NotFoundError('Ultrasound scan not found');
+  return scan;
+}
+
+/** Full scan detail for a clinician, including the AI analysis and image location. */
+async function getScanForReview(clinician, scanId, { now = new Date() } = {}) {
+  const scan = await loadQueuedScan(scanId);
+  return {
+    ...toQueueEntry(scan, clinician.id, now),
+    notes: scan.notes,
+    aiAnalysis: scan.getAIAnalysis(),
+    fileInfo: { mimeType: scan.mimeType, fileSize: scan.fileSize, cloudUrl: scan.cloudUrl, hasLocalFile: Boolean(scan.filePath) },
+    medicalReview: {
+      status: scan.medicalReviewStatus,
+      reviewedBy: scan.reviewedBy,
+      reviewedAt: scan.reviewedAt,
+      notes: scan.reviewNotes
+    }
+  };
+}
+
+/**
+ * Claim a scan for review. Re-claiming one's own scan renews the claim.
+ * Conditional update, so two clinicians racing for one scan can't both win.
+ *
+ * @throws {NotFoundError|ConflictError}
+ */
+async function claimScan(clinician, scanId, { now = new Date() } = {}) {
+  const scan = await loadQueuedScan(scanId);
+  if (!awaitingReview(scan)) {
+    throw new ConflictError('This scan has already been reviewed');
+  }
+
+  const [claimed] = await UltrasoundScan.update(
+    { reviewClaimedBy: clinician.id, reviewClaimedAt: now },
+    {
+      where: {
+        id: scan.id,
+        ...AWAITING_REVIEW,
+        [Op.or]: [
+          { reviewClaimedBy: null },
+          { reviewClaimedBy: clinician.id },
+          { reviewClaimedAt: { [Op.lte]: new Date(now.getTime() - CLAIM_TTL_MS) } }
+        ]
+      }
+    }
+  );
+  if (claimed === 0) {
+    throw new ConflictError('This scan is being reviewed by another clinician');
+  }
+
+  logger.logMedicalEvent('SCAN_REVIEW_CLAIMED', clinician.id, { scanId: scan.id });
+  return { scanId: scan.id, claimedAt: now, expiresAt: new Date(now.getTime() + CLAIM_TTL_MS) };
+}
+
+/**
+ * Give a claimed scan back to the queue. Admins may release anyone's claim.
+ * @throws {NotFoundError|AuthorizationError}
+ */
+async function releaseScan(clinician, scanId) {
+  const scan = await loadQueuedScan(scanId);
+  if (!activeClaimant(scan)) return;
+  if (scan.reviewClaimedBy !== clinician.id && clinician.cmsRole !== 'admin') {
+    throw new AuthorizationError('Only the clinician who claimed this scan can release it');
+  }
+
+  await scan.update({ reviewClaimedBy: null, reviewClaimedAt: null });
+  logger.logMedicalEvent('SCAN_REVIEW_RELEASED', clinician.id, { scanId: scan.id });
+}
+
+/**
+ * Record a review. The clinician must hold a live claim on the scan.
+ *
+ * @param {object} clinician - User
+ * @param {string} scanId
+ * @param {object} review
+ * @param {'normal'|'reviewed'|'requires_attention'} review.outcome
+ * @param {string} review.notes - shown to the mother
+ * @param {object} [options]
+ * @param {object} [options.req] - for the audit entry
+ * @throws {NotFoundError|ConflictError}
+ */
+async function submitReview(clinician, scanId, { outcome, notes }, { req = null, now = new Date() } = {}) {
+  const scan = await loadQueuedScan(scanId);
+  if (!awaitingReview(scan)) {
+    throw new ConflictError('This scan has already been reviewed');
+  }
+  if (scan.reviewClaimedBy !== clinician.id) {
+    throw new ConflictError('Claim this scan before submitting a review');
+  }
+  if (activeClaimant(scan, now) !== clinician.id) {
+    throw new ConflictError('Your claim on this scan has expired; claim it again to submit');
+  }
+
+  // Conditional, so a review can never overwrite one already submitted
+  const [recorded] = await UltrasoundScan.update({
+    medicalReviewStatus: outcome,
+    reviewedBy: clinician.id,
+    reviewedAt: now,
+    reviewNotes: notes,
+    reviewClaimedBy: null,
+    reviewClaimedAt: null
+  }, {
+    where: { id: scan.id, ...AWAITING_REVIEW, reviewClaimedBy: clinician.id }
+  });
+  if (recorded === 0) {
+    throw new ConflictError('This scan has already been reviewed');
+  }
+  await scan.reload();
+  await resolveForScan(scan.id, { now });
+
+  logger.logMedicalEvent('SCAN_REVIEW_SUBMITTED', clinician.id, { scanId: scan.id, outcome, aiRiskLevel: scan.aiRiskLevel });
+  await recordAdminAction({
+    req,
+    actor: clinician,
+    action: 'scan.review_submit',
+    targetType: 'ultrasound_scan',
+    targetId: scan.id,
+    metadata: { outcome, aiRiskLevel: scan.aiRiskLevel }
+  });
+
+  const notification = scan.user
+    ? await dispatchNotification(scan.user, buildReviewNotification(scan, outcome))
+    : { sent: false };
+
+  return { scan, notified: Boolean(notification.sent) };
+}
+
+module.exports = {
+  REVIEW_OUTCOMES,
+  RISK_LEVELS,
+  riskLevelFor,
+  activeClaimant,
+  awaitingReview,
+  buildReviewNotification,
+  listQueue,
+  getScanForReview,
+  claimScan,
+  releaseScan,
+  submitReview
+};
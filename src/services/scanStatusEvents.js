@@ -0,0 +1,84 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process pub/sub for ultrasound scan analysis status, feeding the
+ * GET /ultrasounds/events stream.
+ *
+ * The analysis worker publishes as a scan moves through the queue. A worker
+ * in another app instance publishes on its own emitter, so the stream also
+ * re-reads its unfinished scans every so often (see streamScanStatus) and
+ * reports any change it missed.
+ */
+
+const emitter = new EventEmitter();
+// One listener per open stream; there is no fixed limit to warn about.
+emitter.setMaxListeners(0);
+
+// aiAnalysisStatus -> event type sent to the client
+const STATUS_EVENTS = {
+  pending: 'queued',
+  processing: 'processing',
+  completed: 'completed',
+  failed: 'failed',
+  error: 'failed'
+};
+
+const FINISHED_STATUSES = ['completed', 'failed', 'error'];
+
+// How often an open stream re-reads its unfinished scans, and sends a
+// comment line so proxies don't close an idle connection.
+const RECONCILE_INTERVAL_MS = 15 * 1000;
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+/** The event for a scan in its current state. Pure. */
+function toStatusEvent(scan, at = new Date()) {
+  return {
+    type: STATUS_EVENTS[scan.aiAnalysisStatus] || scan.aiAnalysisStatus,
+    scanId: scan.id,
+    scan: scan.getScanSummary(),
+    at: at.toISOString()
+  };
+}
+
+/**
+ * Events for scans whose status differs from `known` (scanId -> status),
+ * which is updated in place. Pure apart from that map.
+ */
+function statusChanges(known, scans, at = new Date()) {
+  const events = [];
+  for (const scan of scans) {
+    if (known.get(scan.id) === scan.aiAnalysisStatus) continue;
+    known.set(scan.id, scan.aiAnalysisStatus);
+    events.push(toStatusEvent(scan, at));
+  }
+  return events;
+}
+
+/** Announce a scan's current status to its owner's open streams. Never throws. */
+function publishScanStatus(scan) {
+  try {
+    emitter.emit(`user:${scan.userId}`, toStatusEvent(scan));
+  } catch (error) {
+    // A broken listener must not fail the analysis that published.
+  }
+}
+
+/**
+ * Listen for status events on a user's scans.
+ * @returns {Function} unsubscribe
+ */
+function subscribeToUserScans(userId, listener) {
+  const channel = `user:${userId}`;
+  emitter.on(channel, listener);
+  return () => emitter.off(channel, listener);
+}
+
+module.exports = {
+  FINISHED_STATUSES,
+  RECONCILE_INTERVAL_MS,
+  HEARTBEAT_INTERVAL_MS,
+  toStatusEvent,
+  statusChanges,
+  publishScanStatus,
+  subscribeToUserScans
+};
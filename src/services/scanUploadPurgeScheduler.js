@@ -0,0 +1,27 @@
+const { purgeExpiredUploads } = require('./scanUploadService');
+const { createCronJob } = require('./cronJob');
+
+/**
+ * Expired upload purge — in-process node-cron (see cronJob).
+ *
+ * Every hour, removes resumable scan uploads that expired unfinished, with
+ * their partial files (see scanUploadService). Those files haven't had their
+ * metadata stripped yet, so this runs by default, separately from scan
+ * retention; set SCAN_UPLOAD_PURGE_SCHEDULER=disabled to keep an instance
+ * from running it.
+ */
+
+const job = createCronJob({
+  name: 'scan upload purge scheduler',
+  envFlag: 'SCAN_UPLOAD_PURGE_SCHEDULER',
+  enabledByDefault: true,
+  schedule: process.env.SCAN_UPLOAD_PURGE_CRON || '20 * * * *',
+  run: () => purgeExpiredUploads({ now: new Date() })
+});
+
+module.exports = {
+  initScanUploadPurgeScheduler: job.init,
+  triggerUploadPurgeRun: job.trigger,
+  getUploadPurgeSchedulerStatus: job.status,
+  closeScanUploadPurgeScheduler: job.close
+};
@@ -0,0 +1,319 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { getModels } = require('../models/associations');
+const { createScanFromFile } = require('./scanIntakeService');
+const { sniffImageType, SNIFF_BYTES, EXTENSIONS } = require('../utils/imageSanitizer');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  UnsupportedMediaTypeError,
+  RateLimitError
+} = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Resumable ultrasound uploads, following the tus 1.0 core protocol
+ * (https://tus.io/protocols/resumable-upload):
+ *
+ *   POST   /uploads       Upload-Length + Upload-Metadata -> 201, Location
+ *   HEAD   /uploads/:id   -> Upload-Offset (how much has arrived)
+ *   PATCH  /uploads/:id   Upload-Offset + a chunk -> the new Upload-Offset
+ *   DELETE /uploads/:id   abandon the upload
+ *
+ * A client that loses its connection asks for the offset and sends the rest.
+ * Each chunk is written while holding a row lock on its upload, after
+ * checking the offset under that lock, so a retried or duplicated chunk can't
+ * corrupt the file.
+ *
+ * Once SNIFF_BYTES have arrived the content is checked, so a non-image
+ * is turned away after its first chunk instead of after the whole file. The
+ * last chunk hands the file to scanIntakeService, which strips metadata and
+ * creates the scan.
+ *
+ * Unfinished uploads expire after SCAN_UPLOAD_EXPIRY_HOURS (default 24) and
+ * are removed by purgeExpiredUploads (scanUploadPurgeScheduler).
+ */
+
+const { ScanUpload } = getModels();
+
+const TUS_VERSION = '1.0.0';
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024; // same as the single-request upload
+const MAX_CHUNK_BYTES = 8 * 1024 * 1024;
+const MAX_ACTIVE_UPLOADS = 5;
+const EXPIRY_MS = (parseInt(process.env.SCAN_UPLOAD_EXPIRY_HOURS, 10) || 24) * 60 * 60 * 1000;
+const EXPIRED_BATCH = 200;
+
+const UPLOAD_DIR = path.join(process.cwd(), 'uploads', 'ultrasounds');
+const PARTIAL_DIR = path.join(UPLOAD_DIR, 'partial');
+
+const SCAN_TYPES = { '2D': '2D', '3D': '3D', '4D': '4D', DOPPLER: 'Doppler', OTHER: 'Other' };
+
+function partialPath(uploadId) {
+  return path.join(PARTIAL_DIR, `${uploadId}.part`);
+}
+
+/**
+ * The Upload-Metadata header as an object: comma-separated "key base64value"
+ * pairs, the value optional. Pure.
+ * @throws {ValidationError}
+ */
+function parseUploadMetadata(header) {
+  const metadata = {};
+  if (!header) return metadata;
+
+  for (const pair of header.split(',')) {
+    const [key, value, ...rest] = pair.trim().split(' ');
+    if (!key || rest.length > 0) throw new ValidationError('Malformed Upload-Metadata header');
+    if (value !== undefined && !/^[A-Za-z0-9+/]*={0,2}$/.test(value)) {
+      throw new ValidationError(`Upload-Metadata value for "${key}" is not base64`);
+    }
+    metadata[key] = value === undefined ? '' : Buffer.from(value, 'base64').toString('utf8');
+  }
+  return metadata;
+}
+
+/**
+ * The scan details carried in upload metadata, validated like the fields of
+ * the single-request upload. Pure.
+ * @returns {{ details: object, errors: string[] }}
+ */
+function validateUploadDetails(metadata) {
+  const errors = [];
+  const details = {};
+
+  if (metadata.scanType) {
+    details.scanType = SCAN_TYPES[metadata.scanType.toUpperCase().trim()];
+    if (!details.scanType) errors.push('Invalid scan type. Use: 2D, 3D, 4D, Doppler, or Other');
+  }
+  if (metadata.gestationalAge) {
+    if (metadata.gestationalAge.length > 50) errors.push('Gestational age must be 1-50 characters');
+    details.gestationalAge = metadata.gestationalAge;
+  }
+  if (metadata.scanDate) {
+    if (!/^\d{4}-\d{2}-\d{2}/.test(metadata.scanDate) || Number.isNaN(Date.parse(metadata.scanDate))) {
+      errors.push('Invalid scan date format');
+    }
+    details.scanDate = metadata.scanDate;
+  }
+  if (metadata.notes) {
+    if (metadata.notes.length > 1000) errors.push('Notes must be less than 1000 characters');
+    details.notes = metadata.notes;
+  }
+  if (metadata.force) {
+    if (!['true', 'false'].includes(metadata.force)) errors.push('force must be true or false');
+    details.force = metadata.force === 'true';
+  }
+
+  return { details, errors };
+}
+
+async function discardUpload(upload) {
+  try {
+    await fs.unlink(partialPath(upload.id));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  await upload.destroy();
+}
+
+/**
+ * Start an upload.
+ *
+ * @param {string} userId
+ * @param {object} options
+ * @param {number} options.uploadLength - total bytes the client will send
+ * @param {string} [options.metadata] - the raw Upload-Metadata header
+ * @returns {Promise<object>} the ScanUpload
+ * @throws {ValidationError|RateLimitError}
+ */
+async function createUpload(userId, { uploadLength, metadata }, { now = new Date() } = {}) {
+  if (!Number.isInteger(uploadLength) || uploadLength <= 0) {
+    throw new ValidationError('Upload-Length must be a positive integer');
+  }
+  if (uploadLength > MAX_UPLOAD_BYTES) {
+    throw new ValidationError(`File too large. Maximum size is ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB.`);
+  }
+
+  const parsed = parseUploadMetadata(metadata);
+  const { details, errors } = validateUploadDetails(parsed);
+  if (errors.length > 0) throw new ValidationError(errors.join('. '));
+
+  const active = await ScanUpload.count({
+    where: { userId, status: 'uploading', expiresAt: { [Op.gt]: now } }
+  });
+  if (active >= MAX_ACTIVE_UPLOADS) {
+    throw new RateLimitError('Too many uploads in progress. Finish or cancel one first.');
+  }
+
+  await fs.mkdir(PARTIAL_DIR, { recursive: true });
+  const upload = await ScanUpload.create({
+    userId,
+    uploadLength,
+    originalFileName: (parsed.filename || 'ultrasound').slice(0, 255),
+    details,
+    expiresAt: new Date(now.getTime() + EXPIRY_MS)
+  });
+  await fs.writeFile(partialPath(upload.id), Buffer.alloc(0));
+
+  logger.logSystemEvent('SCAN_UPLOAD_CREATED', { userId, uploadId: upload.id, uploadLength });
+  return upload;
+}
+
+/**
+ * The user's upload, if it hasn't expired.
+ * @throws {NotFoundError}
+ */
+async function getUpload(userId, uploadId, { now = new Date() } = {}) {
+  const upload = await ScanUpload.findOne({ where: { id: uploadId, userId } });
+  if (!upload || (upload.status === 'uploading' && upload.expiresAt <= now)) {
+    throw new NotFoundError('Upload not found or expired');
+  }
+  return upload;
+}
+
+async function writeChunk(uploadId, chunk, position) {
+  const handle = await fs.open(partialPath(uploadId), 'r+');
+  try {
+    await handle.write(chunk, 0, chunk.length, position);
+  } finally {
+    await handle.close();
+  }
+}
+
+async function readHead(uploadId, length) {
+  const handle = await fs.open(partialPath(uploadId), 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Move the finished file out of the partial directory and make it a scan, or
+ * match it to the user's existing scan (see scanIntakeService).
+ */
+async function completeUpload(upload, type) {
+  const finalPath = path.join(UPLOAD_DIR, `${crypto.randomUUID()}${EXTENSIONS[type]}`);
+  await fs.rename(partialPath(upload.id), finalPath);
+
+  const { force, ...details } = upload.details || {};
+  let result;
+  try {
+    result = await createScanFromFile(
+      upload.userId,
+      { path: finalPath, originalName: upload.originalFileName },
+      details,
+      { force: Boolean(force) }
+    );
+  } catch (error) {
+    await fs.unlink(finalPath).catch(() => {});
+    await upload.destroy();
+    throw error;
+  }
+
+  await upload.update({ status: 'completed', scanId: result.scan.id });
+  return result;
+}
+
+/**
+ * Append a chunk at `offset`, which must be where the upload currently ends.
+ *
+ * @returns {Promise<{ upload: object, scan: object|null, duplicate: object|null }>}
+ *   scan is set once the last chunk is in; duplicate as from createScanFromFile
+ * @throws {NotFoundError|ConflictError|ValidationError|UnsupportedMediaTypeError}
+ */
+async function appendChunk(userId, uploadId, { offset, chunk }, { now = new Date() } = {}) {
+  const upload = await getUpload(userId, uploadId, { now });
+  if (upload.status === 'completed') throw new ConflictError('This upload is already complete');
+  if (!Number.isInteger(offset) || offset !== upload.uploadOffset) {
+    throw new ConflictError(`Upload-Offset does not match: the upload is at ${upload.uploadOffset}`);
+  }
+  if (!Buffer.isBuffer(chunk) || chunk.length === 0) throw new ValidationError('The request has no data');
+  if (offset + chunk.length > upload.uploadLength) throw new ValidationError('The data runs past Upload-Length');
+
+  // Claim the offset before touching the file: a concurrent PATCH at the same
+  // offset waits on the row lock, then finds the offset has moved on.
+  const newOffset = offset + chunk.length;
+  await sequelize.transaction(async (transaction) => {
+    const locked = await ScanUpload.findOne({
+      where: { id: upload.id, status: 'uploading' },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!locked || locked.uploadOffset !== offset) {
+      throw new ConflictError('Another request for this upload got there first');
+    }
+    await writeChunk(upload.id, chunk, offset);
+    await locked.update({ uploadOffset: newOffset }, { transaction });
+  });
+  upload.uploadOffset = newOffset;
+
+  const complete = newOffset === upload.uploadLength;
+  let type = null;
+  if (complete || (offset < SNIFF_BYTES && newOffset >= SNIFF_BYTES)) {
+    type = sniffImageType(await readHead(upload.id, SNIFF_BYTES));
+    if (!type) {
+      await discardUpload(upload);
+      logger.logSecurityEvent('SCAN_UPLOAD_REJECTED', { userId, uploadId: upload.id, reason: 'not an image' });
+      throw new UnsupportedMediaTypeError('The file is not a supported image. Allowed types: JPEG, PNG, BMP, TIFF, DICOM');
+    }
+  }
+
+  if (!complete) return { upload, scan: null, duplicate: null };
+  const { scan, duplicate } = await completeUpload(upload, type);
+  return { upload, scan, duplicate };
+}
+
+/**
+ * Abandon an unfinished upload and delete what has arrived.
+ * @throws {NotFoundError|ConflictError}
+ */
+async function cancelUpload(userId, uploadId) {
+  const upload = await getUpload(userId, uploadId);
+  if (upload.status === 'completed') throw new ConflictError('This upload is already complete');
+  await discardUpload(upload);
+}
+
+/**
+ * Remove uploads that expired unfinished, and their partial files.
+ * @returns {Promise<{ expired: number, failed: number }>}
+ */
+async function purgeExpiredUploads({ now = new Date() } = {}) {
+  const expired = await ScanUpload.findAll({
+    where: { status: 'uploading', expiresAt: { [Op.lte]: now } },
+    limit: EXPIRED_BATCH
+  });
+
+  const summary = { expired: 0, failed: 0 };
+  for (const upload of expired) {
+    try {
+      await discardUpload(upload);
+      summary.expired += 1;
+    } catch (error) {
+      summary.failed += 1;
+      logger.error('Failed to remove expired scan upload', { uploadId: upload.id, error: error.message });
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  TUS_VERSION,
+  MAX_UPLOAD_BYTES,
+  MAX_CHUNK_BYTES,
+  parseUploadMetadata,
+  validateUploadDetails,
+  createUpload,
+  getUpload,
+  appendChunk,
+  cancelUpload,
+  purgeExpiredUploads,
+  partialPath
+};
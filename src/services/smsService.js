@@ -0,0 +1,150 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+/**
+ * Phone messaging transport (SMS / WhatsApp) behind a small provider interface.
+ *
+ * A provider is `{ name, channels, send({ to, body, channel }) }`. `send`
+ * resolves to `{ messageId }` and throws on failure; `to` is always E.164.
+ *
+ * Providers:
+ *   - termii:  Termii HTTP API (Nigerian DND-safe SMS route + WhatsApp).
+ *   - console: logs the message instead of sending it (local dev without
+ *              credentials). Refused outside development and test, so a
+ *              missing TERMII_API_KEY in production fails loudly instead of
+ *              pretending codes went out.
+ *   - fake:    in-memory outbox, for tests. Refused outside test: it reports
+ *              every message as sent while nobody receives it.
+ *
+ * SMS_PROVIDER selects one explicitly; otherwise tests get `fake`, and other
+ * environments get `termii` when TERMII_API_KEY is set, else `console`.
+ *
+ * sendMessage reports `mock: true` when the provider only logged the message,
+ * so callers never treat it as delivered.
+ */
+
+// Where the stand-in providers may replace a real one.
+const MOCK_ENVIRONMENTS = ['development', 'test'];
+const TEST_ENVIRONMENTS = ['test'];
+
+const fakeOutbox = [];
+
+const providers = {
+  termii: {
+    name: 'termii',
+    channels: ['sms', 'whatsapp'],
+    async send({ to, body, channel }) {
+      const baseUrl = process.env.TERMII_BASE_URL || 'https://api.ng.termii.com';
+      const response = await axios.post(`${baseUrl}/api/sms/send`, {
+        api_key: process.env.TERMII_API_KEY,
+        to: to.replace(/^\+/, ''),
+        from: process.env.TERMII_SENDER_ID || 'Imagomum',
+        sms: body,
+        type: 'plain',
+        // 'dnd' reaches numbers on the Do-Not-Disturb register, which most
+        // Nigerian lines are; 'generic' silently drops them.
+        channel: channel === 'whatsapp' ? 'whatsapp' : 'dnd'
+      }, { timeout: 10000 });
+
+      if (!response.data || !response.data.message_id) {
+        throw new Error(`Termii did not accept the message: ${response.data?.message || 'no message_id'}`);
+      }
+      return { messageId: String(response.data.message_id) };
+    }
+  },
+
+  console: {
+    name: 'console',
+    mock: true,
+    environments: MOCK_ENVIRONMENTS,
+    channels: ['sms', 'whatsapp'],
+    async send({ to, body, channel }) {
+      logger.warn(`📱 [MOCK] SMS provider not configured - ${channel} to ${to}`);
+      if (process.env.NODE_ENV === 'development') {
+        console.log(`\n📱 [MOCK] ${channel.toUpperCase()} to ${to}: ${body}\n`);
+      }
+      return { messageId: null };
+    }
+  },
+
+  fake: {
+    name: 'fake',
+    environments: TEST_ENVIRONMENTS,
+    channels: ['sms', 'whatsapp'],
+    async send({ to, body, channel }) {
+      const messageId = `fake-${fakeOutbox.length + 1}`;
+      fakeOutbox.push({ to, body, channel, messageId, sentAt: new Date() });
+      return { messageId };
+    }
+  }
+};
+
+function defaultProviderName() {
+  if (process.env.NODE_ENV === 'test') return 'fake';
+  return process.env.TERMII_API_KEY ? 'termii' : 'console';
+}
+
+/** The active provider (resolved per call so tests can switch SMS_PROVIDER). */
+function getProvider() {
+  const name = process.env.SMS_PROVIDER || defaultProviderName();
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS_PROVIDER "${name}" (expected one of: ${Object.keys(providers).join(', ')})`);
+  }
+  if (provider.environments && !provider.environments.includes(process.env.NODE_ENV)) {
+    const what = provider.mock ? 'only logs messages' : 'is for tests only';
+    throw new Error(`SMS is not configured: the "${name}" provider ${what} and is refused in ${process.env.NODE_ENV || 'this'} environment (set TERMII_API_KEY)`);
+  }
+  return provider;
+}
+
+/**
+ * Normalise a phone number to E.164. Local Nigerian numbers (0803..., 803...)
+ * get +234; anything already international is kept. Returns null if the input
+ * cannot be a phone number.
+ */
+function normalizePhoneNumber(raw, defaultCountryCode = process.env.SMS_DEFAULT_COUNTRY_CODE || '234') {
+  if (!raw) return null;
+  const trimmed = String(raw).trim();
+  const digits = trimmed.replace(/\D/g, '');
+  if (!digits) return null;
+
+  let e164;
+  if (trimmed.startsWith('+')) {
+    e164 = digits;
+  } else if (digits.startsWith('00')) {
+    e164 = digits.slice(2);
+  } else if (digits.startsWith(defaultCountryCode)) {
+    e164 = digits;
+  } else if (digits.startsWith('0')) {
+    e164 = defaultCountryCode + digits.slice(1);
+  } else if (digits.length === 10) {
+    e164 = defaultCountryCode + digits;
+  } else {
+    e164 = digits;
+  }
+
+  return e164.length >= 8 && e164.length <= 15 ? `+${e164}` : null;
+}
+
+/**
+ * Send a text message through the active provider.
+ * @param {{ to: string, body: string, channel?: 'sms'|'whatsapp' }} message
+ * @returns {Promise<{ provider: string, messageId: string|null, mock: boolean }>}
+ */
+async function sendMessage({ to, body, channel = 'sms' }) {
+  const provider = getProvider();
+  if (!provider.channels.includes(channel)) {
+    throw new Error(`SMS provider "${provider.name}" does not support ${channel}`);
+  }
+  const { messageId } = await provider.send({ to, body, channel });
+  return { provider: provider.name, messageId, mock: Boolean(provider.mock) };
+}
+
+module.exports = {
+  normalizePhoneNumber,
+  getProvider,
+  sendMessage,
+  getFakeOutbox: () => fakeOutbox,
+  clearFakeOutbox: () => { fakeOutbox.length = 0; }
+};
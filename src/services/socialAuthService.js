@@ -0,0 +1,107 @@
+const { sequelize } = require('../config/database');
+const { getModels } = require('../models/associations');
+const { AuthenticationError } = require('../middleware/errorHandler');
+const { canonicalizeEmail } = require('../utils/emailUtils');
+const logger = require('../utils/logger');
+
+/**
+ * Resolve a verified social identity (see oidcService) to a User:
+ *
+ *   1. a known (provider, subject) signs in as its linked user;
+ *   2. otherwise a provider-verified email links to the account with that
+ *      email;
+ *   3. otherwise a new account is created, already verified, with no password
+ *      or phone number.
+ *
+ * The provider has proven control of the email, so no OTP step is needed.
+ * Onboarding is untouched, so new users land in it as usual.
+ */
+
+const { User, UserIdentity } = getModels();
+
+/** Display name for a new account: the provider's, the client's, or the email's local part. */
+function displayNameFor(identity, fullName) {
+  const candidate = [identity.name, fullName]
+    .map((n) => (n ? String(n).trim() : ''))
+    .find((n) => n.length >= 2);
+  if (candidate) return candidate.slice(0, 100);
+
+  const local = (identity.email || '').split('@')[0].replace(/[._+-]+/g, ' ').trim();
+  return local.length >= 2 ? local.slice(0, 100) : 'Imagomum User';
+}
+
+/**
+ * @param {object} identity - { provider, subject, email, emailVerified, name } from oidcService.verifyIdToken
+ * @param {object} [options]
+ * @param {string} [options.fullName] - name supplied by the client (Apple only shares it with the app, on first sign-in)
+ * @returns {Promise<{ user, isNewUser: boolean, linked: boolean }>}
+ * @throws {AuthenticationError}
+ */
+async function signInWithIdentity(identity, { fullName } = {}) {
+  const now = new Date();
+
+  const existing = await UserIdentity.findOne({
+    where: { provider: identity.provider, subject: identity.subject },
+    include: [{ model: User, as: 'user', required: true }]
+  });
+  if (existing) {
+    if (!existing.user.isActive && existing.user.isVerified) {
+      throw new AuthenticationError('Account is inactive');
+    }
+    await existing.update({ email: identity.email, emailVerified: identity.emailVerified, lastLoginAt: now });
+    return { user: existing.user, isNewUser: false, linked: false };
+  }
+
+  // Linking or creating by email needs the provider to vouch for that email.
+  if (!identity.email || !identity.emailVerified) {
+    throw new AuthenticationError('Your sign-in provider did not confirm your email address');
+  }
+  const email = canonicalizeEmail(identity.email);
+
+  return sequelize.transaction(async (transaction) => {
+    let user = await User.findOne({ where: { email }, transaction, lock: transaction.LOCK.UPDATE });
+    let isNewUser = false;
+
+    if (user) {
+      if (!user.isActive && user.isVerified) {
+        throw new AuthenticationError('Account is inactive');
+      }
+      if (!user.isVerified) {
+        // Someone started a password signup with this email but never proved
+        // they own it. The provider just did, so that unverified password
+        // can't be trusted: drop it along with the pending code.
+        await user.update({
+          isVerified: true,
+          isActive: true,
+          password: null,
+          otp: null,
+          otpExpiresAt: null
+        }, { transaction });
+        logger.logSecurityEvent('SOCIAL_LOGIN_CLAIMED_UNVERIFIED_ACCOUNT', { userId: user.id, provider: identity.provider });
+      }
+    } else {
+      user = await User.create({
+        fullName: displayNameFor(identity, fullName),
+        email,
+        phoneNumber: null,
+        password: null,
+        isVerified: true,
+        isActive: true
+      }, { transaction });
+      isNewUser = true;
+    }
+
+    await UserIdentity.create({
+      userId: user.id,
+      provider: identity.provider,
+      subject: identity.subject,
+      email: identity.email,
+      emailVerified: identity.emailVerified,
+      lastLoginAt: now
+    }, { transaction });
+
+    return { user, isNewUser, linked: !isNewUser };
+  });
+}
+
+module.exports = { displayNameFor, signInWithIdentity };
@@ -0,0 +1,316 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { durationMs, bytesForMs, rmsLevel, pcmToWav, parseWav, resamplePcm } = require('../utils/pcmAudio');
+
+/**
+ * Speech-to-text and text-to-speech for audio chat, behind a small provider
+ * interface (the same shape as smsService).
+ *
+ * A provider is `{ name, languages, transcribe(pcm, opts), synthesize(text, opts) }`.
+ * `transcribe` takes 16-bit mono PCM and resolves to `{ text }`; `synthesize`
+ * resolves to 16-bit mono PCM at `opts.sampleRate`. Both throw on failure.
+ *
+ * Providers:
+ *   - local:     an offline speech server on our own network (SPEECH_LOCAL_URL),
+ *                e.g. whisper.cpp or Vosk and Piper behind a thin wrapper:
+ *                  POST /transcribe?language=yo  (audio/wav)          -> { "text": "..." }
+ *                  POST /synthesize  { text, language, voice }        -> audio/wav
+ *                No audio leaves our infrastructure.
+ *   - simulated: canned English phrases and a tone, for the demo page without a speech server.
+ *   - fake:      scripted transcript and silent audio, for tests.
+ *
+ * SPEECH_PROVIDER selects one explicitly; otherwise tests get `fake`, and other
+ * environments get `local` when SPEECH_LOCAL_URL is set, else `simulated`.
+ *
+ * createRecognizer turns a stream of microphone audio into utterances: it
+ * detects speech by level, reports partial transcripts while she is talking,
+ * and a final transcript once she pauses.
+ */
+
+// Match User.languagePreference.
+const SPEECH_LANGUAGES = ['en', 'yo', 'ha', 'ig'];
+
+const LANGUAGE_ALIASES = {
+  eng: 'en', english: 'en',
+  yor: 'yo', yoruba: 'yo',
+  hau: 'ha', hausa: 'ha',
+  ibo: 'ig', igbo: 'ig'
+};
+
+const LOCAL_TIMEOUT_MS = parseInt(process.env.SPEECH_LOCAL_TIMEOUT_MS, 10) || 15000;
+
+const VAD = {
+  // RMS level (of 32768) above which a 20 ms frame counts as speech
+  threshold: parseInt(process.env.SPEECH_VAD_THRESHOLD, 10) || 500,
+  // Silence that ends an utterance
+  endpointMs: parseInt(process.env.SPEECH_ENDPOINT_SILENCE_MS, 10) || 800,
+  // How often to re-transcribe for a partial while she is talking
+  partialEveryMs: parseInt(process.env.SPEECH_PARTIAL_INTERVAL_MS, 10) || 1000,
+  maxUtteranceMs: 30000,
+  // Audio kept from before speech starts, so a soft first syllable isn't lost
+  preRollMs: 200,
+  frameMs: 20
+};
+
+const SIMULATED_PHRASES = [
+  'I need nutrition tips for my pregnancy',
+  'What should I eat during second trimester',
+  'I have stomach constipation',
+  'Can you help me with meal planning',
+  'Is it safe to exercise during pregnancy'
+];
+
+const fake = { transcript: '', calls: [] };
+
+const providers = {
+  local: {
+    name: 'local',
+    get languages() {
+      return (process.env.SPEECH_LOCAL_LANGUAGES || SPEECH_LANGUAGES.join(','))
+        .split(',')
+        .map((l) => l.trim())
+        .filter((l) => SPEECH_LANGUAGES.includes(l));
+    },
+    async transcribe(pcm, { language, sampleRate, model }) {
+      const response = await axios.post(`${process.env.SPEECH_LOCAL_URL}/transcribe`, pcmToWav(pcm, sampleRate), {
+        params: { language, ...(model && { model }) },
+        headers: { 'Content-Type': 'audio/wav' },
+        timeout: LOCAL_TIMEOUT_MS
+      });
+      if (!response.data || typeof response.data.text !== 'string') {
+        throw new Error('Local speech server returned no transcript');
+      }
+      return { text: response.data.text };
+    },
+    async synthesize(text, { language, sampleRate }) {
+      const response = await axios.post(`${process.env.SPEECH_LOCAL_URL}/synthesize`, {
+        text,
+        language,
+        voice: process.env[`SPEECH_VOICE_${language.toUpperCase()}`] || undefined
+      }, { responseType: 'arraybuffer', timeout: LOCAL_TIMEOUT_MS });
+      const wav = parseWav(Buffer.from(response.data));
+      return resamplePcm(wav.pcm, wav.sampleRate, sampleRate);
+    }
+  },
+
+  simulated: {
+    name: 'simulated',
+    languages: SPEECH_LANGUAGES,
+    // Reveals one of SIMULATED_PHRASES at about 2.5 words a second; the phrase
+    // is picked from the opening audio so an utterance keeps its phrase.
+    async transcribe(pcm, { sampleRate, final }) {
+      let seed = 0;
+      for (let i = 0; i < Math.min(pcm.length, 64); i += 1) seed += pcm[i];
+      const words = SIMULATED_PHRASES[seed % SIMULATED_PHRASES.length].split(' ');
+      const shown = final ? words.length : Math.ceil((durationMs(pcm, sampleRate) / 1000) * 2.5);
+      return { text: words.slice(0, Math.min(words.length, Math.max(1, shown))).join(' ') };
+    },
+    // A quiet 440 Hz tone, about as long as the text would take to say.
+    async synthesize(text, { sampleRate }) {
+      const samples = Math.floor((Math.min(text.length * 60, 20000) * sampleRate) / 1000);
+      const pcm = Buffer.alloc(samples * 2);
+      for (let i = 0; i < samples; i += 1) {
+        pcm.writeInt16LE(Math.round(Math.sin((2 * Math.PI * 440 * i) / sampleRate) * 0.1 * 32767), i * 2);
+      }
+      return pcm;
+    }
+  },
+
+  fake: {
+    name: 'fake',
+    languages: SPEECH_LANGUAGES,
+    async transcribe(pcm, opts) {
+      fake.calls.push({ type: 'transcribe', bytes: pcm.length, ...opts });
+      return { text: fake.transcript };
+    },
+    async synthesize(text, opts) {
+      fake.calls.push({ type: 'synthesize', text, ...opts });
+      return Buffer.alloc(bytesForMs(text.length * 10, opts.sampleRate));
+    }
+  }
+};
+
+function defaultProviderName() {
+  if (process.env.NODE_ENV === 'test') return 'fake';
+  return process.env.SPEECH_LOCAL_URL ? 'local' : 'simulated';
+}
+
+/** The active provider (resolved per call so tests can switch SPEECH_PROVIDER). */
+function getProvider() {
+  const name = process.env.SPEECH_PROVIDER || defaultProviderName();
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SPEECH_PROVIDER "${name}" (expected one of: ${Object.keys(providers).join(', ')})`);
+  }
+  return provider;
+}
+
+/**
+ * One of SPEECH_LANGUAGES for a language tag ('en-US', 'yo-NG', 'hau',
+ * 'Igbo'), or null if it isn't one we speak. Pure.
+ */
+function normaliseLanguage(tag) {
+  if (!tag) return null;
+  const lower = String(tag).trim().toLowerCase();
+  const base = lower.split(/[-_]/)[0];
+  const code = LANGUAGE_ALIASES[lower] || LANGUAGE_ALIASES[base] || base;
+  return SPEECH_LANGUAGES.includes(code) ? code : null;
+}
+
+/** Whether the active provider handles `language`. */
+function supportsLanguage(language) {
+  return getProvider().languages.includes(language);
+}
+
+function providerFor(language) {
+  const provider = getProvider();
+  if (!provider.languages.includes(language)) {
+    throw new Error(`Speech provider "${provider.name}" does not support language ${language}`);
+  }
+  return provider;
+}
+
+/**
+ * Transcribe 16-bit mono PCM.
+ * @param {Buffer} pcm
+ * @param {{ language?: string, sampleRate?: number, model?: string, final?: boolean }} [opts]
+ * @returns {Promise<{ provider: string, text: string }>}
+ */
+async function transcribe(pcm, { language = 'en', sampleRate = 16000, model, final = true } = {}) {
+  const provider = providerFor(language);
+  const { text } = await provider.transcribe(pcm, { language, sampleRate, model, final });
+  return { provider: provider.name, text: (text || '').trim() };
+}
+
+/**
+ * Speak `text` as 16-bit mono PCM.
+ * @param {string} text
+ * @param {{ language?: string, sampleRate?: number }} [opts]
+ * @returns {Promise<{ provider: string, pcm: Buffer }>}
+ */
+async function synthesize(text, { language = 'en', sampleRate = 24000 } = {}) {
+  const provider = providerFor(language);
+  const pcm = await provider.synthesize(text, { language, sampleRate });
+  return { provider: provider.name, pcm };
+}
+
+/**
+ * A streaming recognizer for one audio session. Feed it microphone PCM with
+ * write(); it calls
+ *   onSpeechStart()     when she starts talking (used for barge-in),
+ *   onPartial(text)     with the transcript so far, about every SPEECH_PARTIAL_INTERVAL_MS,
+ *   onFinal(text)       once she has paused for SPEECH_ENDPOINT_SILENCE_MS,
+ *   onError(error)      when the provider fails (the utterance is dropped).
+ * Provider calls run one at a time; a partial that would queue behind
+ * another call is skipped. flush() ends the current utterance now and
+ * resolves once its final transcript has been delivered.
+ *
+ * @param {object} options
+ * @param {string} options.language - one of SPEECH_LANGUAGES
+ * @param {number} [options.sampleRate=16000]
+ */
+function createRecognizer({
+  language, sampleRate = 16000, model, onSpeechStart, onPartial, onFinal, onError, vad = VAD
+}) {
+  const frameBytes = bytesForMs(vad.frameMs, sampleRate);
+  const preRollFrames = Math.ceil(vad.preRollMs / vad.frameMs);
+  let pending = Buffer.alloc(0);
+  let preRoll = [];
+  let frames = [];
+  let speaking = false;
+  let silenceMs = 0;
+  let sincePartialMs = 0;
+  let lastPartial = '';
+  let busy = false;
+  let queue = Promise.resolve();
+
+  function run(task) {
+    queue = queue.then(task).catch((error) => {
+      logger.error('Speech recognition failed', { language, error: error.message });
+      if (onError) onError(error);
+    });
+    return queue;
+  }
+
+  function partial() {
+    if (busy) return;
+    busy = true;
+    const pcm = Buffer.concat(frames);
+    run(async () => {
+      try {
+        const { text } = await transcribe(pcm, { language, sampleRate, model, final: false });
+        if (text && text !== lastPartial) {
+          lastPartial = text;
+          if (onPartial) onPartial(text);
+        }
+      } finally {
+        busy = false;
+      }
+    });
+  }
+
+  function finish() {
+    if (!speaking) return queue;
+    const pcm = Buffer.concat(frames);
+    frames = [];
+    speaking = false;
+    silenceMs = 0;
+    sincePartialMs = 0;
+    return run(async () => {
+      const { text } = await transcribe(pcm, { language, sampleRate, model, final: true });
+      lastPartial = '';
+      if (text && onFinal) await onFinal(text);
+    });
+  }
+
+  function write(chunk) {
+    pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+    while (pending.length >= frameBytes) {
+      const frame = Buffer.from(pending.subarray(0, frameBytes));
+      pending = pending.subarray(frameBytes);
+      const voiced = rmsLevel(frame) >= vad.threshold;
+
+      if (!speaking) {
+        if (!voiced) {
+          preRoll.push(frame);
+          if (preRoll.length > preRollFrames) preRoll.shift();
+          continue;
+        }
+        speaking = true;
+        frames = preRoll;
+        preRoll = [];
+        if (onSpeechStart) onSpeechStart();
+      }
+
+      frames.push(frame);
+      silenceMs = voiced ? 0 : silenceMs + vad.frameMs;
+      sincePartialMs += vad.frameMs;
+
+      if (silenceMs >= vad.endpointMs || frames.length * vad.frameMs >= vad.maxUtteranceMs) {
+        finish();
+      } else if (sincePartialMs >= vad.partialEveryMs) {
+        sincePartialMs = 0;
+        partial();
+      }
+    }
+  }
+
+  return {
+    write,
+    flush: () => finish(),
+    isSpeaking: () => speaking
+  };
+}
+
+module.exports = {
+  SPEECH_LANGUAGES,
+  normaliseLanguage,
+  getProvider,
+  supportsLanguage,
+  transcribe,
+  synthesize,
+  createRecognizer,
+  setFakeTranscript: (text) => { fake.transcript = text; },
+  getFakeCalls: () => fake.calls,
+  clearFake: () => { fake.transcript = ''; fake.calls.length = 0; }
+};
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { getModels } = require('../models/associations');
+const { AuthenticationError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Auth sessions and refresh-token rotation.
+ *
+ * Each sign-in creates a UserSession (one per device) and an opaque refresh
+ * token stored only as a SHA-256 hash. Access JWTs carry the session id as
+ * `sid`, which the auth middleware checks, so revoking a session logs that
+ * device out immediately rather than when its access token expires.
+ *
+ * Refresh tokens rotate on every use. Presenting a token that was already
+ * rotated (or revoked) means a copy is in someone else's hands, so the whole
+ * family — the session — is revoked.
+ */
+
+const { UserSession, RefreshToken } = getModels();
+
+const DURATION_UNITS_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/** Parse a jsonwebtoken-style duration ('7d', '24h', '30m', '45s' or seconds) into ms. */
+function parseDurationMs(value, fallbackMs) {
+  if (value === undefined || value === null || value === '') return fallbackMs;
+  if (/^\d+$/.test(String(value))) return parseInt(value, 10) * 1000;
+  const match = /^(\d+)\s*([smhd])$/i.exec(String(value).trim());
+  return match ? parseInt(match[1], 10) * DURATION_UNITS_MS[match[2].toLowerCase()] : fallbackMs;
+}
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+const REFRESH_TOKEN_TTL_MS = parseDurationMs(process.env.REFRESH_TOKEN_EXPIRES_IN, 7 * DURATION_UNITS_MS.d);
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, email: user.email, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+/** Create a refresh token for a session; returns the raw token (never stored). */
+async function createRefreshToken(session, { transaction } = {}) {
+  const raw = generateRefreshToken();
+  const record = await RefreshToken.create({
+    sessionId: session.id,
+    userId: session.userId,
+    tokenHash: hashToken(raw),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  }, { transaction });
+  return { raw, record };
+}
+
+function tokenResponse(user, session, raw) {
+  return {
+    accessToken: signAccessToken(user, session.id),
+    refreshToken: raw,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    sessionId: session.id
+  };
+}
+
+/**
+ * Revoke one session and every refresh token in its family.
+ * @returns {Promise<boolean>} false if it was already revoked
+ */
+async function revokeSession(sessionId, reason, { transaction } = {}) {
+  const now = new Date();
+  const [count] = await UserSession.update(
+    { revokedAt: now, revokedReason: reason },
+    { where: { id: sessionId, revokedAt: null }, transaction }
+  );
+  await RefreshToken.update(
+    { revokedAt: now },
+    { where: { sessionId, revokedAt: null }, transaction }
+  );
+  return count > 0;
+}
+
+/**
+ * Revoke all of a user's active sessions (password reset, "sign out
+ * everywhere"), optionally keeping the caller's own session.
+ * @returns {Promise<number>} sessions revoked
+ */
+async function revokeAllSessions(userId, reason, { exceptSessionId = null } = {}) {
+  const where = { userId, revokedAt: null };
+  if (exceptSessionId) where.id = { [Op.ne]: exceptSessionId };
+  const sessions = await UserSession.findAll({ where, attributes: ['id'] });
+  for (const s of sessions) {
+    await revokeSession(s.id, reason);
+  }
+  logger.logSecurityEvent('USER_SESSIONS_REVOKED', { userId, reason, count: sessions.length, keptSessionId: exceptSessionId });
+  return sessions.length;
+}
+
+/**
+ * Start a new session for a freshly authenticated user.
+ * A device signing in again replaces its previous session.
+ *
+ * @param {object} user - User instance
+ * @param {object} [context] - { deviceId, deviceName, userAgent, ipAddress }
+ * @returns {Promise<{accessToken, refreshToken, expiresIn, sessionId}>}
+ */
+async function issueSession(user, context = {}) {
+  if (context.deviceId) {
+    const previous = await UserSession.findAll({
+      where: { userId: user.id, deviceId: context.deviceId, revokedAt: null },
+      attributes: ['id']
+    });
+    for (const s of previous) {
+      await revokeSession(s.id, 'superseded');
+    }
+  }
+
+  const { session, raw } = await sequelize.transaction(async (transaction) => {
+    const created = await UserSession.create({
+      userId: user.id,
+      deviceId: context.deviceId || null,
+      deviceName: context.deviceName || null,
+      userAgent: context.userAgent ? String(context.userAgent).slice(0, 512) : null,
+      ipAddress: context.ipAddress || null,
+      lastSeenAt: new Date()
+    }, { transaction });
+    const token = await createRefreshToken(created, { transaction });
+    return { session: created, raw: token.raw };
+  });
+
+  return tokenResponse(user, session, raw);
+}
+
+/**
+ * Exchange a refresh token for a new access + refresh token pair.
+ *
+ * The "mark used" step is a conditional UPDATE (used_at IS NULL), so of two
+ * concurrent requests with the same token only one can win; the loser is
+ * indistinguishable from a replay and revokes the family.
+ *
+ * @param {string} rawToken
+ * @param {object} [context] - { userAgent, ipAddress }
+ * @throws {AuthenticationError}
+ */
+async function rotateRefreshToken(rawToken, context = {}) {
+  const token = await RefreshToken.findOne({
+    where: { tokenHash: hashToken(rawToken) },
+    include: [{ model: UserSession, as: 'session', required: true }]
+  });
+  if (!token) {
+    throw new AuthenticationError('Invalid refresh token');
+  }
+
+  const { session } = token;
+  if (session.revokedAt) {
+    throw new AuthenticationError('Session has been revoked');
+  }
+  if (token.usedAt || token.revokedAt) {
+    await revokeSession(session.id, 'reuse_detected');
+    logger.logSecurityEvent('REFRESH_TOKEN_REUSE_DETECTED', {
+      userId: token.userId,
+      sessionId: session.id,
+      ip: context.ipAddress,
+      userAgent: context.userAgent
+    });
+    throw new AuthenticationError('Refresh token has already been used');
+  }
+  if (new Date(token.expiresAt) <= new Date()) {
+    throw new AuthenticationError('Refresh token expired');
+  }
+
+  const user = await session.getUser();
+  if (!user || !user.isActive) {
+    await revokeSession(session.id, 'account_inactive');
+    throw new AuthenticationError('Account is inactive');
+  }
+
+  const raw = await sequelize.transaction(async (transaction) => {
+    const [claimed] = await RefreshToken.update(
+      { usedAt: new Date() },
+      { where: { id: token.id, usedAt: null, revokedAt: null }, transaction }
+    );
+    if (claimed === 0) return null;
+
+    const next = await createRefreshToken(session, { transaction });
+    await RefreshToken.update({ replacedById: next.record.id }, { where: { id: token.id }, transaction });
+    await session.update({
+      lastSeenAt: new Date(),
+      ipAddress: context.ipAddress || session.ipAddress,
+      userAgent: context.userAgent ? String(context.userAgent).slice(0, 512) : session.userAgent
+    }, { transaction });
+    return next.raw;
+  });
+
+  if (!raw) {
+    await revokeSession(session.id, 'reuse_detected');
+    logger.logSecurityEvent('REFRESH_TOKEN_REUSE_DETECTED', { userId: token.userId, sessionId: session.id, ip: context.ipAddress, concurrent: true });
+    throw new AuthenticationError('Refresh token has already been used');
+  }
+
+  return { user, tokens: tokenResponse(user, session, raw) };
+}
+
+/**
+ * A user's signed-in devices: not revoked, and seen within the refresh-token
+ * lifetime (an idle session past that can no longer refresh). Most recent first.
+ */
+async function listActiveSessions(userId, { now = new Date() } = {}) {
+  return UserSession.findAll({
+    where: {
+      userId,
+      revokedAt: null,
+      lastSeenAt: { [Op.gt]: new Date(now.getTime() - REFRESH_TOKEN_TTL_MS) }
+    },
+    order: [['lastSeenAt', 'DESC']]
+  });
+}
+
+// Last-seen is refreshed from authenticated requests at most this often, so
+// ordinary API traffic doesn't turn into a write per request.
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+
+/** Record activity on a session if its last-seen time is stale. */
+async function touchSession(session, { ipAddress, now = new Date() } = {}) {
+  if (session.lastSeenAt && now.getTime() - new Date(session.lastSeenAt).getTime() < LAST_SEEN_RESOLUTION_MS) {
+    return false;
+  }
+  const changes = { lastSeenAt: now };
+  if (ipAddress) changes.ipAddress = ipAddress;
+  await UserSession.update(changes, { where: { id: session.id } });
+  return true;
+}
+
+/**
+ * Session id that owns a raw refresh token, or null. Only `userId`'s own
+ * tokens are matched, so nobody can look up (or revoke) another user's session.
+ */
+async function findSessionIdForRefreshToken(rawToken, userId) {
+  if (!userId) return null;
+  const token = await RefreshToken.findOne({
+    where: { tokenHash: hashToken(rawToken), userId },
+    attributes: ['sessionId']
+  });
+  return token ? token.sessionId : null;
+}
+
+module.exports = {
+  parseDurationMs,
+  generateRefreshToken,
+  hashToken,
+  signAccessToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  touchSession,
+  findSessionIdForRefreshToken
+};
@@ -1,4 +1,5 @@
 const { getModels } = require('../models/associations');
+const { warningSignsText } = require('../utils/dangerSigns');
 const logger = require('../utils/logger');
 
 /**
@@ -25,53 +26,54 @@ const { ContentItem, ContentTopic, ContentSource, TopicContentItem } = getModels
 // Appendix B — Gestational Week Content Map. Each row's `from`/`to` tiles the
 // full 1..42 range (gap weeks fold into the nearest clinical stage) so no week
 // is left without a topic set. Text is the Nigerian-localised guidance from the
-// spec; a reviewer/editor refines it before publish.
+// spec; a reviewer/editor refines it before publish. Warning signs come from
+// utils/dangerSigns, the same rules the chat safety triage matches on.
 const WEEK_MAP = [
   { from: 1, to: 7, stage: 'Weeks 4–6', trimester: 1,
     baby_dev: 'Neural tube is forming and the heart begins to beat.',
     nutrition: 'Focus on folate: beans, ugu (fluted pumpkin), and dark green vegetables.',
     antenatal_care: 'Register at your nearest antenatal (ANC) clinic.',
-    warning_signs: 'heavy bleeding or severe cramping' },
+    warning_signs: warningSignsText(['bleeding', 'abdominal_pain']) },
   { from: 8, to: 11, stage: 'Weeks 8–10', trimester: 1,
     baby_dev: 'Organs are forming and all limbs are now visible.',
     nutrition: 'Focus on iron: ofada rice, ugu, and liver (in moderation).',
     antenatal_care: 'Attend your first ANC visit; blood tests will be ordered.',
-    warning_signs: 'spotting or a persistent fever' },
+    warning_signs: warningSignsText(['bleeding', 'fever']) },
   { from: 12, to: 15, stage: 'Week 12', trimester: 1,
     baby_dev: 'Your baby is fully formed at about 6cm; fingers are clearly visible.',
     nutrition: 'Focus on calcium: fish, crayfish, akara, and milk if available.',
     antenatal_care: 'Have your 12-week ultrasound scan.',
-    warning_signs: 'severe nausea that prevents eating, or dizziness' },
+    warning_signs: warningSignsText(['severe_vomiting', 'fainting']) },
   { from: 16, to: 19, stage: 'Week 16', trimester: 2,
     baby_dev: 'Your baby can hear sounds and active movement begins.',
     nutrition: 'Focus on protein: eggs, beans, fresh fish, and groundnuts.',
     antenatal_care: 'Attend your second ANC visit; discuss any concerns.',
-    warning_signs: 'significantly reduced fetal movement' },
+    warning_signs: warningSignsText(['reduced_fetal_movement']) },
   { from: 20, to: 23, stage: 'Week 20', trimester: 2,
     baby_dev: 'Halfway point — this is anomaly scan week.',
     nutrition: 'Focus on omega-3: sardines, mackerel, and fresh tuna.',
     antenatal_care: 'Have your anomaly (20-week) ultrasound scan.',
-    warning_signs: 'headaches, vision changes, or swelling' },
+    warning_signs: warningSignsText(['severe_headache', 'blurred_vision', 'swelling']) },
   { from: 24, to: 27, stage: 'Week 24', trimester: 2,
     baby_dev: 'Viability threshold; the lungs are beginning to develop.',
     nutrition: 'Pair iron and vitamin C (tomatoes help absorption).',
     antenatal_care: 'GDM screening — blood glucose test.',
-    warning_signs: 'swelling of the face or hands, or rising blood pressure' },
+    warning_signs: warningSignsText(['swelling', 'high_blood_pressure', 'convulsions']) },
   { from: 28, to: 31, stage: 'Week 28', trimester: 3,
     baby_dev: 'Third trimester begins with rapid brain development.',
     nutrition: 'Boost iron: ugu, spinach, ofada rice, fish and meat.',
     antenatal_care: 'Third trimester ANC visit; anaemia check.',
-    warning_signs: 'reduced baby kicks, or signs of preterm contractions' },
+    warning_signs: warningSignsText(['reduced_fetal_movement', 'contractions']) },
   { from: 32, to: 35, stage: 'Week 32', trimester: 3,
     baby_dev: 'Your baby is gaining weight quickly and bones are hardening.',
     nutrition: 'Energy-dense foods; small, frequent meals are recommended.',
     antenatal_care: 'Discuss your birth plan and birth location with your midwife.',
-    warning_signs: 'fluid leaking from the vagina, or persistent contractions' },
+    warning_signs: warningSignsText(['fluid_leaking', 'contractions']) },
   { from: 36, to: 42, stage: 'Weeks 36–40', trimester: 3,
     baby_dev: 'Full-term is approaching; the head is engaging downward.',
     nutrition: 'Light meals; stay well hydrated and avoid heavy foods.',
     antenatal_care: 'Get your hospital bag ready and complete birth preparations.',
-    warning_signs: 'labour signs — know when to go in' }
+    warning_signs: warningSignsText(['contractions', 'fluid_leaking', 'bleeding', 'reduced_fetal_movement']) }
 ];
 
 // category -> topic/item metadata. `itemType` maps to ContentItem.contentType.
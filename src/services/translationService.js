@@ -0,0 +1,211 @@
+const { getModels } = require('../models/associations');
+const { chatJSON } = require('./contentGenerationService');
+const { glossaryHints } = require('../utils/medicalGlossary');
+const logger = require('../utils/logger');
+
+/**
+ * Translation around the chat: a mother can write (or speak) in Yoruba, Hausa
+ * or Igbo, the chat service is asked in English, and the answer comes back in
+ * her User.languagePreference.
+ *
+ * The input language is detected heuristically (detectLanguage); English is
+ * sent untouched, and a message too short to tell is taken to be in her
+ * preferred language.
+ * Translation is a GPT-4o call given the curated terms from
+ * utils/medicalGlossary. Both versions of each message are kept in
+ * ChatMessage.metadata.translation so translations can be reviewed. A failed
+ * translation never blocks the chat: the untranslated text goes through and
+ * the error is recorded.
+ */
+
+const { User } = getModels();
+
+// Match User.languagePreference.
+const CHAT_LANGUAGES = ['en', 'yo', 'ha', 'ig'];
+
+const LANGUAGE_NAMES = { en: 'English', yo: 'Yoruba', ha: 'Hausa', ig: 'Igbo' };
+
+// Common words, written without accents (as many mothers type them).
+const STOPWORDS = {
+  en: ['the', 'and', 'is', 'i', 'my', 'to', 'of', 'what', 'can', 'have', 'it', 'in', 'for', 'a', 'you',
+    'be', 'with', 'this', 'that', 'am', 'do', 'should', 'how', 'when', 'baby', 'pregnant', 'pregnancy', 'eat'],
+  yo: ['ni', 'mo', 'mi', 'ti', 'se', 'ki', 'je', 'ati', 'wa', 'ko', 'ba', 'fun', 'pe', 'omo', 'oyun',
+    'nko', 'bawo', 'sugbon', 'nitori', 'lati', 'naa', 'yii', 'emi', 'won', 'ara', 'le', 'lo'],
+  ha: ['da', 'ina', 'ba', 'ne', 'ce', 'yana', 'tana', 'shi', 'kuma', 'wannan', 'akwai', 'ciki', 'yaya',
+    'me', 'zan', 'don', 'amma', 'sai', 'mai', 'cikin', 'yi', 'nake', 'kan', 'jariri', 'likita', 'sosai'],
+  ig: ['nke', 'ka', 'ahu', 'bu', 'enwere', 'nwa', 'ime', 'kedu', 'gi', 'di', 'anyi', 'm', 'mana',
+    'maka', 'nwere', 'ihe', 'ga', 'otu', 'ebe', 'onye', 'ogwu', 'adighi', 'nwanyi', 'gini', 'na']
+};
+
+// Letters only one (or two) of the languages use.
+const LETTER_WEIGHTS = [
+  [/[ẹṣ]/gu, { yo: 2 }],
+  [/[ɓɗƙƴ]/gu, { ha: 3 }],
+  [/[ịụṅ]/gu, { ig: 2 }],
+  [/ọ/gu, { yo: 1, ig: 1 }]
+];
+
+// A language needs at least this score (and to beat English) to be picked.
+const MIN_SCORE = 2;
+
+/**
+ * The language a message is written in, or null if there is too little to
+ * tell. Pure.
+ *
+ * @param {string} text
+ * @returns {{ language: string|null, scores: object }}
+ */
+function detectLanguage(text) {
+  const lower = String(text || '').normalize('NFC').toLowerCase();
+  const scores = { en: 0, yo: 0, ha: 0, ig: 0 };
+
+  // Tone marks off, underdots kept: ẹ́ counts as ẹ
+  const underdots = lower.normalize('NFD').replace(/[\u0300\u0301\u0302\u0304]/g, '').normalize('NFC');
+  for (const [pattern, weights] of LETTER_WEIGHTS) {
+    const count = (underdots.match(pattern) || []).length;
+    for (const [language, weight] of Object.entries(weights)) scores[language] += count * weight;
+  }
+
+  const tokens = lower.normalize('NFD').replace(/\p{M}/gu, '').split(/[^\p{L}]+/u).filter(Boolean);
+  for (const token of tokens) {
+    for (const language of CHAT_LANGUAGES) {
+      if (STOPWORDS[language].includes(token)) scores[language] += 1;
+    }
+  }
+
+  let best = null;
+  for (const language of ['yo', 'ha', 'ig']) {
+    if (scores[language] >= MIN_SCORE && scores[language] > scores.en
+      && (!best || scores[language] > scores[best])) {
+      best = language;
+    }
+  }
+  if (!best && scores.en > 0) best = 'en';
+  return { language: best, scores };
+}
+
+/** Chat messages for one translation call. Pure. */
+function buildTranslationMessages(text, from, to) {
+  const { terms, keepEnglish } = glossaryHints(text, from, to);
+  const system = [
+    `You are a medical translator for Imago Mum, a pregnancy companion for Nigerian mothers. Translate the text from ${LANGUAGE_NAMES[from]} to ${LANGUAGE_NAMES[to]}.`,
+    'Keep the meaning exact: do not add, drop or soften any medical information, numbers, doses, warnings or instructions.',
+    'Keep names, numbers, phone numbers, URLs, citation markers such as [2] and markdown formatting unchanged.',
+    'Use the glossary translations exactly where the terms appear, and leave the KEEP IN ENGLISH terms in English.',
+    'Use plain, everyday words a mother would use. Reply ONLY with a JSON object.'
+  ].join(' ');
+
+  const user = [
+    'GLOSSARY:',
+    terms.length ? terms.map(([source, target]) => `- ${source} => ${target}`).join('\n') : '(none)',
+    '',
+    `KEEP IN ENGLISH: ${keepEnglish.length ? keepEnglish.join(', ') : '(none)'}`,
+    '',
+    'TEXT:',
+    text,
+    '',
+    'Return JSON: {"translation": string}.'
+  ].join('\n');
+
+  return [{ role: 'system', content: system }, { role: 'user', content: user }];
+}
+
+async function translate(text, from, to) {
+  const result = await chatJSON(buildTranslationMessages(text, from, to), { temperature: 0 });
+  const translation = result && typeof result.translation === 'string' ? result.translation.trim() : '';
+  if (!translation) throw new Error('Translator returned no translation');
+  return translation;
+}
+
+async function preferredLanguage(userId) {
+  if (!userId) return 'en';
+  const user = await User.findByPk(userId, { attributes: ['id', 'languagePreference'] });
+  return (user && user.languagePreference) || 'en';
+}
+
+/**
+ * A mother's message in English, for the chat service. Never throws.
+ *
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {string} [opts.userId] - whose languagePreference sets the reply language
+ * @param {string} [opts.language] - the input language when already known (voice chat)
+ * @param {string} [opts.replyLanguage] - overrides the languagePreference
+ * @returns {Promise<{ language: string, replyLanguage: string, original: string, english: string,
+ *                     translated: boolean, error?: string }>}
+ */
+async function toEnglish(text, opts = {}) {
+  let replyLanguage = opts.replyLanguage;
+  try {
+    if (!replyLanguage) replyLanguage = await preferredLanguage(opts.userId);
+  } catch (error) {
+    logger.warn('Translation: could not load language preference', { userId: opts.userId, error: error.message });
+    replyLanguage = 'en';
+  }
+
+  // Too short to tell ("Kedu"): assume the language she chose
+  const language = opts.language || detectLanguage(text).language || replyLanguage;
+  const base = { language, replyLanguage, original: text, english: text, translated: false };
+  if (language === 'en') return base;
+
+  try {
+    return { ...base, english: await translate(text, language, 'en'), translated: true };
+  } catch (error) {
+    logger.warn('Translation: sending the message untranslated', { userId: opts.userId, language, error: error.message });
+    return { ...base, error: error.message };
+  }
+}
+
+/**
+ * The chat service's English answer in `language`. `appendEnglish` keeps the
+ * English text under the translation (used for the reviewed urgent-care
+ * replies, whose wording must survive a bad translation). Never throws.
+ *
+ * @returns {Promise<{ language: string, english: string, text: string, translated: boolean, error?: string }>}
+ */
+async function fromEnglish(text, language, { appendEnglish = false } = {}) {
+  const base = { language, english: text, text, translated: false };
+  if (!language || language === 'en' || !text) return base;
+
+  try {
+    const translation = await translate(text, 'en', language);
+    return { ...base, text: appendEnglish ? `${translation}\n\n---\n\n${text}` : translation, translated: true };
+  } catch (error) {
+    logger.warn('Translation: replying in English', { language, error: error.message });
+    return { ...base, error: error.message };
+  }
+}
+
+/** ChatMessage.metadata for a mother's message that was translated, else null. Pure. */
+function userMessageMetadata(incoming) {
+  if (incoming.language === 'en') return null;
+  return {
+    translation: {
+      language: incoming.language,
+      original: incoming.original,
+      english: incoming.translated ? incoming.english : null,
+      ...(incoming.error && { error: incoming.error })
+    }
+  };
+}
+
+/** The translation part of an assistant message's metadata, else null. Pure. */
+function replyTranslationMetadata(outgoing) {
+  if (outgoing.language === 'en') return null;
+  return {
+    language: outgoing.language,
+    english: outgoing.english,
+    translated: outgoing.translated,
+    ...(outgoing.error && { error: outgoing.error })
+  };
+}
+
+module.exports = {
+  CHAT_LANGUAGES,
+  detectLanguage,
+  buildTranslationMessages,
+  toEnglish,
+  fromEnglish,
+  userMessageMetadata,
+  replyTranslationMetadata
+};
@@ -0,0 +1,210 @@
+/**
+ * Pregnancy danger signs: the one list behind both the "When to seek help"
+ * text in the week-by-week topics (topicBuilderService.WEEK_MAP) and the
+ * safety triage of chat messages (chatSafetyService), so what a mother is
+ * told to watch for is exactly what the chat reacts to.
+ *
+ * Each sign has a `label` (how it is written for the mother) and `patterns`
+ * matched against a lower-cased message. A match is ignored when it is
+ * negated ("no bleeding", "not feverish") or talked about in general ("signs
+ * of fever") by one of the few words just before it; a wrong alarm is cheaper
+ * than a missed one, so nothing cleverer than that is attempted.
+ */
+
+const DANGER_SIGNS = {
+  bleeding: {
+    label: 'bleeding or spotting from the vagina',
+    category: 'obstetric',
+    patterns: [
+      /\bbleed(ing|s)?\b/,
+      /\bbled\b/,
+      /\bspotting\b/,
+      /\b(passing|passed|losing|lost)\s+(blood|clots?)\b/,
+      /\bblood\s+(clots?|from\s+(my\s+)?vagina|down\s+there)\b/,
+      /\bblood\b[^.?!]{0,20}\b(pant(ies|s)|underwear|pad)\b/
+    ],
+    // Common in pregnancy and not a danger sign.
+    exclude: [/\bnose\s*bleed\w*/g, /\bbleeding\s+(gums?|nose)\b/g, /\b(gums?|nose)\s+(is\s+|are\s+|keeps?\s+)?bleed\w*/g]
+  },
+  abdominal_pain: {
+    label: 'severe pain or cramping in your belly',
+    category: 'obstetric',
+    patterns: [
+      /\b(severe|terrible|very\s+bad|unbearable|intense|sharp|serious)\s+(abdominal\s+|belly\s+|stomach\s+|tummy\s+|lower\s+)?(pain|cramp(s|ing)?)\b/,
+      /\b(abdominal|belly|stomach|tummy)\s+(pain|cramps?)\b[^.?!]{0,20}\b(severe|terrible|unbearable|won'?t\s+stop)\b/
+    ]
+  },
+  severe_headache: {
+    label: "a severe headache that won't go away",
+    category: 'obstetric',
+    patterns: [
+      /\b(severe|terrible|very\s+bad|bad|serious|unbearable|intense|splitting|pounding|worst)\s+(headache|head\s+ache|migraine)s?\b/,
+      /\bheadache\b[^.?!]{0,30}\b(won'?t|will\s+not|doesn'?t|does\s+not|not)\s+(go|going)\s+away\b/
+    ]
+  },
+  blurred_vision: {
+    label: 'blurred vision, or seeing spots or flashing lights',
+    category: 'obstetric',
+    patterns: [
+      /\b(blurr?y|blurred|blurring)\s+(vision|sight|eyes?)\b/,
+      /\b(vision|sight|eyes?)\b[^.?!]{0,15}\b(blurr?y|blurred|blurring|dim|changed|changing)\b/,
+      /\b(seeing|see|saw)\s+(spots|stars|flash(es|ing)?(\s+lights?)?|double)\b/,
+      /\bcan'?t\s+see\s+(clearly|well|properly)\b/
+    ]
+  },
+  convulsions: {
+    label: 'fits or convulsions',
+    category: 'obstetric',
+    patterns: [
+      /\bconvuls\w*/,
+      /\bseiz(ure|ures|ing)\b/,
+      /\b(had|having|have|has|get|getting|got)\s+(a\s+)?fits?\b/
+    ]
+  },
+  reduced_fetal_movement: {
+    label: 'your baby moving less than usual',
+    category: 'obstetric',
+    patterns: [
+      /\b(baby|babies|fetus|foetus)('s)?\b[^.?!]{0,25}\b(not|isn'?t|hasn'?t|stopped|no\s+longer|less|fewer|hardly|barely|doesn'?t|don'?t)\b[^.?!]{0,15}\b(mov\w*|kick\w*)/,
+      /\b(can'?t|cannot|don'?t|didn'?t|haven'?t|not|no\s+longer)\s+(feel|felt|feeling)\s+(my\s+|the\s+)?(baby|kicks?|movements?)\b/,
+      /\b(reduced|less|fewer|decreased|slower|no)\s+(fetal\s+|foetal\s+|baby('s)?\s+)?(movements?|kicks?|kicking)\b/,
+      /\b(moving|kicking)\s+(much\s+|a\s+lot\s+)?less\b/
+    ]
+  },
+  fever: {
+    label: 'a fever or feeling hot and shivery',
+    category: 'obstetric',
+    patterns: [
+      /\bfever(ish)?\b/,
+      /\bhigh\s+temperature\b/,
+      /\btemperature\s+(is\s+)?(high|up)\b/,
+      /\b(chills|shivering)\b/
+    ]
+  },
+  severe_vomiting: {
+    label: "vomiting so much you can't keep food or water down",
+    category: 'obstetric',
+    patterns: [
+      /\b(can'?t|cannot|unable\s+to)\s+(keep|hold)\s+(anything|food|water|fluids?|it)(\s+or\s+(food|water|fluids?|drinks?))?\s+down\b/,
+      /\b(vomit\w*|throwing\s+up)\b[^.?!]{0,20}\b(everything|all\s+day|non-?stop|constantly|so\s+much|blood)\b/
+    ]
+  },
+  fainting: {
+    label: 'fainting or feeling very dizzy',
+    category: 'obstetric',
+    patterns: [
+      /\b(faint(ed|ing)?|passed\s+out|blacked\s+out|collapsed|unconscious)\b/,
+      /\b(very|severe|extremely|really)\s+dizzy\b/
+    ]
+  },
+  swelling: {
+    label: 'sudden swelling of your face or hands',
+    category: 'obstetric',
+    patterns: [
+      /\b(swollen|swelling|puffy)\b[^.?!]{0,20}\b(face|hands?|fingers|eyes)\b/,
+      /\b(face|hands?|fingers)\b[^.?!]{0,15}\b(swollen|swelling|puffy)\b/
+    ]
+  },
+  high_blood_pressure: {
+    label: 'high or rising blood pressure',
+    category: 'obstetric',
+    patterns: [
+      /\b(high|rising|raised|elevated)\s+(blood\s+pressure|bp)\b/,
+      /\b(blood\s+pressure|bp)\b[^.?!]{0,15}\b(high|rising|raised|up)\b/
+    ]
+  },
+  fluid_leaking: {
+    label: 'fluid leaking from your vagina',
+    category: 'obstetric',
+    patterns: [
+      /\bwaters?\s+(broke|has\s+broken|have\s+broken|breaking|broken)\b/,
+      /\b(leak\w*|gush\w*|trickl\w*)\b[^.?!]{0,20}\b(fluid|water|liquid)\b/,
+      /\b(fluid|water|liquid)\b[^.?!]{0,20}\b(leak\w*|gush\w*|trickl\w*|coming\s+out)\b/
+    ]
+  },
+  contractions: {
+    label: 'regular or painful contractions',
+    category: 'obstetric',
+    patterns: [
+      /\b(regular|strong|painful|persistent|frequent|constant)\s+contractions\b/,
+      /\bcontractions\b[^.?!]{0,25}\b(every|minutes?\s+apart|won'?t\s+stop|keep\s+coming)\b/,
+      /\b(in|going\s+into)\s+labou?r\b/
+    ]
+  },
+  suicidal_ideation: {
+    label: 'thoughts of harming yourself or ending your life',
+    category: 'mental_health',
+    patterns: [
+      /\bsuicid\w*/,
+      /\b(kill|hurt|harm)\s+my\s*self\b/,
+      /\b(end|ending|take|taking)\s+my\s+(own\s+)?life\b/,
+      /\bthoughts?\s+of\s+(harming|hurting|killing)\s+my\s*self\b/,
+      /\b(want|wanna|wish)\s+(to\s+)?(die|be\s+dead)\b/,
+      /\bwish\s+i\s+(was|were)\s+dead\b/,
+      /\bno\s+(reason|point)\s+(to|in)\s+liv\w*/,
+      /\bbetter\s+off\s+(dead|without\s+me)\b/,
+      /\bdon'?t\s+want\s+to\s+(live|be\s+alive|wake\s+up)\b/
+    ]
+  }
+};
+
+// Words just before a match that mean it isn't being reported.
+const NEGATION = /\b(no|not|never|without|(do|does|did|have|has|is|was)n'?t|denies|deny|prevent|preventing|avoid|avoiding|signs?\s+of|symptoms?\s+of)\b/;
+const NEGATION_WINDOW_WORDS = 3;
+
+function normalise(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/\s+/g, ' ');
+}
+
+/** Whether the match at `index` in `text` is negated by the words before it. */
+function isNegated(text, index) {
+  const clause = text.slice(0, index).split(/[.,;:!?]|\band\b|\bbut\b/).pop();
+  const words = clause.trim().split(' ').slice(-NEGATION_WINDOW_WORDS).join(' ');
+  return NEGATION.test(words);
+}
+
+function matchesSign(text, sign) {
+  let subject = text;
+  for (const pattern of sign.exclude || []) subject = subject.replace(pattern, ' ');
+  return sign.patterns.some((pattern) => {
+    const global = new RegExp(pattern.source, 'g');
+    for (const match of subject.matchAll(global)) {
+      if (!isNegated(subject, match.index)) return true;
+    }
+    return false;
+  });
+}
+
+/**
+ * The danger signs a message reports, in DANGER_SIGNS order. Pure.
+ *
+ * @param {string} text
+ * @returns {string[]} sign ids, empty when none
+ */
+function classifyDangerSigns(text) {
+  const subject = normalise(text);
+  if (!subject.trim()) return [];
+  return Object.keys(DANGER_SIGNS).filter((id) => matchesSign(subject, DANGER_SIGNS[id]));
+}
+
+/**
+ * The labels of `ids` as one phrase, e.g. "a, b, or c". Pure.
+ * Throws on an unknown id so a typo in WEEK_MAP fails at load time.
+ */
+function warningSignsText(ids) {
+  const labels = ids.map((id) => {
+    if (!DANGER_SIGNS[id]) throw new Error(`Unknown danger sign: ${id}`);
+    return DANGER_SIGNS[id].label;
+  });
+  if (labels.length <= 1) return labels.join('');
+  return `${labels.slice(0, -1).join(', ')}, or ${labels[labels.length - 1]}`;
+}
+
+module.exports = {
+  DANGER_SIGNS,
+  classifyDangerSigns,
+  warningSignsText
+};
@@ -0,0 +1,350 @@
+/**
+ * Minimal DICOM Part 10 reader: enough to blank identifying data elements in
+ * place, and to read the study details and pixel data of an ultrasound image
+ * (utils/dicomPreview renders it).
+ *
+ * Supports little-endian transfer syntaxes, both explicit VR (including the
+ * compressed ones: JPEG, JPEG 2000, RLE) and implicit VR. Big-endian and
+ * deflated files can't be walked without rewriting them, so they are
+ * rejected: a file we cannot de-identify is never stored.
+ */
+
+const PREAMBLE_LENGTH = 128;
+const MAGIC = 'DICM';
+
+const IMPLICIT_VR_LITTLE_ENDIAN = '1.2.840.10008.1.2';
+const EXPLICIT_VR_BIG_ENDIAN = '1.2.840.10008.1.2.2';
+const DEFLATED_EXPLICIT_VR_LITTLE_ENDIAN = '1.2.840.10008.1.2.1.99';
+
+// VRs whose length is a 4-byte field after 2 reserved bytes (PS3.5 §7.1.2).
+const LONG_VRS = new Set(['OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'SQ', 'SV', 'UC', 'UN', 'UR', 'UT', 'UV']);
+const BINARY_VRS = new Set(['OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'SV', 'UN', 'UV', 'US', 'SS', 'UL', 'SL', 'FL', 'FD', 'AT']);
+
+const UNDEFINED_LENGTH = 0xFFFFFFFF;
+const ITEM = 'FFFEE000';
+const ITEM_DELIMITATION = 'FFFEE00D';
+const SEQUENCE_DELIMITATION = 'FFFEE0DD';
+const PIXEL_DATA = '7FE00010';
+
+// Patient module elements kept because they matter clinically and do not
+// identify anyone on their own.
+const KEPT_PATIENT_TAGS = new Set([
+  '00100040', // Patient's Sex
+  '00101010', // Patient's Age
+  '00101020', // Patient's Size
+  '00101030', // Patient's Weight
+  '001021C0' // Pregnancy Status
+]);
+
+// Identifying elements outside the patient group (0010).
+const IDENTIFYING_TAGS = new Set([
+  '00080050', // Accession Number
+  '00080080', // Institution Name
+  '00080081', // Institution Address
+  '00080090', // Referring Physician's Name
+  '00080092', // Referring Physician's Address
+  '00080094', // Referring Physician's Telephone Numbers
+  '00081010', // Station Name
+  '00081040', // Institutional Department Name
+  '00081048', // Physician(s) of Record
+  '00081050', // Performing Physician's Name
+  '00081060', // Name of Physician(s) Reading Study
+  '00081070', // Operators' Name
+  '00200010', // Study ID
+  '00321032', // Requesting Physician
+  '00400006', // Scheduled Performing Physician's Name
+  '0040A123' // Person Name
+]);
+
+function tagAt(buffer, offset) {
+  const group = buffer.readUInt16LE(offset);
+  const element = buffer.readUInt16LE(offset + 2);
+  return (group.toString(16).padStart(4, '0') + element.toString(16).padStart(4, '0')).toUpperCase();
+}
+
+/** Whether `tag` ('GGGGEEEE') identifies the patient or staff. Pure. */
+function isIdentifyingTag(tag) {
+  if (tag.startsWith('0010')) return !KEPT_PATIENT_TAGS.has(tag);
+  return IDENTIFYING_TAGS.has(tag);
+}
+
+/** Whether `buffer` starts with a DICOM Part 10 preamble. Pure. */
+function isDicom(buffer) {
+  return buffer.length >= PREAMBLE_LENGTH + 4
+    && buffer.toString('latin1', PREAMBLE_LENGTH, PREAMBLE_LENGTH + 4) === MAGIC;
+}
+
+function readHeader(buffer, offset, explicit) {
+  if (offset + 8 > buffer.length) throw new Error('Truncated DICOM element');
+  const tag = tagAt(buffer, offset);
+
+  // Item and delimitation tags never carry a VR.
+  if (tag.startsWith('FFFE')) {
+    return { tag, vr: null, length: buffer.readUInt32LE(offset + 4), headerLength: 8 };
+  }
+  if (!explicit) {
+    return { tag, vr: null, length: buffer.readUInt32LE(offset + 4), headerLength: 8 };
+  }
+
+  const vr = buffer.toString('latin1', offset + 4, offset + 6);
+  if (LONG_VRS.has(vr)) {
+    if (offset + 12 > buffer.length) throw new Error('Truncated DICOM element');
+    return { tag, vr, length: buffer.readUInt32LE(offset + 8), headerLength: 12 };
+  }
+  return { tag, vr, length: buffer.readUInt16LE(offset + 6), headerLength: 8 };
+}
+
+/**
+ * Walk the data elements between `start` and `end`, calling
+ * visit({ tag, vr, offset, valueOffset, length, path }) for each one with a
+ * value. `path` lists the enclosing sequence tags, outermost first.
+ *
+ * @returns {number} where the walk stopped (the end, or past a delimiter)
+ */
+function walk(buffer, start, end, explicit, visit, path = []) {
+  let offset = start;
+  while (offset < end) {
+    const header = readHeader(buffer, offset, explicit);
+    const valueOffset = offset + header.headerLength;
+
+    if (header.tag === ITEM_DELIMITATION || header.tag === SEQUENCE_DELIMITATION) {
+      return valueOffset;
+    }
+
+    const isSequence = header.vr === 'SQ'
+      || (header.length === UNDEFINED_LENGTH && header.tag !== PIXEL_DATA && header.vr !== 'OB' && header.vr !== 'OW');
+
+    if (isSequence) {
+      const seqEnd = header.length === UNDEFINED_LENGTH ? end : valueOffset + header.length;
+      offset = walkItems(buffer, valueOffset, seqEnd, explicit, visit, [...path, header.tag], header.length === UNDEFINED_LENGTH);
+      continue;
+    }
+
+    if (header.length === UNDEFINED_LENGTH) {
+      // Encapsulated pixel data: a run of fragments ending in a sequence delimiter.
+      visit({ tag: header.tag, vr: header.vr, offset, valueOffset, length: UNDEFINED_LENGTH, path });
+      offset = skipFragments(buffer, valueOffset, end);
+      continue;
+    }
+
+    if (valueOffset + header.length > end) throw new Error('DICOM element runs past the end of the file');
+    visit({ tag: header.tag, vr: header.vr, offset, valueOffset, length: header.length, path });
+    offset = valueOffset + header.length;
+  }
+  return offset;
+}
+
+function walkItems(buffer, start, end, explicit, visit, path, undefinedLength) {
+  let offset = start;
+  while (offset < end) {
+    const header = readHeader(buffer, offset, explicit);
+    const valueOffset = offset + header.headerLength;
+    if (header.tag === SEQUENCE_DELIMITATION) return valueOffset;
+    if (header.tag !== ITEM) throw new Error(`Unexpected ${header.tag} in DICOM sequence`);
+
+    if (header.length === UNDEFINED_LENGTH) {
+      offset = walk(buffer, valueOffset, end, explicit, visit, path);
+    } else {
+      walk(buffer, valueOffset, valueOffset + header.length, explicit, visit, path);
+      offset = valueOffset + header.length;
+    }
+  }
+  if (undefinedLength) throw new Error('DICOM sequence is not terminated');
+  return offset;
+}
+
+/** The fragments of encapsulated pixel data starting at `start`, and where they end. */
+function readFragments(buffer, start, end = buffer.length) {
+  const fragments = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    const tag = tagAt(buffer, offset);
+    const length = buffer.readUInt32LE(offset + 4);
+    if (tag === SEQUENCE_DELIMITATION) return { fragments, end: offset + 8 };
+    if (tag !== ITEM) throw new Error('Malformed encapsulated pixel data');
+    if (offset + 8 + length > end) throw new Error('Pixel data fragment runs past the end of the file');
+    fragments.push({ offset: offset + 8, length });
+    offset += 8 + length;
+  }
+  throw new Error('Encapsulated pixel data is not terminated');
+}
+
+function skipFragments(buffer, start, end) {
+  return readFragments(buffer, start, end).end;
+}
+
+/**
+ * The file meta information group and where the data set starts.
+ * @returns {{ transferSyntax: string, datasetOffset: number, explicit: boolean }}
+ * @throws {Error} for files that are not DICOM or use an unsupported transfer syntax
+ */
+function readFileMeta(buffer) {
+  if (!isDicom(buffer)) throw new Error('Not a DICOM file');
+
+  let transferSyntax = null;
+  let offset = PREAMBLE_LENGTH + 4;
+  // The meta group is always explicit VR little endian.
+  while (offset + 8 <= buffer.length && buffer.readUInt16LE(offset) === 0x0002) {
+    const header = readHeader(buffer, offset, true);
+    const valueOffset = offset + header.headerLength;
+    if (header.tag === '00020010') {
+      transferSyntax = buffer.toString('latin1', valueOffset, valueOffset + header.length).replace(/[\0 ]+$/, '');
+    }
+    offset = valueOffset + header.length;
+  }
+
+  if (!transferSyntax) throw new Error('DICOM file has no transfer syntax');
+  if (transferSyntax === EXPLICIT_VR_BIG_ENDIAN || transferSyntax === DEFLATED_EXPLICIT_VR_LITTLE_ENDIAN) {
+    throw new Error(`Unsupported DICOM transfer syntax ${transferSyntax}`);
+  }
+  return { transferSyntax, datasetOffset: offset, explicit: transferSyntax !== IMPLICIT_VR_LITTLE_ENDIAN };
+}
+
+/**
+ * A copy of a DICOM file with every identifying element blanked in place:
+ * text values become spaces and binary values zeros, so no offsets move.
+ * Elements nested in an identifying sequence are blanked too, and any other
+ * copy of a blanked name or ID elsewhere in the file is overwritten.
+ *
+ * @param {Buffer} buffer
+ * @returns {{ buffer: Buffer, removed: number }}
+ * @throws {Error} if the file cannot be walked (and so cannot be de-identified)
+ */
+function deidentifyDicom(buffer) {
+  const out = Buffer.from(buffer);
+  const { datasetOffset, explicit } = readFileMeta(out);
+  const blankedValues = new Set();
+  let pixelDataStart = out.length;
+  let removed = 0;
+
+  walk(out, datasetOffset, out.length, explicit, (element) => {
+    if (element.tag === PIXEL_DATA && element.path.length === 0) pixelDataStart = element.offset;
+    if (element.length === UNDEFINED_LENGTH || element.length === 0) return;
+    if (!isIdentifyingTag(element.tag) && !element.path.some(isIdentifyingTag)) return;
+
+    const binary = element.vr ? BINARY_VRS.has(element.vr) : false;
+    if (!binary) {
+      const value = out.toString('latin1', element.valueOffset, element.valueOffset + element.length).replace(/[\0 ]+$/, '');
+      if (value.length >= 4) blankedValues.add(value);
+    }
+    out.fill(binary ? 0x00 : 0x20, element.valueOffset, element.valueOffset + element.length);
+    removed += 1;
+  });
+
+  // The same name or ID can be repeated in private or unknown elements
+  // (but not in the pixel data, which a chance match would corrupt).
+  for (const value of blankedValues) {
+    const needle = Buffer.from(value, 'latin1');
+    let at = out.indexOf(needle, datasetOffset);
+    while (at !== -1 && at + needle.length <= pixelDataStart) {
+      out.fill(0x20, at, at + needle.length);
+      at = out.indexOf(needle, at + needle.length);
+    }
+  }
+
+  return { buffer: out, removed };
+}
+
+/**
+ * Header elements read by parseDicom, by tag: the name they are returned
+ * under and how to decode them. Decoding goes by this table rather than the
+ * VR, which implicit-VR files don't carry.
+ */
+const HEADER_ELEMENTS = {
+  '00080020': ['studyDate', 'date'],
+  '00080060': ['modality', 'text'],
+  '00080070': ['manufacturer', 'text'],
+  '00081030': ['studyDescription', 'text'],
+  '0008103E': ['seriesDescription', 'text'],
+  '00081090': ['manufacturerModelName', 'text'],
+  '00204000': ['imageComments', 'text'],
+  '00280002': ['samplesPerPixel', 'uint16'],
+  '00280004': ['photometricInterpretation', 'text'],
+  '00280006': ['planarConfiguration', 'uint16'],
+  '00280008': ['numberOfFrames', 'number'],
+  '00280010': ['rows', 'uint16'],
+  '00280011': ['columns', 'uint16'],
+  '00280100': ['bitsAllocated', 'uint16'],
+  '00280101': ['bitsStored', 'uint16'],
+  '00280103': ['pixelRepresentation', 'uint16'],
+  '00281050': ['windowCenter', 'number'],
+  '00281051': ['windowWidth', 'number'],
+  '00281052': ['rescaleIntercept', 'number'],
+  '00281053': ['rescaleSlope', 'number']
+};
+
+// Free text that may carry measurements: descriptions, comments and
+// structured-report text values at any depth.
+const TEXT_VALUE = '0040A160';
+
+function decodeValue(buffer, element, kind) {
+  const raw = buffer.toString('latin1', element.valueOffset, element.valueOffset + element.length).replace(/[\0 ]+$/, '').trim();
+  switch (kind) {
+    case 'uint16':
+      return element.length >= 2 ? buffer.readUInt16LE(element.valueOffset) : null;
+    case 'number': {
+      // Multi-valued strings (e.g. several windows) use the first value.
+      const value = parseFloat(raw.split('\\')[0]);
+      return Number.isFinite(value) ? value : null;
+    }
+    case 'date': {
+      const match = raw.match(/^(\d{4})\.?(\d{2})\.?(\d{2})$/);
+      return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+    }
+    default:
+      return raw || null;
+  }
+}
+
+/**
+ * The parts of a DICOM file we use: study details, the image description
+ * needed to render it, where the pixel data is, and any free text that may
+ * hold measurements.
+ *
+ * @param {Buffer} buffer
+ * @returns {{ transferSyntax: string, header: object, texts: string[],
+ *             pixelData: { offset: number, length: number }|{ fragments: Array<{ offset, length }> }|null }}
+ * @throws {Error} if the file cannot be walked
+ */
+function parseDicom(buffer) {
+  const { transferSyntax, datasetOffset, explicit } = readFileMeta(buffer);
+  const header = {};
+  const texts = [];
+  let pixelData = null;
+
+  walk(buffer, datasetOffset, buffer.length, explicit, (element) => {
+    if (element.tag === TEXT_VALUE && element.length !== UNDEFINED_LENGTH) {
+      const text = decodeValue(buffer, element, 'text');
+      if (text) texts.push(text);
+      return;
+    }
+    if (element.path.length > 0) return;
+
+    if (element.tag === PIXEL_DATA) {
+      pixelData = element.length === UNDEFINED_LENGTH
+        ? { fragments: readFragments(buffer, element.valueOffset).fragments }
+        : { offset: element.valueOffset, length: element.length };
+      return;
+    }
+
+    const known = HEADER_ELEMENTS[element.tag];
+    if (known && element.length !== UNDEFINED_LENGTH) {
+      header[known[0]] = decodeValue(buffer, element, known[1]);
+    }
+  });
+
+  for (const key of ['studyDescription', 'seriesDescription', 'imageComments']) {
+    if (header[key]) texts.unshift(header[key]);
+  }
+
+  return { transferSyntax, header, texts, pixelData };
+}
+
+module.exports = {
+  isDicom,
+  isIdentifyingTag,
+  readFileMeta,
+  walk,
+  deidentifyDicom,
+  parseDicom
+};
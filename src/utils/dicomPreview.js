@@ -0,0 +1,217 @@
+const jpeg = require('jpeg-js');
+
+/**
+ * JPEG preview of the first frame of a DICOM image, for the app and the AI
+ * service, which only take ordinary images.
+ *
+ * Baseline JPEG pixel data (what most ultrasound machines send) is already a
+ * JPEG and is used as it is. Uncompressed and RLE pixel data are decoded,
+ * windowed to 8 bits where needed, and encoded. Other compressions (JPEG
+ * lossless, JPEG 2000) are not supported.
+ */
+
+const JPEG_BASELINE = ['1.2.840.10008.1.2.4.50', '1.2.840.10008.1.2.4.51'];
+const RLE_LOSSLESS = '1.2.840.10008.1.2.5';
+const UNCOMPRESSED = ['1.2.840.10008.1.2', '1.2.840.10008.1.2.1'];
+
+const PREVIEW_QUALITY = 90;
+
+class UnsupportedDicomImageError extends Error {}
+
+/** Concatenated fragments of the first frame of encapsulated pixel data. */
+function firstFrameFragments(buffer, fragments) {
+  // The first item is the basic offset table; the frame runs until a fragment
+  // ends with the JPEG end-of-image marker (allowing one byte of padding).
+  const parts = [];
+  for (const fragment of fragments.slice(1)) {
+    const data = buffer.subarray(fragment.offset, fragment.offset + fragment.length);
+    parts.push(data);
+    const tail = data.subarray(Math.max(0, data.length - 3));
+    if (tail.includes(0xD9) && tail[tail.indexOf(0xD9) - 1] === 0xFF) break;
+  }
+  if (parts.length === 0) throw new UnsupportedDicomImageError('DICOM file has no image fragments');
+  return Buffer.concat(parts);
+}
+
+/**
+ * Decode one RLE-compressed frame (PS3.5 Annex G) into planar native pixel
+ * data: each sample a plane, 16-bit samples little endian.
+ */
+function decodeRleFrame(frame, { rows, columns, samplesPerPixel, bitsAllocated }) {
+  const bytesPerSample = bitsAllocated / 8;
+  const pixels = rows * columns;
+  const segmentCount = frame.readUInt32LE(0);
+  if (segmentCount !== samplesPerPixel * bytesPerSample) {
+    throw new UnsupportedDicomImageError('RLE segment count does not match the image');
+  }
+
+  const out = Buffer.alloc(pixels * samplesPerPixel * bytesPerSample);
+  for (let segment = 0; segment < segmentCount; segment += 1) {
+    const start = frame.readUInt32LE(4 + segment * 4);
+    const end = segment + 1 < segmentCount ? frame.readUInt32LE(8 + segment * 4) : frame.length;
+    const sample = Math.floor(segment / bytesPerSample);
+    // Segments hold the most significant byte first; native data is little endian.
+    const byte = bytesPerSample - 1 - (segment % bytesPerSample);
+    const planeStart = sample * pixels * bytesPerSample;
+
+    let pixel = 0;
+    let i = start;
+    const put = (value) => {
+      if (pixel < pixels) out[planeStart + pixel * bytesPerSample + byte] = value;
+      pixel += 1;
+    };
+    while (i < end && pixel < pixels) {
+      const n = frame.readInt8(i);
+      i += 1;
+      if (n >= 0) {
+        for (let k = 0; k <= n; k += 1) put(frame[i + k]);
+        i += n + 1;
+      } else if (n !== -128) {
+        for (let k = 0; k < 1 - n; k += 1) put(frame[i]);
+        i += 1;
+      }
+    }
+  }
+  return out;
+}
+
+function clampByte(value) {
+  return value < 0 ? 0 : value > 255 ? 255 : Math.round(value);
+}
+
+/** Greyscale samples mapped to 0-255 through the stored window, else the value range. */
+function monochromeToRgba(native, image) {
+  const { rows, columns, bitsAllocated, pixelRepresentation, photometricInterpretation } = image;
+  const pixels = rows * columns;
+  const slope = image.rescaleSlope || 1;
+  const intercept = image.rescaleIntercept || 0;
+
+  const values = new Float64Array(pixels);
+  for (let p = 0; p < pixels; p += 1) {
+    let raw;
+    if (bitsAllocated === 8) raw = pixelRepresentation === 1 ? native.readInt8(p) : native[p];
+    else raw = pixelRepresentation === 1 ? native.readInt16LE(p * 2) : native.readUInt16LE(p * 2);
+    values[p] = raw * slope + intercept;
+  }
+
+  let low;
+  let high;
+  if (image.windowWidth > 1 && Number.isFinite(image.windowCenter)) {
+    low = image.windowCenter - image.windowWidth / 2;
+    high = image.windowCenter + image.windowWidth / 2;
+  } else {
+    low = Infinity;
+    high = -Infinity;
+    for (const v of values) {
+      if (v < low) low = v;
+      if (v > high) high = v;
+    }
+  }
+  const scale = high > low ? 255 / (high - low) : 0;
+  const invert = photometricInterpretation === 'MONOCHROME1';
+
+  const rgba = Buffer.alloc(pixels * 4);
+  for (let p = 0; p < pixels; p += 1) {
+    let grey = clampByte((values[p] - low) * scale);
+    if (invert) grey = 255 - grey;
+    rgba[p * 4] = grey;
+    rgba[p * 4 + 1] = grey;
+    rgba[p * 4 + 2] = grey;
+    rgba[p * 4 + 3] = 255;
+  }
+  return rgba;
+}
+
+/** 8-bit three-sample pixels (RGB or YBR_FULL), interleaved or planar, as RGBA. */
+function colourToRgba(native, { rows, columns, planarConfiguration, photometricInterpretation }) {
+  const pixels = rows * columns;
+  const sampleAt = planarConfiguration === 1
+    ? (p, s) => native[s * pixels + p]
+    : (p, s) => native[p * 3 + s];
+  const ybr = photometricInterpretation === 'YBR_FULL';
+
+  const rgba = Buffer.alloc(pixels * 4);
+  for (let p = 0; p < pixels; p += 1) {
+    const a = sampleAt(p, 0);
+    const b = sampleAt(p, 1);
+    const c = sampleAt(p, 2);
+    if (ybr) {
+      rgba[p * 4] = clampByte(a + 1.402 * (c - 128));
+      rgba[p * 4 + 1] = clampByte(a - 0.344136 * (b - 128) - 0.714136 * (c - 128));
+      rgba[p * 4 + 2] = clampByte(a + 1.772 * (b - 128));
+    } else {
+      rgba[p * 4] = a;
+      rgba[p * 4 + 1] = b;
+      rgba[p * 4 + 2] = c;
+    }
+    rgba[p * 4 + 3] = 255;
+  }
+  return rgba;
+}
+
+function nativeToRgba(native, image) {
+  const photometric = image.photometricInterpretation;
+  if ((photometric === 'MONOCHROME1' || photometric === 'MONOCHROME2')
+    && image.samplesPerPixel === 1 && [8, 16].includes(image.bitsAllocated)) {
+    return monochromeToRgba(native, image);
+  }
+  if ((photometric === 'RGB' || photometric === 'YBR_FULL') && image.samplesPerPixel === 3 && image.bitsAllocated === 8) {
+    return colourToRgba(native, image);
+  }
+  throw new UnsupportedDicomImageError(
+    `Unsupported DICOM image: ${photometric || 'unknown'}, ${image.samplesPerPixel} samples, ${image.bitsAllocated} bits`
+  );
+}
+
+/**
+ * JPEG preview of the first frame of a parsed DICOM file.
+ *
+ * @param {Buffer} buffer - the DICOM file
+ * @param {object} parsed - from utils/dicom parseDicom
+ * @returns {Buffer} JPEG
+ * @throws {UnsupportedDicomImageError} when there is no image or its encoding isn't supported
+ */
+function renderDicomPreview(buffer, { transferSyntax, header, pixelData }) {
+  if (!pixelData) throw new UnsupportedDicomImageError('DICOM file has no image');
+
+  const image = {
+    samplesPerPixel: 1,
+    planarConfiguration: 0,
+    pixelRepresentation: 0,
+    ...header
+  };
+
+  if (JPEG_BASELINE.includes(transferSyntax)) {
+    if (!pixelData.fragments) throw new UnsupportedDicomImageError('JPEG pixel data is not encapsulated');
+    return firstFrameFragments(buffer, pixelData.fragments);
+  }
+
+  if (!image.rows || !image.columns || !image.bitsAllocated) {
+    throw new UnsupportedDicomImageError('DICOM image is missing its dimensions');
+  }
+  const frameBytes = image.rows * image.columns * image.samplesPerPixel * (image.bitsAllocated / 8);
+
+  let native;
+  if (transferSyntax === RLE_LOSSLESS) {
+    if (!pixelData.fragments || pixelData.fragments.length < 2) throw new UnsupportedDicomImageError('RLE pixel data is not encapsulated');
+    const first = pixelData.fragments[1];
+    native = decodeRleFrame(buffer.subarray(first.offset, first.offset + first.length), image);
+    image.planarConfiguration = 1; // RLE segments are planes
+  } else if (UNCOMPRESSED.includes(transferSyntax)) {
+    if (pixelData.fragments || pixelData.length < frameBytes) {
+      throw new UnsupportedDicomImageError('DICOM pixel data is shorter than the image');
+    }
+    native = buffer.subarray(pixelData.offset, pixelData.offset + frameBytes);
+  } else {
+    throw new UnsupportedDicomImageError(`DICOM compression ${transferSyntax} is not supported`);
+  }
+
+  const rgba = nativeToRgba(native, image);
+  return jpeg.encode({ data: rgba, width: image.columns, height: image.rows }, PREVIEW_QUALITY).data;
+}
+
+module.exports = {
+  UnsupportedDicomImageError,
+  decodeRleFrame,
+  renderDicomPreview
+};
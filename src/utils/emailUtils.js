@@ -68,6 +68,40 @@ function getEmailAlias(email) {
   return parts.length > 1 ? parts.slice(1).join('+') : null;
 }
 
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+const PLUS_SUBADDRESS_DOMAINS = ['hotmail.com', 'live.com', 'outlook.com', 'icloud.com', 'me.com'];
+const DASH_SUBADDRESS_DOMAINS = ['yahoo.com', 'ymail.com', 'rocketmail.com'];
+
+/**
+ * Canonical form of an email as stored on signup. The auth routes run
+ * express-validator's normalizeEmail() with its defaults, so emails that come
+ * from elsewhere (e.g. an identity provider's ID token) must be put through
+ * the same rules before they are compared with User.email:
+ * - everything lowercased
+ * - Gmail: dots and +alias removed, googlemail.com -> gmail.com
+ * - Outlook/iCloud: +alias removed; Yahoo: -alias removed
+ */
+function canonicalizeEmail(email) {
+  if (!email || typeof email !== 'string' || !email.includes('@')) {
+    return email;
+  }
+
+  const at = email.lastIndexOf('@');
+  let localPart = email.slice(0, at).trim().toLowerCase();
+  let domain = email.slice(at + 1).trim().toLowerCase();
+
+  if (GMAIL_DOMAINS.includes(domain)) {
+    localPart = localPart.split('+')[0].replace(/\./g, '');
+    domain = 'gmail.com';
+  } else if (PLUS_SUBADDRESS_DOMAINS.includes(domain)) {
+    localPart = localPart.split('+')[0];
+  } else if (DASH_SUBADDRESS_DOMAINS.includes(domain)) {
+    localPart = localPart.split('-')[0];
+  }
+
+  return `${localPart}@${domain}`;
+}
+
 /**
  * Validate email format (basic validation)
  */
@@ -84,5 +118,6 @@ module.exports = {
   normalizeEmail,
   hasEmailAlias,
   getEmailAlias,
-  isValidEmail
+  isValidEmail,
+  canonicalizeEmail
 };
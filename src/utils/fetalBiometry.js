@@ -0,0 +1,120 @@
+/**
+ * Parse fetal biometry out of free-text ultrasound reports.
+ *
+ * Measurements are normalised to one unit each: BPD, HC, AC and FL in mm,
+ * EFW in grams, AFI in cm (the units the growth references use). Abbreviations
+ * only match as whole words, so "placenta 12 cm" is not an AC and "fluid" is
+ * not an FL, and values outside a plausible range for any gestation are
+ * dropped as misreads.
+ */
+
+const { UNITS } = require('./fetalGrowthReference');
+
+const LENGTH_UNITS = '(mm|millimet(?:er|re)s?|cm|centimet(?:er|re)s?)';
+const WEIGHT_UNITS = '(kg|kilograms?|g|grams?|gm)';
+const NUMBER = '(\\d{1,4}(?:[.,]\\d+)?)';
+// Label, then up to 20 characters of ":", "=", "of", "measures" and the like
+const GAP = '[^\\d\\n]{0,20}?';
+
+const PATTERNS = {
+  bpd: { label: 'bpd|biparietal diameter', units: LENGTH_UNITS },
+  hc: { label: 'hc|head circumference', units: LENGTH_UNITS },
+  ac: { label: 'ac|abdominal circumference', units: LENGTH_UNITS },
+  fl: { label: 'fl|femur length|femoral length', units: LENGTH_UNITS },
+  efw: { label: 'efw|estimated fetal weight|estimated foetal weight|fetal weight', units: WEIGHT_UNITS },
+  afi: { label: 'afi|amniotic fluid index', units: LENGTH_UNITS }
+};
+
+
+// Plausible values from the first scan to term, in canonical units
+const PLAUSIBLE = {
+  bpd: [10, 120],
+  hc: [50, 400],
+  ac: [40, 450],
+  fl: [5, 90],
+  efw: [50, 6500],
+  afi: [0, 50]
+};
+
+function toCanonical(measure, value, unit) {
+  const u = unit.toLowerCase();
+  if (measure === 'efw') return u.startsWith('k') ? value * 1000 : value;
+  const mm = u.startsWith('c') ? value * 10 : value;
+  return measure === 'afi' ? mm / 10 : mm;
+}
+
+/**
+ * Biometric measurements found in `text`, first mention of each.
+ *
+ * @param {string} text
+ * @returns {Array<{ measure: string, value: number, unit: string, raw: string }>}
+ */
+function parseBiometrics(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  const found = [];
+  for (const [measure, { label, units }] of Object.entries(PATTERNS)) {
+    const pattern = new RegExp(`\\b(?:${label})\\b${GAP}${NUMBER}\\s*${units}\\b`, 'i');
+    const match = text.match(pattern);
+    if (!match) continue;
+
+    const number = parseFloat(match[1].replace(',', measure === 'efw' && /,\d{3}$/.test(match[1]) ? '' : '.'));
+    const value = Math.round(toCanonical(measure, number, match[2]) * 10) / 10;
+    const [min, max] = PLAUSIBLE[measure];
+    if (value < min || value > max) continue;
+
+    found.push({ measure, value, unit: UNITS[measure], raw: match[0] });
+  }
+  return found;
+}
+
+/** Crown-rump length in mm from `text`, or null. */
+function parseCrownRumpLength(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const pattern = new RegExp(`\\b(?:crl|crown[- ]rump length)\\b${GAP}${NUMBER}\\s*${LENGTH_UNITS}\\b`, 'i');
+  const match = text.match(pattern);
+  if (!match) return null;
+
+  const mm = parseFloat(match[1].replace(',', '.')) * (match[2].toLowerCase().startsWith('c') ? 10 : 1);
+  return mm >= 2 && mm <= 90 ? Math.round(mm * 10) / 10 : null;
+}
+
+/**
+ * Gestational age in days from text such as "20w 3d", "20 weeks, 3 days",
+ * "20+3 weeks" or "20 weeks". Null if none is found.
+ */
+function parseGestationalAge(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const match = text.match(/\b(\d{1,2})\s*(?:\+\s*(\d)\s*(?:weeks?|wks?|w)(?![a-z])|(?:weeks?|wks?|w)(?![a-z])[\s,]*(?:(?:and\s+)?(\d)\s*(?:days?|d)\b)?)/i);
+  if (!match) return null;
+
+  const weeks = parseInt(match[1], 10);
+  const days = parseInt(match[2] || match[3] || '0', 10);
+  if (weeks > 44 || days > 6) return null;
+  return weeks * 7 + days;
+}
+
+/** Gestational age in days on `date` for a pregnancy due on `edd`. Pure. */
+function gestationalDaysFromEdd(edd, date) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const toUtcDay = (d) => {
+    const value = new Date(d);
+    return Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate());
+  };
+  return 280 - Math.round((toUtcDay(edd) - toUtcDay(date)) / dayMs);
+}
+
+/** "20w 3d" for 143 days. */
+function formatGestationalAge(days) {
+  return `${Math.floor(days / 7)}w ${days % 7}d`;
+}
+
+module.exports = {
+  parseBiometrics,
+  parseCrownRumpLength,
+  parseGestationalAge,
+  gestationalDaysFromEdd,
+  formatGestationalAge
+};
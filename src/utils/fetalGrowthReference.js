@@ -0,0 +1,146 @@
+/**
+ * Fetal growth reference centiles, bundled locally (no network lookups).
+ *
+ * HC, BPD, AC and FL use the INTERGROWTH-21st Fetal Growth Standards
+ * (Papageorghiou et al., Ultrasound Obstet Gynecol 2014;44:641-8): fitted
+ * mean and SD equations in mm, valid from 14 to 40 weeks, with gestational
+ * age in exact weeks. The published centile tables are these equations
+ * evaluated at whole weeks.
+ *
+ * EFW uses Hadlock's in-utero weight reference (Radiology 1991;181:129-33),
+ * ln(EFW g) = 0.578 + 0.332 GA - 0.00354 GA², with an SD of about 12.7% of
+ * the mean.
+ *
+ * AFI has no gestational-age centile curve in routine use; the fixed
+ * 5-24 cm normal range (oligo- / polyhydramnios cut-offs) stands in for the
+ * 10th-90th band.
+ */
+
+// 10th and 90th centiles of the normal distribution
+const Z_P10 = -1.2816;
+const Z_P90 = 1.2816;
+
+const MIN_WEEKS = 14;
+const MAX_WEEKS = 40;
+
+const AFI_RANGE = { low: 5, high: 24 };
+
+const MEASURES = ['bpd', 'hc', 'ac', 'fl', 'efw', 'afi'];
+
+const UNITS = { bpd: 'mm', hc: 'mm', ac: 'mm', fl: 'mm', efw: 'g', afi: 'cm' };
+
+const REFERENCE_SOURCES = {
+  bpd: 'INTERGROWTH-21st',
+  hc: 'INTERGROWTH-21st',
+  ac: 'INTERGROWTH-21st',
+  fl: 'INTERGROWTH-21st',
+  efw: 'Hadlock 1991',
+  afi: 'fixed range 5-24 cm'
+};
+
+// Mean and SD by gestational age in weeks, in UNITS
+const REFERENCES = {
+  hc: {
+    mean: (ga) => -28.2849 + 1.69267 * ga ** 2 - 0.397485 * ga ** 2 * Math.log(ga),
+    sd: (ga) => 1.98735 + 0.0136772 * ga ** 3 - 0.00726264 * ga ** 3 * Math.log(ga) + 0.000976253 * ga ** 3 * Math.log(ga) ** 2
+  },
+  bpd: {
+    mean: (ga) => 5.60878 + 0.158369 * ga ** 2 - 0.00256379 * ga ** 3,
+    sd: (ga) => Math.exp(0.101242 + 0.00150557 * ga ** 3 - 0.000771535 * ga ** 3 * Math.log(ga) + 0.0000999638 * ga ** 3 * Math.log(ga) ** 2)
+  },
+  ac: {
+    mean: (ga) => -81.3243 + 11.6772 * ga - 0.000561865 * ga ** 3,
+    sd: (ga) => -4.36302 + 0.121445 * ga ** 2 - 0.0130256 * ga ** 3 + 0.00282143 * ga ** 3 * Math.log(ga)
+  },
+  fl: {
+    mean: (ga) => -39.9616 + 4.32298 * ga - 0.0380156 * ga ** 2,
+    sd: (ga) => Math.exp(0.605843 - 42.0014 * ga ** -2 + 0.00000917972 * ga ** 3)
+  },
+  efw: {
+    mean: (ga) => Math.exp(0.578 + 0.332 * ga - 0.00354 * ga ** 2),
+    sd: (ga) => 0.127 * Math.exp(0.578 + 0.332 * ga - 0.00354 * ga ** 2)
+  }
+};
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/** Standard normal CDF (Abramowitz & Stegun 7.1.26). */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Reference centiles for a measure at a gestational age.
+ *
+ * @param {string} measure - bpd, hc, ac, fl, efw or afi
+ * @param {number} gaWeeks - exact weeks, e.g. 20.43 for 20w3d
+ * @returns {{ unit: string, source: string, p10: number, p50: number|null, p90: number, sd?: number }|null}
+ *   null outside 14-40 weeks (or for an unknown measure)
+ */
+function referenceFor(measure, gaWeeks) {
+  if (!Number.isFinite(gaWeeks) || gaWeeks < MIN_WEEKS || gaWeeks > MAX_WEEKS) return null;
+
+  if (measure === 'afi') {
+    return { unit: UNITS.afi, source: REFERENCE_SOURCES.afi, p10: AFI_RANGE.low, p50: null, p90: AFI_RANGE.high };
+  }
+
+  const reference = REFERENCES[measure];
+  if (!reference) return null;
+
+  const mean = reference.mean(gaWeeks);
+  const sd = reference.sd(gaWeeks);
+  return {
+    unit: UNITS[measure],
+    source: REFERENCE_SOURCES[measure],
+    p10: round(mean + Z_P10 * sd),
+    p50: round(mean),
+    p90: round(mean + Z_P90 * sd),
+    sd: round(sd, 2)
+  };
+}
+
+/**
+ * Where a measurement falls against the reference.
+ *
+ * @returns {{ band: 'below_p10'|'normal'|'above_p90', zScore: number|null, percentile: number|null, reference: object }|null}
+ *   null when there is no reference for that gestational age
+ */
+function assessMeasurement(measure, value, gaWeeks) {
+  const reference = referenceFor(measure, gaWeeks);
+  if (!reference || !Number.isFinite(value)) return null;
+
+  const band = value < reference.p10 ? 'below_p10' : value > reference.p90 ? 'above_p90' : 'normal';
+  if (measure === 'afi') {
+    return { band, zScore: null, percentile: null, reference };
+  }
+
+  const { mean, sd } = REFERENCES[measure];
+  const z = (value - mean(gaWeeks)) / sd(gaWeeks);
+  return { band, zScore: round(z, 2), percentile: round(normalCdf(z) * 100), reference };
+}
+
+/** 10th / 50th / 90th centile curve at whole weeks, for charting. */
+function referenceCurve(measure, fromWeek = MIN_WEEKS, toWeek = MAX_WEEKS) {
+  const curve = [];
+  for (let week = Math.max(fromWeek, MIN_WEEKS); week <= Math.min(toWeek, MAX_WEEKS); week += 1) {
+    const reference = referenceFor(measure, week);
+    if (reference) curve.push({ week, p10: reference.p10, p50: reference.p50, p90: reference.p90 });
+  }
+  return curve;
+}
+
+module.exports = {
+  MEASURES,
+  UNITS,
+  REFERENCE_SOURCES,
+  MIN_WEEKS,
+  MAX_WEEKS,
+  referenceFor,
+  assessMeasurement,
+  referenceCurve
+};
@@ -0,0 +1,207 @@
+const { isDicom, deidentifyDicom } = require('./dicom');
+
+/**
+ * Content sniffing and metadata stripping for uploaded ultrasound images.
+ *
+ * The type of an upload is decided from its first bytes, never from the file
+ * name or the Content-Type the client sent. Before a file is stored or sent
+ * to the AI service, metadata that can identify the mother or the clinic is
+ * removed:
+ *   - JPEG: APP1 (EXIF, XMP), APP3-APP13 (IPTC and vendor data), APP15 and
+ *     comments. JFIF (APP0), ICC profiles (APP2) and Adobe (APP14) stay:
+ *     they affect how the image is decoded.
+ *   - PNG: tEXt, zTXt, iTXt, eXIf and tIME chunks.
+ *   - TIFF: every text tag is blanked, along with the EXIF maker note and
+ *     user comment and the whole GPS directory.
+ *   - DICOM: patient and staff identifiers (utils/dicom).
+ *   - BMP has nowhere to keep metadata.
+ * Text burned into the pixels themselves is not touched.
+ */
+
+// Enough for every signature, including DICOM's at offset 128.
+const SNIFF_BYTES = 132;
+
+const MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  bmp: 'image/bmp',
+  tiff: 'image/tiff',
+  dicom: 'application/dicom'
+};
+
+const EXTENSIONS = {
+  jpeg: '.jpg',
+  png: '.png',
+  bmp: '.bmp',
+  tiff: '.tif',
+  dicom: '.dcm'
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const PNG_METADATA_CHUNKS = new Set(['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME']);
+
+// JPEG markers kept: APP0 (JFIF), APP2 (ICC profile), APP14 (Adobe colour transform).
+const JPEG_KEPT_APP_MARKERS = new Set([0xE0, 0xE2, 0xEE]);
+
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+const TIFF_ASCII = 2;
+const TIFF_EXIF_IFD = 34665;
+const TIFF_GPS_IFD = 34853;
+const EXIF_MAKER_NOTE = 37500;
+const EXIF_USER_COMMENT = 37510;
+
+/**
+ * The image type of `buffer` from its leading bytes, or null if it is not one
+ * we accept. Pure.
+ * @returns {'jpeg'|'png'|'bmp'|'tiff'|'dicom'|null}
+ */
+function sniffImageType(buffer) {
+  if (!buffer || buffer.length < 2) return null;
+  if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpeg';
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return 'png';
+  if (buffer.length >= 4) {
+    const head = buffer.toString('latin1', 0, 4);
+    if (head === 'II*\0' || head === 'MM\0*') return 'tiff';
+  }
+  if (isDicom(buffer)) return 'dicom';
+  // BMP last: 'BM' alone is a weak signature, so also check the header size.
+  if (buffer.length >= 18 && buffer.toString('latin1', 0, 2) === 'BM'
+    && [12, 40, 52, 56, 64, 108, 124].includes(buffer.readUInt32LE(14))) {
+    return 'bmp';
+  }
+  return null;
+}
+
+function stripJpeg(buffer) {
+  const parts = [buffer.subarray(0, 2)];
+  let removed = 0;
+  let offset = 2;
+
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xFF) throw new Error('Malformed JPEG: expected a marker');
+    let markerOffset = offset;
+    while (buffer[markerOffset + 1] === 0xFF) markerOffset += 1; // fill bytes
+    const marker = buffer[markerOffset + 1];
+
+    if (marker === 0xDA || marker === 0xD9) {
+      // Start of scan (or end of image): the rest is image data.
+      parts.push(buffer.subarray(markerOffset));
+      break;
+    }
+    if ((marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) {
+      parts.push(buffer.subarray(markerOffset, markerOffset + 2));
+      offset = markerOffset + 2;
+      continue;
+    }
+    if (markerOffset + 4 > buffer.length) throw new Error('Malformed JPEG: truncated segment');
+
+    const segmentEnd = markerOffset + 2 + buffer.readUInt16BE(markerOffset + 2);
+    if (segmentEnd > buffer.length) throw new Error('Malformed JPEG: segment runs past the end');
+
+    const isMetadata = (marker >= 0xE0 && marker <= 0xEF && !JPEG_KEPT_APP_MARKERS.has(marker)) || marker === 0xFE;
+    if (isMetadata) {
+      removed += 1;
+    } else {
+      parts.push(buffer.subarray(markerOffset, segmentEnd));
+    }
+    offset = segmentEnd;
+  }
+
+  return { buffer: Buffer.concat(parts), removed };
+}
+
+function stripPng(buffer) {
+  const parts = [PNG_SIGNATURE];
+  let removed = 0;
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset < buffer.length) {
+    if (offset + 12 > buffer.length) throw new Error('Malformed PNG: truncated chunk');
+    const chunkEnd = offset + 12 + buffer.readUInt32BE(offset);
+    if (chunkEnd > buffer.length) throw new Error('Malformed PNG: chunk runs past the end');
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+
+    if (PNG_METADATA_CHUNKS.has(type)) {
+      removed += 1;
+    } else {
+      parts.push(buffer.subarray(offset, chunkEnd));
+    }
+    offset = chunkEnd;
+    if (type === 'IEND') break;
+  }
+
+  return { buffer: Buffer.concat(parts), removed };
+}
+
+function stripTiff(buffer) {
+  const out = Buffer.from(buffer);
+  const littleEndian = out.toString('latin1', 0, 2) === 'II';
+  const u16 = (at) => (littleEndian ? out.readUInt16LE(at) : out.readUInt16BE(at));
+  const u32 = (at) => (littleEndian ? out.readUInt32LE(at) : out.readUInt32BE(at));
+  const visited = new Set();
+  let removed = 0;
+
+  const blank = (entry, size) => {
+    const valueAt = size <= 4 ? entry + 8 : u32(entry + 8);
+    if (valueAt + size > out.length) throw new Error('Malformed TIFF: value runs past the end');
+    out.fill(0, valueAt, valueAt + size);
+    removed += 1;
+  };
+
+  const walkIfd = (ifdOffset, kind) => {
+    while (ifdOffset && !visited.has(ifdOffset)) {
+      visited.add(ifdOffset);
+      if (ifdOffset + 2 > out.length) throw new Error('Malformed TIFF: directory past the end');
+      const count = u16(ifdOffset);
+      if (ifdOffset + 2 + count * 12 + 4 > out.length) throw new Error('Malformed TIFF: truncated directory');
+
+      for (let i = 0; i < count; i += 1) {
+        const entry = ifdOffset + 2 + i * 12;
+        const tag = u16(entry);
+        const type = u16(entry + 2);
+        const size = (TIFF_TYPE_SIZES[type] || 1) * u32(entry + 4);
+
+        if (tag === TIFF_EXIF_IFD) {
+          walkIfd(u32(entry + 8), 'exif');
+        } else if (tag === TIFF_GPS_IFD) {
+          walkIfd(u32(entry + 8), 'gps');
+        } else if (kind === 'gps' || type === TIFF_ASCII
+          || (kind === 'exif' && (tag === EXIF_MAKER_NOTE || tag === EXIF_USER_COMMENT))) {
+          blank(entry, size);
+        }
+      }
+      // Sub-directories have no successors worth following.
+      ifdOffset = kind === 'image' ? u32(ifdOffset + 2 + count * 12) : 0;
+    }
+  };
+
+  walkIfd(u32(4), 'image');
+  return { buffer: out, removed };
+}
+
+/**
+ * `buffer` with identifying metadata removed (see top of file). Pure.
+ *
+ * @param {Buffer} buffer
+ * @param {'jpeg'|'png'|'bmp'|'tiff'|'dicom'} type - from sniffImageType
+ * @returns {{ buffer: Buffer, removed: number }} removed counts segments, chunks, tags or elements
+ * @throws {Error} if the file is malformed
+ */
+function stripImageMetadata(buffer, type) {
+  switch (type) {
+    case 'jpeg': return stripJpeg(buffer);
+    case 'png': return stripPng(buffer);
+    case 'tiff': return stripTiff(buffer);
+    case 'dicom': return deidentifyDicom(buffer);
+    case 'bmp': return { buffer, removed: 0 };
+    default: throw new Error(`Unsupported image type: ${type}`);
+  }
+}
+
+module.exports = {
+  SNIFF_BYTES,
+  MIME_TYPES,
+  EXTENSIONS,
+  sniffImageType,
+  stripImageMetadata
+};
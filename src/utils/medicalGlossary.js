@@ -0,0 +1,78 @@
+/**
+ * Curated pregnancy and medical vocabulary for chat translation
+ * (translationService). Given to the translator as fixed renderings so common
+ * terms come out the same way every time rather than however the model
+ * chooses that day.
+ *
+ * A language missing from an entry has no settled everyday term; the
+ * translator then keeps the English word. KEEP_ENGLISH terms (drugs, tests,
+ * services) are what mothers hear at the clinic, so they stay in English in
+ * every language. Changes go through the same language and clinical review
+ * as published content.
+ */
+
+const GLOSSARY = [
+  { en: 'pregnancy', yo: 'oyún', ha: 'ciki', ig: 'ime' },
+  { en: 'baby', yo: 'ọmọ', ha: 'jariri', ig: 'nwa' },
+  { en: 'blood', yo: 'ẹ̀jẹ̀', ha: 'jini', ig: 'ọbara' },
+  { en: 'bleeding', yo: 'ẹ̀jẹ̀ dídà', ha: 'zubar da jini', ig: 'ọbara ọgbụgba' },
+  { en: 'fever', yo: 'ibà', ha: 'zazzaɓi', ig: 'ahụ ọkụ' },
+  { en: 'malaria', yo: 'ibà', ha: 'zazzaɓin cizon sauro', ig: 'ịba' },
+  { en: 'headache', yo: 'ẹ̀fọ́rí', ha: 'ciwon kai', ig: 'isi ọwụwa' },
+  { en: 'pain', yo: 'ìrora', ha: 'ciwo', ig: 'mgbu' },
+  { en: 'swelling', yo: 'wíwú', ha: 'kumburi', ig: 'ọzịza' },
+  { en: 'vomiting', yo: 'èébì', ha: 'amai', ig: 'agbọ' },
+  { en: 'diarrhoea', yo: 'ìgbẹ́ gbuuru', ha: 'gudawa', ig: 'afọ ọsịsa' },
+  { en: 'cough', yo: 'ikọ́', ha: 'tari', ig: 'ụkwara' },
+  { en: 'convulsions', yo: 'gìrì' },
+  { en: 'high blood pressure', yo: 'ẹ̀jẹ̀ ríru', ha: 'hawan jini', ig: 'ọbara mgbali elu' },
+  { en: 'diabetes', yo: 'àtọ̀gbẹ', ha: 'ciwon sukari', ig: 'ọrịa shuga' },
+  { en: 'anaemia', yo: 'àìtó ẹ̀jẹ̀', ha: 'ƙarancin jini', ig: 'ụkọ ọbara' },
+  { en: 'labour', yo: 'ìrọbí', ha: 'naƙuda' },
+  { en: 'breastfeeding', yo: 'fífún ọmọ lọ́mú', ha: 'shayarwa', ig: 'inye nwa ara' },
+  { en: 'medicine', yo: 'oògùn', ha: 'magani', ig: 'ọgwụ' },
+  { en: 'hospital', yo: 'ilé ìwòsàn', ha: 'asibiti', ig: 'ụlọ ọgwụ' },
+  { en: 'doctor', yo: 'dókítà', ha: 'likita', ig: 'dọkịta' },
+  { en: 'nurse', yo: 'nọ́ọ̀sì', ha: "ma'aikaciyar jinya", ig: 'nọọsụ' },
+  { en: 'midwife', yo: 'agbẹ̀bí', ha: 'ungozoma' }
+];
+
+const KEEP_ENGLISH = [
+  'antenatal', 'ANC', 'ultrasound', 'scan', 'paracetamol', 'folic acid',
+  'iron tablets', 'IPTp', 'SP', 'tetanus', 'HIV', 'insecticide-treated net'
+];
+
+/** Lower-case, accents stripped, punctuation to spaces, padded for whole-word search. */
+function searchForm(text) {
+  return ` ${String(text || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}'-]+/gu, ' ')
+    .trim()} `;
+}
+
+/**
+ * Glossary entries that apply to translating `text` from `from` to `to`:
+ * `terms` are [source, target] pairs whose source term appears in the text
+ * (accents ignored, since mothers often type without them); `keepEnglish`
+ * lists the KEEP_ENGLISH terms it mentions. Pure.
+ *
+ * @returns {{ terms: Array<[string, string]>, keepEnglish: string[] }}
+ */
+function glossaryHints(text, from, to) {
+  const haystack = searchForm(text);
+  const terms = [];
+  for (const entry of GLOSSARY) {
+    if (!entry[from] || !entry[to]) continue;
+    if (haystack.includes(searchForm(entry[from]))) terms.push([entry[from], entry[to]]);
+  }
+  const keepEnglish = KEEP_ENGLISH.filter((term) => haystack.includes(searchForm(term)));
+  return { terms, keepEnglish };
+}
+
+module.exports = {
+  GLOSSARY,
+  KEEP_ENGLISH,
+  glossaryHints
+};
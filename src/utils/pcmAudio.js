@@ -0,0 +1,121 @@
+/**
+ * Helpers for the raw audio the audio chat WebSocket carries: 16-bit signed
+ * little-endian mono PCM (16 kHz from the microphone, 24 kHz to the speaker),
+ * and the WAV files offline speech engines exchange. All pure.
+ */
+
+const BYTES_PER_SAMPLE = 2;
+
+/** Duration of `pcm` in milliseconds. */
+function durationMs(pcm, sampleRate) {
+  return Math.floor(pcm.length / BYTES_PER_SAMPLE) * 1000 / sampleRate;
+}
+
+/** Bytes of PCM that last `ms` milliseconds (whole samples). */
+function bytesForMs(ms, sampleRate) {
+  return Math.round((ms * sampleRate) / 1000) * BYTES_PER_SAMPLE;
+}
+
+/** Root-mean-square level of `pcm`, 0..32768. */
+function rmsLevel(pcm) {
+  const samples = Math.floor(pcm.length / BYTES_PER_SAMPLE);
+  if (samples === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples; i += 1) {
+    const s = pcm.readInt16LE(i * BYTES_PER_SAMPLE);
+    sum += s * s;
+  }
+  return Math.sqrt(sum / samples);
+}
+
+/** Wrap mono 16-bit PCM in a WAV (RIFF) header. */
+function pcmToWav(pcm, sampleRate) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8, 'latin1');
+  header.write('fmt ', 12, 'latin1');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * BYTES_PER_SAMPLE, 28);
+  header.writeUInt16LE(BYTES_PER_SAMPLE, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'latin1');
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+/**
+ * The samples of a 16-bit PCM WAV file, mixed down to mono.
+ * @returns {{ pcm: Buffer, sampleRate: number }}
+ */
+function parseWav(wav) {
+  if (wav.length < 12 || wav.toString('latin1', 0, 4) !== 'RIFF' || wav.toString('latin1', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= wav.length) {
+    const id = wav.toString('latin1', offset, offset + 4);
+    const size = wav.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: wav.readUInt16LE(body),
+        channels: wav.readUInt16LE(body + 2),
+        sampleRate: wav.readUInt32LE(body + 4),
+        bitsPerSample: wav.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      if (!format) throw new Error('WAV data before its format');
+      if (format.audioFormat !== 1 || format.bitsPerSample !== 16) {
+        throw new Error('Only 16-bit PCM WAV is supported');
+      }
+      const data = wav.subarray(body, Math.min(body + size, wav.length));
+      return { pcm: toMono(data, format.channels), sampleRate: format.sampleRate };
+    }
+    offset = body + size + (size % 2); // chunks are word-aligned
+  }
+  throw new Error('WAV file has no data');
+}
+
+function toMono(pcm, channels) {
+  if (channels === 1) return Buffer.from(pcm);
+  const frames = Math.floor(pcm.length / (BYTES_PER_SAMPLE * channels));
+  const mono = Buffer.alloc(frames * BYTES_PER_SAMPLE);
+  for (let f = 0; f < frames; f += 1) {
+    let sum = 0;
+    for (let c = 0; c < channels; c += 1) sum += pcm.readInt16LE((f * channels + c) * BYTES_PER_SAMPLE);
+    mono.writeInt16LE(Math.round(sum / channels), f * BYTES_PER_SAMPLE);
+  }
+  return mono;
+}
+
+/** Linear-interpolation resample of mono 16-bit PCM. */
+function resamplePcm(pcm, fromRate, toRate) {
+  if (fromRate === toRate) return pcm;
+  const inSamples = Math.floor(pcm.length / BYTES_PER_SAMPLE);
+  const outSamples = Math.floor((inSamples * toRate) / fromRate);
+  const out = Buffer.alloc(outSamples * BYTES_PER_SAMPLE);
+  for (let i = 0; i < outSamples; i += 1) {
+    const at = (i * fromRate) / toRate;
+    const i0 = Math.floor(at);
+    const i1 = Math.min(i0 + 1, inSamples - 1);
+    const t = at - i0;
+    const s = pcm.readInt16LE(i0 * BYTES_PER_SAMPLE) * (1 - t) + pcm.readInt16LE(i1 * BYTES_PER_SAMPLE) * t;
+    out.writeInt16LE(Math.round(s), i * BYTES_PER_SAMPLE);
+  }
+  return out;
+}
+
+module.exports = {
+  durationMs,
+  bytesForMs,
+  rmsLevel,
+  pcmToWav,
+  parseWav,
+  resamplePcm
+};
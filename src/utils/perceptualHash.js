@@ -0,0 +1,229 @@
+const zlib = require('zlib');
+const jpeg = require('jpeg-js');
+
+/**
+ * Perceptual hashing of ultrasound images, to spot the same scan uploaded
+ * again after it was re-saved, re-compressed, resized or screenshotted.
+ *
+ * The hash is a difference hash (dHash): the image is shrunk to 9x8
+ * greyscale and each bit says whether a pixel is brighter than its right-hand
+ * neighbour. Similar images differ in few bits. JPEG, PNG and uncompressed
+ * BMP are decoded here; other formats (TIFF) get no hash and are only
+ * matched exactly.
+ */
+
+const HASH_WIDTH = 8;
+const HASH_HEIGHT = 8;
+
+// Beyond this a decode is not worth the memory for a duplicate check.
+const MAX_PIXELS = 40 * 1000 * 1000;
+
+const PNG_SIGNATURE_LENGTH = 8;
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function luminance(r, g, b) {
+  return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+function decodeJpeg(buffer) {
+  const image = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_PIXELS / 1e6 });
+  const grey = new Float64Array(image.width * image.height);
+  for (let p = 0; p < grey.length; p += 1) {
+    grey[p] = luminance(image.data[p * 4], image.data[p * 4 + 1], image.data[p * 4 + 2]);
+  }
+  return { width: image.width, height: image.height, grey };
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/** 8- and 16-bit, non-interlaced PNGs of any colour type. */
+function decodePng(buffer) {
+  let offset = PNG_SIGNATURE_LENGTH;
+  let header = null;
+  let palette = null;
+  const idat = [];
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colourType: data[9],
+        interlaced: data[12] !== 0
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  if (!header || header.interlaced || ![8, 16].includes(header.bitDepth) || !PNG_CHANNELS[header.colourType]) return null;
+  if (header.colourType === 3 && (!palette || header.bitDepth !== 8)) return null;
+  const { width, height, bitDepth, colourType } = header;
+  if (width * height > MAX_PIXELS) return null;
+
+  const channels = PNG_CHANNELS[colourType];
+  const bytesPerPixel = channels * (bitDepth / 8);
+  const stride = width * bytesPerPixel;
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  if (raw.length < height * (stride + 1)) return null;
+
+  // Undo the per-row filters (PNG spec §9).
+  const rows = Buffer.alloc(height * stride);
+  for (let y = 0; y < height; y += 1) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = y * stride;
+    for (let x = 0; x < stride; x += 1) {
+      const a = x >= bytesPerPixel ? rows[out + x - bytesPerPixel] : 0;
+      const b = y > 0 ? rows[out - stride + x] : 0;
+      const c = x >= bytesPerPixel && y > 0 ? rows[out - stride + x - bytesPerPixel] : 0;
+      let value = line[x];
+      if (filter === 1) value += a;
+      else if (filter === 2) value += b;
+      else if (filter === 3) value += (a + b) >> 1;
+      else if (filter === 4) value += paeth(a, b, c);
+      rows[out + x] = value & 0xFF;
+    }
+  }
+
+  // The most significant byte of each 16-bit sample is enough here.
+  const sample = (p, s) => rows[p * bytesPerPixel + s * (bitDepth / 8)];
+  const grey = new Float64Array(width * height);
+  for (let p = 0; p < grey.length; p += 1) {
+    if (colourType === 3) {
+      const i = sample(p, 0) * 3;
+      grey[p] = luminance(palette[i], palette[i + 1], palette[i + 2]);
+    } else if (channels >= 3) {
+      grey[p] = luminance(sample(p, 0), sample(p, 1), sample(p, 2));
+    } else {
+      grey[p] = sample(p, 0);
+    }
+  }
+  return { width, height, grey };
+}
+
+/** Uncompressed 8-bit (palette), 24-bit and 32-bit BMPs. */
+function decodeBmp(buffer) {
+  const dataOffset = buffer.readUInt32LE(10);
+  const headerSize = buffer.readUInt32LE(14);
+  if (headerSize < 40) return null;
+  const width = buffer.readInt32LE(18);
+  const rawHeight = buffer.readInt32LE(22);
+  const bitsPerPixel = buffer.readUInt16LE(28);
+  const compression = buffer.readUInt32LE(30);
+  const height = Math.abs(rawHeight);
+  if (width <= 0 || height === 0 || width * height > MAX_PIXELS) return null;
+  if (![8, 24, 32].includes(bitsPerPixel) || ![0, 3].includes(compression)) return null;
+  if (compression === 3 && bitsPerPixel !== 32) return null;
+
+  const stride = Math.ceil((width * bitsPerPixel) / 32) * 4;
+  if (dataOffset + stride * height > buffer.length) return null;
+  const paletteAt = 14 + headerSize;
+
+  const grey = new Float64Array(width * height);
+  for (let y = 0; y < height; y += 1) {
+    // Rows are stored bottom-up unless the height is negative.
+    const row = dataOffset + (rawHeight > 0 ? height - 1 - y : y) * stride;
+    for (let x = 0; x < width; x += 1) {
+      let at;
+      if (bitsPerPixel === 8) at = paletteAt + buffer[row + x] * 4;
+      else at = row + x * (bitsPerPixel / 8);
+      grey[y * width + x] = luminance(buffer[at + 2], buffer[at + 1], buffer[at]);
+    }
+  }
+  return { width, height, grey };
+}
+
+/** Area-average `image` down to `width` x `height`. Pure. */
+function shrink(image, width, height) {
+  const out = new Float64Array(width * height);
+  for (let y = 0; y < height; y += 1) {
+    const y0 = Math.floor((y * image.height) / height);
+    const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * image.height) / height));
+    for (let x = 0; x < width; x += 1) {
+      const x0 = Math.floor((x * image.width) / width);
+      const x1 = Math.max(x0 + 1, Math.floor(((x + 1) * image.width) / width));
+      let sum = 0;
+      for (let sy = y0; sy < y1; sy += 1) {
+        for (let sx = x0; sx < x1; sx += 1) sum += image.grey[sy * image.width + sx];
+      }
+      out[y * width + x] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+  return out;
+}
+
+/**
+ * dHash of a decoded greyscale image, as 16 hex digits. Pure.
+ * @param {{ width: number, height: number, grey: ArrayLike<number> }} image
+ */
+function differenceHash(image) {
+  const small = shrink(image, HASH_WIDTH + 1, HASH_HEIGHT);
+  let hex = '';
+  for (let y = 0; y < HASH_HEIGHT; y += 1) {
+    let byte = 0;
+    for (let x = 0; x < HASH_WIDTH; x += 1) {
+      const left = small[y * (HASH_WIDTH + 1) + x];
+      const right = small[y * (HASH_WIDTH + 1) + x + 1];
+      byte = (byte << 1) | (left > right ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+/**
+ * The perceptual hash of an image file, or null if its format (or this
+ * particular file) can't be decoded here. Never throws.
+ *
+ * @param {Buffer} buffer
+ * @param {'jpeg'|'png'|'bmp'|'tiff'} type - from sniffImageType
+ * @returns {string|null} 16 hex digits
+ */
+function perceptualHash(buffer, type) {
+  try {
+    let image = null;
+    if (type === 'jpeg') image = decodeJpeg(buffer);
+    else if (type === 'png') image = decodePng(buffer);
+    else if (type === 'bmp') image = decodeBmp(buffer);
+    if (!image || image.width < 1 || image.height < 1) return null;
+    return differenceHash(image);
+  } catch (error) {
+    return null;
+  }
+}
+
+/** Number of differing bits between two hashes from perceptualHash. Pure. */
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 2) {
+    let bits = parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+}
+
+module.exports = {
+  differenceHash,
+  perceptualHash,
+  hammingDistance
+};
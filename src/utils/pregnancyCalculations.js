@@ -135,9 +135,71 @@ function getPregnancyMilestones(lmpDate) {
   };
 }
 
+/**
+ * WHO 2016 antenatal care model: eight contacts, the first by 12 weeks and the
+ * rest at 20, 26, 30, 34, 36, 38 and 40 weeks.
+ */
+const WHO_ANC_CONTACTS = [
+  { contact: 1, week: 12, focus: ['History and examination', 'Blood pressure and weight', 'Haemoglobin, HIV, syphilis and hepatitis B screening', 'Blood group and urinalysis', 'Iron and folic acid'] },
+  { contact: 2, week: 20, focus: ['Blood pressure', 'Fetal growth', 'Ultrasound scan (before 24 weeks)', 'Tetanus toxoid'] },
+  { contact: 3, week: 26, focus: ['Blood pressure', 'Fetal growth', 'Haemoglobin'] },
+  { contact: 4, week: 30, focus: ['Blood pressure', 'Fetal growth'] },
+  { contact: 5, week: 34, focus: ['Blood pressure', 'Fetal growth', 'Birth preparedness'] },
+  { contact: 6, week: 36, focus: ['Blood pressure', 'Fetal presentation', 'Birth and emergency plan'] },
+  { contact: 7, week: 38, focus: ['Blood pressure', 'Fetal presentation'] },
+  { contact: 8, week: 40, focus: ['Blood pressure', 'Plan for post-term pregnancy'] }
+];
+
+/**
+ * Nigerian FMOH additions layered on top of the WHO contacts, keyed by contact
+ * number: haemoglobin genotype and an insecticide-treated net at booking, and
+ * malaria IPTp-SP at each contact from the second trimester.
+ */
+const FMOH_ANC_OVERRIDES = {
+  1: { addFocus: ['Haemoglobin genotype', 'Long-lasting insecticide-treated net'] },
+  2: { addFocus: ['Malaria prevention (IPTp-SP)'] },
+  3: { addFocus: ['Malaria prevention (IPTp-SP)'] },
+  4: { addFocus: ['Malaria prevention (IPTp-SP)'] },
+  5: { addFocus: ['Malaria prevention (IPTp-SP)'] },
+  6: { addFocus: ['Malaria prevention (IPTp-SP)'] }
+};
+
+const ANC_SCHEDULE_PROFILES = {
+  who: {},
+  fmoh: FMOH_ANC_OVERRIDES
+};
+
+/**
+ * Recommended antenatal contact schedule for a pregnancy.
+ *
+ * @param {string|Date} lmpDate - Last Menstrual Period date
+ * @param {Object} [options]
+ * @param {string} [options.profile='fmoh'] - 'who' for the bare WHO model, 'fmoh' with national overrides
+ * @returns {Array<Object>} One entry per contact: { contact, gestationalWeek, date, title, focus }
+ */
+function getAncContactSchedule(lmpDate, { profile = 'fmoh' } = {}) {
+  const lmp = moment(lmpDate);
+  if (!lmp.isValid()) {
+    throw new Error('Invalid LMP date provided');
+  }
+  const overrides = ANC_SCHEDULE_PROFILES[profile] || {};
+
+  return WHO_ANC_CONTACTS.map(({ contact, week, focus }) => {
+    const override = overrides[contact] || {};
+    return {
+      contact,
+      gestationalWeek: override.week || week,
+      date: lmp.clone().add(override.week || week, 'weeks').format('YYYY-MM-DD'),
+      title: `Antenatal contact ${contact} (${override.week || week} weeks)`,
+      focus: [...focus, ...(override.addFocus || [])]
+    };
+  });
+}
+
 module.exports = {
   calculatePregnancyInfo,
   calculatePregnancyFromMonth,
   validatePregnancyInfo,
-  getPregnancyMilestones
+  getPregnancyMilestones,
+  getAncContactSchedule
 }; 
\ No newline at end of file
@@ -0,0 +1,95 @@
+/**
+ * Ultrasound dating of a pregnancy and when it should replace LMP dating.
+ *
+ * Gestational age from the scan:
+ *   - CRL (first trimester): Robinson & Fleming (1975),
+ *     GA days = 8.052 * sqrt(CRL mm) + 23.73. Valid for CRL up to 84 mm.
+ *   - HC (from 14 weeks): Hadlock (1982),
+ *     GA weeks = 8.96 + 0.540 HC + 0.0003 HC³, HC in cm.
+ *
+ * Redating thresholds follow ACOG Committee Opinion 700 (2017): the EDD is
+ * changed to the ultrasound EDD only when the two disagree by more than the
+ * threshold for the LMP gestational age at the scan.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PREGNANCY_DAYS = 280;
+
+const CRL_MAX_MM = 84;
+const HC_MIN_MM = 80;
+
+// [last LMP gestational day the row applies to, redate if the difference exceeds this many days]
+const ACOG_THRESHOLDS = [
+  [8 * 7 + 6, 5], // up to 8w6d
+  [13 * 7 + 6, 7], // 9w0d - 13w6d
+  [15 * 7 + 6, 7], // 14w0d - 15w6d
+  [21 * 7 + 6, 10], // 16w0d - 21w6d
+  [27 * 7 + 6, 14], // 22w0d - 27w6d
+  [Infinity, 21] // 28w0d and later
+];
+
+function toUtcDay(date) {
+  const d = new Date(date);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+}
+
+function addDays(date, days) {
+  return new Date(toUtcDay(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((toUtcDay(to) - toUtcDay(from)) / DAY_MS);
+}
+
+/** Gestational age in days from crown-rump length (mm), or null out of range. */
+function gestationalDaysFromCrl(crlMm) {
+  if (!Number.isFinite(crlMm) || crlMm <= 0 || crlMm > CRL_MAX_MM) return null;
+  return Math.round(8.052 * Math.sqrt(crlMm) + 23.73);
+}
+
+/** Gestational age in days from head circumference (mm), or null out of range. */
+function gestationalDaysFromHc(hcMm) {
+  if (!Number.isFinite(hcMm) || hcMm < HC_MIN_MM) return null;
+  const hcCm = hcMm / 10;
+  return Math.round((8.96 + 0.540 * hcCm + 0.0003 * hcCm ** 3) * 7);
+}
+
+/** Days of disagreement above which to redate, for an LMP gestational age in days. */
+function redatingThresholdDays(lmpGestationalDays) {
+  return ACOG_THRESHOLDS.find(([upTo]) => lmpGestationalDays <= upTo)[1];
+}
+
+/**
+ * Compare LMP dating with an ultrasound estimate made on `scanDate`.
+ *
+ * @param {object} args
+ * @param {string|Date} args.lmpDate
+ * @param {string|Date} args.scanDate
+ * @param {number} args.ultrasoundDays - gestational age by ultrasound on scanDate
+ * @returns {{ lmpEdd: string, lmpDays: number, ultrasoundEdd: string, ultrasoundDays: number,
+ *             differenceDays: number, thresholdDays: number, redate: boolean }}
+ *   differenceDays is ultrasound minus LMP (positive: the baby measures ahead of dates)
+ */
+function compareDating({ lmpDate, scanDate, ultrasoundDays }) {
+  const lmpDays = daysBetween(lmpDate, scanDate);
+  const differenceDays = ultrasoundDays - lmpDays;
+  const thresholdDays = redatingThresholdDays(lmpDays);
+
+  return {
+    lmpEdd: addDays(lmpDate, PREGNANCY_DAYS),
+    lmpDays,
+    ultrasoundEdd: addDays(scanDate, PREGNANCY_DAYS - ultrasoundDays),
+    ultrasoundDays,
+    differenceDays,
+    thresholdDays,
+    redate: Math.abs(differenceDays) > thresholdDays
+  };
+}
+
+module.exports = {
+  gestationalDaysFromCrl,
+  gestationalDaysFromHc,
+  redatingThresholdDays,
+  compareDating,
+  addDays
+};
@@ -0,0 +1,86 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { computeDeletionDate, resolveAttachmentTarget, purgeUser } = require('../src/services/accountDeletionService');
+const { partialPath } = require('../src/services/scanUploadService');
+const { getModels } = require('../src/models/associations');
+const ChatMessage = require('../src/models/ChatMessage');
+const UltrasoundScan = require('../src/models/UltrasoundScan');
+const { sequelize } = require('../src/config/database');
+
+describe('computeDeletionDate', () => {
+  test('adds the grace period in whole days', () => {
+    const requestedAt = new Date('2026-07-15T10:00:00Z');
+    expect(computeDeletionDate(requestedAt, 30).toISOString()).toBe('2026-08-14T10:00:00.000Z');
+  });
+
+  test('a zero-day grace period purges on the next run', () => {
+    const requestedAt = new Date('2026-07-15T10:00:00Z');
+    expect(computeDeletionDate(requestedAt, 0).getTime()).toBe(requestedAt.getTime());
+  });
+});
+
+describe('resolveAttachmentTarget', () => {
+  const uploadDir = '/srv/app/uploads/chat';
+  const options = { containerUrl: 'https://acct.blob.core.windows.net/ultrasound-images', uploadDir };
+
+  test('maps a URL in our container to its blob name', () => {
+    expect(resolveAttachmentTarget('https://acct.blob.core.windows.net/ultrasound-images/abc/123-x%20y.jpg', options))
+      .toEqual({ type: 'blob', blobName: 'abc/123-x y.jpg' });
+  });
+
+  test('ignores URLs outside our container', () => {
+    expect(resolveAttachmentTarget('https://acct.blob.core.windows.net/other/abc.jpg', options)).toBeNull();
+    expect(resolveAttachmentTarget('https://example.com/ultrasound-images/abc.jpg', options)).toBeNull();
+    expect(resolveAttachmentTarget('https://acct.blob.core.windows.net/ultrasound-images/', options)).toBeNull();
+  });
+
+  test('ignores blob URLs when storage is not configured', () => {
+    expect(resolveAttachmentTarget('https://acct.blob.core.windows.net/ultrasound-images/abc.jpg', { uploadDir, containerUrl: null })).toBeNull();
+  });
+
+  test('maps paths inside the chat upload directory to local files', () => {
+    expect(resolveAttachmentTarget(path.join(uploadDir, '1720000000-abc.jpg'), options))
+      .toEqual({ type: 'local', path: path.join(uploadDir, '1720000000-abc.jpg') });
+    expect(resolveAttachmentTarget('1720000000-abc.jpg', options))
+      .toEqual({ type: 'local', path: path.join(uploadDir, '1720000000-abc.jpg') });
+  });
+
+  test('never resolves to files outside the chat upload directory', () => {
+    expect(resolveAttachmentTarget('/etc/passwd', options)).toBeNull();
+    expect(resolveAttachmentTarget('../ultrasounds/scan.jpg', options)).toBeNull();
+    expect(resolveAttachmentTarget(uploadDir, options)).toBeNull();
+  });
+
+  test('ignores empty references', () => {
+    expect(resolveAttachmentTarget(null, options)).toBeNull();
+    expect(resolveAttachmentTarget('', options)).toBeNull();
+  });
+});
+
+describe('purgeUser', () => {
+  const uploadId = '33333333-3333-4333-8333-333333333333';
+  let spies;
+
+  beforeEach(async () => {
+    const models = getModels();
+    spies = [
+      jest.spyOn(UltrasoundScan, 'findAll').mockResolvedValue([]),
+      jest.spyOn(ChatMessage, 'findAll').mockResolvedValue([]),
+      jest.spyOn(models.ScanUpload, 'findAll').mockResolvedValue([{ id: uploadId }]),
+      jest.spyOn(sequelize, 'transaction').mockResolvedValue()
+    ];
+    await fs.mkdir(path.dirname(partialPath(uploadId)), { recursive: true });
+    await fs.writeFile(partialPath(uploadId), Buffer.from('partial scan with EXIF'));
+  });
+
+  afterEach(async () => {
+    spies.forEach((spy) => spy.mockRestore());
+    await fs.unlink(partialPath(uploadId)).catch(() => {});
+  });
+
+  test("deletes the user's unfinished upload files", async () => {
+    const outcome = await purgeUser({ id: 'user-1' });
+    expect(outcome).toMatchObject({ purged: true, localFilesDeleted: 1, failures: [] });
+    await expect(fs.access(partialPath(uploadId))).rejects.toThrow();
+  });
+});
@@ -0,0 +1,34 @@
+const { retryDelayMs, shouldRetry } = require('../src/services/analysisJobService');
+
+const SECOND_MS = 1000;
+
+describe('retryDelayMs', () => {
+  test('doubles from 30 seconds after each failed attempt', () => {
+    expect(retryDelayMs(1)).toBe(30 * SECOND_MS);
+    expect(retryDelayMs(2)).toBe(60 * SECOND_MS);
+    expect(retryDelayMs(3)).toBe(120 * SECOND_MS);
+    expect(retryDelayMs(4)).toBe(240 * SECOND_MS);
+  });
+
+  test('is capped at an hour', () => {
+    expect(retryDelayMs(20)).toBe(60 * 60 * SECOND_MS);
+    expect(retryDelayMs(3, { base: 1000, max: 2500 })).toBe(2500);
+  });
+});
+
+describe('shouldRetry', () => {
+  const job = { attempts: 2, maxAttempts: 5 };
+
+  test('retries retryable and unclassified errors while attempts remain', () => {
+    expect(shouldRetry(job, Object.assign(new Error('timeout'), { isRetryable: true }))).toBe(true);
+    expect(shouldRetry(job, new Error('connection reset'))).toBe(true);
+  });
+
+  test('dead-letters errors the AI service marks non-retryable', () => {
+    expect(shouldRetry(job, Object.assign(new Error('bad request'), { isRetryable: false }))).toBe(false);
+  });
+
+  test('dead-letters once attempts run out', () => {
+    expect(shouldRetry({ attempts: 5, maxAttempts: 5 }, new Error('timeout'))).toBe(false);
+  });
+});
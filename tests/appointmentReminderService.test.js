@@ -0,0 +1,64 @@
+const { dueReminderKinds, buildReminderMessage } = require('../src/services/appointmentReminderService');
+
+const HOUR = 60 * 60 * 1000;
+const START = new Date('2026-07-10T09:00:00Z');
+const appt = (over = {}) => ({
+  id: 'appt-1',
+  type: 'anc_visit',
+  status: 'scheduled',
+  scheduledAt: START,
+  durationMinutes: 30,
+  ...over
+});
+const hoursBefore = (h) => new Date(START.getTime() - h * HOUR);
+
+// --- dueReminderKinds ---------------------------------------------------------
+describe('dueReminderKinds', () => {
+  test('nothing is due more than 48h ahead', () => {
+    expect(dueReminderKinds(appt(), hoursBefore(49))).toEqual([]);
+  });
+
+  test('48h reminder inside the 48h window', () => {
+    expect(dueReminderKinds(appt(), hoursBefore(47))).toEqual(['48h']);
+  });
+
+  test('2h reminder replaces the 48h one once it is due', () => {
+    expect(dueReminderKinds(appt(), hoursBefore(1.5))).toEqual(['2h']);
+  });
+
+  test('kinds already in the ledger are not sent again', () => {
+    expect(dueReminderKinds(appt(), hoursBefore(47), new Set(['48h']))).toEqual([]);
+    expect(dueReminderKinds(appt(), hoursBefore(1), new Set(['48h', '2h']))).toEqual([]);
+  });
+
+  test('missed follow-up once the grace period after the visit has passed', () => {
+    expect(dueReminderKinds(appt(), hoursBefore(-1))).toEqual([]); // during/just after the visit
+    expect(dueReminderKinds(appt(), hoursBefore(-5))).toEqual(['missed_followup']);
+  });
+
+  test('old visits are not chased', () => {
+    expect(dueReminderKinds(appt(), hoursBefore(-24 * 10))).toEqual([]);
+  });
+
+  test('only scheduled appointments get reminders', () => {
+    for (const status of ['suggested', 'attended', 'missed', 'cancelled', 'dismissed']) {
+      expect(dueReminderKinds(appt({ status }), hoursBefore(1))).toEqual([]);
+      expect(dueReminderKinds(appt({ status }), hoursBefore(-5))).toEqual([]);
+    }
+  });
+});
+
+// --- buildReminderMessage -----------------------------------------------------
+describe('buildReminderMessage', () => {
+  test('shows the visit time in WAT and includes the location', () => {
+    const msg = buildReminderMessage(appt({ location: 'LUTH ANC Clinic' }), '48h');
+    expect(msg).toMatchObject({ kind: 'appointment_48h', refId: 'appt-1' });
+    expect(msg.body).toBe('Reminder: your antenatal visit is on Fri 10 Jul, 10:00 AM at LUTH ANC Clinic.');
+  });
+
+  test('prefers the appointment title over the type label', () => {
+    const msg = buildReminderMessage(appt({ title: 'Anomaly scan', type: 'scan' }), 'missed_followup');
+    expect(msg.kind).toBe('appointment_missed_followup');
+    expect(msg.body).toMatch(/^We didn't see your Anomaly scan/);
+  });
+});
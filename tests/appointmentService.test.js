@@ -0,0 +1,216 @@
+const { sequelize } = require('../src/config/database');
+const { getModels } = require('../src/models/associations');
+const { ValidationError, ConflictError } = require('../src/middleware/errorHandler');
+const {
+  gestationalWeekAt,
+  validateAppointmentTiming,
+  findConflict,
+  buildAncSuggestions,
+  planAncSync,
+  createAppointment,
+  updateAppointment
+} = require('../src/services/appointmentService');
+
+const NOW = new Date('2026-07-01T09:00:00Z');
+// EDD 20 weeks out => 20 weeks pregnant on NOW.
+const EDD = new Date('2026-11-18T09:00:00Z');
+const weeksFromNow = (w) => new Date(NOW.getTime() + w * 7 * 24 * 60 * 60 * 1000);
+
+// --- gestationalWeekAt ----------------------------------------------------
+describe('gestationalWeekAt', () => {
+  test('matches the EDD-based week used by personalization', () => {
+    expect(gestationalWeekAt(EDD, NOW)).toBe(20);
+    expect(gestationalWeekAt(EDD, weeksFromNow(10))).toBe(30);
+  });
+
+  test('is not clamped after the due date (postnatal)', () => {
+    expect(gestationalWeekAt(EDD, weeksFromNow(26))).toBe(46);
+  });
+});
+
+// --- validateAppointmentTiming --------------------------------------------
+describe('validateAppointmentTiming', () => {
+  test('accepts a future ANC visit inside the pregnancy', () => {
+    expect(validateAppointmentTiming({ type: 'anc_visit', scheduledAt: weeksFromNow(2), edd: EDD, now: NOW })).toEqual([]);
+  });
+
+  test('rejects dates in the past', () => {
+    const errors = validateAppointmentTiming({ type: 'scan', scheduledAt: weeksFromNow(-1), edd: EDD, now: NOW });
+    expect(errors).toContain('Appointments must be scheduled in the future');
+  });
+
+  test('rejects an invalid date outright', () => {
+    expect(validateAppointmentTiming({ type: 'scan', scheduledAt: 'not-a-date', edd: EDD, now: NOW }))
+      .toEqual(['scheduledAt must be a valid date']);
+  });
+
+  test('rejects antenatal appointments after 42 weeks', () => {
+    const errors = validateAppointmentTiming({ type: 'lab_test', scheduledAt: weeksFromNow(23), edd: EDD, now: NOW });
+    expect(errors[0]).toMatch(/after 42 weeks/);
+  });
+
+  test('postnatal visits must fall between 37 weeks and 12 weeks after the EDD', () => {
+    expect(validateAppointmentTiming({ type: 'postnatal', scheduledAt: weeksFromNow(5), edd: EDD, now: NOW })[0])
+      .toMatch(/from 37 weeks/);
+    expect(validateAppointmentTiming({ type: 'postnatal', scheduledAt: weeksFromNow(33), edd: EDD, now: NOW })[0])
+      .toMatch(/within 12 weeks/);
+    expect(validateAppointmentTiming({ type: 'postnatal', scheduledAt: weeksFromNow(22), edd: EDD, now: NOW })).toEqual([]);
+  });
+
+  test('only checks the future rule when the mother has no EDD', () => {
+    expect(validateAppointmentTiming({ type: 'postnatal', scheduledAt: weeksFromNow(1), edd: null, now: NOW })).toEqual([]);
+  });
+});
+
+// --- findConflict -----------------------------------------------------------
+describe('findConflict', () => {
+  const at = (iso) => new Date(`2026-07-10T${iso}:00Z`);
+  const existing = [
+    { id: 'a', status: 'scheduled', scheduledAt: at('09:00'), durationMinutes: 60 },
+    { id: 'b', status: 'cancelled', scheduledAt: at('12:00'), durationMinutes: 60 }
+  ];
+
+  test('detects an overlapping scheduled appointment', () => {
+    expect(findConflict({ scheduledAt: at('09:30'), durationMinutes: 30 }, existing)).toBe(existing[0]);
+    expect(findConflict({ scheduledAt: at('08:45'), durationMinutes: 30 }, existing)).toBe(existing[0]);
+  });
+
+  test('back-to-back slots do not conflict', () => {
+    expect(findConflict({ scheduledAt: at('10:00'), durationMinutes: 30 }, existing)).toBeNull();
+    expect(findConflict({ scheduledAt: at('08:30'), durationMinutes: 30 }, existing)).toBeNull();
+  });
+
+  test('ignores cancelled appointments and the appointment being rescheduled', () => {
+    expect(findConflict({ scheduledAt: at('12:15'), durationMinutes: 30 }, existing)).toBeNull();
+    expect(findConflict({ id: 'a', scheduledAt: at('09:15'), durationMinutes: 30 }, existing)).toBeNull();
+  });
+});
+
+// --- ANC schedule -----------------------------------------------------------
+describe('buildAncSuggestions', () => {
+  test('suggests only the contacts still ahead of the mother', () => {
+    const suggestions = buildAncSuggestions(EDD, { now: NOW }); // 20 weeks today
+    expect(suggestions.map((s) => s.ancContactNumber)).toEqual([3, 4, 5, 6, 7, 8]);
+    expect(suggestions[0]).toMatchObject({ type: 'anc_visit', source: 'anc_schedule', gestationalWeek: 26 });
+    expect(gestationalWeekAt(EDD, suggestions[0].scheduledAt)).toBe(26);
+  });
+
+  test('uses the FMOH profile by default', () => {
+    const [first] = buildAncSuggestions(EDD, { now: weeksFromNow(-20) });
+    expect(first.ancContactNumber).toBe(1);
+    expect(first.notes).toMatch(/genotype/);
+    expect(buildAncSuggestions(EDD, { now: weeksFromNow(-20), profile: 'who' })[0].notes).not.toMatch(/genotype/);
+  });
+});
+
+describe('planAncSync', () => {
+  const suggestions = buildAncSuggestions(EDD, { now: NOW });
+
+  test('creates every suggestion on first run', () => {
+    const plan = planAncSync(suggestions, []);
+    expect(plan.create).toHaveLength(6);
+    expect(plan.update).toHaveLength(0);
+    expect(plan.remove).toHaveLength(0);
+  });
+
+  test('is a no-op when nothing changed', () => {
+    const existing = suggestions.map((s, i) => ({ ...s, id: `s${i}`, status: 'suggested' }));
+    expect(planAncSync(suggestions, existing)).toEqual({ create: [], update: [], remove: [] });
+  });
+
+  test('moves pending suggestions and leaves accepted or dismissed contacts alone', () => {
+    const shifted = buildAncSuggestions(new Date(EDD.getTime() + 14 * 24 * 60 * 60 * 1000), { now: NOW });
+    const existing = [
+      { id: 'a', ancContactNumber: 3, status: 'scheduled', scheduledAt: suggestions[0].scheduledAt },
+      { id: 'b', ancContactNumber: 4, status: 'dismissed', scheduledAt: suggestions[1].scheduledAt },
+      { id: 'c', ancContactNumber: 5, status: 'suggested', scheduledAt: suggestions[2].scheduledAt },
+      { id: 'd', ancContactNumber: 1, status: 'suggested', scheduledAt: weeksFromNow(-1) }
+    ];
+    const plan = planAncSync(shifted, existing);
+    expect(plan.update.map((u) => u.appointment.id)).toEqual(['c']);
+    expect(plan.update[0].changes.scheduledAt).toEqual(shifted.find((s) => s.ancContactNumber === 5).scheduledAt);
+    expect(plan.create.map((s) => s.ancContactNumber)).toEqual([2, 6, 7, 8]); // 2 is back in the future
+    expect(plan.remove.map((a) => a.id)).toEqual(['d']);
+  });
+});
+
+// --- booking ----------------------------------------------------------------
+describe('booking', () => {
+  const user = { id: 'user-1', edd: EDD };
+  let neighbours;
+  let locked;
+
+  function stored(overrides) {
+    const appointment = {
+      id: 'appt-1',
+      userId: user.id,
+      type: 'anc_visit',
+      durationMinutes: 30,
+      status: 'attended',
+      scheduledAt: weeksFromNow(-1),
+      ...overrides
+    };
+    appointment.save = jest.fn(async () => appointment);
+    return appointment;
+  }
+
+  beforeEach(() => {
+    const { Appointment, User } = getModels();
+    neighbours = [];
+    locked = [];
+    jest.spyOn(Appointment, 'findAll').mockImplementation(async () => neighbours);
+    // Stands in for the user row lock: one transaction at a time.
+    let queue = Promise.resolve();
+    jest.spyOn(sequelize, 'transaction').mockImplementation((work) => {
+      const run = queue.then(() => work({ LOCK: { UPDATE: 'UPDATE' } }));
+      queue = run.catch(() => {});
+      return run;
+    });
+    jest.spyOn(User, 'findByPk').mockImplementation(async (id, options) => { locked.push({ id, lock: options.lock }); return { id }; });
+  });
+
+  test('two bookings of the same slot at once: only the first gets it', async () => {
+    jest.spyOn(getModels().Appointment, 'create').mockImplementation(async (values) => {
+      const appointment = { id: `appt-${neighbours.length + 1}`, ...values };
+      neighbours.push(appointment);
+      return appointment;
+    });
+    const attrs = { type: 'anc_visit', scheduledAt: weeksFromNow(1).toISOString() };
+    const results = await Promise.allSettled([
+      createAppointment(user, attrs, { now: NOW }),
+      createAppointment(user, attrs, { now: NOW })
+    ]);
+
+    expect(results.map((r) => r.status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[1].reason).toBeInstanceOf(ConflictError);
+    expect(neighbours).toHaveLength(1);
+    expect(locked).toEqual([{ id: user.id, lock: 'UPDATE' }, { id: user.id, lock: 'UPDATE' }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('does not move a past visit back to scheduled', async () => {
+    const appointment = stored({ status: 'attended', scheduledAt: weeksFromNow(-1) });
+    jest.spyOn(getModels().Appointment, 'findOne').mockResolvedValue(appointment);
+    await expect(updateAppointment(user, 'appt-1', { status: 'scheduled' }, { now: NOW })).rejects.toThrow(ValidationError);
+    expect(appointment.save).not.toHaveBeenCalled();
+  });
+
+  test('does not move a visit back to scheduled over another booking', async () => {
+    const appointment = stored({ status: 'missed', scheduledAt: weeksFromNow(1) });
+    neighbours = [{ id: 'appt-2', status: 'scheduled', scheduledAt: weeksFromNow(1), durationMinutes: 30 }];
+    jest.spyOn(getModels().Appointment, 'findOne').mockResolvedValue(appointment);
+    await expect(updateAppointment(user, 'appt-1', { status: 'scheduled' }, { now: NOW })).rejects.toThrow(ConflictError);
+    expect(appointment.save).not.toHaveBeenCalled();
+  });
+
+  test('moves a visit back to scheduled when its slot is still free', async () => {
+    const appointment = stored({ status: 'missed', scheduledAt: weeksFromNow(1) });
+    jest.spyOn(getModels().Appointment, 'findOne').mockResolvedValue(appointment);
+    await expect(updateAppointment(user, 'appt-1', { status: 'scheduled' }, { now: NOW })).resolves.toBe(appointment);
+    expect(appointment.status).toBe('scheduled');
+    expect(appointment.save).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,53 @@
+const { recordAdminAction } = require('../src/services/auditService');
+const { getModels } = require('../src/models/associations');
+const logger = require('../src/utils/logger');
+
+const fakeReq = (overrides = {}) => ({
+  ip: '10.1.2.3',
+  user: { id: 'user-1' },
+  cmsUser: { id: 'user-1', cmsRole: 'admin' },
+  get: (name) => (name === 'User-Agent' ? 'jest' : undefined),
+  ...overrides
+});
+
+describe('recordAdminAction', () => {
+  let create;
+
+  beforeEach(() => {
+    create = jest.spyOn(getModels().AdminAuditLog, 'create');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('records the CMS actor, request origin and target', async () => {
+    create.mockImplementation(async (row) => row);
+    await recordAdminAction({ req: fakeReq(), action: 'diagnostics.user_lookup', targetType: 'user', targetId: 42, metadata: { found: true } });
+
+    expect(create).toHaveBeenCalledWith({
+      actorId: 'user-1',
+      actorRole: 'admin',
+      action: 'diagnostics.user_lookup',
+      targetType: 'user',
+      targetId: '42',
+      metadata: { found: true },
+      ipAddress: '10.1.2.3',
+      userAgent: 'jest'
+    });
+  });
+
+  test('system actions have no actor or request', async () => {
+    create.mockImplementation(async (row) => row);
+    const row = await recordAdminAction({ action: 'retention.purge', metadata: { count: 3 } });
+    expect(row).toMatchObject({ actorId: null, actorRole: null, ipAddress: null, userAgent: null });
+  });
+
+  test('never throws when the audit write fails', async () => {
+    create.mockRejectedValue(new Error('db down'));
+    const security = jest.spyOn(logger, 'logSecurityEvent').mockImplementation(() => {});
+
+    await expect(recordAdminAction({ req: fakeReq(), action: 'diagnostics.view' })).resolves.toBeNull();
+    expect(security).toHaveBeenCalledWith('ADMIN_AUDIT_WRITE_FAILED', expect.objectContaining({ action: 'diagnostics.view', error: 'db down' }));
+  });
+});
@@ -0,0 +1,128 @@
+const {
+  RESPONSE_VERSION,
+  facilityGuidance,
+  buildUrgentResponse,
+  buildClinicianAlert,
+  nextSafetyTag,
+  triageMessage
+} = require('../src/services/chatSafetyService');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('facilityGuidance', () => {
+  test('names her clinic when known', () => {
+    expect(facilityGuidance({ clinic: 'PHC Surulere', lga: 'Surulere', state: 'Lagos' }))
+      .toBe('your clinic (PHC Surulere), or the nearest hospital or primary health centre in Surulere, Lagos if that is quicker to reach');
+  });
+
+  test('falls back to the nearest facility in her area, or anywhere', () => {
+    expect(facilityGuidance({ state: 'Kano' })).toBe('the nearest hospital or primary health centre in Kano');
+    expect(facilityGuidance()).toBe('the nearest hospital or primary health centre');
+  });
+});
+
+describe('buildUrgentResponse', () => {
+  test('sends obstetric danger signs to urgent care', () => {
+    const text = buildUrgentResponse(['bleeding'], { state: 'Oyo' });
+    expect(text).toContain('danger sign in pregnancy');
+    expect(text).toContain('Please go now to the nearest hospital or primary health centre in Oyo.');
+    expect(text).toContain('call 112');
+    expect(text).not.toContain('has been alerted');
+    expect(text).not.toContain('feeling this way');
+  });
+
+  test('answers thoughts of self-harm with crisis support', () => {
+    const text = buildUrgentResponse(['suicidal_ideation']);
+    expect(text).toContain('feeling this way');
+    expect(text).not.toContain('danger sign in pregnancy');
+  });
+
+  test('covers both when both are reported', () => {
+    const text = buildUrgentResponse(['fever', 'suicidal_ideation']);
+    expect(text).toContain('feeling this way');
+    expect(text).toContain('danger sign in pregnancy');
+  });
+});
+
+describe('buildUrgentResponse clinician sentence', () => {
+  test('only says a clinician was alerted when one was', () => {
+    expect(buildUrgentResponse(['bleeding'], {}, { clinicianAlerted: true })).toMatch(/clinician .* has been alerted\.$/);
+    expect(buildUrgentResponse(['bleeding'], {}, { clinicianAlerted: false })).not.toContain('alerted');
+  });
+});
+
+describe('buildClinicianAlert', () => {
+  test('lists the signs and points at the conversation', () => {
+    const alert = buildClinicianAlert({ id: 'conv-1' }, ['bleeding', 'fever']);
+    expect(alert).toMatchObject({ kind: 'chat_danger_sign', refId: 'conv-1', title: 'Mother reported pregnancy danger signs in chat' });
+    expect(alert.body).toContain('bleeding or spotting from the vagina; a fever or feeling hot and shivery');
+    expect(alert.body).toContain('conv-1');
+  });
+
+  test('calls out self-harm in the title', () => {
+    expect(buildClinicianAlert({ id: 'c' }, ['suicidal_ideation']).title).toBe('Mother reported thoughts of self-harm in chat');
+  });
+});
+
+describe('nextSafetyTag', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  test('the first flag alerts and starts the tag', () => {
+    const { alert, tag } = nextSafetyTag(undefined, ['bleeding'], now);
+    expect(alert).toBe(true);
+    expect(tag).toEqual({
+      flagged: true,
+      dangerSigns: ['bleeding'],
+      firstFlaggedAt: now.toISOString(),
+      lastFlaggedAt: now.toISOString(),
+      lastAlertedAt: null,
+      flagCount: 1
+    });
+  });
+
+  // As triageMessage records a delivered alert
+  const alerted = (tag, at) => ({ ...tag, lastAlertedAt: at.toISOString() });
+
+  test('the same signs within the hour do not alert again', () => {
+    const earlier = new Date(now.getTime() - 30 * MINUTE_MS);
+    const previous = alerted(nextSafetyTag(undefined, ['bleeding'], earlier).tag, earlier);
+    const { alert, tag } = nextSafetyTag(previous, ['bleeding'], now);
+    expect(alert).toBe(false);
+    expect(tag.lastAlertedAt).toBe(previous.lastAlertedAt);
+    expect(tag.firstFlaggedAt).toBe(previous.firstFlaggedAt);
+    expect(tag.flagCount).toBe(2);
+  });
+
+  test('a new sign, or the same sign an hour later, alerts again', () => {
+    const earlier = new Date(now.getTime() - 30 * MINUTE_MS);
+    const previous = alerted(nextSafetyTag(undefined, ['bleeding'], earlier).tag, earlier);
+    const withFever = nextSafetyTag(previous, ['fever'], now);
+    expect(withFever.alert).toBe(true);
+    expect(withFever.tag.dangerSigns).toEqual(['bleeding', 'fever']);
+
+    const later = nextSafetyTag(previous, ['bleeding'], new Date(now.getTime() + 30 * MINUTE_MS));
+    expect(later.alert).toBe(true);
+  });
+
+  test('signs whose alert never went out alert again straight away', () => {
+    const previous = nextSafetyTag(undefined, ['bleeding'], new Date(now.getTime() - 5 * MINUTE_MS)).tag;
+    expect(nextSafetyTag(previous, ['bleeding'], now).alert).toBe(true);
+  });
+});
+
+describe('triageMessage', () => {
+  test('lets ordinary messages through untouched', async () => {
+    await expect(triageMessage({ userId: null, conversation: null, text: 'What can I eat at week 20?', channel: 'chat' }))
+      .resolves.toBeNull();
+  });
+
+  test('replies to danger signs even outside a saved conversation', async () => {
+    const result = await triageMessage({ userId: null, conversation: null, text: 'I am bleeding heavily', channel: 'voice' });
+    expect(result.dangerSigns).toEqual(['bleeding']);
+    expect(result.response).toContain('danger sign in pregnancy');
+    expect(result.response).not.toContain('has been alerted');
+    expect(result.metadata).toEqual({
+      mode: 'triage', dangerSigns: ['bleeding'], responseVersion: RESPONSE_VERSION, clinicianAlerted: false
+    });
+  });
+});
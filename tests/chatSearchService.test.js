@@ -0,0 +1,59 @@
+const { toHighlightedSnippet, buildSearchFilter } = require('../src/services/chatSearchService');
+const { ValidationError } = require('../src/middleware/errorHandler');
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+
+describe('toHighlightedSnippet', () => {
+  test('marks the ts_headline matches', () => {
+    expect(toHighlightedSnippet('Is \u0002paracetamol\u0003 safe for a \u0002headache\u0003?'))
+      .toBe('Is <mark>paracetamol</mark> safe for a <mark>headache</mark>?');
+  });
+
+  test('escapes the message text before marking it', () => {
+    expect(toHighlightedSnippet('<script>alert("x")</script> & \u0002iron\u0003'))
+      .toBe('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; <mark>iron</mark>');
+  });
+
+  test('handles a missing headline', () => {
+    expect(toHighlightedSnippet(null)).toBe('');
+  });
+});
+
+describe('buildSearchFilter', () => {
+  test('always scopes the message and its conversation to the user', () => {
+    const { where, replacements } = buildSearchFilter(USER_ID, { q: '  folic acid ' });
+    expect(where).toContain('m.user_id = :userId');
+    expect(where).toContain('c.user_id = :userId');
+    expect(where).toContain('m.deleted_at IS NULL');
+    expect(where).toContain('c.deleted_at IS NULL');
+    expect(where).toContain("to_tsvector('english', m.content) @@ plainto_tsquery('english', :q)");
+    expect(replacements).toEqual({ userId: USER_ID, q: 'folic acid' });
+  });
+
+  test('adds the optional filters', () => {
+    const { where, replacements } = buildSearchFilter(USER_ID, {
+      q: 'scan',
+      from: '2026-09-01',
+      to: '2026-09-30T23:59:59Z',
+      conversationId: '22222222-2222-4222-8222-222222222222',
+      messageType: 'assistant'
+    });
+    expect(where).toContain('m.created_at >= :from');
+    expect(where).toContain('m.created_at <= :to');
+    expect(where).toContain('m.conversation_id = :conversationId');
+    expect(where).toContain('m.message_type = :messageType');
+    expect(replacements.from).toEqual(new Date('2026-09-01'));
+    expect(replacements.to).toEqual(new Date('2026-09-30T23:59:59Z'));
+    expect(replacements.messageType).toBe('assistant');
+  });
+
+  test('rejects an empty query', () => {
+    expect(() => buildSearchFilter(USER_ID, { q: '   ' })).toThrow(ValidationError);
+    expect(() => buildSearchFilter(USER_ID)).toThrow('Search query is required');
+  });
+
+  test('rejects a date range that ends before it starts', () => {
+    expect(() => buildSearchFilter(USER_ID, { q: 'scan', from: '2026-10-01', to: '2026-09-01' }))
+      .toThrow('from must be before to');
+  });
+});
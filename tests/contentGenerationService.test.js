@@ -1,5 +1,5 @@
 const {
-  buildContextBlock, buildGenerationMessages, validateDraft, CONTENT_TYPES
+  buildContextBlock, buildGenerationMessages, validateDraft, passesGroundedness, toSources, CONTENT_TYPES
 } = require('../src/services/contentGenerationService');
 
 const chunks = [
@@ -67,3 +67,20 @@ describe('validateDraft', () => {
     expect(CONTENT_TYPES).toHaveLength(8);
   });
 });
+
+describe('passesGroundedness', () => {
+  it('needs a grounded verdict at or above the threshold', () => {
+    expect(passesGroundedness({ grounded: true, groundedness_score: 0.9 })).toBe(true);
+    expect(passesGroundedness({ grounded: true, groundedness_score: 0.5 })).toBe(false);
+    expect(passesGroundedness({ grounded: false, groundedness_score: 1 })).toBe(false);
+    expect(passesGroundedness(null)).toBe(false);
+  });
+});
+
+describe('toSources', () => {
+  it('numbers provenance like the context block', () => {
+    expect(toSources(chunks)[1]).toEqual({
+      n: 2, documentTitle: 'WHO Maternal Health', pageFrom: 10, pageTo: 11, section: 'Diet', docUrl: undefined
+    });
+  });
+});
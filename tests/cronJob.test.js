@@ -0,0 +1,67 @@
+const { createCronJob } = require('../src/services/cronJob');
+
+describe('createCronJob', () => {
+  const ENV = 'TEST_CRON_JOB_SCHEDULER';
+
+  afterEach(() => {
+    delete process.env[ENV];
+  });
+
+  test('tracks the result of a manual run', async () => {
+    const job = createCronJob({ name: 'test job', envFlag: ENV, schedule: '* * * * *', run: async () => ({ sent: 3 }) });
+    expect(await job.trigger()).toEqual({ sent: 3 });
+    expect(job.status()).toMatchObject({
+      enabled: false,
+      isRunning: false,
+      lastTrigger: 'manual',
+      lastResult: { sent: 3 },
+      lastError: null,
+      runCount: 1
+    });
+  });
+
+  test('skips a run while one is in progress', async () => {
+    let release;
+    const job = createCronJob({
+      name: 'test job',
+      envFlag: ENV,
+      schedule: '* * * * *',
+      quietOverlap: true,
+      run: () => new Promise((resolve) => { release = resolve; })
+    });
+    const first = job.runOnce('cron');
+    expect(await job.runOnce('wake')).toEqual({ skipped: true, reason: 'already-running' });
+    release({ done: true });
+    expect(await first).toEqual({ done: true });
+    expect(job.status().runCount).toBe(1);
+  });
+
+  test('records and rethrows a failed run', async () => {
+    const job = createCronJob({
+      name: 'test job', envFlag: ENV, schedule: '* * * * *', run: async () => { throw new Error('db down'); }
+    });
+    await expect(job.trigger()).rejects.toThrow('db down');
+    expect(job.status()).toMatchObject({ lastError: 'db down', isRunning: false, runCount: 1 });
+  });
+
+  test('only schedules when its flag allows it', () => {
+    const optIn = createCronJob({ name: 'opt-in', envFlag: ENV, schedule: '* * * * *', run: async () => ({}) });
+    expect(optIn.init()).toBeNull();
+
+    const optOut = createCronJob({
+      name: 'opt-out', envFlag: ENV, enabledByDefault: true, schedule: 'not a cron', run: async () => ({})
+    });
+    process.env[ENV] = 'disabled';
+    expect(optOut.init()).toBeNull();
+    expect(optOut.status().enabled).toBe(false);
+
+    const onStart = jest.fn();
+    const enabled = createCronJob({ name: 'enabled', envFlag: ENV, schedule: '0 3 * * *', run: async () => ({}), onStart });
+    process.env[ENV] = 'enabled';
+    expect(enabled.init()).not.toBeNull();
+    expect(enabled.status().enabled).toBe(true);
+    expect(onStart).toHaveBeenCalledTimes(1);
+    enabled.close();
+    expect(enabled.status().enabled).toBe(false);
+  });
+});
@@ -0,0 +1,61 @@
+const { DANGER_SIGNS, classifyDangerSigns, warningSignsText } = require('../src/utils/dangerSigns');
+const { WEEK_MAP, itemBody } = require('../src/services/topicBuilderService');
+
+describe('classifyDangerSigns', () => {
+  test.each([
+    ["I'm bleeding a lot since this morning", ['bleeding']],
+    ['I have a terrible headache and my vision is blurry', ['severe_headache', 'blurred_vision']],
+    ['My wife had a fit this morning', ['convulsions']],
+    ["I don't feel my baby moving since yesterday", ['reduced_fetal_movement']],
+    ['The baby has not moved today', ['reduced_fetal_movement']],
+    ['I have fever and chills', ['fever']],
+    ['Sometimes I want to kill myself', ['suicidal_ideation']],
+    ['There is no point in living anymore', ['suicidal_ideation']],
+    ['My face and hands are swollen', ['swelling']],
+    ['I think my water broke', ['fluid_leaking']]
+  ])('%s', (text, expected) => {
+    expect(classifyDangerSigns(text)).toEqual(expected);
+  });
+
+  test('ignores negated and general mentions', () => {
+    expect(classifyDangerSigns("No bleeding, just a mild back ache")).toEqual([]);
+    expect(classifyDangerSigns("I haven't had any bleeding")).toEqual([]);
+    expect(classifyDangerSigns("I don't want to die")).toEqual([]);
+    expect(classifyDangerSigns('What are the signs of fever in pregnancy?')).toEqual([]);
+  });
+
+  test('a negation only covers its own clause', () => {
+    expect(classifyDangerSigns('No pain, but I am bleeding')).toEqual(['bleeding']);
+  });
+
+  test('ignores everyday pregnancy complaints', () => {
+    expect(classifyDangerSigns('My gums are bleeding when I brush')).toEqual([]);
+    expect(classifyDangerSigns('My baby kicks a lot at night')).toEqual([]);
+    expect(classifyDangerSigns('Does this dress fit me?')).toEqual([]);
+    expect(classifyDangerSigns('')).toEqual([]);
+  });
+
+  test('handles curly apostrophes', () => {
+    expect(classifyDangerSigns('I can’t feel the baby')).toEqual(['reduced_fetal_movement']);
+  });
+});
+
+describe('warningSignsText', () => {
+  test('joins the labels as one phrase', () => {
+    expect(warningSignsText(['fever'])).toBe(DANGER_SIGNS.fever.label);
+    expect(warningSignsText(['bleeding', 'fever', 'fainting'])).toBe(
+      'bleeding or spotting from the vagina, a fever or feeling hot and shivery, or fainting or feeling very dizzy'
+    );
+  });
+
+  test('rejects an unknown sign', () => {
+    expect(() => warningSignsText(['nosebleed'])).toThrow('Unknown danger sign: nosebleed');
+  });
+
+  test('every weekly warning-sign text is recognised by the classifier', () => {
+    for (const segment of WEEK_MAP) {
+      expect(itemBody('warning_signs', segment)).toContain(segment.warning_signs);
+      expect(classifyDangerSigns(`I have ${segment.warning_signs}`).length).toBeGreaterThan(0);
+    }
+  });
+});
@@ -0,0 +1,85 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { PassThrough } = require('stream');
+const { sanitizeProfile, exportFileName, writeExport } = require('../src/services/dataExportService');
+
+const collect = async (data, options) => {
+  const out = new PassThrough();
+  const chunks = [];
+  out.on('data', (chunk) => chunks.push(chunk));
+  await writeExport(data, out, options);
+  out.end();
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+};
+
+const baseData = (scans = []) => ({
+  profile: { id: 'user-1', fullName: 'Ada' },
+  onboarding: { isCompleted: true, answers: { q1: 'a' } },
+  chat: [{ id: 'c1', messages: [{ id: 'm1', content: 'hello' }] }],
+  scans,
+  deliveries: [],
+  appointments: [],
+  sessions: [],
+  identities: []
+});
+
+describe('sanitizeProfile', () => {
+  test('drops credentials and one-time codes, keeps everything else', () => {
+    const profile = sanitizeProfile({
+      id: 'user-1',
+      email: 'ada@example.com',
+      password: '$2a$12$hash',
+      otp: 'abc',
+      otpExpiresAt: new Date(),
+      passwordResetToken: 'def',
+      passwordResetExpiresAt: new Date(),
+      onboardingAnswers: { q1: 'a' }
+    });
+    expect(profile).toEqual({ id: 'user-1', email: 'ada@example.com', onboardingAnswers: { q1: 'a' } });
+  });
+});
+
+describe('exportFileName', () => {
+  test('names the file after the user and date', () => {
+    expect(exportFileName('user-1', new Date('2026-07-15T23:00:00Z'))).toBe('imagomum-export-user-1-2026-07-15.json');
+  });
+});
+
+describe('writeExport', () => {
+  test('writes valid JSON with no scans', async () => {
+    const doc = await collect(baseData(), { now: new Date('2026-07-15T00:00:00Z') });
+    expect(doc.format).toBe('imagomum-personal-data-export');
+    expect(doc.generatedAt).toBe('2026-07-15T00:00:00.000Z');
+    expect(doc.chat[0].messages[0].content).toBe('hello');
+    expect(doc.ultrasoundScans).toEqual([]);
+  });
+
+  test('embeds scan images and hides storage internals', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-'));
+    const filePath = path.join(dir, 'scan.jpg');
+    fs.writeFileSync(filePath, Buffer.from([0xff, 0xd8, 0xff, 0xd9]));
+
+    const scans = [
+      { id: 's1', mimeType: 'image/jpeg', filePath, cloudBlobName: null, scanType: 'routine' },
+      { id: 's2', mimeType: 'image/png', filePath: path.join(dir, 'missing.png'), cloudBlobName: null }
+    ];
+    const doc = await collect(baseData(scans));
+
+    expect(doc.ultrasoundScans).toHaveLength(2);
+    expect(doc.ultrasoundScans[0]).toEqual({
+      id: 's1',
+      mimeType: 'image/jpeg',
+      scanType: 'routine',
+      file: { encoding: 'base64', mimeType: 'image/jpeg', size: 4, data: '/9j/2Q==' }
+    });
+    expect(doc.ultrasoundScans[1].file).toEqual({ error: 'File is no longer available' });
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('lists scans without images when includeFiles is false', async () => {
+    const doc = await collect(baseData([{ id: 's1', filePath: '/nowhere.jpg' }]), { includeFiles: false });
+    expect(doc.ultrasoundScans).toEqual([{ id: 's1', file: null }]);
+  });
+});
@@ -0,0 +1,192 @@
+const jpeg = require('jpeg-js');
+const { deidentifyDicom, isIdentifyingTag, parseDicom } = require('../src/utils/dicom');
+const { renderDicomPreview, decodeRleFrame } = require('../src/utils/dicomPreview');
+
+// Explicit VR little-endian element.
+function element(group, elementNo, vr, value) {
+  const data = Buffer.isBuffer(value) ? value : Buffer.from(value.length % 2 ? `${value} ` : value, 'latin1');
+  const long = ['OB', 'OW', 'SQ', 'UN', 'UT'].includes(vr);
+  const header = Buffer.alloc(long ? 12 : 8);
+  header.writeUInt16LE(group, 0);
+  header.writeUInt16LE(elementNo, 2);
+  header.write(vr, 4, 'latin1');
+  if (long) header.writeUInt32LE(data.length, 8);
+  else header.writeUInt16LE(data.length, 6);
+  return Buffer.concat([header, data]);
+}
+
+function item(contents) {
+  const header = Buffer.alloc(8);
+  header.writeUInt16LE(0xFFFE, 0);
+  header.writeUInt16LE(0xE000, 2);
+  header.writeUInt32LE(contents.length, 4);
+  return Buffer.concat([header, contents]);
+}
+
+function us(group, elementNo, value) {
+  const data = Buffer.alloc(2);
+  data.writeUInt16LE(value, 0);
+  return element(group, elementNo, 'US', data);
+}
+
+// Encapsulated pixel data: an empty offset table, then `fragments`.
+function encapsulated(...fragments) {
+  const header = Buffer.alloc(12);
+  header.writeUInt16LE(0x7FE0, 0);
+  header.writeUInt16LE(0x0010, 2);
+  header.write('OB', 4, 'latin1');
+  header.writeUInt32LE(0xFFFFFFFF, 8);
+  const end = Buffer.alloc(8);
+  end.writeUInt16LE(0xFFFE, 0);
+  end.writeUInt16LE(0xE0DD, 2);
+  return Buffer.concat([header, item(Buffer.alloc(0)), ...fragments.map(item), end]);
+}
+
+// A 2x2 greyscale image description.
+function monochrome(bitsAllocated) {
+  return [
+    us(0x0028, 0x0002, 1),
+    element(0x0028, 0x0004, 'CS', 'MONOCHROME2'),
+    us(0x0028, 0x0010, 2),
+    us(0x0028, 0x0011, 2),
+    us(0x0028, 0x0100, bitsAllocated),
+    us(0x0028, 0x0101, bitsAllocated),
+    us(0x0028, 0x0103, 0)
+  ];
+}
+
+function dicomFile(transferSyntax, ...elements) {
+  return Buffer.concat([
+    Buffer.alloc(128),
+    Buffer.from('DICM', 'latin1'),
+    element(0x0002, 0x0010, 'UI', `${transferSyntax}\0`),
+    ...elements
+  ]);
+}
+
+describe('deidentifyDicom', () => {
+  test('blanks patient and staff identifiers but keeps clinical elements', () => {
+    const input = dicomFile('1.2.840.10008.1.2.1',
+      element(0x0008, 0x0020, 'DA', '20260701'),
+      element(0x0008, 0x0060, 'CS', 'US'),
+      element(0x0008, 0x0080, 'LO', 'Lagos General'),
+      element(0x0010, 0x0010, 'PN', 'OBI^ADA'),
+      element(0x0010, 0x0020, 'LO', 'MRN-55821'),
+      element(0x0010, 0x1010, 'AS', '029Y'),
+      element(0x0011, 0x1001, 'LO', 'copy of MRN-55821'));
+
+    const { buffer, removed } = deidentifyDicom(input);
+    const text = buffer.toString('latin1');
+
+    expect(removed).toBe(3);
+    expect(buffer.length).toBe(input.length);
+    expect(text).not.toContain('OBI^ADA');
+    expect(text).not.toContain('MRN-55821');
+    expect(text).not.toContain('Lagos General');
+    expect(text).toContain('20260701');
+    expect(text).toContain('029Y');
+  });
+
+  test('blanks identifiers nested in sequences', () => {
+    const nested = element(0x0010, 0x1002, 'SQ', item(element(0x0010, 0x0020, 'LO', 'OTHER-ID-9')));
+    const { buffer } = deidentifyDicom(dicomFile('1.2.840.10008.1.2.1', nested));
+    expect(buffer.toString('latin1')).not.toContain('OTHER-ID-9');
+  });
+
+  test('rejects transfer syntaxes it cannot walk', () => {
+    expect(() => deidentifyDicom(dicomFile('1.2.840.10008.1.2.2', element(0x0010, 0x0010, 'PN', 'OBI^ADA'))))
+      .toThrow(/Unsupported DICOM transfer syntax/);
+  });
+
+  test('treats the patient group as identifying, except sex, age, size, weight and pregnancy status', () => {
+    expect(isIdentifyingTag('00100030')).toBe(true);
+    expect(isIdentifyingTag('00100040')).toBe(false);
+    expect(isIdentifyingTag('00080060')).toBe(false);
+  });
+});
+
+describe('parseDicom', () => {
+  test('reads the study details, image description and measurement text', () => {
+    const pixels = Buffer.from([0, 85, 170, 255]);
+    const file = dicomFile('1.2.840.10008.1.2.1',
+      element(0x0008, 0x0020, 'DA', '20260701'),
+      element(0x0008, 0x0060, 'CS', 'US'),
+      element(0x0008, 0x0070, 'LO', 'GE Healthcare'),
+      element(0x0008, 0x1030, 'LO', 'OB 2nd trimester'),
+      element(0x0020, 0x4000, 'LT', 'BPD 48.2 mm HC 176 mm GA 20w3d'),
+      ...monochrome(8),
+      element(0x0028, 0x1050, 'DS', '128\\100'),
+      element(0x7FE0, 0x0010, 'OB', pixels));
+
+    const { transferSyntax, header, texts, pixelData } = parseDicom(file);
+
+    expect(transferSyntax).toBe('1.2.840.10008.1.2.1');
+    expect(header).toMatchObject({
+      studyDate: '2026-07-01',
+      modality: 'US',
+      manufacturer: 'GE Healthcare',
+      rows: 2,
+      columns: 2,
+      bitsAllocated: 8,
+      photometricInterpretation: 'MONOCHROME2',
+      windowCenter: 128
+    });
+    expect(texts).toEqual(expect.arrayContaining(['OB 2nd trimester', 'BPD 48.2 mm HC 176 mm GA 20w3d']));
+    expect(file.subarray(pixelData.offset, pixelData.offset + pixelData.length)).toEqual(pixels);
+  });
+
+  test('lists the fragments of encapsulated pixel data', () => {
+    const file = dicomFile('1.2.840.10008.1.2.4.50', encapsulated(Buffer.from('abcd'), Buffer.from('ef')));
+    const { pixelData } = parseDicom(file);
+    expect(pixelData.fragments.map((f) => f.length)).toEqual([0, 4, 2]);
+    expect(file.toString('latin1', pixelData.fragments[2].offset, pixelData.fragments[2].offset + 2)).toBe('ef');
+  });
+});
+
+describe('renderDicomPreview', () => {
+  const decode = (buffer) => jpeg.decode(buffer, { useTArray: true });
+
+  test('encodes uncompressed greyscale pixels as a JPEG', () => {
+    const file = dicomFile('1.2.840.10008.1.2.1', ...monochrome(8),
+      element(0x7FE0, 0x0010, 'OB', Buffer.from([0, 0, 255, 255])));
+
+    const image = decode(renderDicomPreview(file, parseDicom(file)));
+    expect(image.width).toBe(2);
+    expect(image.height).toBe(2);
+    expect(image.data[0]).toBeLessThan(60);
+    expect(image.data[8]).toBeGreaterThan(200);
+  });
+
+  test('windows 16-bit pixels down to 8 bits', () => {
+    const pixels = Buffer.alloc(8);
+    [100, 100, 4000, 4000].forEach((v, i) => pixels.writeUInt16LE(v, i * 2));
+    const file = dicomFile('1.2.840.10008.1.2.1', ...monochrome(16), element(0x7FE0, 0x0010, 'OW', pixels));
+
+    const image = decode(renderDicomPreview(file, parseDicom(file)));
+    expect(image.data[0]).toBeLessThan(60);
+    expect(image.data[8]).toBeGreaterThan(200);
+  });
+
+  test('passes baseline JPEG pixel data through', () => {
+    const embedded = jpeg.encode({ data: Buffer.alloc(4 * 4 * 4, 200), width: 4, height: 4 }, 90).data;
+    const file = dicomFile('1.2.840.10008.1.2.4.50', ...monochrome(8),
+      encapsulated(embedded.subarray(0, 100), embedded.subarray(100)));
+
+    expect(renderDicomPreview(file, parseDicom(file))).toEqual(embedded);
+  });
+
+  test('decodes RLE segments', () => {
+    // One segment: a literal run of 2 bytes, then a byte repeated twice.
+    const segment = Buffer.from([1, 10, 20, 0xFF, 30]);
+    const frame = Buffer.alloc(64);
+    frame.writeUInt32LE(1, 0);
+    frame.writeUInt32LE(64, 4);
+    expect(decodeRleFrame(Buffer.concat([frame, segment]), { rows: 2, columns: 2, samplesPerPixel: 1, bitsAllocated: 8 }))
+      .toEqual(Buffer.from([10, 20, 30, 30]));
+  });
+
+  test('rejects compressions it cannot decode', () => {
+    const file = dicomFile('1.2.840.10008.1.2.4.90', ...monochrome(8), encapsulated(Buffer.from('j2k!')));
+    expect(() => renderDicomPreview(file, parseDicom(file))).toThrow(/not supported/);
+  });
+});
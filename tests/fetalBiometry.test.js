@@ -0,0 +1,80 @@
+const { parseBiometrics, parseGestationalAge, gestationalDaysFromEdd } = require('../src/utils/fetalBiometry');
+const { referenceFor, assessMeasurement, referenceCurve } = require('../src/utils/fetalGrowthReference');
+
+describe('parseBiometrics', () => {
+  test('normalises each measure to its reference unit', () => {
+    const text = 'BPD: 48 mm, HC = 17.2 cm, AC measures 148mm. Femur length 3.1 cm. EFW 1,250 g. AFI of 120 mm.';
+    expect(parseBiometrics(text).map(({ measure, value, unit }) => [measure, value, unit])).toEqual([
+      ['bpd', 48, 'mm'],
+      ['hc', 172, 'mm'],
+      ['ac', 148, 'mm'],
+      ['fl', 31, 'mm'],
+      ['efw', 1250, 'g'],
+      ['afi', 12, 'cm']
+    ]);
+  });
+
+  test('matches abbreviations only as whole words', () => {
+    expect(parseBiometrics('Placenta 12 cm from the os. Amniotic fluid 3 cm pocket.')).toEqual([]);
+  });
+
+  test('accepts kilograms and drops implausible values', () => {
+    expect(parseBiometrics('EFW: 2.3 kg')).toEqual([{ measure: 'efw', value: 2300, unit: 'g', raw: 'EFW: 2.3 kg' }]);
+    expect(parseBiometrics('FL 310 mm')).toEqual([]);
+  });
+});
+
+describe('parseGestationalAge', () => {
+  test.each([
+    ['20w 3d', 143],
+    ['20w3d', 143],
+    ['20 weeks, 3 days', 143],
+    ['20+3 weeks', 143],
+    ['about 20 weeks', 140]
+  ])('%s is %i days', (text, days) => {
+    expect(parseGestationalAge(text)).toBe(days);
+  });
+
+  test('ignores text without a gestational age', () => {
+    expect(parseGestationalAge('HC 17 cm')).toBeNull();
+    expect(parseGestationalAge(null)).toBeNull();
+  });
+});
+
+describe('gestationalDaysFromEdd', () => {
+  test('counts back 280 days from the due date', () => {
+    expect(gestationalDaysFromEdd('2026-12-01', '2026-12-01')).toBe(280);
+    expect(gestationalDaysFromEdd('2026-12-01', '2026-07-01')).toBe(127);
+  });
+});
+
+describe('growth references', () => {
+  test('INTERGROWTH-21st head circumference at 20 weeks', () => {
+    expect(referenceFor('hc', 20)).toMatchObject({ unit: 'mm', p10: 162.9, p50: 172.5, p90: 182 });
+  });
+
+  test('no reference outside 14-40 weeks', () => {
+    expect(referenceFor('fl', 12)).toBeNull();
+    expect(assessMeasurement('fl', 10, 12)).toBeNull();
+  });
+
+  test('bands a measurement against the 10th-90th centiles', () => {
+    const median = assessMeasurement('hc', 172.5, 20);
+    expect(median.band).toBe('normal');
+    expect(median.percentile).toBeCloseTo(50, 0);
+    expect(assessMeasurement('hc', 150, 20).band).toBe('below_p10');
+    expect(assessMeasurement('efw', 450, 20).band).toBe('above_p90');
+  });
+
+  test('AFI uses the fixed 5-24 cm range', () => {
+    expect(assessMeasurement('afi', 4, 30)).toMatchObject({ band: 'below_p10', percentile: null });
+    expect(assessMeasurement('afi', 12, 30).band).toBe('normal');
+  });
+
+  test('curves cover whole weeks 14 to 40', () => {
+    const curve = referenceCurve('ac');
+    expect(curve).toHaveLength(27);
+    expect(curve[0].week).toBe(14);
+    expect(curve[26].week).toBe(40);
+  });
+});
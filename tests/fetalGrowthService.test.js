@@ -0,0 +1,44 @@
+const { gestationalAgeAtScan, toChartPoint } = require('../src/services/fetalGrowthService');
+
+describe('gestationalAgeAtScan', () => {
+  const scan = { scanDate: '2026-07-01', gestationalAge: '18 weeks', createdAt: new Date('2026-07-02T09:00:00Z') };
+
+  test('prefers the mother\'s due date', () => {
+    expect(gestationalAgeAtScan(scan, { edd: '2026-12-01' }, 'GA 20w 3d')).toEqual({ days: 127, source: 'edd' });
+  });
+
+  test('falls back to what she entered, then to the report', () => {
+    expect(gestationalAgeAtScan(scan, { edd: null }, 'GA 20w 3d')).toEqual({ days: 126, source: 'scan_input' });
+    expect(gestationalAgeAtScan({ ...scan, gestationalAge: null }, null, 'GA 20w 3d')).toEqual({ days: 143, source: 'ai_report' });
+  });
+
+  test('is null when nothing gives an age', () => {
+    expect(gestationalAgeAtScan({ ...scan, gestationalAge: null }, null, 'HC 17 cm')).toBeNull();
+  });
+});
+
+describe('toChartPoint', () => {
+  const biometric = {
+    scanId: 'scan-1',
+    measure: 'hc',
+    value: 150,
+    unit: 'mm',
+    gestationalAgeDays: 140,
+    gestationalAgeSource: 'edd',
+    measuredOn: '2026-07-01'
+  };
+
+  test('places the measurement against the reference', () => {
+    expect(toChartPoint(biometric, { scanType: '2D' })).toMatchObject({
+      scanId: 'scan-1',
+      gestationalAge: '20w 0d',
+      gestationalWeeks: 20,
+      band: 'below_p10',
+      reference: { p10: 162.9, p50: 172.5, p90: 182 }
+    });
+  });
+
+  test('has no band without a gestational age', () => {
+    expect(toChartPoint({ ...biometric, gestationalAgeDays: null }, null)).toMatchObject({ gestationalAge: null, band: null, percentile: null });
+  });
+});
@@ -0,0 +1,27 @@
+const { buildAnswerMessages, citedNumbers } = require('../src/services/groundedChatService');
+
+describe('buildAnswerMessages', () => {
+  it('embeds the question and sources and asks for cited JSON', () => {
+    const msgs = buildAnswerMessages('Is it safe to eat pawpaw?', 'CTX');
+    expect(msgs).toHaveLength(2);
+    expect(msgs[0].role).toBe('system');
+    expect(msgs[0].content).toMatch(/cite each claim/);
+    expect(msgs[1].content).toContain('Is it safe to eat pawpaw?');
+    expect(msgs[1].content).toContain('CTX');
+    expect(msgs[1].content).toContain('"citations"');
+  });
+});
+
+describe('citedNumbers', () => {
+  it('collects [n] markers, including lists, within the sources', () => {
+    expect(citedNumbers('Iron helps [2]. Eat beans [1, 3]. Rest [9].', [], 3)).toEqual([1, 2, 3]);
+  });
+
+  it('adds numbers the model listed', () => {
+    expect(citedNumbers('Iron helps [2].', [4, 'x'], 6)).toEqual([2, 4]);
+  });
+
+  it('is empty for an uncited answer', () => {
+    expect(citedNumbers('Drink water.', undefined, 6)).toEqual([]);
+  });
+});
@@ -0,0 +1,98 @@
+const zlib = require('zlib');
+const { sniffImageType, stripImageMetadata } = require('../src/utils/imageSanitizer');
+
+function jpegSegment(marker, payload) {
+  const header = Buffer.from([0xFF, marker, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([length, Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+describe('sniffImageType', () => {
+  test('identifies images by content, not name', () => {
+    expect(sniffImageType(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]))).toBe('jpeg');
+    expect(sniffImageType(Buffer.concat([PNG_SIGNATURE, Buffer.alloc(8)]))).toBe('png');
+    expect(sniffImageType(Buffer.from('II*\0\x08\0\0\0', 'latin1'))).toBe('tiff');
+    expect(sniffImageType(Buffer.concat([Buffer.alloc(128), Buffer.from('DICM')]))).toBe('dicom');
+
+    const bmp = Buffer.alloc(18);
+    bmp.write('BM', 0, 'latin1');
+    bmp.writeUInt32LE(40, 14);
+    expect(sniffImageType(bmp)).toBe('bmp');
+  });
+
+  test('rejects anything else', () => {
+    expect(sniffImageType(Buffer.from('%PDF-1.7\n'))).toBeNull();
+    expect(sniffImageType(Buffer.from('MZ\x90\0', 'latin1'))).toBeNull();
+    expect(sniffImageType(Buffer.from('BM plain text that starts with BM'))).toBeNull();
+    expect(sniffImageType(Buffer.alloc(0))).toBeNull();
+  });
+});
+
+describe('stripImageMetadata', () => {
+  test('drops EXIF, IPTC and comments from a JPEG but keeps JFIF, ICC and image data', () => {
+    const jfif = jpegSegment(0xE0, Buffer.from('JFIF\0\x01\x01\0\0\x01\0\x01\0\0', 'latin1'));
+    const exif = jpegSegment(0xE1, Buffer.from('Exif\0\0Patient: Ada Obi', 'latin1'));
+    const icc = jpegSegment(0xE2, Buffer.from('ICC_PROFILE\0', 'latin1'));
+    const iptc = jpegSegment(0xED, Buffer.from('Photoshop 3.0\0', 'latin1'));
+    const comment = jpegSegment(0xFE, Buffer.from('Lagos General, bed 4', 'latin1'));
+    const quant = jpegSegment(0xDB, Buffer.alloc(65));
+    const scan = Buffer.concat([Buffer.from([0xFF, 0xDA, 0x00, 0x02]), Buffer.from([1, 2, 3]), Buffer.from([0xFF, 0xD9])]);
+    const input = Buffer.concat([Buffer.from([0xFF, 0xD8]), jfif, exif, icc, iptc, comment, quant, scan]);
+
+    const { buffer, removed } = stripImageMetadata(input, 'jpeg');
+
+    expect(removed).toBe(3);
+    expect(buffer).toEqual(Buffer.concat([Buffer.from([0xFF, 0xD8]), jfif, icc, quant, scan]));
+    expect(buffer.toString('latin1')).not.toContain('Ada Obi');
+  });
+
+  test('drops text chunks from a PNG', () => {
+    const ihdr = pngChunk('IHDR', Buffer.alloc(13));
+    const text = pngChunk('tEXt', Buffer.from('Author\0Ada Obi', 'latin1'));
+    const idat = pngChunk('IDAT', zlib.deflateSync(Buffer.alloc(4)));
+    const iend = pngChunk('IEND', Buffer.alloc(0));
+    const input = Buffer.concat([PNG_SIGNATURE, ihdr, text, idat, iend]);
+
+    const { buffer, removed } = stripImageMetadata(input, 'png');
+
+    expect(removed).toBe(1);
+    expect(buffer).toEqual(Buffer.concat([PNG_SIGNATURE, ihdr, idat, iend]));
+  });
+
+  test('blanks TIFF text tags in place', () => {
+    // Little-endian TIFF: one IFD with ImageWidth and an Artist string stored out of line.
+    const artist = 'Ada Obi\0';
+    const input = Buffer.alloc(8 + 2 + 2 * 12 + 4 + artist.length);
+    input.write('II*\0', 0, 'latin1');
+    input.writeUInt32LE(8, 4);
+    input.writeUInt16LE(2, 8);
+    input.writeUInt16LE(256, 10); // ImageWidth, SHORT
+    input.writeUInt16LE(3, 12);
+    input.writeUInt32LE(1, 14);
+    input.writeUInt16LE(640, 18);
+    input.writeUInt16LE(315, 22); // Artist, ASCII
+    input.writeUInt16LE(2, 24);
+    input.writeUInt32LE(artist.length, 26);
+    input.writeUInt32LE(38, 30);
+    input.write(artist, 38, 'latin1');
+
+    const { buffer, removed } = stripImageMetadata(input, 'tiff');
+
+    expect(removed).toBe(1);
+    expect(buffer.length).toBe(input.length);
+    expect(buffer.toString('latin1')).not.toContain('Ada Obi');
+    expect(buffer.readUInt16LE(18)).toBe(640);
+  });
+
+  test('throws on a truncated JPEG', () => {
+    expect(() => stripImageMetadata(Buffer.from([0xFF, 0xD8, 0xFF, 0xE1, 0x40, 0x00, 0x01]), 'jpeg')).toThrow(/Malformed JPEG/);
+  });
+});
@@ -0,0 +1,96 @@
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { verifyIdToken, clearJwksCache } = require('../src/services/oidcService');
+const { displayNameFor } = require('../src/services/socialAuthService');
+const { canonicalizeEmail } = require('../src/utils/emailUtils');
+
+// --- local mock OIDC issuer --------------------------------------------------
+// Serves a JWKS like Google's; tokens are signed with the matching private key.
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = 'test-key-1';
+const CLIENT_ID = 'imagomum-test-client';
+let server;
+let issuer;
+
+function signIdToken(claims = {}, { kid = KID, key = privateKey, expiresIn = '5m' } = {}) {
+  return jwt.sign(
+    { sub: 'google-user-1', email: 'Ada.Obi@gmail.com', email_verified: true, name: 'Ada Obi', ...claims },
+    key,
+    { algorithm: 'RS256', keyid: kid, issuer, audience: CLIENT_ID, expiresIn }
+  );
+}
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' }] }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+  process.env.OIDC_GOOGLE_ISSUER = issuer;
+  process.env.OIDC_GOOGLE_JWKS_URI = `${issuer}/certs`;
+  process.env.GOOGLE_CLIENT_IDS = `other-client, ${CLIENT_ID}`;
+});
+
+afterAll(async () => {
+  delete process.env.OIDC_GOOGLE_ISSUER;
+  delete process.env.OIDC_GOOGLE_JWKS_URI;
+  delete process.env.GOOGLE_CLIENT_IDS;
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => clearJwksCache());
+
+describe('verifyIdToken', () => {
+  test('returns the identity asserted by a valid token', async () => {
+    await expect(verifyIdToken('google', signIdToken())).resolves.toEqual({
+      provider: 'google',
+      subject: 'google-user-1',
+      email: 'Ada.Obi@gmail.com',
+      emailVerified: true,
+      name: 'Ada Obi'
+    });
+  });
+
+  test('accepts Apple-style string booleans and a hashed nonce', async () => {
+    const nonce = 'raw-nonce';
+    const hashed = crypto.createHash('sha256').update(nonce).digest('hex');
+    const identity = await verifyIdToken('google', signIdToken({ email_verified: 'true', nonce: hashed }), { nonce });
+    expect(identity.emailVerified).toBe(true);
+  });
+
+  test('rejects a token signed by another key', async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    await expect(verifyIdToken('google', signIdToken({}, { key: otherKey }))).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('rejects an unknown key id', async () => {
+    await expect(verifyIdToken('google', signIdToken({}, { kid: 'rotated-away' }))).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('rejects the wrong audience, expiry and nonce', async () => {
+    const wrongAudience = jwt.sign({ sub: 'x' }, privateKey, { algorithm: 'RS256', keyid: KID, issuer, audience: 'someone-else' });
+    await expect(verifyIdToken('google', wrongAudience)).rejects.toMatchObject({ statusCode: 401 });
+    await expect(verifyIdToken('google', signIdToken({}, { expiresIn: -120 }))).rejects.toThrow(/expired/);
+    await expect(verifyIdToken('google', signIdToken({ nonce: 'a' }), { nonce: 'b' })).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('reports an unconfigured provider as unavailable', async () => {
+    await expect(verifyIdToken('apple', signIdToken())).rejects.toMatchObject({ statusCode: 503 });
+  });
+});
+
+describe('social account helpers', () => {
+  test('provider emails are compared in their stored (normalised) form', () => {
+    expect(canonicalizeEmail('Ada.Obi+x@GoogleMail.com')).toBe('adaobi@gmail.com');
+    expect(canonicalizeEmail('Ada.Obi+x@example.org')).toBe('ada.obi+x@example.org');
+  });
+
+  test('new accounts get a usable display name', () => {
+    expect(displayNameFor({ name: 'Ada Obi' }, 'Other')).toBe('Ada Obi');
+    expect(displayNameFor({ name: null }, 'Chioma N')).toBe('Chioma N');
+    expect(displayNameFor({ name: null, email: 'ada.obi@example.org' })).toBe('ada obi');
+    expect(displayNameFor({ name: null, email: null })).toBe('Imagomum User');
+  });
+});
@@ -0,0 +1,92 @@
+const { evaluateSendThrottle, buildOtpMessage } = require('../src/services/otpDeliveryService');
+const smsService = require('../src/services/smsService');
+
+const MIN = 60 * 1000;
+const limits = { cooldownMs: MIN, maxPerWindow: 3, windowMs: 60 * MIN };
+const now = new Date('2026-07-12T10:00:00Z');
+const ago = (ms) => new Date(now.getTime() - ms);
+
+// --- per-number throttling ---------------------------------------------------
+describe('evaluateSendThrottle', () => {
+  test('allows the first code to a number', () => {
+    expect(evaluateSendThrottle([], { now, ...limits })).toEqual({ allowed: true, retryAfterSeconds: 0 });
+  });
+
+  test('enforces the cooldown after the most recent send', () => {
+    const result = evaluateSendThrottle([ago(20 * 1000)], { now, ...limits });
+    expect(result).toEqual({ allowed: false, retryAfterSeconds: 40 });
+  });
+
+  test('allows a send once the cooldown has passed', () => {
+    expect(evaluateSendThrottle([ago(2 * MIN)], { now, ...limits }).allowed).toBe(true);
+  });
+
+  test('caps sends per window until the oldest counted send ages out', () => {
+    const sent = [ago(50 * MIN), ago(30 * MIN), ago(10 * MIN)];
+    expect(evaluateSendThrottle(sent, { now, ...limits })).toEqual({ allowed: false, retryAfterSeconds: 10 * 60 });
+  });
+
+  test('ignores sends older than the window', () => {
+    const sent = [ago(90 * MIN), ago(70 * MIN), ago(61 * MIN), ago(5 * MIN)];
+    expect(evaluateSendThrottle(sent, { now, ...limits }).allowed).toBe(true);
+  });
+});
+
+describe('buildOtpMessage', () => {
+  test('names the purpose and includes the code', () => {
+    expect(buildOtpMessage('123456', 'signup_verification')).toMatch(/verification code is 123456/);
+    expect(buildOtpMessage('654321', 'password_reset')).toMatch(/password reset code is 654321/);
+  });
+});
+
+// --- phone transport ---------------------------------------------------------
+describe('smsService', () => {
+  test('normalises Nigerian local numbers to E.164', () => {
+    expect(smsService.normalizePhoneNumber('08031234567')).toBe('+2348031234567');
+    expect(smsService.normalizePhoneNumber('8031234567')).toBe('+2348031234567');
+    expect(smsService.normalizePhoneNumber('2348031234567')).toBe('+2348031234567');
+    expect(smsService.normalizePhoneNumber('+44 7700 900123')).toBe('+447700900123');
+    expect(smsService.normalizePhoneNumber('not a number')).toBeNull();
+  });
+
+  test('uses the fake provider under test and records the message', async () => {
+    smsService.clearFakeOutbox();
+    const result = await smsService.sendMessage({ to: '+2348031234567', body: 'hello', channel: 'whatsapp' });
+    expect(result.provider).toBe('fake');
+    expect(smsService.getFakeOutbox()).toEqual([
+      expect.objectContaining({ to: '+2348031234567', body: 'hello', channel: 'whatsapp', messageId: result.messageId })
+    ]);
+  });
+});
+
+describe('smsService stand-in providers', () => {
+  const saved = { NODE_ENV: process.env.NODE_ENV, SMS_PROVIDER: process.env.SMS_PROVIDER };
+
+  afterEach(() => {
+    process.env.NODE_ENV = saved.NODE_ENV;
+    if (saved.SMS_PROVIDER === undefined) delete process.env.SMS_PROVIDER;
+    else process.env.SMS_PROVIDER = saved.SMS_PROVIDER;
+  });
+
+  test('reports a logged-only message as a mock', async () => {
+    process.env.SMS_PROVIDER = 'console';
+    const result = await smsService.sendMessage({ to: '+2348031234567', body: 'hello' });
+    expect(result).toEqual({ provider: 'console', messageId: null, mock: true });
+  });
+
+  test('is refused outside development and test', () => {
+    process.env.SMS_PROVIDER = 'console';
+    process.env.NODE_ENV = 'production';
+    expect(() => smsService.getProvider()).toThrow(/SMS is not configured/);
+  });
+
+  test('the fake provider is refused outside test', () => {
+    process.env.SMS_PROVIDER = 'fake';
+    for (const env of ['production', 'development']) {
+      process.env.NODE_ENV = env;
+      expect(() => smsService.getProvider()).toThrow(/"fake" provider is for tests only/);
+    }
+    process.env.NODE_ENV = 'test';
+    expect(smsService.getProvider().name).toBe('fake');
+  });
+});
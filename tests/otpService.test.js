@@ -0,0 +1,137 @@
+const { sequelize } = require('../src/config/database');
+const { getModels } = require('../src/models/associations');
+const { AuthenticationError, RateLimitError } = require('../src/middleware/errorHandler');
+const logger = require('../src/utils/logger');
+const {
+  generateOtp, hashOtp, otpMatches, issueOtp, evaluateLockout, rejectionReason, verifyOtp
+} = require('../src/services/otpService');
+
+const MIN = 60 * 1000;
+const now = new Date('2026-07-12T10:00:00Z');
+const ago = (ms) => new Date(now.getTime() - ms);
+
+// --- code material -----------------------------------------------------------
+describe('OTP hashing', () => {
+  test('codes are six digits', () => {
+    for (let i = 0; i < 50; i++) {
+      expect(generateOtp()).toMatch(/^[1-9]\d{5}$/);
+    }
+  });
+
+  test('stores a keyed hash, never the code', () => {
+    const { code, fields } = issueOtp('signup_verification', { now });
+    expect(fields.otp).toMatch(/^[0-9a-f]{64}$/);
+    expect(fields.otp).not.toContain(code);
+    expect(fields.otpExpiresAt).toEqual(new Date(now.getTime() + 10 * MIN));
+  });
+
+  test('password reset codes go in the reset fields', () => {
+    const { fields } = issueOtp('password_reset', { now });
+    expect(Object.keys(fields).sort()).toEqual(['passwordResetExpiresAt', 'passwordResetToken']);
+  });
+
+  test('matches only the right code for the right purpose', () => {
+    const stored = hashOtp('123456', 'password_reset');
+    expect(otpMatches('123456', 'password_reset', stored)).toBe(true);
+    expect(otpMatches('123457', 'password_reset', stored)).toBe(false);
+    expect(otpMatches('123456', 'signup_verification', stored)).toBe(false);
+    expect(otpMatches('123456', 'password_reset', null)).toBe(false);
+    expect(otpMatches('123456', 'password_reset', '123456')).toBe(false);
+  });
+});
+
+// --- lockout -----------------------------------------------------------------
+describe('evaluateLockout', () => {
+  const limits = { now, maxAttempts: 3, lockoutMs: 15 * MIN };
+
+  test('counts down remaining attempts before locking', () => {
+    expect(evaluateLockout([ago(MIN)], limits)).toEqual({ locked: false, retryAfterSeconds: 0, remaining: 2 });
+  });
+
+  test('locks once failures in the window reach the limit', () => {
+    const result = evaluateLockout([ago(5 * MIN), ago(3 * MIN), ago(MIN)], limits);
+    expect(result.locked).toBe(true);
+    // Unlocks when the oldest counted failure leaves the 15-minute window.
+    expect(result.retryAfterSeconds).toBe(10 * 60);
+  });
+
+  test('failures outside the window no longer count', () => {
+    const result = evaluateLockout([ago(40 * MIN), ago(20 * MIN), ago(2 * MIN)], limits);
+    expect(result).toEqual({ locked: false, retryAfterSeconds: 0, remaining: 2 });
+  });
+});
+
+describe('rejectionReason', () => {
+  const { fields, code } = issueOtp('signup_verification', { now });
+
+  test('accepts the current code', () => {
+    expect(rejectionReason(fields, 'signup_verification', code, now)).toBeNull();
+  });
+
+  test('says why anything else is rejected', () => {
+    expect(rejectionReason(null, 'signup_verification', code, now)).toBe('unknown_user');
+    expect(rejectionReason({ otp: null }, 'signup_verification', code, now)).toBe('no_active_code');
+    expect(rejectionReason(fields, 'signup_verification', code === '123456' ? '654321' : '123456', now)).toBe('mismatch');
+    expect(rejectionReason(fields, 'signup_verification', code, new Date(now.getTime() + 11 * MIN))).toBe('expired');
+  });
+});
+
+// --- verification --------------------------------------------------------------
+describe('verifyOtp', () => {
+  const USER_ID = '11111111-1111-4111-8111-111111111111';
+  let attempts;
+  let user;
+  let code;
+
+  beforeEach(() => {
+    const { OtpAttempt, User } = getModels();
+    const issued = issueOtp('signup_verification');
+    code = issued.code;
+    user = { id: USER_ID, email: 'ada@example.com', ...issued.fields, update: jest.fn(async (values) => Object.assign(user, values)) };
+    attempts = [];
+
+    // Stands in for the row and advisory locks: one transaction at a time.
+    let queue = Promise.resolve();
+    jest.spyOn(sequelize, 'transaction').mockImplementation((work) => {
+      const run = queue.then(() => work({ LOCK: { UPDATE: 'UPDATE' } }));
+      queue = run.catch(() => {});
+      return run;
+    });
+    jest.spyOn(sequelize, 'query').mockResolvedValue([]);
+    jest.spyOn(User, 'findByPk').mockImplementation(async () => user);
+    jest.spyOn(OtpAttempt, 'max').mockResolvedValue(null);
+    jest.spyOn(OtpAttempt, 'findAll').mockImplementation(async ({ where }) => attempts
+      .filter((a) => !a.succeeded && (where.userId ? a.userId === where.userId : a.ipAddress === where.ipAddress))
+      .map((a) => ({ createdAt: a.createdAt })));
+    jest.spyOn(OtpAttempt, 'create').mockImplementation(async (values) => {
+      const attempt = { ...values, createdAt: new Date(), update: async (changes) => Object.assign(attempt, changes) };
+      attempts.push(attempt);
+      return attempt;
+    });
+    jest.spyOn(logger, 'logSecurityEvent').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('records a correct code as a successful attempt', async () => {
+    await expect(verifyOtp({ user, purpose: 'signup_verification', code, ipAddress: '10.0.0.1' })).resolves.toBeUndefined();
+    expect(attempts).toEqual([expect.objectContaining({ userId: USER_ID, succeeded: true })]);
+    expect(getModels().User.findByPk).toHaveBeenCalledWith(USER_ID, expect.objectContaining({ lock: 'UPDATE' }));
+  });
+
+  test('a burst of parallel guesses gets no more tries than the limit', async () => {
+    const wrong = code === '123456' ? '654321' : '123456';
+    const results = await Promise.allSettled(Array.from({ length: 12 }, () => (
+      verifyOtp({ user, purpose: 'signup_verification', code: wrong, ipAddress: '10.0.0.1' })
+    )));
+
+    expect(attempts).toHaveLength(5);
+    const errors = results.map((r) => r.reason);
+    expect(errors.filter((e) => e instanceof AuthenticationError)).toHaveLength(4);
+    expect(errors.filter((e) => e instanceof RateLimitError)).toHaveLength(8);
+    // The guess that triggered the lockout cleared the code.
+    expect(user.otp).toBeNull();
+  });
+});
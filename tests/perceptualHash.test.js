@@ -0,0 +1,117 @@
+const zlib = require('zlib');
+const jpeg = require('jpeg-js');
+const { perceptualHash, hammingDistance } = require('../src/utils/perceptualHash');
+const { closestMatch } = require('../src/services/scanDuplicateService');
+
+// A greyscale test pattern: a bright fan on a dark background, like a scan.
+function pattern(width, height) {
+  const grey = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const dx = (x / width) - 0.5;
+      const dy = y / height;
+      const inFan = Math.abs(dx) < dy * 0.6 && dy < 0.9;
+      grey[y * width + x] = inFan ? Math.round(80 + 150 * Math.abs(Math.sin(x / 7 + y / 11))) : 10;
+    }
+  }
+  return grey;
+}
+
+function toJpeg(grey, width, height, quality) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let p = 0; p < grey.length; p += 1) {
+    data.fill(grey[p], p * 4, p * 4 + 3);
+    data[p * 4 + 3] = 255;
+  }
+  return jpeg.encode({ data, width, height }, quality).data;
+}
+
+function pngChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'latin1');
+  data.copy(chunk, 8);
+  return chunk; // CRC left zero: not checked when hashing
+}
+
+function toPng(grey, width, height) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 0;
+  // Alternate the Sub and Up filters to exercise unfiltering.
+  const raw = Buffer.alloc(height * (width + 1));
+  for (let y = 0; y < height; y += 1) {
+    const filter = y % 2 ? 2 : 1;
+    raw[y * (width + 1)] = filter;
+    for (let x = 0; x < width; x += 1) {
+      const value = grey[y * width + x];
+      const previous = filter === 1 ? (x > 0 ? grey[y * width + x - 1] : 0) : (y > 0 ? grey[(y - 1) * width + x] : 0);
+      raw[y * (width + 1) + 1 + x] = (value - previous) & 0xFF;
+    }
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function toBmp(grey, width, height) {
+  const stride = Math.ceil((width * 3) / 4) * 4;
+  const file = Buffer.alloc(54 + stride * height);
+  file.write('BM', 0, 'latin1');
+  file.writeUInt32LE(file.length, 2);
+  file.writeUInt32LE(54, 10);
+  file.writeUInt32LE(40, 14);
+  file.writeInt32LE(width, 18);
+  file.writeInt32LE(height, 22);
+  file.writeUInt16LE(1, 26);
+  file.writeUInt16LE(24, 28);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      file.fill(grey[y * width + x], 54 + (height - 1 - y) * stride + x * 3, 54 + (height - 1 - y) * stride + x * 3 + 3);
+    }
+  }
+  return file;
+}
+
+describe('perceptualHash', () => {
+  const grey = pattern(120, 90);
+  const hash = perceptualHash(toJpeg(grey, 120, 90, 95), 'jpeg');
+
+  test('is 64 bits as hex', () => {
+    expect(hash).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  test('barely changes when the image is re-compressed or re-encoded', () => {
+    expect(hammingDistance(hash, perceptualHash(toJpeg(grey, 120, 90, 40), 'jpeg'))).toBeLessThanOrEqual(4);
+    expect(hammingDistance(hash, perceptualHash(toPng(grey, 120, 90), 'png'))).toBeLessThanOrEqual(4);
+    expect(hammingDistance(hash, perceptualHash(toBmp(grey, 120, 90), 'bmp'))).toBeLessThanOrEqual(4);
+  });
+
+  test('changes a lot for a different image', () => {
+    const flipped = Buffer.from(grey).reverse();
+    expect(hammingDistance(hash, perceptualHash(toJpeg(flipped, 120, 90, 95), 'jpeg'))).toBeGreaterThan(10);
+  });
+
+  test('is null for formats or files it cannot decode', () => {
+    expect(perceptualHash(Buffer.from('II*\0'), 'tiff')).toBeNull();
+    expect(perceptualHash(Buffer.from([0xFF, 0xD8, 0xFF, 0x00]), 'jpeg')).toBeNull();
+  });
+});
+
+describe('closestMatch', () => {
+  test('picks the nearest hash within the limit', () => {
+    const candidates = [
+      { id: 'far', perceptualHash: 'ffffffffffffffff' },
+      { id: 'close', perceptualHash: '0000000000000003' },
+      { id: 'closer', perceptualHash: '0000000000000001' },
+      { id: 'unhashed', perceptualHash: null }
+    ];
+    expect(closestMatch(candidates, '0000000000000000', 4)).toEqual({ id: 'closer', distance: 1 });
+    expect(closestMatch(candidates.slice(0, 1), '0000000000000000', 4)).toBeNull();
+  });
+});
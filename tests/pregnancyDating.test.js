@@ -0,0 +1,94 @@
+const {
+  gestationalDaysFromCrl,
+  gestationalDaysFromHc,
+  redatingThresholdDays,
+  compareDating
+} = require('../src/utils/pregnancyDating');
+const { parseCrownRumpLength } = require('../src/utils/fetalBiometry');
+const { ultrasoundEstimate, buildProposalNotification } = require('../src/services/pregnancyDatingService');
+
+describe('gestational age from ultrasound', () => {
+  test('CRL follows Robinson & Fleming', () => {
+    expect(gestationalDaysFromCrl(45)).toBe(78); // 11w 1d
+    expect(gestationalDaysFromCrl(10)).toBe(49); // 7w 0d
+  });
+
+  test('CRL beyond 84 mm is not used for dating', () => {
+    expect(gestationalDaysFromCrl(90)).toBeNull();
+  });
+
+  test('HC follows Hadlock', () => {
+    expect(gestationalDaysFromHc(172.5)).toBe(139); // about 20 weeks
+    expect(gestationalDaysFromHc(50)).toBeNull();
+  });
+});
+
+describe('redatingThresholdDays', () => {
+  test.each([
+    [8 * 7 + 6, 5],
+    [9 * 7, 7],
+    [15 * 7 + 6, 7],
+    [16 * 7, 10],
+    [22 * 7, 14],
+    [28 * 7, 21]
+  ])('LMP age %i days -> redate beyond %i days', (days, threshold) => {
+    expect(redatingThresholdDays(days)).toBe(threshold);
+  });
+});
+
+describe('compareDating', () => {
+  test('proposes the ultrasound EDD when the difference exceeds the threshold', () => {
+    expect(compareDating({ lmpDate: '2026-04-01', scanDate: '2026-06-20', ultrasoundDays: 70 })).toEqual({
+      lmpEdd: '2027-01-06',
+      lmpDays: 80,
+      ultrasoundEdd: '2027-01-16',
+      ultrasoundDays: 70,
+      differenceDays: -10,
+      thresholdDays: 7,
+      redate: true
+    });
+  });
+
+  test('keeps the LMP dating within the threshold', () => {
+    const result = compareDating({ lmpDate: '2026-04-01', scanDate: '2026-06-20', ultrasoundDays: 87 });
+    expect(result.differenceDays).toBe(7);
+    expect(result.redate).toBe(false);
+  });
+});
+
+describe('parseCrownRumpLength', () => {
+  test('reads mm and cm and ignores other lengths', () => {
+    expect(parseCrownRumpLength('CRL: 45 mm, consistent with 11w 1d')).toBe(45);
+    expect(parseCrownRumpLength('Crown-rump length 4.5 cm')).toBe(45);
+    expect(parseCrownRumpLength('Placenta 4 cm from the os')).toBeNull();
+  });
+});
+
+describe('ultrasoundEstimate', () => {
+  test('prefers CRL, then HC, then the stated gestational age', () => {
+    expect(ultrasoundEstimate('CRL 45 mm. GA 12w 0d', [{ measure: 'hc', value: 172.5 }]))
+      .toEqual({ days: 78, method: 'crl', measurementMm: 45 });
+    expect(ultrasoundEstimate('GA 21w 0d', [{ measure: 'hc', value: 172.5 }]))
+      .toEqual({ days: 139, method: 'hc', measurementMm: 172.5 });
+    expect(ultrasoundEstimate('GA 21w 0d', [])).toEqual({ days: 147, method: 'reported_ga', measurementMm: null });
+    expect(ultrasoundEstimate('Normal anatomy', [])).toBeNull();
+  });
+
+  test('a CRL from the DICOM header wins over the report', () => {
+    expect(ultrasoundEstimate('CRL 10 mm', [], 45)).toEqual({ days: 78, method: 'crl', measurementMm: 45 });
+  });
+});
+
+describe('buildProposalNotification', () => {
+  test('tells the mother which way the dates moved', () => {
+    const notification = buildProposalNotification({
+      id: 'dating-1',
+      differenceDays: -10,
+      lmpGestationalDays: 80,
+      ultrasoundGestationalDays: 70
+    });
+    expect(notification.kind).toBe('edd_redating_proposed');
+    expect(notification.refId).toBe('dating-1');
+    expect(notification.body).toContain('earlier than your last period indicates (10w 0d rather than 11w 3d)');
+  });
+});
@@ -0,0 +1,69 @@
+const { Op } = require('sequelize');
+const { getModels } = require('../src/models/associations');
+const { findDuplicateScan } = require('../src/services/scanDuplicateService');
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+const HASH = 'f0f0f0f0f0f0f0f0';
+
+/** Just enough of a Sequelize where clause for the lookups findDuplicateScan makes. */
+function matches(scan, where) {
+  return Object.entries(where).every(([field, condition]) => {
+    if (condition && typeof condition === 'object') {
+      if (Op.ne in condition) return scan[field] !== condition[Op.ne];
+      if (Op.notIn in condition) return !condition[Op.notIn].includes(scan[field]);
+    }
+    return scan[field] === condition;
+  });
+}
+
+describe('findDuplicateScan', () => {
+  let scans;
+
+  beforeEach(() => {
+    const { UltrasoundScan } = getModels();
+    scans = [];
+    jest.spyOn(UltrasoundScan, 'findOne').mockImplementation(async ({ where }) => scans.find((s) => matches(s, where)) || null);
+    jest.spyOn(UltrasoundScan, 'findAll').mockImplementation(async ({ where }) => scans.filter((s) => matches(s, where)));
+    jest.spyOn(UltrasoundScan, 'findByPk').mockImplementation(async (id) => scans.find((s) => s.id === id) || null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function scan(overrides) {
+    return {
+      id: `scan-${scans.length + 1}`,
+      userId: USER_ID,
+      fileHash: 'abc123',
+      perceptualHash: HASH,
+      isArchived: false,
+      aiAnalysisStatus: 'completed',
+      ...overrides
+    };
+  }
+
+  test('returns the mother\'s existing scan of the same file', async () => {
+    scans.push(scan());
+    await expect(findDuplicateScan(USER_ID, { fileHash: 'abc123', perceptualHash: HASH }))
+      .resolves.toEqual({ scan: scans[0], match: 'exact', distance: 0 });
+  });
+
+  test('ignores a scan she deleted, so uploading it again makes a new one', async () => {
+    scans.push(scan({ isArchived: true }));
+    await expect(findDuplicateScan(USER_ID, { fileHash: 'abc123', perceptualHash: HASH })).resolves.toBeNull();
+    await expect(findDuplicateScan(USER_ID, { fileHash: 'other', perceptualHash: HASH })).resolves.toBeNull();
+  });
+
+  test('ignores a scan whose analysis failed, so it can be analysed again', async () => {
+    scans.push(scan({ aiAnalysisStatus: 'failed' }), scan({ aiAnalysisStatus: 'error' }));
+    await expect(findDuplicateScan(USER_ID, { fileHash: 'abc123', perceptualHash: HASH })).resolves.toBeNull();
+    await expect(findDuplicateScan(USER_ID, { fileHash: 'other', perceptualHash: HASH })).resolves.toBeNull();
+  });
+
+  test('still finds a usable near duplicate alongside unusable ones', async () => {
+    scans.push(scan({ id: 'deleted', isArchived: true }), scan({ id: 'kept', fileHash: 'reexported', perceptualHash: 'f0f0f0f0f0f0f0f1' }));
+    await expect(findDuplicateScan(USER_ID, { fileHash: 'new', perceptualHash: HASH }))
+      .resolves.toEqual({ scan: scans[1], match: 'near', distance: 1 });
+  });
+});
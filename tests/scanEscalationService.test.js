@@ -0,0 +1,141 @@
+const { getModels } = require('../src/models/associations');
+const {
+  buildSafetyGuidance,
+  escalationReason,
+  alertAudience,
+  isAlertOverdue,
+  buildClinicianAlert,
+  mothersAIAnalysis,
+  escalateIfHighRisk
+} = require('../src/services/scanEscalationService');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('escalationReason', () => {
+  test('distinguishes high-risk findings from an unsuccessful analysis', () => {
+    expect(escalationReason({ success: true, riskLevel: 'high' })).toBe('ai_high_risk');
+    expect(escalationReason({ success: false, riskLevel: 'high' })).toBe('ai_analysis_unsuccessful');
+  });
+});
+
+describe('alertAudience', () => {
+  test('the first two alerts go to on-call clinicians, later ones to all staff', () => {
+    expect(alertAudience(0)).toBe('on_call');
+    expect(alertAudience(1)).toBe('on_call');
+    expect(alertAudience(2)).toBe('all_staff');
+    expect(alertAudience(5)).toBe('all_staff');
+  });
+});
+
+describe('isAlertOverdue', () => {
+  const now = new Date('2026-07-18T12:00:00Z');
+
+  test('an open escalation is overdue 15 minutes after its last alert', () => {
+    expect(isAlertOverdue({ status: 'open', lastAlertedAt: new Date(now.getTime() - 14 * MINUTE_MS) }, now)).toBe(false);
+    expect(isAlertOverdue({ status: 'open', lastAlertedAt: new Date(now.getTime() - 15 * MINUTE_MS) }, now)).toBe(true);
+  });
+
+  test('an open escalation whose first alert failed is overdue straight away', () => {
+    expect(isAlertOverdue({ status: 'open', lastAlertedAt: null }, now)).toBe(true);
+  });
+
+  test('acknowledged and resolved escalations are never overdue', () => {
+    const lastAlertedAt = new Date(now.getTime() - 60 * MINUTE_MS);
+    expect(isAlertOverdue({ status: 'acknowledged', lastAlertedAt }, now)).toBe(false);
+    expect(isAlertOverdue({ status: 'resolved', lastAlertedAt }, now)).toBe(false);
+  });
+});
+
+describe('buildClinicianAlert', () => {
+  test('marks repeat alerts as reminders', () => {
+    const scan = { id: 'scan-1', scanType: 'anomaly' };
+    expect(buildClinicianAlert({ id: 'esc-1', alertCount: 0 }, scan)).toMatchObject({
+      kind: 'scan_escalation',
+      refId: 'esc-1',
+      title: 'High-risk ultrasound needs review'
+    });
+    expect(buildClinicianAlert({ id: 'esc-1', alertCount: 2 }, scan).title).toBe('High-risk ultrasound needs review (reminder 2)');
+  });
+});
+
+describe('buildSafetyGuidance', () => {
+  test('only says a clinician was alerted when one was', () => {
+    expect(buildSafetyGuidance({ clinicianAlerted: true }).message).toMatch(/^Your scan needs to be looked at by a clinician, and one has been alerted\. /);
+    const unalerted = buildSafetyGuidance();
+    expect(unalerted.message).toMatch(/^Your scan needs to be looked at by a clinician\. Please go to your clinic/);
+    expect(unalerted.message).not.toContain('alerted');
+    expect(unalerted.action).toBe('go_to_clinic');
+  });
+});
+
+describe('mothersAIAnalysis', () => {
+  const analysis = {
+    status: 'completed',
+    findings: { analysis_text: 'Abnormal placental position.' },
+    recommendations: ['Abnormal placental position.'],
+    completedAt: new Date('2026-07-18T12:00:00Z')
+  };
+
+  test('is unchanged for scans that were not escalated', () => {
+    expect(mothersAIAnalysis(analysis, null)).toBe(analysis);
+  });
+
+  test('replaces the AI text with safety guidance for escalated scans', () => {
+    const view = mothersAIAnalysis(analysis, { status: 'open', lastAlertedAt: new Date('2026-07-18T12:01:00Z') });
+    expect(view).toEqual({
+      status: 'completed',
+      completedAt: analysis.completedAt,
+      escalated: true,
+      safetyGuidance: buildSafetyGuidance({ clinicianAlerted: true })
+    });
+    expect(JSON.stringify(view)).not.toMatch(/placental/);
+    expect(view.safetyGuidance.action).toBe('go_to_clinic');
+  });
+
+  test('does not claim an alert for an escalation no clinician has been alerted about', () => {
+    const view = mothersAIAnalysis(analysis, { status: 'open', lastAlertedAt: null });
+    expect(view.safetyGuidance).toEqual(buildSafetyGuidance({ clinicianAlerted: false }));
+  });
+});
+
+describe('escalateIfHighRisk', () => {
+  test('does nothing for results that are not high risk', async () => {
+    await expect(escalateIfHighRisk('scan-1', { success: true, riskLevel: 'medium' })).resolves.toBeNull();
+    await expect(escalateIfHighRisk('scan-1', null)).resolves.toBeNull();
+  });
+
+  describe('a new escalation', () => {
+    const now = new Date('2026-07-18T12:00:00Z');
+    let escalation;
+
+    beforeEach(() => {
+      const { UltrasoundScan, ScanEscalation } = getModels();
+      escalation = { id: 'esc-1', scanId: 'scan-1', status: 'open', reason: 'ai_high_risk', alertCount: 0, lastAlertedAt: null, update: jest.fn() };
+      jest.spyOn(UltrasoundScan, 'findByPk').mockResolvedValue({
+        id: 'scan-1',
+        userId: 'mother-1',
+        scanType: 'routine',
+        medicalReviewStatus: 'requires_attention',
+        user: { id: 'mother-1', notificationPref: 'push' }
+      });
+      jest.spyOn(ScanEscalation, 'findOrCreate').mockResolvedValue([escalation, true]);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('records the alert once a clinician has been notified', async () => {
+      jest.spyOn(getModels().User, 'findAll').mockResolvedValue([{ id: 'clinician-1', notificationPref: 'push' }]);
+      await escalateIfHighRisk('scan-1', { success: true, riskLevel: 'high' }, { now });
+      expect(escalation.update).toHaveBeenCalledWith({ alertCount: 1, lastAlertedAt: now });
+    });
+
+    test('leaves lastAlertedAt unset when there was nobody to alert, so the re-alert job retries', async () => {
+      jest.spyOn(getModels().User, 'findAll').mockResolvedValue([]);
+      await expect(escalateIfHighRisk('scan-1', { success: true, riskLevel: 'high' }, { now })).resolves.toBe(escalation);
+      expect(escalation.update).not.toHaveBeenCalled();
+      expect(isAlertOverdue(escalation, now)).toBe(true);
+    });
+  });
+});
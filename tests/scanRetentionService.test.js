@@ -0,0 +1,69 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { getRetentionWindows, retentionCutoffs, deleteScanFiles } = require('../src/services/scanRetentionService');
+const azureStorageService = require('../src/services/azureStorageService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('getRetentionWindows', () => {
+  afterEach(() => {
+    delete process.env.SCAN_RETENTION_STANDARD_PURGE_DAYS;
+  });
+
+  test('has defaults for standard and extended, none for permanent', () => {
+    const windows = getRetentionWindows();
+    expect(windows.standard).toEqual({ archiveAfterDays: 365, purgeAfterDays: 730 });
+    expect(windows.extended).toEqual({ archiveAfterDays: 1095, purgeAfterDays: 2555 });
+    expect(windows.permanent).toBeUndefined();
+  });
+
+  test('env overrides a single window', () => {
+    process.env.SCAN_RETENTION_STANDARD_PURGE_DAYS = '90';
+    expect(getRetentionWindows().standard).toEqual({ archiveAfterDays: 365, purgeAfterDays: 90 });
+  });
+});
+
+describe('retentionCutoffs', () => {
+  test('subtracts each window from now', () => {
+    const now = new Date('2026-07-16T00:00:00Z');
+    const cutoffs = retentionCutoffs(now, { standard: { archiveAfterDays: 10, purgeAfterDays: 20 } });
+    expect(cutoffs).toEqual({
+      standard: {
+        archiveBefore: new Date(now.getTime() - 10 * DAY_MS),
+        purgeBefore: new Date(now.getTime() - 20 * DAY_MS)
+      }
+    });
+  });
+});
+
+describe('deleteScanFiles', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('deletes the local file and the blob', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-'));
+    const filePath = path.join(dir, 'scan.jpg');
+    fs.writeFileSync(filePath, 'x');
+    const deleteFile = jest.spyOn(azureStorageService, 'deleteFile').mockResolvedValue({ success: true });
+
+    await expect(deleteScanFiles({ filePath, cloudBlobName: 'u1/scan.jpg' }))
+      .resolves.toEqual({ localDeleted: true, blobDeleted: true });
+    expect(fs.existsSync(filePath)).toBe(false);
+    expect(deleteFile).toHaveBeenCalledWith('u1/scan.jpg');
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('a missing local file is not an error', async () => {
+    await expect(deleteScanFiles({ filePath: path.join(os.tmpdir(), 'no-such-scan.jpg'), cloudBlobName: null }))
+      .resolves.toEqual({ localDeleted: false, blobDeleted: false });
+  });
+
+  test('throws when the blob cannot be deleted', async () => {
+    jest.spyOn(azureStorageService, 'deleteFile').mockResolvedValue({ success: false, error: 'Azure Storage is not configured' });
+    await expect(deleteScanFiles({ filePath: null, cloudBlobName: 'u1/scan.jpg' }))
+      .rejects.toThrow('Blob delete failed: Azure Storage is not configured');
+  });
+});
@@ -0,0 +1,65 @@
+const { activeClaimant, awaitingReview, buildReviewNotification, riskLevelFor } = require('../src/services/scanReviewService');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('activeClaimant', () => {
+  const now = new Date('2026-07-17T12:00:00Z');
+
+  test('returns the clinician while the claim is live', () => {
+    const scan = { reviewClaimedBy: 'clin-1', reviewClaimedAt: new Date(now.getTime() - 29 * MINUTE_MS) };
+    expect(activeClaimant(scan, now)).toBe('clin-1');
+  });
+
+  test('a claim lapses after 30 minutes', () => {
+    const scan = { reviewClaimedBy: 'clin-1', reviewClaimedAt: new Date(now.getTime() - 30 * MINUTE_MS) };
+    expect(activeClaimant(scan, now)).toBeNull();
+  });
+
+  test('unclaimed scans have no claimant', () => {
+    expect(activeClaimant({ reviewClaimedBy: null, reviewClaimedAt: null }, now)).toBeNull();
+  });
+});
+
+describe('awaitingReview', () => {
+  test('pending and escalated scans wait for review', () => {
+    expect(awaitingReview({ medicalReviewStatus: 'pending', reviewedBy: null, reviewedAt: null })).toBe(true);
+    expect(awaitingReview({ medicalReviewStatus: 'requires_attention', reviewedBy: null, reviewedAt: null })).toBe(true);
+  });
+
+  test('a scan reviewed as requires_attention leaves the queue', () => {
+    expect(awaitingReview({
+      medicalReviewStatus: 'requires_attention', reviewedBy: 'clin-1', reviewedAt: new Date('2026-07-17T12:00:00Z')
+    })).toBe(false);
+  });
+
+  test('other outcomes are not in the queue', () => {
+    expect(awaitingReview({ medicalReviewStatus: 'normal', reviewedBy: null, reviewedAt: null })).toBe(false);
+  });
+});
+
+describe('riskLevelFor', () => {
+  test('uses the AI risk assessment for a completed analysis', () => {
+    expect(riskLevelFor({ success: true, analysis: 'Normal fetal growth.' })).toBe('low');
+    expect(riskLevelFor({ success: true, analysis: 'Recommend follow-up in two weeks.' })).toBe('medium');
+    expect(riskLevelFor({ success: true, analysis: 'Abnormal placental position.' })).toBe('high');
+  });
+
+  test('a missing or failed analysis is high risk', () => {
+    expect(riskLevelFor(null)).toBe('high');
+    expect(riskLevelFor({ success: false, error: 'timeout' })).toBe('high');
+  });
+});
+
+describe('buildReviewNotification', () => {
+  test('flags follow-up outcomes in the title', () => {
+    const message = buildReviewNotification({ id: 'scan-1' }, 'requires_attention');
+    expect(message).toMatchObject({ kind: 'scan_review_completed', refId: 'scan-1', title: 'Your scan review: follow-up recommended' });
+    expect(message.body).toMatch(/follow-up/);
+  });
+
+  test('normal outcomes get a reassuring message', () => {
+    const message = buildReviewNotification({ id: 'scan-1' }, 'normal');
+    expect(message.title).toBe('Your scan has been reviewed');
+    expect(message.body).toMatch(/nothing of concern/);
+  });
+});
@@ -0,0 +1,76 @@
+const {
+  toStatusEvent,
+  statusChanges,
+  publishScanStatus,
+  subscribeToUserScans
+} = require('../src/services/scanStatusEvents');
+
+function fakeScan(id, aiAnalysisStatus, userId = 'user-1') {
+  return {
+    id,
+    userId,
+    aiAnalysisStatus,
+    getScanSummary() {
+      return { id, aiAnalysisStatus };
+    }
+  };
+}
+
+describe('toStatusEvent', () => {
+  const at = new Date('2026-07-19T12:00:00Z');
+
+  test('names the event after the analysis status', () => {
+    expect(toStatusEvent(fakeScan('scan-1', 'processing'), at)).toEqual({
+      type: 'processing',
+      scanId: 'scan-1',
+      scan: { id: 'scan-1', aiAnalysisStatus: 'processing' },
+      at: '2026-07-19T12:00:00.000Z'
+    });
+    expect(toStatusEvent(fakeScan('scan-1', 'completed'), at).type).toBe('completed');
+  });
+
+  test('a scan waiting for a retry is queued, and errors count as failed', () => {
+    expect(toStatusEvent(fakeScan('scan-1', 'pending'), at).type).toBe('queued');
+    expect(toStatusEvent(fakeScan('scan-1', 'error'), at).type).toBe('failed');
+  });
+});
+
+describe('statusChanges', () => {
+  test('reports only scans whose status changed, and remembers the new one', () => {
+    const known = new Map([['scan-1', 'processing'], ['scan-2', 'processing']]);
+    const events = statusChanges(known, [fakeScan('scan-1', 'processing'), fakeScan('scan-2', 'completed')]);
+
+    expect(events.map((e) => [e.scanId, e.type])).toEqual([['scan-2', 'completed']]);
+    expect(known.get('scan-2')).toBe('completed');
+    expect(statusChanges(known, [fakeScan('scan-2', 'completed')])).toEqual([]);
+  });
+
+  test('reports scans it has not seen before', () => {
+    const known = new Map();
+    expect(statusChanges(known, [fakeScan('scan-3', 'pending')]).map((e) => e.type)).toEqual(['queued']);
+  });
+});
+
+describe('publishScanStatus', () => {
+  test('delivers to the owner only, until unsubscribed', () => {
+    const mine = jest.fn();
+    const theirs = jest.fn();
+    const unsubscribe = subscribeToUserScans('user-1', mine);
+    const unsubscribeOther = subscribeToUserScans('user-2', theirs);
+
+    publishScanStatus(fakeScan('scan-1', 'completed', 'user-1'));
+    expect(mine).toHaveBeenCalledWith(expect.objectContaining({ type: 'completed', scanId: 'scan-1' }));
+    expect(theirs).not.toHaveBeenCalled();
+
+    unsubscribe();
+    publishScanStatus(fakeScan('scan-1', 'failed', 'user-1'));
+    expect(mine).toHaveBeenCalledTimes(1);
+    unsubscribeOther();
+  });
+
+  test('a throwing listener does not reach the publisher', () => {
+    const unsubscribe = subscribeToUserScans('user-1', () => { throw new Error('socket gone'); });
+    expect(() => publishScanStatus(fakeScan('scan-1', 'completed'))).not.toThrow();
+    unsubscribe();
+  });
+});
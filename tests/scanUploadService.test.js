@@ -0,0 +1,41 @@
+const { parseUploadMetadata, validateUploadDetails } = require('../src/services/scanUploadService');
+
+const b64 = (value) => Buffer.from(value, 'utf8').toString('base64');
+
+describe('parseUploadMetadata', () => {
+  test('decodes base64 values and allows keys without one', () => {
+    expect(parseUploadMetadata(`filename ${b64('scan 1.jpg')},scanType ${b64('2d')},is_confidential`)).toEqual({
+      filename: 'scan 1.jpg',
+      scanType: '2d',
+      is_confidential: ''
+    });
+  });
+
+  test('is empty without a header and rejects malformed pairs', () => {
+    expect(parseUploadMetadata(undefined)).toEqual({});
+    expect(() => parseUploadMetadata('filename not base64!')).toThrow(/Malformed Upload-Metadata|not base64/);
+  });
+});
+
+describe('validateUploadDetails', () => {
+  test('normalises the scan type like the single-request upload', () => {
+    expect(validateUploadDetails({ scanType: 'doppler', scanDate: '2026-07-01' })).toEqual({
+      details: { scanType: 'Doppler', scanDate: '2026-07-01' },
+      errors: []
+    });
+  });
+
+  test('reports each invalid field', () => {
+    const { errors } = validateUploadDetails({ scanType: '5D', scanDate: 'yesterday', notes: 'x'.repeat(1001) });
+    expect(errors).toEqual([
+      'Invalid scan type. Use: 2D, 3D, 4D, Doppler, or Other',
+      'Invalid scan date format',
+      'Notes must be less than 1000 characters'
+    ]);
+  });
+
+  test('reads the duplicate override', () => {
+    expect(validateUploadDetails({ force: 'true' }).details).toEqual({ force: true });
+    expect(validateUploadDetails({ force: 'yes' }).errors).toEqual(['force must be true or false']);
+  });
+});
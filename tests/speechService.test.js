@@ -0,0 +1,220 @@
+const http = require('http');
+const speechService = require('../src/services/speechService');
+const { pcmToWav, parseWav, resamplePcm, rmsLevel, bytesForMs, durationMs } = require('../src/utils/pcmAudio');
+
+const RATE = 16000;
+
+/** `ms` of a 300 Hz tone (speech, as far as the level detector goes) or silence. */
+function tone(ms, amplitude = 8000) {
+  const samples = (ms * RATE) / 1000;
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i += 1) {
+    pcm.writeInt16LE(Math.round(Math.sin((2 * Math.PI * 300 * i) / RATE) * amplitude), i * 2);
+  }
+  return pcm;
+}
+const silence = (ms) => Buffer.alloc(bytesForMs(ms, RATE));
+
+describe('pcmAudio', () => {
+  test('WAV round trip', () => {
+    const pcm = tone(100);
+    const wav = pcmToWav(pcm, RATE);
+    expect(wav.toString('latin1', 0, 4)).toBe('RIFF');
+    const parsed = parseWav(wav);
+    expect(parsed.sampleRate).toBe(RATE);
+    expect(parsed.pcm.equals(pcm)).toBe(true);
+  });
+
+  test('rejects what it cannot read', () => {
+    expect(() => parseWav(Buffer.from('not a wav file at all'))).toThrow('Not a WAV file');
+  });
+
+  test('resamples to the requested rate', () => {
+    const pcm = tone(100);
+    const out = resamplePcm(pcm, RATE, 24000);
+    expect(durationMs(out, 24000)).toBe(100);
+    expect(rmsLevel(out)).toBeCloseTo(rmsLevel(pcm), -2);
+  });
+
+  test('level of silence and of speech', () => {
+    expect(rmsLevel(silence(20))).toBe(0);
+    expect(rmsLevel(tone(20))).toBeGreaterThan(5000);
+  });
+});
+
+describe('normaliseLanguage', () => {
+  test.each([
+    ['en-US', 'en'], ['yo-NG', 'yo'], ['hau', 'ha'], ['Igbo', 'ig'], ['ig', 'ig'],
+    ['fr', null], ['', null], [undefined, null]
+  ])('%s -> %s', (tag, expected) => {
+    expect(speechService.normaliseLanguage(tag)).toBe(expected);
+  });
+});
+
+describe('createRecognizer (fake provider)', () => {
+  beforeEach(() => speechService.clearFake());
+
+  function recognizer(extra = {}) {
+    const events = [];
+    const r = speechService.createRecognizer({
+      language: 'yo',
+      sampleRate: RATE,
+      onSpeechStart: () => events.push(['start']),
+      onPartial: (text) => events.push(['partial', text]),
+      onFinal: (text) => events.push(['final', text]),
+      onError: (error) => events.push(['error', error.message]),
+      ...extra
+    });
+    return { r, events };
+  }
+
+  test('ignores silence', async () => {
+    const { r, events } = recognizer();
+    r.write(silence(2000));
+    await r.flush();
+    expect(events).toEqual([]);
+    expect(speechService.getFakeCalls()).toEqual([]);
+  });
+
+  test('reports partials while she talks and a final once she pauses', async () => {
+    speechService.setFakeTranscript('Ẹ kú àárọ̀');
+    const { r, events } = recognizer();
+    r.write(silence(300));
+    r.write(tone(2500));
+    r.write(silence(1000));
+    await r.flush();
+
+    expect(events[0]).toEqual(['start']);
+    expect(events).toContainEqual(['partial', 'Ẹ kú àárọ̀']);
+    expect(events[events.length - 1]).toEqual(['final', 'Ẹ kú àárọ̀']);
+
+    const calls = speechService.getFakeCalls();
+    expect(calls.every((c) => c.language === 'yo' && c.sampleRate === RATE)).toBe(true);
+    const final = calls.find((c) => c.final);
+    // 200 ms pre-roll + 2.5 s of speech + the 800 ms pause that ended it
+    expect(durationMs(Buffer.alloc(final.bytes), RATE)).toBe(3500);
+  });
+
+  test('an identical partial is not repeated', async () => {
+    speechService.setFakeTranscript('hello');
+    const { r, events } = recognizer();
+    for (let i = 0; i < 3; i += 1) {
+      r.write(tone(1000));
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    await r.flush();
+    const partialCalls = speechService.getFakeCalls().filter((c) => !c.final);
+    expect(partialCalls).toHaveLength(3);
+    expect(events.filter(([type]) => type === 'partial')).toHaveLength(1);
+  });
+
+  test('flush ends the utterance without waiting for a pause', async () => {
+    speechService.setFakeTranscript('I feel dizzy');
+    const { r, events } = recognizer();
+    r.write(tone(400));
+    expect(r.isSpeaking()).toBe(true);
+    await r.flush();
+    expect(events).toEqual([['start'], ['final', 'I feel dizzy']]);
+    expect(r.isSpeaking()).toBe(false);
+  });
+
+  test('each utterance starts speech again', async () => {
+    speechService.setFakeTranscript('yes');
+    const { r, events } = recognizer();
+    r.write(Buffer.concat([tone(300), silence(900), tone(300), silence(900)]));
+    await r.flush();
+    expect(events.filter(([type]) => type === 'start')).toHaveLength(2);
+    expect(events.filter(([type]) => type === 'final')).toHaveLength(2);
+  });
+
+  test('an empty transcript is not reported', async () => {
+    const { r, events } = recognizer();
+    r.write(tone(300));
+    await r.flush();
+    expect(events).toEqual([['start']]);
+  });
+});
+
+describe('provider selection', () => {
+  afterEach(() => { delete process.env.SPEECH_PROVIDER; });
+
+  test('tests default to the fake provider', () => {
+    expect(speechService.getProvider().name).toBe('fake');
+  });
+
+  test('rejects an unknown provider', () => {
+    process.env.SPEECH_PROVIDER = 'cloud9';
+    expect(() => speechService.getProvider()).toThrow('Unknown SPEECH_PROVIDER "cloud9"');
+  });
+
+  test('simulated reveals its phrase as the audio grows', async () => {
+    process.env.SPEECH_PROVIDER = 'simulated';
+    const start = tone(400);
+    const partial = await speechService.transcribe(start, { final: false });
+    const final = await speechService.transcribe(Buffer.concat([start, tone(400)]), { final: true });
+    expect(final.text.startsWith(partial.text)).toBe(true);
+    expect(final.text.split(' ').length).toBeGreaterThan(partial.text.split(' ').length);
+  });
+});
+
+describe('local provider', () => {
+  let server;
+  let requests;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const body = [];
+      req.on('data', (c) => body.push(c));
+      req.on('end', () => {
+        const raw = Buffer.concat(body);
+        requests.push({ url: req.url, type: req.headers['content-type'], raw });
+        if (req.url.startsWith('/transcribe')) {
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ text: ' Sannu da zuwa ' }));
+        } else if (req.url === '/synthesize') {
+          res.setHeader('Content-Type', 'audio/wav');
+          res.end(pcmToWav(tone(200), RATE));
+        } else {
+          res.statusCode = 404;
+          res.end();
+        }
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    process.env.SPEECH_LOCAL_URL = `http://127.0.0.1:${server.address().port}`;
+    process.env.SPEECH_PROVIDER = 'local';
+  });
+
+  beforeEach(() => { requests = []; });
+
+  afterAll(async () => {
+    delete process.env.SPEECH_LOCAL_URL;
+    delete process.env.SPEECH_PROVIDER;
+    delete process.env.SPEECH_LOCAL_LANGUAGES;
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test('sends WAV with the language and trims the transcript', async () => {
+    const pcm = tone(100);
+    const result = await speechService.transcribe(pcm, { language: 'ha', sampleRate: RATE });
+    expect(result).toEqual({ provider: 'local', text: 'Sannu da zuwa' });
+    expect(requests[0].url).toBe('/transcribe?language=ha');
+    expect(requests[0].type).toBe('audio/wav');
+    expect(parseWav(requests[0].raw).pcm.equals(pcm)).toBe(true);
+  });
+
+  test('returns synthesized speech at the requested rate', async () => {
+    const { pcm } = await speechService.synthesize('Nnọọ', { language: 'ig', sampleRate: 24000 });
+    expect(durationMs(pcm, 24000)).toBe(200);
+    expect(JSON.parse(requests[0].raw.toString())).toMatchObject({ text: 'Nnọọ', language: 'ig' });
+  });
+
+  test('refuses languages the server is not configured for', async () => {
+    process.env.SPEECH_LOCAL_LANGUAGES = 'en,yo';
+    expect(speechService.supportsLanguage('ig')).toBe(false);
+    await expect(speechService.synthesize('Nnọọ', { language: 'ig' }))
+      .rejects.toThrow('Speech provider "local" does not support language ig');
+    expect(requests).toHaveLength(0);
+    delete process.env.SPEECH_LOCAL_LANGUAGES;
+  });
+});
@@ -0,0 +1,104 @@
+const {
+  parseDurationMs, generateRefreshToken, hashToken, touchSession, findSessionIdForRefreshToken
+} = require('../src/services/tokenService');
+const { getModels } = require('../src/models/associations');
+
+// --- parseDurationMs ---------------------------------------------------------
+describe('parseDurationMs', () => {
+  test('parses jsonwebtoken-style durations', () => {
+    expect(parseDurationMs('7d')).toBe(7 * 24 * 60 * 60 * 1000);
+    expect(parseDurationMs('24h')).toBe(24 * 60 * 60 * 1000);
+    expect(parseDurationMs('30m')).toBe(30 * 60 * 1000);
+    expect(parseDurationMs('45s')).toBe(45 * 1000);
+  });
+
+  test('treats a bare number as seconds', () => {
+    expect(parseDurationMs('3600')).toBe(3600 * 1000);
+  });
+
+  test('falls back on missing or malformed input', () => {
+    expect(parseDurationMs(undefined, 123)).toBe(123);
+    expect(parseDurationMs('', 123)).toBe(123);
+    expect(parseDurationMs('soon', 123)).toBe(123);
+  });
+});
+
+// --- refresh token material ------------------------------------------------
+describe('refresh tokens', () => {
+  test('are long, url-safe and unique', () => {
+    const a = generateRefreshToken();
+    const b = generateRefreshToken();
+    expect(a).toMatch(/^[A-Za-z0-9_-]{64}$/);
+    expect(a).not.toBe(b);
+  });
+
+  test('are stored as a deterministic SHA-256 hex hash', () => {
+    const token = generateRefreshToken();
+    expect(hashToken(token)).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashToken(token)).toBe(hashToken(token));
+    expect(hashToken(token)).not.toBe(hashToken(generateRefreshToken()));
+  });
+});
+
+// --- last-seen throttling ---------------------------------------------------
+describe('touchSession', () => {
+  const now = new Date('2026-07-11T12:00:00Z');
+  let update;
+
+  beforeEach(() => {
+    update = jest.spyOn(getModels().UserSession, 'update').mockResolvedValue([1]);
+  });
+
+  afterEach(() => {
+    update.mockRestore();
+  });
+
+  test('skips the write when the session was seen recently', async () => {
+    const session = { id: 's1', lastSeenAt: new Date(now.getTime() - 60 * 1000) };
+    await expect(touchSession(session, { ipAddress: '10.0.0.1', now })).resolves.toBe(false);
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  test('records last-seen and IP once the previous value is stale', async () => {
+    const session = { id: 's1', lastSeenAt: new Date(now.getTime() - 10 * 60 * 1000) };
+    await expect(touchSession(session, { ipAddress: '10.0.0.1', now })).resolves.toBe(true);
+    expect(update).toHaveBeenCalledWith({ lastSeenAt: now, ipAddress: '10.0.0.1' }, { where: { id: 's1' } });
+  });
+
+  test('treats a session with no last-seen as stale', async () => {
+    await expect(touchSession({ id: 's2', lastSeenAt: null }, { now })).resolves.toBe(true);
+    expect(update).toHaveBeenCalledWith({ lastSeenAt: now }, { where: { id: 's2' } });
+  });
+});
+
+// --- refresh-token session lookup (logout fallback) -------------------------
+describe('findSessionIdForRefreshToken', () => {
+  let findOne;
+
+  beforeEach(() => {
+    findOne = jest.spyOn(getModels().RefreshToken, 'findOne');
+  });
+
+  afterEach(() => {
+    findOne.mockRestore();
+  });
+
+  test("only matches the caller's own tokens", async () => {
+    findOne.mockResolvedValue({ sessionId: 'sess-1' });
+    await expect(findSessionIdForRefreshToken('raw-token', 'user-1')).resolves.toBe('sess-1');
+    expect(findOne).toHaveBeenCalledWith({
+      where: { tokenHash: hashToken('raw-token'), userId: 'user-1' },
+      attributes: ['sessionId']
+    });
+  });
+
+  test("returns null for another user's token", async () => {
+    findOne.mockResolvedValue(null);
+    await expect(findSessionIdForRefreshToken('someone-elses-token', 'user-1')).resolves.toBeNull();
+  });
+
+  test('does not look anything up without a user', async () => {
+    await expect(findSessionIdForRefreshToken('raw-token')).resolves.toBeNull();
+    expect(findOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,121 @@
+const {
+  detectLanguage,
+  buildTranslationMessages,
+  toEnglish,
+  fromEnglish,
+  userMessageMetadata,
+  replyTranslationMetadata
+} = require('../src/services/translationService');
+const { glossaryHints } = require('../src/utils/medicalGlossary');
+
+describe('detectLanguage', () => {
+  test.each([
+    ['Mo ni ibà, ṣé mo lè lo paracetamol?', 'yo'],
+    ['Ina da ciwon kai sosai, me zan yi?', 'ha'],
+    ['Nwa m anaghị emegharị ahụ, gịnị ka m ga-eme?', 'ig'],
+    ['What should I eat in week 20?', 'en']
+  ])('%s -> %s', (text, language) => {
+    expect(detectLanguage(text).language).toBe(language);
+  });
+
+  test('returns null when there is too little to tell', () => {
+    expect(detectLanguage('ok').language).toBeNull();
+    expect(detectLanguage('').language).toBeNull();
+  });
+});
+
+describe('glossaryHints', () => {
+  test('finds glossary terms whole-word, ignoring accents', () => {
+    const { terms } = glossaryHints('Mo ni iba ati efori', 'yo', 'en');
+    expect(terms).toEqual([['ibà', 'fever'], ['ibà', 'malaria'], ['ẹ̀fọ́rí', 'headache']]);
+    expect(glossaryHints('painful feet', 'en', 'ha').terms).toEqual([]);
+  });
+
+  test('skips entries without a term in either language', () => {
+    expect(glossaryHints('Is this labour?', 'en', 'ig').terms).toEqual([]);
+    expect(glossaryHints('Is this labour?', 'en', 'ha').terms).toEqual([['labour', 'naƙuda']]);
+  });
+
+  test('lists the terms to keep in English', () => {
+    expect(glossaryHints('Can I take paracetamol after my ultrasound?', 'en', 'yo').keepEnglish)
+      .toEqual(['ultrasound', 'paracetamol']);
+  });
+});
+
+describe('buildTranslationMessages', () => {
+  test('gives the translator the languages, glossary and terms to keep', () => {
+    const [system, user] = buildTranslationMessages('I have a fever. Can I take paracetamol? [2]', 'en', 'ha');
+    expect(system.role).toBe('system');
+    expect(system.content).toContain('from English to Hausa');
+    expect(system.content).toContain('citation markers such as [2]');
+    expect(user.content).toContain('- fever => zazzaɓi');
+    expect(user.content).toContain('KEEP IN ENGLISH: paracetamol');
+    expect(user.content).toContain('TEXT:\nI have a fever. Can I take paracetamol? [2]');
+  });
+
+  test('says so when no glossary terms apply', () => {
+    const [, user] = buildTranslationMessages('Hello', 'en', 'ig');
+    expect(user.content).toContain('GLOSSARY:\n(none)');
+    expect(user.content).toContain('KEEP IN ENGLISH: (none)');
+  });
+});
+
+describe('toEnglish / fromEnglish', () => {
+  // No AZURE_OPENAI_* in tests, so any translation call fails.
+
+  test('sends English through untouched', async () => {
+    const incoming = await toEnglish('What should I eat in week 20?', { replyLanguage: 'en' });
+    expect(incoming).toEqual({
+      language: 'en',
+      replyLanguage: 'en',
+      original: 'What should I eat in week 20?',
+      english: 'What should I eat in week 20?',
+      translated: false
+    });
+    expect(await fromEnglish('Eat beans.', 'en')).toEqual({
+      language: 'en', english: 'Eat beans.', text: 'Eat beans.', translated: false
+    });
+  });
+
+  test('takes a message too short to tell to be in the reply language', async () => {
+    const incoming = await toEnglish('ok', { replyLanguage: 'ig' });
+    expect(incoming.language).toBe('ig');
+  });
+
+  test('falls back to the untranslated text when translation fails', async () => {
+    const incoming = await toEnglish('Ina da ciwon kai sosai, me zan yi?', { replyLanguage: 'ha' });
+    expect(incoming).toMatchObject({
+      language: 'ha',
+      english: 'Ina da ciwon kai sosai, me zan yi?',
+      translated: false
+    });
+    expect(incoming.error).toMatch(/AZURE_OPENAI/);
+
+    const outgoing = await fromEnglish('Rest and drink water.', 'ha', { appendEnglish: true });
+    expect(outgoing).toMatchObject({ language: 'ha', text: 'Rest and drink water.', translated: false });
+    expect(outgoing.error).toMatch(/AZURE_OPENAI/);
+  });
+});
+
+describe('translation metadata', () => {
+  test('is null for English', () => {
+    expect(userMessageMetadata({ language: 'en' })).toBeNull();
+    expect(replyTranslationMetadata({ language: 'en' })).toBeNull();
+  });
+
+  test('keeps both versions of a translated message', () => {
+    expect(userMessageMetadata({
+      language: 'yo', original: 'Mo ni ibà', english: 'I have a fever', translated: true
+    })).toEqual({ translation: { language: 'yo', original: 'Mo ni ibà', english: 'I have a fever' } });
+
+    expect(replyTranslationMetadata({
+      language: 'yo', english: 'Rest.', text: 'Sinmi.', translated: true
+    })).toEqual({ language: 'yo', english: 'Rest.', translated: true });
+  });
+
+  test('records a failed translation', () => {
+    expect(userMessageMetadata({
+      language: 'ig', original: 'Kedu', english: 'Kedu', translated: false, error: 'timeout'
+    })).toEqual({ translation: { language: 'ig', original: 'Kedu', english: null, error: 'timeout' } });
+  });
+});
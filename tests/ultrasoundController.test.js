@@ -0,0 +1,48 @@
+const http = require('http');
+const express = require('express');
+require('express-async-errors');
+const ultrasoundController = require('../src/controllers/ultrasoundController');
+const aiService = require('../src/services/aiService');
+
+describe('GET /ai/health', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.get('/ai/health', ultrasoundController.getAIServiceHealth);
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  async function getHealth() {
+    const res = await fetch(`${baseUrl}/ai/health`);
+    return { status: res.status, body: await res.json() };
+  }
+
+  test('reports the AI service health', async () => {
+    jest.spyOn(aiService, 'healthCheck').mockResolvedValue({ status: 'healthy', response: 'ok', latency: null });
+    const { status, body } = await getHealth();
+    expect(status).toBe(200);
+    expect(body).toEqual({
+      status: 'success',
+      data: { aiService: { status: 'healthy', response: 'ok', latency: null } }
+    });
+  });
+
+  test('reports an unreachable AI service as unhealthy, not as a server error', async () => {
+    jest.spyOn(aiService, 'healthCheck').mockResolvedValue({ status: 'unhealthy', error: 'ECONNREFUSED', code: 'NETWORK_ERROR' });
+    const { status, body } = await getHealth();
+    expect(status).toBe(200);
+    expect(body.data.aiService.status).toBe('unhealthy');
+  });
+});